@@ -4,6 +4,7 @@
 export type DateType = string | Date | TZDate;
 export type EventHandlerType = IEvents[keyof IEvents];
 export type CustomEventType = keyof IEvents;
+export type RecurrenceScopeType = 'this' | 'following' | 'all';
 
 export interface IEventObject {
     schedule: ISchedule;
@@ -12,6 +13,24 @@ export interface IEventObject {
     start: TZDate;
     calendar?: ICalendarInfo;
     triggerEventName?: 'click' | 'dblclick';
+    recurrenceScope?: RecurrenceScopeType;
+    masterSchedule?: ISchedule;
+    history?: 'undo' | 'redo';
+    updates?: IScheduleUpdate[];
+}
+
+export interface IEventCreationObject extends ISchedule {
+    triggerEventName?: 'click' | 'dblclick' | 'paste' | 'duplicate' | 'drop';
+    schedule?: ISchedule;
+}
+
+export interface IScheduleUpdate {
+    schedule: ISchedule;
+    changes: ISchedule;
+}
+
+export interface IEventSelectionObject {
+    schedules: ISchedule[];
 }
 
 export interface IEventDateObject {
@@ -23,21 +42,78 @@ export interface IEventMoreObject {
     target: Element;
 }
 
+export interface IEventYearDateObject {
+    date: TZDate;
+    count: number;
+    duration: number;
+}
+
 export interface IEventScheduleObject {
     calendar: ICalendarInfo;
     event: MouseEvent;
     schedule: ISchedule;
+    schedules?: ISchedule[];
+    recurrenceScope?: RecurrenceScopeType;
+    masterSchedule?: ISchedule;
+    triggerEventName?: 'drop';
+}
+
+export interface IExternalDragData extends ISchedule {
+    duration?: number;
+}
+
+export interface IEventDropExternalObject {
+    data: IExternalDragData;
+    element: HTMLElement;
+    start: TZDate;
+    end: TZDate;
+    isAllDay: boolean;
+    category: string;
+    event: MouseEvent;
+}
+
+export interface IEventDragOutObject {
+    schedule: ISchedule;
+    event: MouseEvent;
 }
 
+export interface IValidationContext {
+    action: 'create' | 'update';
+    triggerEventName: string;
+    changes?: ISchedule | null;
+}
+
+export interface IEventRejectedObject {
+    schedule: ISchedule;
+    context: IValidationContext;
+    message: string;
+    errors: {[name: string]: string};
+}
+
+export interface IEventDataSourceErrorObject {
+    action: 'load' | 'create' | 'update' | 'remove';
+    schedule?: ISchedule | null;
+    error: Error | string | object;
+}
+
+export type ValidationResult = boolean | string | {[name: string]: string} | void;
+
 export interface IEvents {
     'afterRenderSchedule'?: (eventObj: {schedule: ISchedule}) => void;
-    'beforeCreateSchedule'?: (schedule: ISchedule) => void;
+    'beforeCreateSchedule'?: (eventObj: IEventCreationObject) => void;
     'beforeDeleteSchedule'?: (eventObj: IEventScheduleObject) => void;
+    'beforeDropExternal'?: (eventObj: IEventDropExternalObject) => void;
     'beforeUpdateSchedule'?: (eventObj: IEventObject) => void;
     'clickDayname'?: (eventObj: IEventDateObject) => void;
     'clickMore'?: (eventObj: IEventMoreObject) => void;
     'clickSchedule'?: (eventObj: IEventScheduleObject) => void;
     'clickTimezonesCollapseBtn'?: (timezonesCollapsed: boolean) => void;
+    'clickYearDate'?: (eventObj: IEventYearDateObject) => boolean | void;
+    'dataSourceError'?: (eventObj: IEventDataSourceErrorObject) => void;
+    'loading'?: (eventObj: {isLoading: boolean}) => void;
+    'scheduleDragOut'?: (eventObj: IEventDragOutObject) => void;
+    'scheduleRejected'?: (eventObj: IEventRejectedObject) => void;
+    'selectionChange'?: (eventObj: IEventSelectionObject) => void;
 }
 
 export class TZDate {
@@ -59,6 +135,12 @@ export interface ITimeGridHourLabel {
     minutes: number;
 }
 
+export interface ITimeGridSlotLabel {
+    hour: number;
+    minutes: number;
+    top: number;
+}
+
 export interface ITimezoneHourMarker {
     hourmarker: TZDate;
     dateDifferenceSign: string;
@@ -106,6 +188,12 @@ export interface ITemplateConfig {
     monthGridFooterExceed?: (hiddenSchedules: number) => string;
     monthDayname?: (model: IMonthDayNameInfo) => string;
     weekDayname?: (model: IWeekDayNameInfo) => string;
+    weekResource?: (resource: IResourceInfo) => string;
+    holidayLabel?: (holidays: IHoliday[]) => string;
+    timelineSlot?: (slot: ITimelineSlot) => string;
+    agendaDayHeader?: (model: IAgendaDayModel) => string;
+    agendaItem?: (schedule: ISchedule) => string;
+    agendaEmpty?: () => string;
     weekGridFooterExceed?: (hiddenSchedules: number) => string;
     dayGridTitle?: (viewName: string) => string;
     schedule?: (schedule: ISchedule) => string;
@@ -115,6 +203,7 @@ export interface ITemplateConfig {
     timegridDisplayPrimaryTime?: (time: ITimeGridHourLabel) => string;
     timegridDisplayTime?: (time: ITimeGridHourLabel) => string;
     timegridCurrentTime?: (hourMarker: ITimezoneHourMarker) => string;
+    timegridSlotLabel?: (time: ITimeGridSlotLabel) => string;
     popupIsAllDay?: () => string;
     popupStateFree?: () => string;
     popupStateBusy?: () => string;
@@ -132,6 +221,17 @@ export interface ITemplateConfig {
     popupDetailBody?: (schedule: ISchedule) => string;
     popupEdit?: () => string;
     popupDelete?: () => string;
+    popupRecurrenceScopeTitle?: (isDelete: boolean) => string;
+    popupRecurrenceScopeThis?: () => string;
+    popupRecurrenceScopeFollowing?: () => string;
+    popupRecurrenceScopeAll?: () => string;
+    loading?: () => string;
+}
+
+export interface IBusinessHours {
+    daysOfWeek?: number[];
+    start: string;
+    end: string;
 }
 
 export interface IWeekOptions {
@@ -143,6 +243,11 @@ export interface IWeekOptions {
     timezonesCollapsed?: boolean;
     hourStart?: number;
     hourEnd?: number;
+    businessHours?: IBusinessHours[];
+    constraint?: 'businessHours' | ((start: TZDate, end: TZDate, schedule?: ISchedule) => boolean | void);
+    snapToConstraint?: boolean;
+    slotDuration?: 5 | 10 | 15 | 20 | 30 | 60;
+    snapDuration?: 5 | 10 | 15 | 20 | 30 | 60;
 }
 
 export interface IMonthOptions {
@@ -168,9 +273,62 @@ export interface IMonthOptions {
     scheduleFilter?: (schedule: ISchedule) => boolean;
 }
 
+export interface ITimelineOptions {
+    granularity?: 'hour' | 'day' | 'week';
+    slotWidth?: number;
+    resourceWidth?: number;
+    scheduleHeight?: number;
+    scheduleGutter?: number;
+    scheduleFilter?: (schedule: ISchedule) => boolean;
+}
+
+export interface ITimelineSlot {
+    date: TZDate;
+    granularity: 'hour' | 'day' | 'week';
+}
+
+export interface IAgendaOptions {
+    dayCount?: number;
+    showEmptyDays?: boolean;
+    daynames?: string[];
+    scheduleFilter?: (schedule: ISchedule) => boolean;
+}
+
+export interface IYearOptions {
+    startDayOfWeek?: number;
+    daynames?: string[];
+    density?: 'count' | 'duration';
+    drillDownView?: 'day' | 'week' | null;
+    scheduleFilter?: (schedule: ISchedule) => boolean;
+}
+
+export interface IAgendaDayModel {
+    date: string;
+    dayName: string;
+    isToday: boolean;
+}
+
+export interface IViewOption {
+    type: 'week' | 'month' | string;
+    dayCount?: number;
+    weeks?: number;
+}
+
+export interface IAlarm {
+    action?: 'DISPLAY' | 'AUDIO' | 'EMAIL' | string;
+    trigger: string;
+    description?: string;
+}
+
+export interface IExportICSOptions {
+    calendarId?: string | string[];
+    prodId?: string;
+}
+
 export interface ISchedule {
     id?: string;
     calendarId?: string;
+    resourceId?: string | number;
     title?: string;
     body?: string;
     start?: DateType;
@@ -183,6 +341,11 @@ export interface ISchedule {
     location?: string;
     attendees?: string[];
     recurrenceRule?: string;
+    masterId?: string;
+    recurrenceId?: DateType;
+    startTimezone?: string;
+    endTimezone?: string;
+    alarms?: IAlarm[];
     isPending?: boolean;
     isFocused?: boolean;
     isVisible?: boolean;
@@ -200,6 +363,7 @@ export interface ISchedule {
 }
 
 export interface ITimezone {
+    timezoneName?: string;
     timezoneOffset?: number;
     displayLabel?: string;
     tooltip?: string;
@@ -212,6 +376,82 @@ export interface ICalendarInfo {
     bgColor?: string;
     dragBgColor?: string;
     borderColor?: string;
+    allowOverlap?: boolean;
+}
+
+export interface IResourceInfo {
+    id: string | number;
+    name: string;
+    avatar?: string;
+}
+
+export interface IHolidayInfo {
+    date: string | Date;
+    name: string;
+}
+
+export interface IHoliday {
+    name: string;
+    holidaySetId: string;
+    isNonWorking: boolean;
+}
+
+export interface IHolidaySet {
+    id: string;
+    dates?: IHolidayInfo[];
+    provider?: (start: TZDate, end: TZDate) => IHolidayInfo[];
+    isNonWorking?: boolean;
+}
+
+export interface IEventSource extends ICalendarColor {
+    id: string;
+    name?: string;
+    schedules?: ISchedule[];
+    events?: (rangeStart: TZDate, rangeEnd: TZDate) => ISchedule[] | Promise<ISchedule[]>;
+    url?: string;
+    isVisible?: boolean;
+}
+
+export interface IEventSourceInfo {
+    id: string;
+    name: string;
+    isVisible: boolean;
+}
+
+export interface IHistoryOptions {
+    size?: number;
+    groupDrag?: boolean;
+    undoByEvent?: boolean;
+}
+
+export type PopupFieldType = 'text' | 'textarea' | 'select' | 'multiselect' | 'checkbox' | 'color' | 'attendees';
+
+export interface IPopupFieldOption {
+    value: string;
+    label?: string;
+}
+
+export type PopupFieldValue = string | string[] | boolean;
+
+export interface IPopupField {
+    name: string;
+    type?: PopupFieldType;
+    label?: string;
+    placeholder?: string;
+    options?: IPopupFieldOption[];
+    required?: boolean;
+    validate?: (value: PopupFieldValue, values: {[name: string]: PopupFieldValue}) => string | void;
+    property?: string;
+    defaultValue?: PopupFieldValue;
+}
+
+export type DataSourceResult<T> = T | void | Promise<T | void>;
+
+export interface IDataSource {
+    load?: (range: {start: TZDate; end: TZDate}) => DataSourceResult<ISchedule[]>;
+    create?: (schedule: ISchedule) => DataSourceResult<ISchedule>;
+    update?: (schedule: ISchedule, changes: ISchedule) => DataSourceResult<ISchedule>;
+    remove?: (schedule: ISchedule) => DataSourceResult<ISchedule>;
 }
 
 export interface ITheme {
@@ -219,16 +459,35 @@ export interface ITheme {
 }
 
 export interface IOptions {
-    defaultView?: string;
+    defaultView?: string | IViewOption;
     taskView?: boolean | string[];
     scheduleView?: boolean | string[];
     theme?: ITheme;
     template?: ITemplateConfig;
     week?: IWeekOptions;
     month?: IMonthOptions;
+    timeline?: ITimelineOptions;
+    agenda?: IAgendaOptions;
+    year?: IYearOptions;
     calendars?: ICalendarInfo[];
+    resources?: IResourceInfo[];
+    holidays?: IHolidaySet[];
+    nonWorkingDayCreation?: 'allow' | 'warn' | 'block';
+    allowOverlap?: boolean;
+    dragGroup?: string;
+    history?: IHistoryOptions;
     useCreationPopup?: boolean;
     useDetailPopup?: boolean;
+    popupFields?: IPopupField[];
+    dataSource?: IDataSource;
+    events?: (rangeStart: TZDate, rangeEnd: TZDate) => ISchedule[] | Promise<ISchedule[]>;
+    eventCacheDays?: number;
+    eventSources?: IEventSource[];
+    fetchICS?: (url: string) => string | Promise<string>;
+    validateSchedule?: (
+        schedule: ISchedule,
+        context: IValidationContext
+    ) => ValidationResult | Promise<ValidationResult>;
     timezones?: ITimezone[];
     disableDblClick?: boolean;
     disableClick?: boolean;
@@ -242,34 +501,68 @@ export default class Calendar {
 
     constructor(container: Element | string, options?: IOptions);
 
-    public changeView(newViewName: string, force?: boolean): void;
+    public addEventSource(source: IEventSource): void;
+    public canRedo(): boolean;
+    public canUndo(): boolean;
+    public changeView(newViewName: string | IViewOption, force?: boolean): void;
     public clear(immediately?: boolean): void;
+    public clearHistory(): void;
+    public clearSelection(): void;
     public createSchedules(schedules: ISchedule[], silent?: boolean): void;
     public deleteSchedule(scheduleId: string, calendarId: string, silent?: boolean): void;
+    public deleteRecurringSchedule(
+        scheduleId: string,
+        calendarId: string,
+        scope: RecurrenceScopeType,
+        silent?: boolean
+    ): void;
     public destroy(): void;
+    public exportICS(options?: IExportICSOptions): string;
+    public findConflicts(schedule: ISchedule): ISchedule[];
     public getDate(): TZDate;
     public getDateRangeEnd(): TZDate;
     public getDateRangeStart(): TZDate;
     public getElement(scheduleId: string, calendarId: string): Element;
+    public getEventSources(): IEventSourceInfo[];
     public getOptions(): IOptions;
     public getSchedule(scheduleId: string, calendarId: string): ISchedule;
+    public getSelectedSchedules(): ISchedule[];
     public getViewName(): string;
     public hideMoreView(): void;
+    public importICS(text: string, calendarId: string, silent?: boolean): ISchedule[];
     public next(): void;
     public openCreationPopup(schedule: ISchedule): void;
     public prev(): void;
+    public redo(): void;
+    public refreshEventSource(id: string): void;
+    public registerExternalDraggable(
+        element: HTMLElement,
+        dataFn: (element: HTMLElement) => IExternalDragData | null | void
+    ): void;
+    public removeEventSource(id: string): void;
     public render(immediately?: boolean): void;
     public scrollToNow(): void;
     public setCalendarColor(calendarId: string, option: ICalendarColor, silent?: boolean): void;
     public setCalendars(calendars: ICalendarInfo[]): void;
+    public setHolidays(holidays: IHolidaySet[]): void;
     public setDate(date: Date | string): void;
     public setOptions(options: IOptions, silent?: boolean): void;
     public setTheme(theme: ITheme): string[];
     public today(): void;
+    public toggleEventSource(id: string, toHide: boolean): void;
     public toggleSchedules(calendarId: string, toHide: boolean, render?: boolean): void;
     public toggleScheduleView(enabled: boolean): void;
     public toggleTaskView(enabled: boolean): void;
+    public undo(): void;
+    public unregisterExternalDraggable(element: HTMLElement): void;
     public updateSchedule(scheduleId: string, calendarId: string, scheduleData: ISchedule, silent?: boolean): void;
+    public updateRecurringSchedule(
+        scheduleId: string,
+        calendarId: string,
+        scheduleData: ISchedule,
+        scope: RecurrenceScopeType,
+        silent?: boolean
+    ): ISchedule | null;
     public off(eventName?: string | object | EventHandlerType, handler?: EventHandlerType | string): void;
     public on(event: CustomEventType | IEvents, handler?: EventHandlerType): void;
 }
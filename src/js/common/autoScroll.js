@@ -12,6 +12,7 @@ var Point = require('../common/point');
 var SCROLL_INTERVAL = 30;
 var SCROLL_MAX = 15;
 var SCROLL_CLICK_INCREASED = 2; // In IE, the offset of the actual UI pixel when the scroll bar is clicked is offset.
+var EVENT_NAMES = domevent.getDragEventNames();
 
 /**
  * Add autoscroll feature to elements that prevented text selection.
@@ -40,9 +41,7 @@ function AutoScroll(container) {
      */
     this._intervalID = 0;
 
-    domevent.on(container, {
-        'mousedown': this._onMouseDown
-    }, this);
+    domevent.on(container, EVENT_NAMES.start, this._onMouseDown, this);
 }
 
 /**
@@ -60,11 +59,8 @@ AutoScroll.DIRECTION = {
  * Instance destroy method.
  */
 AutoScroll.prototype.destroy = function() {
-    domevent.off(this.container, {
-        'mousedown': this._onMouseDown,
-        'mousemove': this._onMouseMove,
-        'mouseup': this._onMouseUp
-    }, this);
+    domevent.off(this.container, EVENT_NAMES.start, this._onMouseDown, this);
+    this._toggleDragEvent(false);
 
     window.clearInterval(this._intervalID);
     this._intervalID = this._direction = this.container = null;
@@ -147,13 +143,46 @@ AutoScroll.prototype._onMouseDown = function(mouseDownEvent) {
         return;
     }
 
-    window.clearInterval(this._intervalID);
+    this.start();
+};
+
+/**
+ * Start autoscroll until the mouse button is released.
+ * It's called directly when the dragging is started outside of the container, like the other calendar.
+ */
+AutoScroll.prototype.start = function() {
+    this.stop();
     this._intervalID = window.setInterval(util.bind(this._onTick, this), SCROLL_INTERVAL);
 
-    domevent.on(global, {
-        'mousemove': this._onMouseMove,
-        'mouseup': this._onMouseUp
-    }, this);
+    this._toggleDragEvent(true);
+};
+
+/**
+ * Stop autoscroll.
+ */
+AutoScroll.prototype.stop = function() {
+    window.clearInterval(this._intervalID);
+    this._intervalID = 0;
+    this._direction = AutoScroll.DIRECTION.INSIDE;
+    this._offset = 0;
+
+    this._toggleDragEvent(false);
+};
+
+/**
+ * Toggle events for mouse dragging.
+ * The pointer canceled by the browser for scrolling stops autoscroll as same as mouseup.
+ * @param {boolean} toBind - bind events related with dragging when supplied "true"
+ */
+AutoScroll.prototype._toggleDragEvent = function(toBind) {
+    var method = toBind ? 'on' : 'off';
+
+    domevent[method](global, EVENT_NAMES.move, this._onMouseMove, this);
+    domevent[method](global, EVENT_NAMES.end, this._onMouseUp, this);
+
+    if (EVENT_NAMES.cancel) {
+        domevent[method](global, EVENT_NAMES.cancel, this._onMouseUp, this);
+    }
 };
 
 /**
@@ -200,15 +229,7 @@ AutoScroll.prototype._onMouseMove = function(mouseEvent) {
  * MouseUp event handler.
  */
 AutoScroll.prototype._onMouseUp = function() {
-    window.clearInterval(this._intervalID);
-    this._intervalID = 0;
-    this._direction = AutoScroll.DIRECTION.INSIDE;
-    this._offset = 0;
-
-    domevent.off(global, {
-        'mousemove': this._onMouseMove,
-        'mouseup': this._onMouseUp
-    }, this);
+    this.stop();
 };
 
 /**
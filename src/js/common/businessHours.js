@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Utility module for the business hours and the time constraint.
+ * @author NHN FE Development Lab <dl_javascript@nhn.com>
+ */
+'use strict';
+
+var util = require('tui-code-snippet');
+var datetime = require('./datetime');
+var TZDate = require('./timezone').Date;
+var mmax = Math.max,
+    mmin = Math.min;
+
+var DEFAULT_DAYS_OF_WEEK = [1, 2, 3, 4, 5];
+
+/**
+ * @module businessHours
+ */
+var businessHours = {
+    /**
+     * Get the business hour ranges of the date sorted by the start time.
+     * @param {Array.<BusinessHours>} hours - business hours option
+     * @param {TZDate} date - date to get ranges
+     * @returns {Array.<TZDate[]>} ranges of the date
+     */
+    getRanges: function(hours, date) {
+        var day = date.getDay(),
+            dateStart = datetime.start(date),
+            ranges = [];
+
+        util.forEachArray(hours || [], function(hour) {
+            if (util.inArray(day, hour.daysOfWeek || DEFAULT_DAYS_OF_WEEK) < 0) {
+                return;
+            }
+
+            ranges.push([
+                new TZDate(dateStart).addMinutes(parseTime(hour.start)),
+                new TZDate(dateStart).addMinutes(parseTime(hour.end))
+            ]);
+        });
+
+        return ranges.sort(function(a, b) {
+            return a[0] - b[0];
+        });
+    },
+
+    /**
+     * Get the blocks of non-business time between the render hours.
+     * @param {Array.<BusinessHours>} hours - business hours option
+     * @param {TZDate} date - date to get blocks
+     * @param {number} hourStart - start hour of the rendering
+     * @param {number} hourEnd - end hour of the rendering
+     * @returns {Array.<{top: number, height: number}>} blocks. the top and height are percent of the render hours.
+     */
+    getNonBusinessBlocks: function(hours, date, hourStart, hourEnd) {
+        var viewStart = new TZDate(datetime.start(date)).addMinutes(hourStart * 60),
+            viewEnd = new TZDate(datetime.start(date)).addMinutes(hourEnd * 60),
+            total = viewEnd - viewStart,
+            blocks = [],
+            cursor = viewStart;
+
+        if (!hours || !total) {
+            return blocks;
+        }
+
+        util.forEachArray(businessHours.getRanges(hours, date).concat([[viewEnd, viewEnd]]), function(range) {
+            var start = mmin(mmax(range[0], viewStart), viewEnd);
+
+            if (start > cursor) {
+                blocks.push({
+                    top: ((cursor - viewStart) / total) * 100,
+                    height: ((start - cursor) / total) * 100
+                });
+            }
+
+            cursor = mmax(cursor, range[1]);
+        });
+
+        return blocks;
+    },
+
+    /**
+     * Check the range by the constraint and snap it to the business hours when it is allowed.
+     * @param {object} options - options of the week view
+     * @param {(string|function)} [options.constraint] - 'businessHours' or a function returns false to refuse the range
+     * @param {Array.<BusinessHours>} [options.businessHours] - business hours option
+     * @param {boolean} [options.snapToConstraint=false] - snap the range into the business hours
+     * @param {TZDate} start - start of the range
+     * @param {TZDate} end - end of the range
+     * @param {boolean} keepDuration - keep the duration when snapping like moving a schedule
+     * @param {Schedule} [schedule] - the schedule to move or resize
+     * @returns {?Array.<TZDate>} the allowed range. null when the range is refused.
+     */
+    applyConstraint: function(options, start, end, keepDuration, schedule) {
+        var constraint = options.constraint;
+
+        if (util.isFunction(constraint)) {
+            return constraint(new TZDate(start), new TZDate(end), schedule) === false ? null : [start, end];
+        }
+
+        if (constraint === 'businessHours' && options.businessHours) {
+            return applyBusinessHours(options, start, end, keepDuration);
+        }
+
+        return [start, end];
+    }
+};
+
+/**
+ * Convert 'HH:mm' to minutes from the start of the day
+ * @param {string} time - 'HH:mm' formatted time
+ * @returns {number} minutes
+ */
+function parseTime(time) {
+    var hm = String(time).split(':');
+
+    return (Number(hm[0]) * 60) + Number(hm[1] || 0);
+}
+
+/**
+ * Check the range by the business hours and snap it when snapToConstraint is true.
+ * @param {object} options - options of the week view
+ * @param {TZDate} start - start of the range
+ * @param {TZDate} end - end of the range
+ * @param {boolean} keepDuration - keep the duration when snapping
+ * @returns {?Array.<TZDate>} the allowed range. null when the range is refused.
+ */
+function applyBusinessHours(options, start, end, keepDuration) {
+    var ranges = businessHours.getRanges(options.businessHours, start);
+
+    if (isInRanges(ranges, start, end)) {
+        return [start, end];
+    }
+
+    return options.snapToConstraint ? snapToRanges(ranges, start, end, keepDuration) : null;
+}
+
+/**
+ * Check the range is in one of the business hour ranges.
+ * @param {Array.<TZDate[]>} ranges - business hour ranges
+ * @param {TZDate} start - start of the range
+ * @param {TZDate} end - end of the range
+ * @returns {boolean} whether the range is in the business hours
+ */
+function isInRanges(ranges, start, end) {
+    return util.filter(ranges, function(range) {
+        return range[0] <= start && end <= range[1];
+    }).length > 0;
+}
+
+/**
+ * Snap the range into the business hour range which overlaps the range most.
+ * @param {Array.<TZDate[]>} ranges - business hour ranges
+ * @param {TZDate} start - start of the range
+ * @param {TZDate} end - end of the range
+ * @param {boolean} keepDuration - move the range instead of cutting it
+ * @returns {?Array.<TZDate>} snapped range. null when it can't be snapped.
+ */
+function snapToRanges(ranges, start, end, keepDuration) {
+    var duration = end - start,
+        maxOverlap = 0,
+        target = null,
+        offset;
+
+    util.forEachArray(ranges, function(range) {
+        var overlap = mmin(end, range[1]) - mmax(start, range[0]);
+
+        if (overlap > maxOverlap) {
+            maxOverlap = overlap;
+            target = range;
+        }
+    });
+
+    if (!target) {
+        return null;
+    }
+
+    if (!keepDuration) {
+        return [
+            new TZDate(start).addMilliseconds(mmax(start, target[0]) - start),
+            new TZDate(end).addMilliseconds(mmin(end, target[1]) - end)
+        ];
+    }
+
+    if (duration > target[1] - target[0]) {
+        return null;
+    }
+
+    offset = mmin(mmax(start, target[0]), target[1] - duration) - start;
+
+    return [new TZDate(start).addMilliseconds(offset), new TZDate(end).addMilliseconds(offset)];
+}
+
+module.exports = businessHours;
@@ -245,6 +245,31 @@ var domevent = {
         domevent.on(el, DRAG.START.join(' ') + ' click dblclick', domevent.stopPropagation);
     },
 
+    /**
+     * Get DOM event names for dragging.
+     *
+     * Pointer Events are used when the browser supports it for mouse, pen and touch.
+     * Otherwise Mouse Events are used and there is no cancel event.
+     * @returns {{start: string, move: string, end: string, cancel: string}} event names
+     */
+    getDragEventNames: function() {
+        if (global.PointerEvent) {
+            return {
+                start: 'pointerdown',
+                move: 'pointermove',
+                end: 'pointerup',
+                cancel: 'pointercancel'
+            };
+        }
+
+        return {
+            start: 'mousedown',
+            move: 'mousemove',
+            end: 'mouseup',
+            cancel: ''
+        };
+    },
+
     /**
      * Get mouse position from mouse event.
      *
@@ -310,6 +310,20 @@ domutil = {
         }
     },
 
+    /**
+     * Add or remove design class to HTML element by the flag.
+     * @param {HTMLElement} el target element
+     * @param {string} name css class
+     * @param {boolean} isAdd - add the class when true, remove it when false
+     */
+    toggleClass: function(el, name, isAdd) {
+        if (isAdd) {
+            domutil.addClass(el, name);
+        } else {
+            domutil.removeClass(el, name);
+        }
+    },
+
     /**
      * Get HTML element's design classes.
      * @param {HTMLElement} el target element
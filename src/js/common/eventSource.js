@@ -0,0 +1,282 @@
+/**
+ * @fileoverview Event source which provides the schedules of a calendar.
+ * @author NHN FE Development Lab <dl_javascript@nhn.com>
+ */
+'use strict';
+
+var util = require('tui-code-snippet');
+var ics = require('./ics');
+var RangeCache = require('./rangeCache');
+var TZDate = require('./timezone').Date;
+
+/**
+ * Event source of the static schedule list, the feed function or the iCalendar(.ics) url.
+ *
+ * The feed function is requested by the gaps of the cached ranges. The static list and the url are requested once
+ * until the source is reset. The schedules of a named source belong to the calendar of the source id.
+ * @constructor
+ * @param {EventSourceOptions} options - event source options
+ * @param {number} [maxDays] - max total days of the ranges cached for the feed function
+ */
+function EventSource(options, maxDays) {
+    /**
+     * source id. The schedules of the source have it as the calendar id. null for the events option.
+     * @type {?string}
+     */
+    this.id = util.isExisty(options.id) ? String(options.id) : null;
+
+    /**
+     * @type {string}
+     */
+    this.name = options.name || this.id || '';
+
+    /**
+     * @type {Array.<object>}
+     */
+    this.schedules = options.schedules;
+
+    /**
+     * @type {function}
+     */
+    this.events = options.events;
+
+    /**
+     * @type {string}
+     */
+    this.url = options.url || '';
+
+    /**
+     * whether the schedules of the source are visible
+     * @type {boolean}
+     */
+    this.isVisible = options.isVisible !== false;
+
+    /**
+     * increased whenever the source is reset to ignore the responses of the old requests
+     * @type {number}
+     */
+    this.version = 0;
+
+    /**
+     * @type {RangeCache}
+     * @private
+     */
+    this._cache = new RangeCache(maxDays);
+
+    /**
+     * whether the static list or the url is requested
+     * @type {boolean}
+     * @private
+     */
+    this._isRequested = false;
+
+    /**
+     * schedules added by the source by the stamp
+     * @type {object.<string, Schedule>}
+     * @private
+     */
+    this._models = {};
+}
+
+/**
+ * Get the ranges to request. The static list and the url have a range of the period only at first.
+ * @param {number} start - start timestamp of the visible range
+ * @param {number} end - end timestamp of the visible range (exclusive)
+ * @returns {Array.<{start: number, end: number}>} ranges to request
+ */
+EventSource.prototype.getGaps = function(start, end) {
+    if (this.events) {
+        return this._cache.getGaps(start, end);
+    }
+
+    return this._isRequested ? [] : [{
+        start: start,
+        end: end
+    }];
+};
+
+/**
+ * Mark the range as requested.
+ * @param {{start: number, end: number}} gap - a range from getGaps()
+ */
+EventSource.prototype.add = function(gap) {
+    this._isRequested = true;
+    this._cache.add(gap.start, gap.end);
+};
+
+/**
+ * Mark the range as not requested to request it again when the request fails.
+ * @param {{start: number, end: number}} gap - a range from getGaps()
+ */
+EventSource.prototype.remove = function(gap) {
+    this._isRequested = false;
+    this._cache.remove(gap.start, gap.end);
+};
+
+/**
+ * Request the schedules of the range.
+ * @param {{start: number, end: number}} gap - a range from getGaps()
+ * @param {function} [fetchICS] - the function to fetch the iCalendar text of the url. XMLHttpRequest is used by default.
+ * @returns {*} the schedule data list, the iCalendar text or a promise of them
+ */
+EventSource.prototype.request = function(gap, fetchICS) {
+    if (this.events) {
+        return this.events(new TZDate(gap.start), new TZDate(gap.end - 1));
+    }
+
+    if (this.url) {
+        return (fetchICS || requestText)(this.url);
+    }
+
+    return this.schedules || [];
+};
+
+/**
+ * Make the response the schedule data list of the source.
+ * @param {Array.<object>|string} [data] - the schedule data list or the iCalendar text
+ * @returns {Array.<object>} the schedule data list
+ */
+EventSource.prototype.parse = function(data) {
+    var schedules = util.isString(data) ? ics.parse(data, this.id) : (data || []);
+    var props = {};
+
+    if (this.id !== null) {
+        props.calendarId = this.id;
+    }
+
+    if (!this.isVisible) {
+        props.isVisible = false;
+    }
+
+    return util.map(schedules, function(scheduleData) {
+        return util.extend({}, scheduleData, props);
+    });
+};
+
+/**
+ * Keep the schedules added by the source.
+ * @param {Array.<Schedule>} models - the added schedules
+ */
+EventSource.prototype.addModels = function(models) {
+    util.forEachArray(models, function(model) {
+        if (model) {
+            this._models[util.stamp(model)] = model;
+        }
+    }, this);
+};
+
+/**
+ * Evict the least recently used ranges over the max days.
+ * The pending schedules and the schedules in the remaining ranges are kept.
+ * @param {number} start - start timestamp of the visible range
+ * @param {number} end - end timestamp of the visible range (exclusive)
+ * @returns {Array.<Schedule>} the schedules to remove
+ */
+EventSource.prototype.evict = function(start, end) {
+    var cache = this._cache;
+    var models = this._models;
+    var evicted = [];
+
+    if (!this.events || !cache.evict(start, end).length) {
+        return evicted;
+    }
+
+    util.forEach(models, function(model, stamp) {
+        if (model.isPending || cache.has(model.getStarts().getTime(), model.getEnds().getTime() + 1)) {
+            return;
+        }
+
+        delete models[stamp];
+        evicted.push(model);
+    });
+
+    return evicted;
+};
+
+/**
+ * Clear the cached ranges to request them again.
+ * @param {number} [maxDays] - new max total days of the ranges cached for the feed function
+ * @returns {Array.<Schedule>} the schedules to remove
+ */
+EventSource.prototype.reset = function(maxDays) {
+    var models = [];
+
+    util.forEach(this._models, function(model) {
+        models.push(model);
+    });
+
+    this.version += 1;
+    this._isRequested = false;
+    this._cache = new RangeCache(util.isUndefined(maxDays) ? this._cache.maxDays : maxDays);
+    this._models = {};
+
+    return models;
+};
+
+/**
+ * Request the text of the url by XMLHttpRequest.
+ * A promise is returned when the Promise is supported. Otherwise a thenable which keeps the result until
+ * the handlers are given is returned.
+ * @param {string} url - the url
+ * @returns {Promise|{then: function}} the promise or the thenable resolved with the response text
+ */
+function requestText(url) {
+    var send = function(resolve, reject) {
+        var xhr = new XMLHttpRequest();
+
+        xhr.onreadystatechange = function() {
+            if (xhr.readyState !== 4) {
+                return;
+            }
+
+            if (xhr.status >= 200 && xhr.status < 300) {
+                resolve(xhr.responseText);
+            } else {
+                reject(new Error(xhr.status + ' ' + xhr.statusText));
+            }
+        };
+        xhr.open('GET', url, true);
+        xhr.send();
+    };
+
+    return util.isFunction(window.Promise) ? new window.Promise(send) : createThenable(send);
+}
+
+/**
+ * Create a thenable for the environment without the Promise.
+ * The result settled before the handlers are given is passed when then() is called.
+ * @param {function} executor - the function called with the resolve and reject functions
+ * @returns {{then: function}} the thenable
+ */
+function createThenable(executor) {
+    var handlers = null;
+    var result = null;
+    var settle = function(isFulfilled, value) {
+        if (result) {
+            return;
+        }
+
+        result = {
+            isFulfilled: isFulfilled,
+            value: value
+        };
+
+        if (handlers) {
+            handlers[isFulfilled ? 0 : 1](value);
+        }
+    };
+
+    executor(util.bind(settle, null, true), util.bind(settle, null, false));
+
+    return {
+        then: function(onFulfilled, onRejected) {
+            handlers = [onFulfilled, onRejected];
+
+            if (result) {
+                handlers[result.isFulfilled ? 0 : 1](result.value);
+            }
+        }
+    };
+}
+
+module.exports = EventSource;
@@ -47,6 +47,12 @@ function FloatingLayer(options, container) {
      * @type {HTMLElement}
      */
     this.parent = container;
+
+    /**
+     * element focused before showing layer
+     * @type {HTMLElement}
+     */
+    this._lastFocusedElement = null;
 }
 
 util.inherit(FloatingLayer, View);
@@ -90,7 +96,7 @@ FloatingLayer.prototype.destroy = function() {
 
     domutil.remove(this.container);
 
-    this.sibling = null;
+    this.sibling = this._lastFocusedElement = null;
 
     View.prototype.destroy.call(this);
 };
@@ -168,17 +174,49 @@ FloatingLayer.prototype.focus = function() {
 
 /**
  * Show layer
+ * The keyboard focus moves into the dialog(role="dialog") of the content and the last focused element is remembered.
  */
 FloatingLayer.prototype.show = function() {
+    var dialog;
+
+    if (!this.isVisible()) {
+        this._lastFocusedElement = document.activeElement;
+    }
+
     this.focus();
     this.container.style.display = 'block';
+
+    dialog = this.container.querySelector('[role="dialog"]');
+    if (dialog) {
+        dialog.focus();
+    }
 };
 
 /**
  * Hide layer
+ * The keyboard focus moves back to the element focused before showing when the focus was in the layer.
  */
 FloatingLayer.prototype.hide = function() {
+    var activeElement = document.activeElement;
+
     this.container.style.display = 'none';
+
+    if (!activeElement || activeElement === document.body || this.container.contains(activeElement)) {
+        this._restoreFocus();
+    }
+
+    this._lastFocusedElement = null;
+};
+
+/**
+ * Move the focus to the element focused before showing layer if it's still in the document
+ */
+FloatingLayer.prototype._restoreFocus = function() {
+    var lastFocusedElement = this._lastFocusedElement;
+
+    if (lastFocusedElement && lastFocusedElement.focus && document.body.contains(lastFocusedElement)) {
+        lastFocusedElement.focus();
+    }
 };
 
 module.exports = FloatingLayer;
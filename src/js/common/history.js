@@ -0,0 +1,280 @@
+/**
+ * @fileoverview Bounded undo/redo history of operations.
+ * @author NHN FE Development Lab <dl_javascript@nhn.com>
+ */
+'use strict';
+
+var util = require('tui-code-snippet');
+
+var DEFAULT_SIZE = 50;
+
+/**
+ * History stack for undo and redo.
+ *
+ * A step is the list of operations recorded together. The operations recorded between startGroup() and endGroup()
+ * are one step.
+ * @constructor
+ * @param {number} [size=50] - max count of the steps. 0 doesn't record anything.
+ */
+function History(size) {
+    /**
+     * max count of the steps
+     * @type {number}
+     */
+    this.size = DEFAULT_SIZE;
+
+    /**
+     * @type {Array.<Array.<object>>}
+     * @private
+     */
+    this._undoStack = [];
+
+    /**
+     * @type {Array.<Array.<object>>}
+     * @private
+     */
+    this._redoStack = [];
+
+    /**
+     * operations of the step which is being grouped
+     * @type {Array.<object>}
+     * @private
+     */
+    this._group = null;
+
+    /**
+     * @type {number}
+     * @private
+     */
+    this._groupDepth = 0;
+
+    /**
+     * @type {number}
+     * @private
+     */
+    this._ignoreDepth = 0;
+
+    /**
+     * list which the operations are collected into instead of being recorded
+     * @type {Array.<object>}
+     * @private
+     */
+    this._collection = null;
+
+    this.setSize(size);
+}
+
+/**
+ * Set the max count of the steps and drop the oldest steps over it.
+ * @param {number} [size=50] - max count of the steps
+ */
+History.prototype.setSize = function(size) {
+    this.size = util.isNumber(size) ? Math.max(size, 0) : DEFAULT_SIZE;
+    this._trim();
+};
+
+/**
+ * Record the operation. It clears the redo steps.
+ * @param {object} operation - operation data to revert or replay
+ */
+History.prototype.push = function(operation) {
+    if (this._ignoreDepth) {
+        return;
+    }
+
+    if (this._collection) {
+        this._collection.push(operation);
+
+        return;
+    }
+
+    if (!this.size) {
+        return;
+    }
+
+    if (this._group) {
+        this._group.push(operation);
+
+        return;
+    }
+
+    this._pushStep([operation]);
+};
+
+/**
+ * Start to group the operations into one step. It can be nested.
+ */
+History.prototype.startGroup = function() {
+    this._groupDepth += 1;
+
+    if (this._groupDepth === 1) {
+        this._group = [];
+    }
+};
+
+/**
+ * End to group the operations and record the step when the outermost group ends.
+ */
+History.prototype.endGroup = function() {
+    var group = this._group;
+
+    if (!this._groupDepth) {
+        return;
+    }
+
+    this._groupDepth -= 1;
+
+    if (!this._groupDepth) {
+        this._group = null;
+
+        if (group.length) {
+            this._pushStep(group);
+        }
+    }
+};
+
+/**
+ * Call the function and record the operations of it as one step.
+ * The group ends even when the function throws.
+ * @param {function} fn - function to call
+ * @param {*} [context] - context of the function
+ */
+History.prototype.group = function(fn, context) {
+    this.startGroup();
+
+    try {
+        fn.call(context);
+    } finally {
+        this.endGroup();
+    }
+};
+
+/**
+ * Call the function without recording the operations of it.
+ * The recording is restored even when the function throws.
+ * @param {function} fn - function to call
+ * @param {*} [context] - context of the function
+ */
+History.prototype.ignore = function(fn, context) {
+    this._ignoreDepth += 1;
+
+    try {
+        fn.call(context);
+    } finally {
+        this._ignoreDepth -= 1;
+    }
+};
+
+/**
+ * Call the function and collect the operations of it into the list instead of recording them.
+ * They are collected even when the size is 0, so the caller can revert them or record them into the other history.
+ * The collecting ends even when the function throws.
+ * @param {Array.<object>} operations - list to collect the operations into
+ * @param {function} fn - function to call
+ * @param {*} [context] - context of the function
+ */
+History.prototype.collect = function(operations, fn, context) {
+    var collection = this._collection;
+
+    this._collection = operations;
+
+    try {
+        fn.call(context);
+    } finally {
+        this._collection = collection;
+    }
+};
+
+/**
+ * Move the last step to the redo stack.
+ * @returns {?Array.<object>} operations of the step to revert. null when there is nothing to undo.
+ */
+History.prototype.undo = function() {
+    var step = this._undoStack.pop();
+
+    if (!step) {
+        return null;
+    }
+
+    this._redoStack.push(step);
+
+    return step;
+};
+
+/**
+ * Move the last undone step to the undo stack.
+ * @returns {?Array.<object>} operations of the step to replay. null when there is nothing to redo.
+ */
+History.prototype.redo = function() {
+    var step = this._redoStack.pop();
+
+    if (!step) {
+        return null;
+    }
+
+    this._undoStack.push(step);
+
+    return step;
+};
+
+/**
+ * Move the step back to the stack where it was before undo() or redo() when applying it failed.
+ * Nothing is changed when the step is not the last one moved by the action.
+ * @param {Array.<object>} step - operations of the step
+ * @param {string} action - 'undo' or 'redo'
+ */
+History.prototype.cancel = function(step, action) {
+    var isUndo = action === 'undo';
+    var from = isUndo ? this._redoStack : this._undoStack;
+    var to = isUndo ? this._undoStack : this._redoStack;
+
+    if (from[from.length - 1] === step) {
+        to.push(from.pop());
+    }
+};
+
+/**
+ * @returns {boolean} whether there is a step to undo
+ */
+History.prototype.canUndo = function() {
+    return this._undoStack.length > 0;
+};
+
+/**
+ * @returns {boolean} whether there is a step to redo
+ */
+History.prototype.canRedo = function() {
+    return this._redoStack.length > 0;
+};
+
+/**
+ * Remove all steps.
+ */
+History.prototype.clear = function() {
+    this._undoStack = [];
+    this._redoStack = [];
+};
+
+/**
+ * @param {Array.<object>} step - operations to record as a step
+ * @private
+ */
+History.prototype._pushStep = function(step) {
+    this._undoStack.push(step);
+    this._redoStack = [];
+    this._trim();
+};
+
+/**
+ * Drop the oldest steps over the size.
+ * @private
+ */
+History.prototype._trim = function() {
+    var overflow = this._undoStack.length - this.size;
+
+    if (overflow > 0) {
+        this._undoStack.splice(0, overflow);
+    }
+};
+
+module.exports = History;
@@ -0,0 +1,819 @@
+/* eslint complexity: 0 */
+/**
+ * @fileoverview iCalendar(RFC 5545) parser and serializer for schedules
+ * @author NHN FE Development Lab <dl_javascript@nhn.com>
+ */
+'use strict';
+
+var util = require('tui-code-snippet');
+var datetime = require('./datetime');
+var rrule = require('./rrule');
+var timezone = require('./timezone');
+var TZDate = timezone.Date;
+
+var CRLF = '\r\n';
+var MAX_LINE_OCTETS = 75;
+var PRODID = '-//NHN//TOAST UI Calendar//EN';
+var durationRx = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/;
+var emailRx = /^[^\s@]+@[^\s@]+$/;
+var dateTimeValueRx = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})$/;
+var COLOR_PROPS = {
+    color: 'X-TUI-COLOR',
+    bgColor: 'X-TUI-BG-COLOR',
+    dragBgColor: 'X-TUI-DRAG-BG-COLOR',
+    borderColor: 'X-TUI-BORDER-COLOR'
+};
+var ics;
+
+/**
+ * Unescape TEXT value
+ * @param {string} value - escaped value
+ * @returns {string} unescaped value
+ */
+function unescapeText(value) {
+    return value.replace(/\\([\\;,nN])/g, function(match, chr) {
+        return (chr === 'n' || chr === 'N') ? '\n' : chr;
+    });
+}
+
+/**
+ * Escape TEXT value
+ * @param {string} value - value to escape
+ * @returns {string} escaped value
+ */
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Get octet length of a character in UTF-8
+ * @param {string} chr - character
+ * @returns {number} octet length
+ */
+function getOctetLength(chr) {
+    var code = chr.charCodeAt(0);
+
+    if (chr.length > 1) {
+        return 4;
+    }
+
+    if (code < 0x80) {
+        return 1;
+    }
+
+    return code < 0x800 ? 2 : 3;
+}
+
+/**
+ * Fold a content line longer than 75 octets
+ * @param {string} line - content line
+ * @returns {string} folded content line
+ */
+function foldLine(line) {
+    var chars = line.match(/[\uD800-\uDBFF][\uDC00-\uDFFF]|[\s\S]/g) || [];
+    var folded = '';
+    var octets = 0;
+
+    util.forEachArray(chars, function(chr) {
+        var length = getOctetLength(chr);
+
+        if (octets + length > MAX_LINE_OCTETS) {
+            folded += CRLF + ' ';
+            octets = 1;
+        }
+
+        folded += chr;
+        octets += length;
+    });
+
+    return folded;
+}
+
+/**
+ * Parse a content line into name, parameters and value
+ * @param {string} line - unfolded content line like 'DTSTART;VALUE=DATE:20190101'
+ * @returns {?{name: string, params: object, value: string}} parsed content line
+ */
+function parseContentLine(line) {
+    var params = {};
+    var inQuote = false;
+    var tokens = [];
+    var token = '';
+    var i, chr;
+
+    for (i = 0; i < line.length; i += 1) {
+        chr = line.charAt(i);
+
+        if (chr === '"') {
+            inQuote = !inQuote;
+        } else if (!inQuote && chr === ':') {
+            break;
+        } else if (!inQuote && chr === ';') {
+            tokens.push(token);
+            token = '';
+        } else {
+            token += chr;
+        }
+    }
+
+    if (i >= line.length) {
+        return null;
+    }
+
+    tokens.push(token);
+
+    util.forEachArray(tokens.slice(1), function(param) {
+        var separatorIndex = param.indexOf('=');
+
+        if (separatorIndex > 0) {
+            params[param.slice(0, separatorIndex).toUpperCase()] = param.slice(separatorIndex + 1);
+        }
+    });
+
+    return {
+        name: tokens[0].toUpperCase(),
+        params: params,
+        value: line.slice(i + 1)
+    };
+}
+
+/**
+ * Parse iCalendar text into component tree
+ * @param {string} text - iCalendar text
+ * @returns {object} root component which has children components
+ */
+function parseComponents(text) {
+    var root = {
+        name: 'ROOT',
+        props: [],
+        children: []
+    };
+    var stack = [root];
+    var lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+    util.forEachArray(lines, function(line) {
+        var prop = parseContentLine(line);
+        var current = stack[stack.length - 1];
+        var component;
+
+        if (!prop) {
+            return;
+        }
+
+        if (prop.name === 'BEGIN') {
+            component = {
+                name: prop.value.toUpperCase(),
+                props: [],
+                children: []
+            };
+            current.children.push(component);
+            stack.push(component);
+        } else if (prop.name === 'END') {
+            if (stack.length > 1) {
+                stack.pop();
+            }
+        } else {
+            current.props.push(prop);
+        }
+    });
+
+    return root;
+}
+
+/**
+ * Find all components by name in the tree
+ * @param {object} component - component to search
+ * @param {string} name - component name
+ * @returns {Array.<object>} components
+ */
+function findComponents(component, name) {
+    var result = [];
+
+    util.forEachArray(component.children, function(child) {
+        if (child.name === name) {
+            result.push(child);
+        } else {
+            result = result.concat(findComponents(child, name));
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Get properties by name
+ * @param {object} component - component
+ * @param {string} name - property name
+ * @returns {Array.<object>} properties
+ */
+function getProps(component, name) {
+    return util.filter(component.props, function(prop) {
+        return prop.name === name;
+    });
+}
+
+/**
+ * Get the first property by name
+ * @param {object} component - component
+ * @param {string} name - property name
+ * @returns {?object} property
+ */
+function getProp(component, name) {
+    return getProps(component, name)[0] || null;
+}
+
+/**
+ * Get TEXT value of the first property by name
+ * @param {object} component - component
+ * @param {string} name - property name
+ * @returns {string} unescaped value. empty string when there is no property.
+ */
+function getText(component, name) {
+    var prop = getProp(component, name);
+
+    return prop ? unescapeText(prop.value) : '';
+}
+
+/**
+ * Check the date property has DATE value
+ * @param {object} prop - date property
+ * @returns {boolean} whether the value is DATE
+ */
+function isDateProp(prop) {
+    return String(prop.params.VALUE).toUpperCase() === 'DATE' || prop.value.trim().length === 8;
+}
+
+/**
+ * Get the IANA timezone name of the DATE-TIME property with local time
+ * @param {object} prop - date property
+ * @returns {string} timezone name. empty string when there is no TZID or it's not a known timezone name.
+ */
+function getTimezoneName(prop) {
+    var timezoneName = prop.params.TZID || '';
+
+    if (!timezoneName || !dateTimeValueRx.test(prop.value.trim())) {
+        return '';
+    }
+
+    try {
+        timezone.getOffsetByTimezoneOption({timezoneName: timezoneName});
+    } catch (e) {
+        // a custom VTIMEZONE id like 'Pacific Standard Time' is read as the floating time
+        return '';
+    }
+
+    return timezoneName;
+}
+
+/**
+ * Parse DATE or DATE-TIME value of the property. The local time with TZID is resolved in the timezone.
+ * @param {object} prop - date property
+ * @param {string} value - date value of the property
+ * @returns {?TZDate} date. null when supplied value is not valid.
+ */
+function parseDateProp(prop, value) {
+    var timezoneName = getTimezoneName({
+        params: prop.params,
+        value: value
+    });
+
+    if (!timezoneName) {
+        return rrule.parseDateValue(value);
+    }
+
+    return timezone.createDateByTimezoneName(
+        value.trim().replace(dateTimeValueRx, '$1-$2-$3T$4:$5:$6'),
+        timezoneName
+    );
+}
+
+/**
+ * Parse DURATION value into milliseconds
+ * @param {string} value - duration value like 'PT1H30M'
+ * @returns {number} milliseconds. 0 when supplied value is not valid.
+ */
+function parseDuration(value) {
+    var matches = String(value).trim().match(durationRx);
+    var milliseconds;
+
+    if (!matches) {
+        return 0;
+    }
+
+    milliseconds = ((Number(matches[2] || 0) * 7) + Number(matches[3] || 0)) * datetime.MILLISECONDS_PER_DAY;
+    milliseconds += Number(matches[4] || 0) * datetime.MILLISECONDS_PER_HOUR;
+    milliseconds += Number(matches[5] || 0) * datetime.MILLISECONDS_PER_MINUTES;
+    milliseconds += Number(matches[6] || 0) * 1000;
+
+    return matches[1] === '-' ? -milliseconds : milliseconds;
+}
+
+/**
+ * Get attendee name from ATTENDEE or X-TUI-ATTENDEE property
+ * @param {object} prop - ATTENDEE property, or X-TUI-ATTENDEE property of the name without e-mail address
+ * @returns {string} common name or e-mail address
+ */
+function getAttendee(prop) {
+    if (prop.name === 'X-TUI-ATTENDEE') {
+        return unescapeText(prop.value);
+    }
+
+    if (prop.params.CN) {
+        return prop.params.CN;
+    }
+
+    return prop.value.replace(/^mailto:/i, '');
+}
+
+/**
+ * Get attendees in the order of ATTENDEE and X-TUI-ATTENDEE properties
+ * @param {object} component - VEVENT or VTODO component
+ * @returns {Array.<string>} attendees
+ */
+function getAttendees(component) {
+    return util.map(util.filter(component.props, function(prop) {
+        return prop.name === 'ATTENDEE' || prop.name === 'X-TUI-ATTENDEE';
+    }), getAttendee);
+}
+
+/**
+ * Get the raw data from X-TUI-RAW property
+ * @param {object} component - VEVENT or VTODO component
+ * @returns {*} raw data parsed from JSON. the text itself when it isn't JSON. null when there is no property.
+ */
+function getRaw(component) {
+    var prop = getProp(component, 'X-TUI-RAW');
+
+    if (!prop) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(unescapeText(prop.value));
+    } catch (e) {
+        return unescapeText(prop.value);
+    }
+}
+
+/**
+ * Get recurrence rule string from RRULE and EXDATE properties
+ * @param {object} component - VEVENT or VTODO component
+ * @returns {string} recurrence rule
+ */
+function getRecurrenceRule(component) {
+    var rule = getProp(component, 'RRULE');
+    var legacyRule = getProp(component, 'X-TUI-RECURRENCE-RULE');
+    var lines;
+
+    if (!rule) {
+        return legacyRule ? unescapeText(legacyRule.value) : '';
+    }
+
+    lines = ['RRULE:' + rule.value];
+
+    util.forEachArray(getProps(component, 'EXDATE'), function(prop) {
+        var values = prop.value;
+
+        if (prop.params.TZID) {
+            values = util.map(values.split(','), function(value) {
+                var date = parseDateProp(prop, value);
+
+                return date ? rrule.formatDateValue(date) : value;
+            }).join(',');
+        }
+
+        lines.push('EXDATE:' + values);
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * Get alarms from VALARM components
+ * @param {object} component - VEVENT or VTODO component
+ * @returns {Array.<object>} alarms
+ */
+function getAlarms(component) {
+    return util.map(findComponents(component, 'VALARM'), function(alarm) {
+        return {
+            action: getText(alarm, 'ACTION').toUpperCase() || 'DISPLAY',
+            trigger: (getProp(alarm, 'TRIGGER') || {value: ''}).value,
+            description: getText(alarm, 'DESCRIPTION')
+        };
+    });
+}
+
+/**
+ * Convert VEVENT or VTODO component into schedule data
+ * @param {object} component - VEVENT or VTODO component
+ * @param {string} calendarId - calendar id of schedules
+ * @returns {?object} schedule data. null when there is no date property.
+ */
+function toScheduleData(component, calendarId) {
+    var isTask = component.name === 'VTODO';
+    var startProp = getProp(component, 'DTSTART');
+    var endProp = getProp(component, isTask ? 'DUE' : 'DTEND');
+    var durationProp = getProp(component, 'DURATION');
+    var recurrenceIdProp = getProp(component, 'RECURRENCE-ID');
+    var transp = getText(component, 'TRANSP').toUpperCase();
+    var classification = getText(component, 'CLASS').toUpperCase();
+    var category = getText(component, 'X-TUI-CATEGORY');
+    var state = '';
+    var isAllDay, start, end, data;
+
+    startProp = startProp || endProp;
+
+    if (!startProp) {
+        return null;
+    }
+
+    isAllDay = isDateProp(startProp);
+    start = parseDateProp(startProp, startProp.value);
+
+    if (endProp) {
+        end = parseDateProp(endProp, endProp.value);
+    } else {
+        end = new TZDate(start).addMilliseconds(durationProp ? parseDuration(durationProp.value) : 0);
+    }
+
+    if (isAllDay && end > start) {
+        // DTEND of all-day schedule is exclusive
+        end = new TZDate(end).addDate(-1);
+    }
+
+    if (!category) {
+        category = isAllDay ? 'allday' : 'time';
+        category = isTask ? 'task' : category;
+    }
+
+    if (transp) {
+        state = transp === 'TRANSPARENT' ? 'Free' : 'Busy';
+    }
+
+    data = {
+        id: getText(component, 'UID'),
+        calendarId: calendarId || '',
+        title: getText(component, 'SUMMARY'),
+        body: getText(component, 'DESCRIPTION'),
+        isAllDay: isAllDay,
+        category: category,
+        dueDateClass: getText(component, 'X-TUI-DUE-DATE-CLASS'),
+        start: start,
+        end: end,
+        location: getText(component, 'LOCATION'),
+        attendees: getAttendees(component),
+        recurrenceRule: getRecurrenceRule(component),
+        isPrivate: classification === 'PRIVATE' || classification === 'CONFIDENTIAL',
+        isReadOnly: getText(component, 'X-TUI-READ-ONLY').toUpperCase() === 'TRUE',
+        state: state,
+        alarms: getAlarms(component),
+        goingDuration: Number(getText(component, 'X-TUI-GOING-DURATION')) || 0,
+        comingDuration: Number(getText(component, 'X-TUI-COMING-DURATION')) || 0,
+        raw: getRaw(component)
+    };
+
+    util.forEach(COLOR_PROPS, function(propName, key) {
+        var color = getText(component, propName);
+
+        if (color) {
+            data[key] = color;
+        }
+    });
+
+    if (getProp(component, 'X-TUI-RESOURCE-ID')) {
+        data.resourceId = getText(component, 'X-TUI-RESOURCE-ID');
+    }
+
+    if (getProp(component, 'X-TUI-CUSTOM-STYLE')) {
+        data.customStyle = getText(component, 'X-TUI-CUSTOM-STYLE');
+    }
+
+    if (getTimezoneName(startProp)) {
+        data.startTimezone = getTimezoneName(startProp);
+        data.endTimezone = (endProp && getTimezoneName(endProp)) || data.startTimezone;
+    }
+
+    if (recurrenceIdProp) {
+        data.masterId = data.id;
+        data.recurrenceId = parseDateProp(recurrenceIdProp, recurrenceIdProp.value);
+        data.id += '_' + rrule.formatDateValue(data.recurrenceId);
+    }
+
+    return data;
+}
+
+/**
+ * Format date to UTC DATE-TIME value
+ * @param {Date} date - date to format
+ * @returns {string} date value like '20190101T000000Z'
+ */
+function formatUTCDateValue(date) {
+    return [
+        date.getUTCFullYear(),
+        datetime.leadingZero(date.getUTCMonth() + 1, 2),
+        datetime.leadingZero(date.getUTCDate(), 2),
+        'T',
+        datetime.leadingZero(date.getUTCHours(), 2),
+        datetime.leadingZero(date.getUTCMinutes(), 2),
+        datetime.leadingZero(date.getUTCSeconds(), 2),
+        'Z'
+    ].join('');
+}
+
+/**
+ * Make a content line
+ * @param {string} name - property name with parameters
+ * @param {string} value - property value
+ * @returns {string} folded content line
+ */
+function makeLine(name, value) {
+    return foldLine(name + ':' + value);
+}
+
+/**
+ * Format date to DATE-TIME value of the local time in the timezone
+ * @param {TZDate} date - date to format
+ * @param {string} timezoneName - IANA timezone name
+ * @returns {string} date value like '20190101T090000'
+ */
+function formatZonedDateValue(date, timezoneName) {
+    var time = date.getTime();
+    var offset = timezone.getOffsetByTimezoneOption({timezoneName: timezoneName}, time);
+
+    return formatUTCDateValue(new Date(time + (offset * datetime.MILLISECONDS_PER_MINUTES))).slice(0, -1);
+}
+
+/**
+ * Make DATE or DATE-TIME property line.
+ * DATE-TIME is the local time with TZID when the timezone name is given. Otherwise it's UTC.
+ * @param {string} name - property name
+ * @param {TZDate} date - date
+ * @param {boolean} isAllDay - whether to make DATE value
+ * @param {string} [timezoneName] - IANA timezone name
+ * @returns {string} content line
+ */
+function makeDateLine(name, date, isAllDay, timezoneName) {
+    if (isAllDay) {
+        return makeLine(name + ';VALUE=DATE', rrule.formatDateValue(date, true));
+    }
+
+    if (timezoneName) {
+        return makeLine(name + ';TZID=' + timezoneName, formatZonedDateValue(date, timezoneName));
+    }
+
+    return makeLine(name, formatUTCDateValue(new Date(date.getTime())));
+}
+
+/**
+ * Make RRULE value whose UNTIL is UTC for the DATE-TIME start as RFC 5545 says
+ * @param {string} value - RRULE value
+ * @param {boolean} isAllDay - whether the start is DATE value
+ * @returns {string} RRULE value
+ */
+function makeRuleValue(value, isAllDay) {
+    return value.replace(/(^|;)UNTIL=([^;]+)/i, function(match, separator, until) {
+        var date = rrule.parseDateValue(until);
+
+        if (!date || isAllDay || /Z$/i.test(until)) {
+            return match;
+        }
+
+        return separator + 'UNTIL=' + formatUTCDateValue(new Date(date.getTime()));
+    });
+}
+
+/**
+ * Make recurrence rule lines without EXDATEs of exception schedules
+ * @param {Schedule} schedule - recurring schedule
+ * @param {Array.<string>} exceptionDates - formatted recurrence ids of exception schedules
+ * @returns {Array.<string>} content lines
+ */
+function makeRecurrenceLines(schedule, exceptionDates) {
+    var lines = [];
+
+    if (!rrule.parse(schedule.recurrenceRule)) {
+        return [makeLine('X-TUI-RECURRENCE-RULE', escapeText(schedule.recurrenceRule))];
+    }
+
+    util.forEachArray(schedule.recurrenceRule.split(/\r?\n/), function(line) {
+        var separatorIndex = line.indexOf(':');
+        var name = separatorIndex > -1 ? line.slice(0, separatorIndex) : 'RRULE';
+        var value = separatorIndex > -1 ? line.slice(separatorIndex + 1) : line;
+        var dates;
+
+        if (name.split(';')[0].toUpperCase() === 'EXDATE') {
+            dates = util.filter(value.split(','), function(date) {
+                return util.inArray(date, exceptionDates) < 0;
+            });
+
+            util.forEachArray(dates, function(date) {
+                var exdate = rrule.parseDateValue(date);
+
+                lines.push(exdate ?
+                    makeDateLine('EXDATE', exdate, date.length === 8, schedule.startTimezone) :
+                    makeLine('EXDATE', date));
+            });
+        } else if (name.toUpperCase() === 'RRULE') {
+            lines.push(makeLine('RRULE', makeRuleValue(value, schedule.isAllDay)));
+        }
+    });
+
+    return lines;
+}
+
+/**
+ * Make VEVENT or VTODO component lines from schedule
+ * @param {Schedule} schedule - schedule
+ * @param {string} stamp - DTSTAMP value
+ * @param {Array.<string>} exceptionDates - formatted recurrence ids of exception schedules
+ * @returns {Array.<string>} content lines
+ */
+function makeComponentLines(schedule, stamp, exceptionDates) {
+    var isTask = schedule.category === 'task';
+    var componentName = isTask ? 'VTODO' : 'VEVENT';
+    var isAllDay = schedule.isAllDay;
+    var end = isAllDay ? new TZDate(schedule.getEnds()).addDate(1) : schedule.getEnds();
+    var lines = ['BEGIN:' + componentName];
+
+    lines.push(makeLine('UID', escapeText(schedule.masterId || schedule.id || ('tui-calendar-' + util.stamp(schedule)))));
+    lines.push(makeLine('DTSTAMP', stamp));
+    lines.push(makeDateLine('DTSTART', schedule.getStarts(), isAllDay, schedule.startTimezone));
+    lines.push(makeDateLine(isTask ? 'DUE' : 'DTEND', end, isAllDay, schedule.endTimezone));
+
+    if (schedule.recurrenceId) {
+        lines.push(makeDateLine('RECURRENCE-ID', schedule.recurrenceId, isAllDay, schedule.startTimezone));
+    }
+
+    lines.push(makeLine('SUMMARY', escapeText(schedule.title)));
+
+    if (schedule.body) {
+        lines.push(makeLine('DESCRIPTION', escapeText(schedule.body)));
+    }
+
+    if (schedule.location) {
+        lines.push(makeLine('LOCATION', escapeText(schedule.location)));
+    }
+
+    util.forEachArray(schedule.attendees, function(attendee) {
+        if (emailRx.test(attendee)) {
+            lines.push(makeLine('ATTENDEE', 'mailto:' + attendee));
+        } else {
+            // ATTENDEE needs the address, so the name without it is kept in the custom property
+            lines.push(makeLine('X-TUI-ATTENDEE', escapeText(attendee)));
+        }
+    });
+
+    if (schedule.state) {
+        lines.push(makeLine('TRANSP', schedule.state.toLowerCase() === 'free' ? 'TRANSPARENT' : 'OPAQUE'));
+    }
+
+    if (schedule.isPrivate) {
+        lines.push(makeLine('CLASS', 'PRIVATE'));
+    }
+
+    if (schedule.recurrenceRule && !schedule.recurrenceId) {
+        lines = lines.concat(makeRecurrenceLines(schedule, exceptionDates));
+    }
+
+    if (schedule.category === 'milestone') {
+        lines.push(makeLine('X-TUI-CATEGORY', schedule.category));
+    }
+
+    if (schedule.dueDateClass) {
+        lines.push(makeLine('X-TUI-DUE-DATE-CLASS', escapeText(schedule.dueDateClass)));
+    }
+
+    if (util.isExisty(schedule.resourceId) && schedule.resourceId !== '') {
+        lines.push(makeLine('X-TUI-RESOURCE-ID', escapeText(String(schedule.resourceId))));
+    }
+
+    if (schedule.isReadOnly) {
+        lines.push(makeLine('X-TUI-READ-ONLY', 'TRUE'));
+    }
+
+    util.forEach(COLOR_PROPS, function(propName, key) {
+        if (schedule[key]) {
+            lines.push(makeLine(propName, escapeText(schedule[key])));
+        }
+    });
+
+    if (schedule.customStyle) {
+        lines.push(makeLine('X-TUI-CUSTOM-STYLE', escapeText(schedule.customStyle)));
+    }
+
+    if (schedule.goingDuration) {
+        lines.push(makeLine('X-TUI-GOING-DURATION', String(schedule.goingDuration)));
+    }
+
+    if (schedule.comingDuration) {
+        lines.push(makeLine('X-TUI-COMING-DURATION', String(schedule.comingDuration)));
+    }
+
+    if (util.isExisty(schedule.raw)) {
+        lines.push(makeLine('X-TUI-RAW', escapeText(JSON.stringify(schedule.raw))));
+    }
+
+    util.forEachArray(schedule.alarms, function(alarm) {
+        lines.push('BEGIN:VALARM');
+        lines.push(makeLine('ACTION', alarm.action || 'DISPLAY'));
+        lines.push(makeLine('TRIGGER', alarm.trigger));
+        lines.push(makeLine('DESCRIPTION', escapeText(alarm.description || schedule.title)));
+        lines.push('END:VALARM');
+    });
+
+    lines.push('END:' + componentName);
+
+    return lines;
+}
+
+ics = {
+    /**
+     * Parse iCalendar text into schedule data list.
+     *
+     * VEVENT and VTODO('task' category) components are converted with their VALARM components.
+     * Components which have RECURRENCE-ID are converted into exception schedules of recurring schedule,
+     * and their dates are added to EXDATE of the recurring schedule.
+     * The local date-time with TZID is resolved in the timezone and the TZID is kept as startTimezone and endTimezone.
+     * @param {string} text - iCalendar text
+     * @param {string} [calendarId] - calendar id of schedules
+     * @returns {Array.<object>} schedule data list
+     */
+    parse: function(text, calendarId) {
+        var root = parseComponents(text);
+        var components = findComponents(root, 'VEVENT').concat(findComponents(root, 'VTODO'));
+        var masters = {};
+        var dataList = [];
+
+        util.forEachArray(components, function(component) {
+            var data = toScheduleData(component, calendarId);
+
+            if (!data) {
+                return;
+            }
+
+            if (!data.masterId) {
+                masters[data.id] = data;
+            }
+
+            dataList.push(data);
+        });
+
+        util.forEachArray(dataList, function(data) {
+            var master = data.masterId && masters[data.masterId];
+
+            if (master && master.recurrenceRule) {
+                master.recurrenceRule += '\nEXDATE:' + rrule.formatDateValue(data.recurrenceId, data.isAllDay);
+            }
+        });
+
+        return dataList;
+    },
+
+    /**
+     * Serialize schedules into iCalendar text.
+     * The date-time is the local time with TZID when the schedule has startTimezone or endTimezone. Otherwise it's UTC.
+     * @param {Array.<Schedule>} schedules - recurring schedules, exceptions of them and normal schedules.
+     *  Expanded occurrences should not be included.
+     * @param {object} [options] - options
+     * @param {string} [options.prodId] - PRODID of VCALENDAR
+     * @returns {string} iCalendar text
+     */
+    stringify: function(schedules, options) {
+        var stamp = formatUTCDateValue(new Date());
+        var lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            makeLine('PRODID', (options && options.prodId) || PRODID),
+            'CALSCALE:GREGORIAN'
+        ];
+        var exceptionDates = {};
+
+        util.forEachArray(schedules, function(schedule) {
+            var key = schedule.masterId + '@' + schedule.calendarId;
+
+            if (schedule.recurrenceId) {
+                exceptionDates[key] = exceptionDates[key] || [];
+                exceptionDates[key].push(
+                    rrule.formatDateValue(schedule.recurrenceId, schedule.isAllDay),
+                    rrule.formatDateValue(schedule.recurrenceId)
+                );
+            }
+        });
+
+        util.forEachArray(schedules, function(schedule) {
+            var key = schedule.id + '@' + schedule.calendarId;
+
+            lines = lines.concat(makeComponentLines(schedule, stamp, exceptionDates[key] || []));
+        });
+
+        lines.push('END:VCALENDAR');
+
+        return lines.join(CRLF) + CRLF;
+    }
+};
+
+module.exports = ics;
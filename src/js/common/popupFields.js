@@ -0,0 +1,329 @@
+/**
+ * @fileoverview Utility module for the custom fields of the default popups.
+ * @author NHN FE Development Lab <dl_javascript@nhn.com>
+ */
+'use strict';
+
+var util = require('tui-code-snippet');
+var config = require('../config');
+var domutil = require('./domutil');
+
+/**
+ * @module popupFields
+ */
+var popupFields = {
+    /**
+     * Get the view models of the fields to render in the creation popup.
+     * @param {Array.<PopupField>} fields - popupFields option
+     * @param {Schedule} [schedule] - schedule to edit
+     * @returns {Array.<object>} view models
+     */
+    getViewModels: function(fields, schedule) {
+        return util.map(fields || [], function(field) {
+            var value = getScheduleValue(field, schedule);
+
+            return {
+                name: field.name,
+                label: field.label || field.name,
+                placeholder: field.placeholder || '',
+                required: !!field.required,
+                isCheckbox: field.type === 'checkbox',
+                isTextarea: field.type === 'textarea',
+                isSelect: isSelectable(field),
+                isMultiple: isMultiple(field),
+                inputType: field.type === 'color' ? 'color' : 'text',
+                value: util.isArray(value) ? value.join(', ') : value,
+                options: util.map(field.options || [], function(option) {
+                    return {
+                        value: option.value,
+                        label: option.label || option.value,
+                        selected: util.isArray(value) ? util.inArray(option.value, value) > -1 : option.value === value
+                    };
+                })
+            };
+        });
+    },
+
+    /**
+     * Get the view models of the fields having values to render read-only in the detail popup.
+     * @param {Array.<PopupField>} fields - popupFields option
+     * @param {Schedule} schedule - schedule to show
+     * @returns {Array.<{label: string, text: string, color: string}>} view models
+     */
+    getDetailViewModels: function(fields, schedule) {
+        var viewModels = [];
+
+        util.forEachArray(fields || [], function(field) {
+            var value = getScheduleValue(field, schedule);
+
+            if (isEmpty(value)) {
+                return;
+            }
+
+            viewModels.push({
+                label: field.label || field.name,
+                text: field.type === 'checkbox' ? '' : getDisplayText(field, value),
+                color: field.type === 'color' ? value : ''
+            });
+        });
+
+        return viewModels;
+    },
+
+    /**
+     * Read the values of the fields from the creation popup.
+     * @param {Array.<PopupField>} fields - popupFields option
+     * @returns {object} values by the field name
+     */
+    getValues: function(fields) {
+        var values = {};
+
+        util.forEachArray(fields || [], function(field) {
+            var element = getFieldElement(field.name);
+
+            values[field.name] = normalizeValue(field, element ? readValue(field, element) : null);
+        });
+
+        return values;
+    },
+
+    /**
+     * Find the first invalid field. The required field can't be empty
+     * and the validate function of the field returns the error message.
+     * @param {Array.<PopupField>} fields - popupFields option
+     * @param {object} values - values by the field name
+     * @returns {?{message: string, fields: object}} the error message by the name of the invalid field.
+     *  null when all fields are valid.
+     */
+    validate: function(fields, values) {
+        var invalid = null;
+
+        util.forEachArray(fields || [], function(field) {
+            var value = values[field.name];
+            var message = null;
+
+            if (field.required && isEmpty(value)) {
+                message = '';
+            } else if (field.validate) {
+                message = field.validate(value, values) || null;
+            }
+
+            if (util.isExisty(message)) {
+                invalid = {
+                    message: '',
+                    fields: {}
+                };
+                invalid.fields[field.name] = String(message);
+            }
+
+            return !invalid;
+        });
+
+        return invalid;
+    },
+
+    /**
+     * Get the element of the field in the creation popup.
+     * @param {string} name - field name
+     * @returns {HTMLElement} input, textarea or select element
+     */
+    getElement: function(name) {
+        return getFieldElement(name);
+    },
+
+    /**
+     * Store the values into the named properties or the raw property of the schedule data.
+     * @param {Array.<PopupField>} fields - popupFields option
+     * @param {object} values - values by the field name
+     * @param {object} scheduleData - schedule data to create
+     * @returns {object} the schedule data
+     */
+    assign: function(fields, values, scheduleData) {
+        util.forEachArray(fields || [], function(field) {
+            if (field.property) {
+                scheduleData[field.property] = values[field.name];
+            } else {
+                scheduleData.raw = scheduleData.raw || {};
+                scheduleData.raw[field.name] = values[field.name];
+            }
+        });
+
+        return scheduleData;
+    },
+
+    /**
+     * Get the changes of the fields to update the schedule.
+     * The raw property of the changes has the other raw values of the schedule too.
+     * @param {Array.<PopupField>} fields - popupFields option
+     * @param {Schedule} schedule - schedule to edit
+     * @param {object} values - values by the field name
+     * @returns {object} changes
+     */
+    getChanges: function(fields, schedule, values) {
+        var changes = {};
+        var raw = util.extend({}, schedule.raw);
+
+        util.forEachArray(fields || [], function(field) {
+            var value = values[field.name];
+
+            if (isSameValue(getScheduleValue(field, schedule), value)) {
+                return;
+            }
+
+            if (field.property) {
+                changes[field.property] = value;
+            } else {
+                raw[field.name] = value;
+                changes.raw = raw;
+            }
+        });
+
+        return changes;
+    }
+};
+
+/**
+ * Whether the field picks the values from its options.
+ * @param {PopupField} field - field option
+ * @returns {boolean} whether the field is rendered as a select box
+ */
+function isSelectable(field) {
+    return field.type === 'select' || field.type === 'multiselect' ||
+        (field.type === 'attendees' && !!field.options);
+}
+
+/**
+ * Whether the value of the field is an array.
+ * @param {PopupField} field - field option
+ * @returns {boolean} whether the field has multiple values
+ */
+function isMultiple(field) {
+    return field.type === 'multiselect' || field.type === 'attendees';
+}
+
+/**
+ * Make the value of the field a consistent type. A boolean for the checkbox,
+ * an array for the multiple values and a string for the others.
+ * @param {PopupField} field - field option
+ * @param {*} value - value to normalize
+ * @returns {boolean|string|Array.<string>} normalized value
+ */
+function normalizeValue(field, value) {
+    if (field.type === 'checkbox') {
+        return !!value;
+    }
+
+    if (isMultiple(field)) {
+        return util.isArray(value) ? value : [];
+    }
+
+    return util.isExisty(value) ? String(value) : '';
+}
+
+/**
+ * Get the value of the field stored in the schedule.
+ * The default value of the field is used for a new schedule.
+ * @param {PopupField} field - field option
+ * @param {Schedule} [schedule] - schedule to edit
+ * @returns {boolean|string|Array.<string>} value of the field
+ */
+function getScheduleValue(field, schedule) {
+    var value;
+
+    if (!schedule) {
+        value = field.defaultValue;
+    } else if (field.property) {
+        value = schedule[field.property];
+    } else {
+        value = util.pick(schedule.raw || {}, field.name);
+    }
+
+    return normalizeValue(field, value);
+}
+
+/**
+ * Whether the value is empty for the required field.
+ * @param {boolean|string|Array.<string>} value - normalized value
+ * @returns {boolean} whether the value is empty
+ */
+function isEmpty(value) {
+    return util.isArray(value) ? !value.length : !value;
+}
+
+/**
+ * Whether the normalized values are same.
+ * @param {boolean|string|Array.<string>} a - value
+ * @param {boolean|string|Array.<string>} b - value
+ * @returns {boolean} whether the values are same
+ */
+function isSameValue(a, b) {
+    if (util.isArray(a) && util.isArray(b)) {
+        return a.join('\n') === b.join('\n');
+    }
+
+    return a === b;
+}
+
+/**
+ * Get the element of the field in the creation popup.
+ * @param {string} name - field name
+ * @returns {HTMLElement} input, textarea or select element
+ */
+function getFieldElement(name) {
+    return domutil.get(config.cssPrefix + 'schedule-field-' + name);
+}
+
+/**
+ * Read the value of the field from the element.
+ * @param {PopupField} field - field option
+ * @param {HTMLElement} element - input, textarea or select element
+ * @returns {boolean|string|Array.<string>} value of the field
+ */
+function readValue(field, element) {
+    if (field.type === 'checkbox') {
+        return element.checked;
+    }
+
+    if (isSelectable(field) && isMultiple(field)) {
+        return util.map(util.filter(util.toArray(element.options), function(option) {
+            return option.selected;
+        }), function(option) {
+            return option.value;
+        });
+    }
+
+    if (field.type === 'attendees') {
+        return util.filter(util.map(element.value.split(','), function(name) {
+            return name.replace(/^\s+|\s+$/g, '');
+        }), function(name) {
+            return !!name;
+        });
+    }
+
+    return element.value;
+}
+
+/**
+ * Get the text to show the value in the detail popup.
+ * The labels of the options are shown for the select boxes.
+ * @param {PopupField} field - field option
+ * @param {boolean|string|Array.<string>} value - normalized value
+ * @returns {string} text of the value
+ */
+function getDisplayText(field, value) {
+    var values = util.isArray(value) ? value : [value];
+
+    if (!isSelectable(field)) {
+        return values.join(', ');
+    }
+
+    return util.map(values, function(optionValue) {
+        var option = util.filter(field.options || [], function(item) {
+            return item.value === optionValue;
+        })[0];
+
+        return option ? option.label : optionValue;
+    }).join(', ');
+}
+
+module.exports = popupFields;
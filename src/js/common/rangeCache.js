@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Cache of the fetched date ranges.
+ * @author NHN FE Development Lab <dl_javascript@nhn.com>
+ */
+'use strict';
+
+var util = require('tui-code-snippet');
+
+var DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Cache of the date ranges which are fetched already.
+ *
+ * The ranges are half-open intervals of the timestamps. The cached ranges never overlap because only the gaps
+ * of the requested range are added. The least recently used ranges are evicted when the total days exceed the size.
+ * @constructor
+ * @param {number} [maxDays=365] - max total days of the cached ranges. 0 doesn't evict anything.
+ */
+function RangeCache(maxDays) {
+    /**
+     * max total days of the cached ranges
+     * @type {number}
+     */
+    this.maxDays = util.isNumber(maxDays) ? Math.max(maxDays, 0) : 365;
+
+    /**
+     * cached ranges sorted by the start
+     * @type {Array.<{start: number, end: number, usedAt: number}>}
+     * @private
+     */
+    this._ranges = [];
+
+    /**
+     * @type {number}
+     * @private
+     */
+    this._useCount = 0;
+}
+
+/**
+ * Get the parts of the range which are not cached. The cached ranges in it are marked as recently used.
+ * @param {number} start - start timestamp
+ * @param {number} end - end timestamp (exclusive)
+ * @returns {Array.<{start: number, end: number}>} gaps sorted by the start
+ */
+RangeCache.prototype.getGaps = function(start, end) {
+    var gaps = [];
+    var cursor = start;
+
+    this._useCount += 1;
+
+    util.forEachArray(this._ranges, function(range) {
+        if (range.end <= cursor || range.start >= end) {
+            return;
+        }
+
+        range.usedAt = this._useCount;
+
+        if (range.start > cursor) {
+            gaps.push({
+                start: cursor,
+                end: range.start
+            });
+        }
+
+        cursor = range.end;
+    }, this);
+
+    if (cursor < end) {
+        gaps.push({
+            start: cursor,
+            end: end
+        });
+    }
+
+    return gaps;
+};
+
+/**
+ * Add the range. It should be a gap from getGaps().
+ * @param {number} start - start timestamp
+ * @param {number} end - end timestamp (exclusive)
+ */
+RangeCache.prototype.add = function(start, end) {
+    this._ranges.push({
+        start: start,
+        end: end,
+        usedAt: this._useCount
+    });
+    this._ranges.sort(function(a, b) {
+        return a.start - b.start;
+    });
+};
+
+/**
+ * Remove the range. It's used to request the range again when the fetching fails.
+ * @param {number} start - start timestamp
+ * @param {number} end - end timestamp (exclusive)
+ */
+RangeCache.prototype.remove = function(start, end) {
+    this._ranges = util.filter(this._ranges, function(range) {
+        return range.start !== start || range.end !== end;
+    });
+};
+
+/**
+ * Whether the period overlaps a cached range.
+ * @param {number} start - start timestamp
+ * @param {number} end - end timestamp (exclusive)
+ * @returns {boolean} whether it's cached
+ */
+RangeCache.prototype.has = function(start, end) {
+    return util.filter(this._ranges, function(range) {
+        return range.start < end && range.end > start;
+    }).length > 0;
+};
+
+/**
+ * Evict the least recently used ranges until the total days don't exceed the size.
+ * The ranges overlapping the kept period are not evicted.
+ * @param {number} keepStart - start timestamp of the period to keep
+ * @param {number} keepEnd - end timestamp of the period to keep (exclusive)
+ * @returns {Array.<{start: number, end: number}>} evicted ranges
+ */
+RangeCache.prototype.evict = function(keepStart, keepEnd) {
+    var maxTime = this.maxDays * DAY_IN_MS;
+    var total = 0;
+    var evicted = [];
+    var candidates;
+
+    util.forEachArray(this._ranges, function(range) {
+        total += range.end - range.start;
+    });
+
+    if (!maxTime || total <= maxTime) {
+        return evicted;
+    }
+
+    candidates = util.filter(this._ranges, function(range) {
+        return range.start >= keepEnd || range.end <= keepStart;
+    }).sort(function(a, b) {
+        return a.usedAt - b.usedAt;
+    });
+
+    util.forEachArray(candidates, function(range) {
+        if (total <= maxTime) {
+            return false;
+        }
+
+        total -= range.end - range.start;
+        evicted.push(range);
+
+        return true;
+    });
+
+    this._ranges = util.filter(this._ranges, function(range) {
+        return util.inArray(range, evicted) < 0;
+    });
+
+    return evicted;
+};
+
+/**
+ * Remove all ranges.
+ */
+RangeCache.prototype.clear = function() {
+    this._ranges = [];
+};
+
+module.exports = RangeCache;
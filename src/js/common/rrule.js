@@ -0,0 +1,651 @@
+/* eslint complexity: 0 */
+/**
+ * @fileoverview Recurrence rule(RFC 5545 RRULE, EXDATE) parser and expander
+ * @author NHN FE Development Lab <dl_javascript@nhn.com>
+ */
+'use strict';
+
+var util = require('tui-code-snippet');
+var TZDate = require('./timezone').Date;
+var datetime = require('./datetime');
+
+var MILLISECONDS_PER_DAY = datetime.MILLISECONDS_PER_DAY;
+var FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+var WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+var bydayRx = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/;
+var dateValueRx = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/;
+var rrule;
+
+/**
+ * Parse the comma separated integer list
+ * @param {string} value - list value like '1,15,-1'
+ * @returns {Array.<number>} integer list
+ */
+function parseIntList(value) {
+    return util.filter(util.map(value.split(','), function(item) {
+        return parseInt(item, 10);
+    }), function(num) {
+        return !isNaN(num) && num !== 0;
+    });
+}
+
+/**
+ * Parse the BYDAY rule part
+ * @param {string} value - BYDAY value like 'MO,WE' or '1MO,-1FR'
+ * @returns {Array.<{day: number, nth: number}>} weekday list
+ */
+function parseByDay(value) {
+    var result = [];
+
+    util.forEachArray(value.split(','), function(item) {
+        var matches = item.toUpperCase().match(bydayRx);
+
+        if (matches) {
+            result.push({
+                day: util.inArray(matches[2], WEEKDAYS),
+                nth: matches[1] ? parseInt(matches[1], 10) : 0
+            });
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Get the date number of days since epoch for supplied year, month, date.
+ * All calendar math is done on UTC days to avoid daylight saving time shifts.
+ * @param {number} year - full year
+ * @param {number} month - month (0 ~ 11)
+ * @param {number} date - date of month
+ * @returns {number} days since epoch
+ */
+function toDayNumber(year, month, date) {
+    return Date.UTC(year, month, date) / MILLISECONDS_PER_DAY;
+}
+
+/**
+ * Get year, month, date, day from days since epoch
+ * @param {number} dayNumber - days since epoch
+ * @returns {{year: number, month: number, date: number, day: number}} date fields
+ */
+function fromDayNumber(dayNumber) {
+    var date = new Date(dayNumber * MILLISECONDS_PER_DAY);
+
+    return {
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth(),
+        date: date.getUTCDate(),
+        day: date.getUTCDay()
+    };
+}
+
+/**
+ * Get the count of days of month
+ * @param {number} year - full year
+ * @param {number} month - month (0 ~ 11)
+ * @returns {number} days
+ */
+function getDaysInMonth(year, month) {
+    return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+/**
+ * Collect day numbers between first and last day number which matched BYDAY rule part.
+ * The nth weekday is counted from the first (or the last if negative) day of the supplied span.
+ * @param {number} first - first day number of span
+ * @param {number} last - last day number of span
+ * @param {Array.<{day: number, nth: number}>} byday - BYDAY rule part
+ * @returns {Array.<number>} day numbers
+ */
+function getDaysByWeekday(first, last, byday) {
+    var result = [];
+
+    util.forEachArray(byday, function(weekday) {
+        var firstDay = fromDayNumber(first).day;
+        var cursor = first + ((weekday.day - firstDay + 7) % 7);
+        var matched = [];
+
+        for (; cursor <= last; cursor += 7) {
+            matched.push(cursor);
+        }
+
+        if (!weekday.nth) {
+            result = result.concat(matched);
+        } else {
+            cursor = weekday.nth > 0 ? matched[weekday.nth - 1] : matched[matched.length + weekday.nth];
+
+            if (!util.isUndefined(cursor)) {
+                result.push(cursor);
+            }
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Collect day numbers of month which matched BYMONTHDAY rule part
+ * @param {number} year - full year
+ * @param {number} month - month (0 ~ 11)
+ * @param {Array.<number>} bymonthday - BYMONTHDAY rule part
+ * @returns {Array.<number>} day numbers
+ */
+function getDaysByMonthday(year, month, bymonthday) {
+    var daysInMonth = getDaysInMonth(year, month);
+    var result = [];
+
+    util.forEachArray(bymonthday, function(monthday) {
+        var date = monthday > 0 ? monthday : daysInMonth + monthday + 1;
+
+        if (date >= 1 && date <= daysInMonth) {
+            result.push(toDayNumber(year, month, date));
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Get intersection of two day number lists. null means "not restricted".
+ * @param {?Array.<number>} a - day number list
+ * @param {?Array.<number>} b - day number list
+ * @returns {Array.<number>} intersection
+ */
+function intersect(a, b) {
+    if (!a) {
+        return b || [];
+    }
+
+    if (!b) {
+        return a;
+    }
+
+    return util.filter(a, function(dayNumber) {
+        return util.inArray(dayNumber, b) > -1;
+    });
+}
+
+/**
+ * Collect day numbers of month by BYMONTHDAY, BYDAY rule parts
+ * @param {object} rule - parsed rule
+ * @param {number} year - full year
+ * @param {number} month - month (0 ~ 11)
+ * @param {number} startDate - date of month of DTSTART. it is used when there is no rule parts.
+ * @returns {Array.<number>} day numbers
+ */
+function getDaysInMonthByRule(rule, year, month, startDate) {
+    var first = toDayNumber(year, month, 1);
+    var last = first + getDaysInMonth(year, month) - 1;
+    var byMonthday = rule.bymonthday.length ? getDaysByMonthday(year, month, rule.bymonthday) : null;
+    var byDay = rule.byday.length ? getDaysByWeekday(first, last, rule.byday) : null;
+
+    if (!byMonthday && !byDay) {
+        return getDaysByMonthday(year, month, [startDate]);
+    }
+
+    return intersect(byMonthday, byDay);
+}
+
+/**
+ * Filter day numbers by BYMONTH, BYMONTHDAY, BYDAY(without ordinal) rule parts
+ * @param {object} rule - parsed rule
+ * @param {Array.<number>} dayNumbers - day numbers
+ * @param {boolean} withMonthday - whether filter by BYMONTHDAY and BYDAY too
+ * @returns {Array.<number>} filtered day numbers
+ */
+function limitDays(rule, dayNumbers, withMonthday) {
+    return util.filter(dayNumbers, function(dayNumber) {
+        var fields = fromDayNumber(dayNumber);
+        var daysInMonth;
+
+        if (rule.bymonth.length && util.inArray(fields.month + 1, rule.bymonth) < 0) {
+            return false;
+        }
+
+        if (!withMonthday) {
+            return true;
+        }
+
+        if (rule.byday.length && !util.filter(rule.byday, function(weekday) {
+            return weekday.day === fields.day;
+        }).length) {
+            return false;
+        }
+
+        if (rule.bymonthday.length) {
+            daysInMonth = getDaysInMonth(fields.year, fields.month);
+
+            return util.filter(rule.bymonthday, function(monthday) {
+                return (monthday > 0 ? monthday : daysInMonth + monthday + 1) === fields.date;
+            }).length > 0;
+        }
+
+        return true;
+    });
+}
+
+/**
+ * Collect candidate day numbers of the period which starts with supplied day number
+ * @param {object} rule - parsed rule
+ * @param {number} index - index of period from DTSTART
+ * @param {object} start - date fields of DTSTART
+ * @returns {Array.<number>} sorted day numbers of candidates
+ */
+function getCandidates(rule, index, start) {
+    var step = index * rule.interval;
+    var startDayNumber = toDayNumber(start.year, start.month, start.date);
+    var days = [];
+    var weekStart, month, year, first;
+
+    if (rule.freq === 'DAILY') {
+        days = limitDays(rule, [startDayNumber + step], true);
+    } else if (rule.freq === 'WEEKLY') {
+        weekStart = startDayNumber - ((start.day - rule.wkst + 7) % 7) + (step * 7);
+        days = getDaysByWeekday(weekStart, weekStart + 6, rule.byday.length ? rule.byday : [{
+            day: start.day,
+            nth: 0
+        }]);
+        days = limitDays(rule, days, false);
+    } else if (rule.freq === 'MONTHLY') {
+        month = fromDayNumber(toDayNumber(start.year, start.month + step, 1));
+        days = limitDays(rule, getDaysInMonthByRule(rule, month.year, month.month, start.date), false);
+    } else {
+        year = start.year + step;
+
+        if (rule.bymonth.length) {
+            util.forEachArray(rule.bymonth, function(monthNumber) {
+                days = days.concat(getDaysInMonthByRule(rule, year, monthNumber - 1, start.date));
+            });
+        } else if (rule.byday.length) {
+            first = toDayNumber(year, 0, 1);
+            days = getDaysByWeekday(first, toDayNumber(year, 11, 31), rule.byday);
+            days = rule.bymonthday.length ? limitDays(rule, days, true) : days;
+        } else if (rule.bymonthday.length) {
+            util.forEachArray(util.range(12), function(monthIndex) {
+                days = days.concat(getDaysByMonthday(year, monthIndex, rule.bymonthday));
+            });
+        } else {
+            days = getDaysByMonthday(year, start.month, [start.date]);
+        }
+    }
+
+    days.sort(function(a, b) {
+        return a - b;
+    });
+
+    return util.filter(days, function(dayNumber, i) {
+        return dayNumber !== days[i - 1];
+    });
+}
+
+/**
+ * Apply BYSETPOS rule part to candidates of a period
+ * @param {Array.<number>} candidates - candidates in a period
+ * @param {Array.<number>} bysetpos - BYSETPOS rule part
+ * @returns {Array.<number>} candidates
+ */
+function applySetPos(candidates, bysetpos) {
+    var result = [];
+
+    if (!bysetpos.length) {
+        return candidates;
+    }
+
+    util.forEachArray(bysetpos, function(pos) {
+        var dayNumber = pos > 0 ? candidates[pos - 1] : candidates[candidates.length + pos];
+
+        if (!util.isUndefined(dayNumber) && util.inArray(dayNumber, result) < 0) {
+            result.push(dayNumber);
+        }
+    });
+
+    return result.sort(function(a, b) {
+        return a - b;
+    });
+}
+
+/**
+ * Get the index of first period which can have an occurrence after supplied date.
+ * Returns 0 when the rule has COUNT because every period has to be counted.
+ * @param {object} rule - parsed rule
+ * @param {object} start - date fields of DTSTART
+ * @param {TZDate} from - lower bound
+ * @returns {number} period index
+ */
+function getFirstPeriodIndex(rule, start, from) {
+    var diff;
+
+    if (rule.count) {
+        return 0;
+    }
+
+    if (rule.freq === 'DAILY' || rule.freq === 'WEEKLY') {
+        diff = toDayNumber(from.getFullYear(), from.getMonth(), from.getDate()) -
+            toDayNumber(start.year, start.month, start.date);
+        diff = rule.freq === 'WEEKLY' ? diff / 7 : diff;
+    } else if (rule.freq === 'MONTHLY') {
+        diff = ((from.getFullYear() - start.year) * 12) + from.getMonth() - start.month;
+    } else {
+        diff = from.getFullYear() - start.year;
+    }
+
+    return Math.max(0, Math.floor(diff / rule.interval) - 1);
+}
+
+/**
+ * Format date to compare with EXDATE values
+ * @param {TZDate} date - date
+ * @param {boolean} onlyDate - compare date part only
+ * @returns {string} formatted date
+ */
+function toCompareKey(date, onlyDate) {
+    return rrule.formatDateValue(date, onlyDate);
+}
+
+rrule = {
+    /**
+     * Parse recurrence rule string.
+     *
+     * It accepts RRULE content lines with or without "RRULE:" prefix and EXDATE content lines
+     * separated by new line.
+     * Other content lines(e.g. DTSTART) are ignored because the start of schedule is used.
+     * @param {string} str - recurrence rule string like 'RRULE:FREQ=WEEKLY;BYDAY=MO,WE\nEXDATE:20190107T090000'
+     * @returns {?object} parsed rule. null when supplied string is not a valid recurrence rule.
+     */
+    parse: function(str) {
+        var rule = {
+            freq: null,
+            interval: 1,
+            count: 0,
+            until: null,
+            byday: [],
+            bymonthday: [],
+            bymonth: [],
+            bysetpos: [],
+            wkst: 1,
+            exdate: []
+        };
+
+        if (!util.isString(str) || !str) {
+            return null;
+        }
+
+        util.forEachArray(str.split(/\r?\n/), function(line) {
+            var separatorIndex = line.indexOf(':');
+            var name = separatorIndex > -1 ? line.slice(0, separatorIndex).split(';')[0].toUpperCase() : 'RRULE';
+            var value = separatorIndex > -1 ? line.slice(separatorIndex + 1) : line;
+
+            if (name === 'EXDATE') {
+                util.forEachArray(value.split(','), function(dateValue) {
+                    var date = rrule.parseDateValue(dateValue);
+
+                    if (date) {
+                        rule.exdate.push(date);
+                    }
+                });
+            } else if (name === 'RRULE') {
+                rrule._parseRulePart(rule, value);
+            }
+        });
+
+        if (util.inArray(rule.freq, FREQUENCIES) < 0) {
+            return null;
+        }
+
+        return rule;
+    },
+
+    /**
+     * Parse rule parts of RRULE value into rule object
+     * @param {object} rule - rule object to fill
+     * @param {string} value - RRULE value like 'FREQ=WEEKLY;INTERVAL=2'
+     */
+    _parseRulePart: function(rule, value) {
+        util.forEachArray(value.split(';'), function(part) {
+            var pair = part.split('=');
+            var name = pair[0].trim().toUpperCase();
+            var partValue = (pair[1] || '').trim();
+
+            switch (name) {
+                case 'FREQ':
+                    rule.freq = partValue.toUpperCase();
+                    break;
+                case 'INTERVAL':
+                    rule.interval = Math.max(parseInt(partValue, 10) || 1, 1);
+                    break;
+                case 'COUNT':
+                    rule.count = Math.max(parseInt(partValue, 10) || 0, 0);
+                    break;
+                case 'UNTIL':
+                    rule.until = rrule.parseDateValue(partValue);
+                    break;
+                case 'BYDAY':
+                    rule.byday = parseByDay(partValue);
+                    break;
+                case 'BYMONTHDAY':
+                    rule.bymonthday = parseIntList(partValue);
+                    break;
+                case 'BYMONTH':
+                    rule.bymonth = parseIntList(partValue);
+                    break;
+                case 'BYSETPOS':
+                    rule.bysetpos = parseIntList(partValue);
+                    break;
+                case 'WKST':
+                    rule.wkst = Math.max(util.inArray(partValue.toUpperCase(), WEEKDAYS), 0);
+                    break;
+                default:
+                    break;
+            }
+        });
+    },
+
+    /**
+     * Make recurrence rule string from rule object
+     * @param {object} rule - rule object from {@link rrule.parse}
+     * @returns {string} recurrence rule string
+     */
+    stringify: function(rule) {
+        var parts = ['FREQ=' + rule.freq];
+        var lines;
+
+        if (rule.interval > 1) {
+            parts.push('INTERVAL=' + rule.interval);
+        }
+
+        if (rule.count) {
+            parts.push('COUNT=' + rule.count);
+        }
+
+        if (rule.until) {
+            parts.push('UNTIL=' + rrule.formatDateValue(rule.until));
+        }
+
+        if (rule.byday.length) {
+            parts.push('BYDAY=' + util.map(rule.byday, function(weekday) {
+                return (weekday.nth ? weekday.nth : '') + WEEKDAYS[weekday.day];
+            }).join(','));
+        }
+
+        if (rule.bymonthday.length) {
+            parts.push('BYMONTHDAY=' + rule.bymonthday.join(','));
+        }
+
+        if (rule.bymonth.length) {
+            parts.push('BYMONTH=' + rule.bymonth.join(','));
+        }
+
+        if (rule.bysetpos.length) {
+            parts.push('BYSETPOS=' + rule.bysetpos.join(','));
+        }
+
+        if (rule.wkst !== 1) {
+            parts.push('WKST=' + WEEKDAYS[rule.wkst]);
+        }
+
+        lines = ['RRULE:' + parts.join(';')];
+
+        if (rule.exdate.length) {
+            lines.push('EXDATE:' + util.map(rule.exdate, function(date) {
+                return rrule.formatDateValue(date);
+            }).join(','));
+        }
+
+        return lines.join('\n');
+    },
+
+    /**
+     * Parse DATE or DATE-TIME value of RFC 5545.
+     * UTC values(with 'Z' suffix) are converted to the calendar timezone, the others are floating.
+     * @param {string} value - date value like '20190101', '20190101T090000' or '20190101T000000Z'
+     * @returns {?TZDate} date. null when supplied value is not valid.
+     */
+    parseDateValue: function(value) {
+        var matches = String(value).trim().match(dateValueRx);
+        var fields;
+
+        if (!matches) {
+            return null;
+        }
+
+        fields = util.map(matches.slice(1, 7), function(field) {
+            return Number(field || 0);
+        });
+
+        if (matches[7]) {
+            return new TZDate(new Date(Date.UTC(fields[0], fields[1] - 1, fields[2], fields[3], fields[4], fields[5])));
+        }
+
+        return new TZDate().setWithRaw(fields[0], fields[1] - 1, fields[2], fields[3], fields[4], fields[5], 0);
+    },
+
+    /**
+     * Format date to floating DATE or DATE-TIME value of RFC 5545
+     * @param {TZDate} date - date to format
+     * @param {boolean} [onlyDate=false] - format DATE value
+     * @returns {string} date value like '20190101T090000'
+     */
+    formatDateValue: function(date, onlyDate) {
+        var value = datetime.format(date, 'YYYYMMDD');
+
+        if (onlyDate) {
+            return value;
+        }
+
+        return value + 'T' + [
+            datetime.leadingZero(date.getHours(), 2),
+            datetime.leadingZero(date.getMinutes(), 2),
+            datetime.leadingZero(date.getSeconds(), 2)
+        ].join('');
+    },
+
+    /**
+     * Get start dates of occurrences which overlap supplied date range.
+     *
+     * DTSTART is always the first occurrence and counts for COUNT as RFC 5545 says.
+     * Occurrences in EXDATE are counted for COUNT but excluded from the result.
+     * UNTIL of DATE value includes the occurrences of that day.
+     * @param {object} rule - rule object from {@link rrule.parse}
+     * @param {TZDate} dtstart - start of the first occurrence
+     * @param {TZDate} start - start of range
+     * @param {TZDate} end - end of range
+     * @param {number} [duration=0] - duration of each occurrence in milliseconds
+     * @returns {Array.<TZDate>} start dates of occurrences
+     */
+    between: function(rule, dtstart, start, end, duration) {
+        var startFields = {
+            year: dtstart.getFullYear(),
+            month: dtstart.getMonth(),
+            date: dtstart.getDate(),
+            day: dtstart.getDay()
+        };
+        var from = new TZDate(start).addMilliseconds(-(duration || 0));
+        var exdate = util.map(rule.exdate, function(date) {
+            return toCompareKey(date, datetime.isStartOfDay(date));
+        });
+        var until = rule.until && (datetime.isStartOfDay(rule.until) ? datetime.end(rule.until) : rule.until);
+        var result = [];
+        var count = 0;
+        var index = getFirstPeriodIndex(rule, startFields, from);
+        var finished = false;
+        var candidates, fields, occurrence, i;
+
+        /**
+         * Check the occurrence and push it to result
+         * @param {TZDate} date - start of occurrence
+         * @returns {boolean} whether the expanding should be finished
+         */
+        function visit(date) {
+            if ((until && date > until) || date > end) {
+                return true;
+            }
+
+            count += 1;
+
+            if (date >= from &&
+                util.inArray(toCompareKey(date, false), exdate) < 0 &&
+                util.inArray(toCompareKey(date, true), exdate) < 0) {
+                result.push(date);
+            }
+
+            return Boolean(rule.count && count >= rule.count);
+        }
+
+        if (index === 0) {
+            finished = visit(new TZDate(dtstart));
+        }
+
+        while (!finished) {
+            candidates = applySetPos(getCandidates(rule, index, startFields), rule.bysetpos);
+
+            for (i = 0; i < candidates.length && !finished; i += 1) {
+                fields = fromDayNumber(candidates[i]);
+                occurrence = new TZDate(dtstart).setWithRaw(
+                    fields.year, fields.month, fields.date,
+                    dtstart.getHours(), dtstart.getMinutes(), dtstart.getSeconds(), 0
+                );
+
+                if (occurrence > dtstart) {
+                    finished = visit(occurrence);
+                }
+            }
+
+            index += 1;
+
+            if (!finished && rrule._getPeriodStart(rule, index, startFields) > end) {
+                finished = true;
+            }
+        }
+
+        return result;
+    },
+
+    /**
+     * Get the first date of period by index
+     * @param {object} rule - rule object
+     * @param {number} index - index of period
+     * @param {object} start - date fields of DTSTART
+     * @returns {TZDate} first date of period
+     */
+    _getPeriodStart: function(rule, index, start) {
+        var step = index * rule.interval;
+        var dayNumber;
+
+        if (rule.freq === 'DAILY') {
+            dayNumber = toDayNumber(start.year, start.month, start.date + step);
+        } else if (rule.freq === 'WEEKLY') {
+            dayNumber = toDayNumber(start.year, start.month, start.date) -
+                ((start.day - rule.wkst + 7) % 7) + (step * 7);
+        } else if (rule.freq === 'MONTHLY') {
+            dayNumber = toDayNumber(start.year, start.month + step, 1);
+        } else {
+            dayNumber = toDayNumber(start.year + step, 0, 1);
+        }
+
+        dayNumber = fromDayNumber(dayNumber);
+
+        return new TZDate().setWithRaw(dayNumber.year, dayNumber.month, dayNumber.date, 0, 0, 0, 0);
+    }
+};
+
+module.exports = rrule;
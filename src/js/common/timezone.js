@@ -7,10 +7,13 @@
 var util = require('tui-code-snippet');
 
 var MIN_TO_MS = 60 * 1000;
+var WITH_UTC_OFFSET_REGEX = /(Z|[+-]\d{2}:?\d{2})$/i;
 var nativeOffsetMs = getTimezoneOffset();
 var customOffsetMs = nativeOffsetMs;
 var timezoneOffsetCallback = null;
 var setByTimezoneOption = false;
+var primaryTimezoneName = null;
+var dateTimeFormats = {};
 
 var getterMethods = [
     'getDate',
@@ -45,6 +48,60 @@ function getTimezoneOffset(timestamp) {
     return new Date(timestamp).getTimezoneOffset() * MIN_TO_MS;
 }
 
+/**
+ * Get Intl.DateTimeFormat instance which formats date in the timezone
+ * @param {string} timezoneName - IANA timezone name
+ * @returns {Intl.DateTimeFormat}
+ * @private
+ */
+function getDateTimeFormat(timezoneName) {
+    if (!dateTimeFormats[timezoneName]) {
+        dateTimeFormats[timezoneName] = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezoneName,
+            hour12: false,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+    }
+
+    return dateTimeFormats[timezoneName];
+}
+
+/**
+ * Get the offset of the IANA timezone at the timestamp. DST is applied.
+ * @param {string} timezoneName - IANA timezone name(e.g. 'Europe/Berlin')
+ * @param {number} timestamp - timestamp
+ * @returns {number} timezone offset minutes. It is positive when the timezone is ahead of UTC.(e.g. 540 for 'Asia/Seoul')
+ * @private
+ */
+function getOffsetByTimezoneName(timezoneName, timestamp) {
+    // MM/DD/YYYY, HH:mm:ss
+    var parts = getDateTimeFormat(timezoneName).format(new Date(timestamp)).match(/\d+/g);
+    var wallTime = Date.UTC(parts[2], parts[0] - 1, parts[1], parts[3] % 24, parts[4], parts[5]);
+
+    return Math.round((wallTime - (Math.floor(timestamp / 1000) * 1000)) / MIN_TO_MS);
+}
+
+/**
+ * Get the timestamp of the wall clock time in the IANA timezone
+ * @param {string} dateString - date string without UTC offset(e.g. '2019-03-31T09:00:00')
+ * @param {string} timezoneName - IANA timezone name
+ * @returns {number} timestamp
+ * @private
+ */
+function getTimeOfWallClock(dateString, timezoneName) {
+    var parts = dateString.match(/\d+/g);
+    var wallTime = Date.UTC(parts[0], parts[1] - 1, parts[2], parts[3] || 0, parts[4] || 0, parts[5] || 0);
+    var time = wallTime - (getOffsetByTimezoneName(timezoneName, wallTime) * MIN_TO_MS);
+
+    // the offset can be changed by DST, so get it again at the approximate time
+    return wallTime - (getOffsetByTimezoneName(timezoneName, time) * MIN_TO_MS);
+}
+
 /**
  * Get the custome timezone offset by timestampe
  * @param {number} timestamp - timestamp
@@ -52,6 +109,10 @@ function getTimezoneOffset(timestamp) {
  * @private
  */
 function getCustomTimezoneOffset(timestamp) {
+    if (primaryTimezoneName) {
+        return -getOffsetByTimezoneName(primaryTimezoneName, timestamp) * MIN_TO_MS;
+    }
+
     if (!setByTimezoneOption && timezoneOffsetCallback) {
         return timezoneOffsetCallback(timestamp) * MIN_TO_MS;
     }
@@ -67,7 +128,7 @@ function getCustomTimezoneOffset(timestamp) {
 function getLocalTime(time) {
     var timezoneOffset = getTimezoneOffset(time);
     var customTimezoneOffset = getCustomTimezoneOffset(time);
-    var timezoneOffsetDiff = customTimezoneOffset ? 0 : nativeOffsetMs - timezoneOffset;
+    var timezoneOffsetDiff = (customTimezoneOffset || primaryTimezoneName) ? 0 : nativeOffsetMs - timezoneOffset;
     var localTime = time - customTimezoneOffset + timezoneOffset + timezoneOffsetDiff;
 
     return localTime;
@@ -165,8 +226,10 @@ function TZDate(date) {
  */
 TZDate.prototype.getTime = function() {
     var time = this._date.getTime();
+    var wallTime = time - getTimezoneOffset(time);
 
-    return time + getCustomTimezoneOffset(time) - getTimezoneOffset(time);
+    // the offset can be changed by DST, so get it again at the approximate UTC time
+    return wallTime + getCustomTimezoneOffset(wallTime + getCustomTimezoneOffset(wallTime));
 };
 
 /**
@@ -227,11 +290,9 @@ TZDate.prototype.setWithRaw = function(y, M, d, h, m, s, ms) {
  * @returns {TZDate} local time
  */
 TZDate.prototype.toLocalTime = function() {
-    var time = this.getTime();
     var utcTime = this.getUTCTime();
-    var diff = time - utcTime;
 
-    return new TZDate(utcTime - diff);
+    return new TZDate(utcTime - getCustomTimezoneOffset(utcTime) + getTimezoneOffset(utcTime));
 };
 
 getterMethods.forEach(function(methodName) {
@@ -268,11 +329,31 @@ module.exports = {
         setByTimezoneOption = true;
     },
 
+    /**
+     * Set the primary timezone by the timezone option.
+     * `timezoneName` is resolved at each time, so DST is applied. Or `timezoneOffset` is used.
+     * @param {{timezoneName: string, timezoneOffset: number}} timezone - timezone option
+     */
+    setPrimaryTimezoneByOption: function(timezone) {
+        primaryTimezoneName = timezone.timezoneName || null;
+
+        if (primaryTimezoneName) {
+            setByTimezoneOption = true;
+        } else {
+            this.setOffsetByTimezoneOption(timezone.timezoneOffset);
+        }
+    },
+
     /**
      * Get offset in case of `setByTimezoneOption`. Or return 0.
+     * @param {number} [timestamp] - timestamp to get the offset of the primary timezone name. Default is now.
      * @returns {number} timezone offset offset minutes
      */
-    getOffset: function() {
+    getOffset: function(timestamp) {
+        if (primaryTimezoneName) {
+            return -getOffsetByTimezoneName(primaryTimezoneName, timestamp || Date.now());
+        }
+
         if (setByTimezoneOption) {
             return customOffsetMs / MIN_TO_MS;
         }
@@ -280,6 +361,35 @@ module.exports = {
         return 0;
     },
 
+    /**
+     * Get the offset of the timezone option at the timestamp.
+     * @param {{timezoneName: string, timezoneOffset: number}} timezone - timezone option
+     * @param {number} [timestamp] - timestamp. Default is now.
+     * @returns {number} timezone offset minutes. It is positive when the timezone is ahead of UTC.
+     */
+    getOffsetByTimezoneOption: function(timezone, timestamp) {
+        if (timezone.timezoneName) {
+            return getOffsetByTimezoneName(timezone.timezoneName, timestamp || Date.now());
+        }
+
+        return timezone.timezoneOffset;
+    },
+
+    /**
+     * Create TZDate from the date string which is the wall clock time of the timezone.
+     * Date strings with UTC offset(e.g. '2019-03-31T09:00:00+09:00') and the other types are just converted to TZDate.
+     * @param {string|Date|TZDate|number} date - date
+     * @param {string} [timezoneName] - IANA timezone name of the date string
+     * @returns {TZDate}
+     */
+    createDateByTimezoneName: function(date, timezoneName) {
+        if (!timezoneName || !util.isString(date) || WITH_UTC_OFFSET_REGEX.test(date)) {
+            return new TZDate(date);
+        }
+
+        return new TZDate(new Date(getTimeOfWallClock(date, timezoneName)));
+    },
+
     /**
      * Set a callback function to get timezone offset by timestamp
      * @param {function} callback - callback function
@@ -293,6 +403,7 @@ module.exports = {
      * Reset system timezone and custom timezone
      */
     restoreOffset: function() {
+        primaryTimezoneName = null;
         customOffsetMs = getTimezoneOffset();
     }
 };
@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Utility module for the validateSchedule option.
+ * @author NHN FE Development Lab <dl_javascript@nhn.com>
+ */
+'use strict';
+
+var util = require('tui-code-snippet');
+
+/**
+ * @module validation
+ */
+var validation = {
+    /**
+     * Run the validateSchedule option and call back with the invalid data.
+     * The callback is called synchronously when the option returns the result directly or throws an error,
+     * and after the promise is settled when it returns a promise. The error makes the invalid data with its message.
+     * @param {function} [validate] - the validateSchedule option
+     * @param {object} schedule - the schedule data to create or the schedule data with the changes to update
+     * @param {ValidationContext} context - the context of the validation
+     * @param {function} callback - the function called with the invalid data or null
+     */
+    run: function(validate, schedule, context, callback) {
+        var result;
+
+        if (!validate) {
+            callback(null);
+
+            return;
+        }
+
+        try {
+            result = validate(schedule, context);
+        } catch (e) {
+            callback({
+                message: getRejectedMessage(e),
+                fields: {}
+            });
+
+            return;
+        }
+
+        if (result && util.isFunction(result.then)) {
+            result.then(function(value) {
+                callback(normalize(value));
+            }, function(reason) {
+                callback({
+                    message: getRejectedMessage(reason),
+                    fields: {}
+                });
+            });
+
+            return;
+        }
+
+        callback(normalize(result));
+    },
+
+    /**
+     * Run the validateSchedule option for each target and call back once.
+     * The callback is called with the first invalid data and its target, or null when all targets are valid.
+     * @param {function} [validate] - the validateSchedule option
+     * @param {Array.<{schedule: object, context: ValidationContext}>} targets - the targets to validate
+     * @param {function} callback - the function called with the invalid data and the target
+     */
+    runAll: function(validate, targets, callback) {
+        var remains = targets.length;
+        var isDone = false;
+
+        if (!remains) {
+            callback(null);
+
+            return;
+        }
+
+        util.forEachArray(targets, function(target) {
+            validation.run(validate, target.schedule, target.context, function(invalid) {
+                remains -= 1;
+
+                if (isDone || (!invalid && remains)) {
+                    return;
+                }
+
+                isDone = true;
+                callback(invalid, invalid ? target : null);
+            });
+        });
+    },
+
+    /**
+     * Get the schedule data with the changes applied to validate the update.
+     * @param {Schedule} schedule - the schedule to update
+     * @param {object} [changes] - the changes
+     * @returns {object} the schedule data
+     */
+    applyChanges: function(schedule, changes) {
+        var data = util.isFunction(schedule.parameterize) ? schedule.parameterize() : util.extend({}, schedule);
+
+        return util.extend(data, changes);
+    }
+};
+
+/**
+ * Make the result of the validateSchedule option the invalid data.
+ * true, null and undefined are valid. false, an error message and an object of the error messages
+ * by the field name are invalid. An empty message and an empty object are valid.
+ * @param {*} result - the result of the validateSchedule option
+ * @returns {?{message: string, fields: object}} the invalid data. null when it's valid.
+ */
+function normalize(result) {
+    if (result === false) {
+        return {
+            message: '',
+            fields: {}
+        };
+    }
+
+    if (util.isString(result)) {
+        return result ? {
+            message: result,
+            fields: {}
+        } : null;
+    }
+
+    return util.isObject(result) && !util.isEmpty(result) ? {
+        message: '',
+        fields: result
+    } : null;
+}
+
+/**
+ * Get the message of the rejected promise or the thrown error.
+ * @param {*} reason - the reason of the rejection or the thrown error
+ * @returns {string} the message
+ */
+function getRejectedMessage(reason) {
+    if (reason instanceof Error) {
+        return reason.message;
+    }
+
+    return util.isString(reason) ? reason : '';
+}
+
+module.exports = validation;
@@ -71,7 +71,8 @@ function VLayout(options, container, theme) {
     this._drag.on({
         dragStart: this._onDragStart,
         drag: this._onDrag,
-        dragEnd: this._onDragEnd
+        dragEnd: this._onDragEnd,
+        dragCancel: this._onDragCancel
     }, this);
 
     /**
@@ -341,6 +342,18 @@ VLayout.prototype._onDragEnd = function(e) {
     domutil.removeClass(document.body, config.classname('resizing'));
 };
 
+/**
+ * Drag cancel event handler. Clear the guide without resizing the panels.
+ */
+VLayout.prototype._onDragCancel = function() {
+    var dragData = this._dragData;
+
+    this._dragData = null;
+    this._clearGuideElement(dragData.guideElement);
+    dragData.splPanel.removeClass(config.classname('splitter-focused'));
+    domutil.removeClass(document.body, config.classname('resizing'));
+};
+
 /**********
  * Methods
  **********/
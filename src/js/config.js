@@ -42,7 +42,9 @@ var config = {
     },
 
     time: {
-        getViewIDRegExp: timeGetViewID
+        getViewIDRegExp: timeGetViewID,
+        slotDurations: [5, 10, 15, 20, 30, 60],
+        defaultSlotDuration: 30
     }
 };
 
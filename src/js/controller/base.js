@@ -9,8 +9,14 @@ var Schedule = require('../model/schedule');
 var ScheduleViewModel = require('../model/viewModel/scheduleViewModel');
 var datetime = require('../common/datetime');
 var common = require('../common/common');
+var array = require('../common/array');
+var TZDate = require('../common/timezone').Date;
+var rrule = require('../common/rrule');
+var RangeCache = require('../common/rangeCache');
 var Theme = require('../theme/theme');
 
+var MAX_EXPANDED_DAYS = 732;
+
 /**
  * @constructor
  * @param {object} options - options for base controller
@@ -47,6 +53,26 @@ function Base(options) {
      */
     this.schedules = common.createScheduleCollection();
 
+    /**
+     * recurring schedules collection.
+     * The occurrences of them are expanded into schedules collection lazily.
+     * @type {Collection}
+     */
+    this.recurringSchedules = common.createScheduleCollection();
+
+    /**
+     * Expanded occurrences map by recurring schedule's model id and recurrence id.
+     * @type {object.<string, object.<string, Schedule>>}
+     */
+    this._occurrences = {};
+
+    /**
+     * Date ranges which the occurrences are expanded in.
+     * The occurrences out of the least recently used ranges are removed when they exceed two years.
+     * @type {RangeCache}
+     */
+    this._expandedRanges = new RangeCache(MAX_EXPANDED_DAYS);
+
     /**
      * Matrix for multidate schedules.
      * @type {object.<string, array>}
@@ -64,6 +90,25 @@ function Base(options) {
      * @type {Array.<Calendar>}
      */
     this.calendars = [];
+
+    /**
+     * Holiday set list
+     * @type {Array.<HolidaySet>}
+     */
+    this.holidays = [];
+
+    /**
+     * Whether the schedules can overlap the busy time of other schedules.
+     * The allowOverlap of a calendar overrides it.
+     * @type {boolean}
+     */
+    this.allowOverlap = options.allowOverlap !== false;
+
+    /**
+     * Holidays from the providers by the holiday set index and the requested date range.
+     * @type {object.<string, Array.<object>>}
+     */
+    this._holidayCache = {};
 }
 
 /**
@@ -142,6 +187,23 @@ Base.prototype.createSchedules = function(dataList, silent) {
     });
 };
 
+/**
+ * Make a copy of the schedule for pasting or duplicating. It is not added to the collection.
+ * The copy has no id and it is not a recurring schedule or an occurrence of it.
+ * @param {Schedule} schedule - schedule instance to copy
+ * @param {object} [changes] - properties to change like the start and end
+ * @returns {Schedule} copied schedule instance
+ */
+Base.prototype.cloneSchedule = function(schedule, changes) {
+    return Schedule.create(util.extend(schedule.parameterize(), {
+        id: '',
+        recurrenceRule: '',
+        masterId: '',
+        recurrenceId: null,
+        isFocused: false
+    }, changes));
+};
+
 /**
  * Update a schedule.
  * @emits Base#updateSchedule
@@ -167,14 +229,26 @@ Base.prototype.updateSchedule = function(schedule, options) {
         schedule.set('calendarId', options.calendarId);
     }
 
-    if (options.title) {
+    if (!util.isUndefined(options.resourceId)) {
+        schedule.set('resourceId', options.resourceId);
+    }
+
+    if (!util.isUndefined(options.title)) {
         schedule.set('title', options.title);
     }
 
-    if (options.body) {
+    if (!util.isUndefined(options.body)) {
         schedule.set('body', options.body);
     }
 
+    if (!util.isUndefined(options.startTimezone)) {
+        schedule.set('startTimezone', options.startTimezone);
+    }
+
+    if (!util.isUndefined(options.endTimezone)) {
+        schedule.set('endTimezone', options.endTimezone);
+    }
+
     if (options.start || options.end) {
         if (schedule.isAllDay) {
             schedule.setAllDayPeriod(start, end);
@@ -207,16 +281,41 @@ Base.prototype.updateSchedule = function(schedule, options) {
         schedule.set('isFocused', options.isFocused);
     }
 
-    if (options.location) {
+    if (!util.isUndefined(options.isPrivate)) {
+        schedule.set('isPrivate', options.isPrivate);
+    }
+
+    if (!util.isUndefined(options.location)) {
         schedule.set('location', options.location);
     }
 
-    if (options.state) {
+    if (!util.isUndefined(options.state)) {
         schedule.set('state', options.state);
     }
 
+    if (!util.isUndefined(options.attendees)) {
+        schedule.set('attendees', options.attendees);
+    }
+
+    if (!util.isUndefined(options.raw)) {
+        schedule.set('raw', options.raw);
+    }
+
+    if (!util.isUndefined(options.recurrenceRule)) {
+        schedule.set('recurrenceRule', options.recurrenceRule);
+    }
+
     this._removeFromMatrix(schedule);
-    this._addToMatrix(schedule);
+    this._removeOccurrences(schedule);
+
+    if (schedule.isRecurring()) {
+        this.schedules.remove(schedule);
+        this.recurringSchedules.add(schedule);
+    } else {
+        this.recurringSchedules.remove(schedule);
+        this.schedules.add(schedule);
+        this._addToMatrix(schedule);
+    }
 
     /**
      * @event Base#updateSchedule
@@ -233,11 +332,382 @@ Base.prototype.updateSchedule = function(schedule, options) {
  */
 Base.prototype.deleteSchedule = function(schedule) {
     this._removeFromMatrix(schedule);
+    this._removeOccurrences(schedule);
     this.schedules.remove(schedule);
+    this.recurringSchedules.remove(schedule);
 
     return schedule;
 };
 
+/**
+ * Expand occurrences of recurring schedules in supplied date range.
+ * Expanded occurrences are cached until the recurring schedule is updated or deleted,
+ * or until their range is evicted by the other recently expanded ranges.
+ * @param {TZDate} start - start date
+ * @param {TZDate} end - end date
+ */
+Base.prototype.expandRecurrences = function(start, end) {
+    var ownOccurrences = this._occurrences;
+    var expandedRanges = this._expandedRanges;
+
+    start = datetime.start(start);
+    end = datetime.end(end);
+
+    util.forEachArray(expandedRanges.getGaps(start.getTime(), end.getTime() + 1), function(gap) {
+        expandedRanges.add(gap.start, gap.end);
+    });
+
+    if (expandedRanges.evict(start.getTime(), end.getTime() + 1).length) {
+        this._evictOccurrences();
+    }
+
+    this.recurringSchedules.each(function(schedule) {
+        var id = util.stamp(schedule);
+        var occurrences = ownOccurrences[id] = ownOccurrences[id] || {};
+        var dates = rrule.between(
+            rrule.parse(schedule.recurrenceRule),
+            schedule.getStarts(),
+            start,
+            end,
+            schedule.getEnds() - schedule.getStarts()
+        );
+
+        util.forEachArray(dates, function(date) {
+            var recurrenceId = rrule.formatDateValue(date);
+
+            if (!occurrences[recurrenceId]) {
+                occurrences[recurrenceId] = this.addSchedule(schedule.createOccurrence(date), true);
+            }
+        }, this);
+    }, this);
+};
+
+/**
+ * Remove the expanded occurrences which are out of the expanded ranges.
+ * The selected or focused occurrences are kept.
+ */
+Base.prototype._evictOccurrences = function() {
+    var expandedRanges = this._expandedRanges;
+
+    util.forEach(this._occurrences, function(occurrences) {
+        util.forEach(occurrences, function(occurrence, recurrenceId) {
+            if (occurrence.isSelected || occurrence.isFocused ||
+                expandedRanges.has(occurrence.getStarts().getTime(), occurrence.getEnds().getTime() + 1)) {
+                return;
+            }
+
+            this._removeFromMatrix(occurrence);
+            this.schedules.remove(occurrence);
+            delete occurrences[recurrenceId];
+        }, this);
+    }, this);
+};
+
+/**
+ * Remove expanded occurrences of supplied recurring schedule.
+ * @param {Schedule} schedule - recurring schedule
+ */
+Base.prototype._removeOccurrences = function(schedule) {
+    var id = util.stamp(schedule);
+
+    util.forEach(this._occurrences[id], function(occurrence) {
+        this._removeFromMatrix(occurrence);
+        this.schedules.remove(occurrence);
+    }, this);
+
+    delete this._occurrences[id];
+};
+
+/**
+ * Get the recurring schedule which supplied occurrence is expanded from.
+ * The expanded occurrence is looked up by the stamp of the recurring schedule, so the recurring schedules
+ * without id are not mixed up. The exception is looked up by its masterId which is not empty.
+ * @param {Schedule} occurrence - occurrence schedule
+ * @returns {Schedule} recurring schedule. null when supplied schedule is not an occurrence.
+ */
+Base.prototype.getMasterSchedule = function(occurrence) {
+    var recurrenceId, masterStamp;
+
+    if (!occurrence || !occurrence.recurrenceId) {
+        return null;
+    }
+
+    recurrenceId = rrule.formatDateValue(occurrence.recurrenceId);
+    util.forEach(this._occurrences, function(occurrences, stamp) {
+        if (occurrences[recurrenceId] === occurrence) {
+            masterStamp = stamp;
+        }
+
+        return !masterStamp;
+    });
+
+    if (masterStamp) {
+        return this.recurringSchedules.items[masterStamp] || null;
+    }
+
+    if (!occurrence.masterId) {
+        return null;
+    }
+
+    return this.recurringSchedules.single(function(model) {
+        return model.id === occurrence.masterId && model.calendarId === occurrence.calendarId;
+    });
+};
+
+/**
+ * Update an occurrence of recurring schedule in supplied scope.
+ *
+ * - 'this': exclude the occurrence from the recurring schedule by EXDATE and add an exception schedule
+ * - 'following': end the recurring schedule before the occurrence and add a new recurring schedule from the occurrence
+ * - 'all': update the recurring schedule. start and end are changed as much as the occurrence is changed
+ * @param {Schedule} occurrence - occurrence schedule
+ * @param {object} options - updated object data
+ * @param {string} scope - 'this', 'following' or 'all'
+ * @returns {Schedule} updated or added schedule instance
+ */
+Base.prototype.updateOccurrence = function(occurrence, options, scope) {
+    var master = this.getMasterSchedule(occurrence);
+    var recurrenceId = occurrence.recurrenceId;
+    var schedule;
+
+    if (!master) {
+        return this.updateSchedule(occurrence, options);
+    }
+
+    if (scope === 'this') {
+        if (!this._isExpandedOccurrence(master, occurrence)) {
+            return this.updateSchedule(occurrence, options);
+        }
+
+        this._addExceptionDate(master, recurrenceId);
+        schedule = this.addSchedule(Schedule.create(occurrence.parameterize()), true);
+
+        return this.updateSchedule(schedule, options);
+    }
+
+    if (scope === 'following' && datetime.compare(recurrenceId, master.getStarts()) > 0) {
+        schedule = this._splitRecurrence(master, occurrence);
+
+        return this.updateSchedule(schedule, options);
+    }
+
+    return this.updateSchedule(master, this._getSeriesChanges(master, occurrence, options));
+};
+
+/**
+ * End the recurring schedule before the occurrence and add a new recurring schedule from the occurrence.
+ * The exceptions from the occurrence are moved to the new recurring schedule.
+ * The id of the new recurring schedule has the instance id not to collide with the ids of the occurrences.
+ * @param {Schedule} master - recurring schedule
+ * @param {Schedule} occurrence - occurrence schedule to split at
+ * @returns {Schedule} new recurring schedule
+ */
+Base.prototype._splitRecurrence = function(master, occurrence) {
+    var recurrenceId = occurrence.recurrenceId;
+    var rule = rrule.parse(master.recurrenceRule);
+    var schedule = Schedule.create(util.extend(master.parameterize(), {
+        start: occurrence.getStarts(),
+        end: occurrence.getEnds(),
+        recurrenceRule: rrule.stringify(this._getFollowingRule(master, recurrenceId))
+    }));
+
+    schedule.id = master.id + '@' + util.stamp(schedule);
+
+    rule.count = null;
+    rule.until = new TZDate(recurrenceId).addMilliseconds(-1000);
+    rule.exdate = util.filter(rule.exdate, function(date) {
+        return date < recurrenceId;
+    });
+    this.updateSchedule(master, {recurrenceRule: rrule.stringify(rule)});
+
+    this._findExceptions(master, recurrenceId).each(function(exception) {
+        exception.set('masterId', schedule.id);
+    });
+
+    return this.addSchedule(schedule, true);
+};
+
+/**
+ * Delete an occurrence of recurring schedule in supplied scope.
+ * @param {Schedule} occurrence - occurrence schedule
+ * @param {string} scope - 'this', 'following' or 'all'
+ * @returns {Schedule} deleted or updated schedule instance
+ */
+Base.prototype.deleteOccurrence = function(occurrence, scope) {
+    var master = this.getMasterSchedule(occurrence);
+    var recurrenceId = occurrence.recurrenceId;
+    var rule;
+
+    if (!master) {
+        return this.deleteSchedule(occurrence);
+    }
+
+    if (scope === 'this') {
+        if (this._isExpandedOccurrence(master, occurrence)) {
+            return this._addExceptionDate(master, recurrenceId);
+        }
+
+        return this.deleteSchedule(occurrence);
+    }
+
+    if (scope === 'following' && datetime.compare(recurrenceId, master.getStarts()) > 0) {
+        rule = rrule.parse(master.recurrenceRule);
+        rule.count = null;
+        rule.until = new TZDate(recurrenceId).addMilliseconds(-1000);
+        this._deleteExceptions(master, recurrenceId);
+
+        return this.updateSchedule(master, {recurrenceRule: rrule.stringify(rule)});
+    }
+
+    this._deleteExceptions(master);
+
+    return this.deleteSchedule(master);
+};
+
+/**
+ * Get the schedules saved for the series of supplied schedule. They are the recurring schedule and its exceptions,
+ * or the schedule itself when it's not recurring. The expanded occurrences are not included.
+ * @param {Schedule} schedule - recurring schedule or normal schedule
+ * @returns {Array.<Schedule>} schedules of the series. Empty when the schedule is deleted.
+ */
+Base.prototype.getSeriesSchedules = function(schedule) {
+    var self = this;
+
+    if (this.recurringSchedules.has(schedule)) {
+        return [schedule].concat(this._findExceptions(schedule).find(function(model) {
+            return !self._isExpandedOccurrence(schedule, model);
+        }).toArray());
+    }
+
+    return this.schedules.has(schedule) ? [schedule] : [];
+};
+
+/**
+ * Check supplied schedule is an occurrence expanded from a recurring schedule.
+ * @param {Schedule} schedule - schedule instance
+ * @returns {boolean} whether the schedule is an expanded occurrence
+ */
+Base.prototype.isOccurrence = function(schedule) {
+    var master = this.getMasterSchedule(schedule);
+
+    return !!master && this._isExpandedOccurrence(master, schedule);
+};
+
+/**
+ * Check supplied schedule is an occurrence expanded from the recurring schedule, not an exception of it.
+ * @param {Schedule} master - recurring schedule
+ * @param {Schedule} occurrence - occurrence schedule
+ * @returns {boolean} whether the occurrence is expanded one
+ */
+Base.prototype._isExpandedOccurrence = function(master, occurrence) {
+    var occurrences = this._occurrences[util.stamp(master)] || {};
+
+    return occurrences[rrule.formatDateValue(occurrence.recurrenceId)] === occurrence;
+};
+
+/**
+ * Exclude an occurrence from the recurring schedule by EXDATE.
+ * @param {Schedule} master - recurring schedule
+ * @param {TZDate} recurrenceId - start of the occurrence to exclude
+ * @returns {Schedule} updated recurring schedule
+ */
+Base.prototype._addExceptionDate = function(master, recurrenceId) {
+    var rule = rrule.parse(master.recurrenceRule);
+
+    rule.exdate.push(new TZDate(recurrenceId));
+
+    return this.updateSchedule(master, {recurrenceRule: rrule.stringify(rule)});
+};
+
+/**
+ * Get the rule for new recurring schedule split from supplied one.
+ * The remaining COUNT and the EXDATE after the split date are inherited.
+ * @param {Schedule} master - recurring schedule
+ * @param {TZDate} recurrenceId - start of the first occurrence of new recurring schedule
+ * @returns {object} rule object
+ */
+Base.prototype._getFollowingRule = function(master, recurrenceId) {
+    var rule = rrule.parse(master.recurrenceRule);
+    var passed;
+
+    if (rule.count) {
+        passed = rrule.between(
+            util.extend({}, rule, {
+                count: null,
+                exdate: []
+            }),
+            master.getStarts(),
+            master.getStarts(),
+            new TZDate(recurrenceId).addMilliseconds(-1)
+        );
+        rule.count -= passed.length;
+    }
+
+    rule.exdate = util.filter(rule.exdate, function(date) {
+        return date >= recurrenceId;
+    });
+
+    return rule;
+};
+
+/**
+ * Get changes for the recurring schedule from changes of an occurrence.
+ * @param {Schedule} master - recurring schedule
+ * @param {Schedule} occurrence - occurrence schedule
+ * @param {object} options - updated object data of the occurrence
+ * @returns {object} updated object data of the recurring schedule
+ */
+Base.prototype._getSeriesChanges = function(master, occurrence, options) {
+    var changes = util.extend({}, options);
+    var startOffset, endOffset, rule;
+
+    if (!options.start && !options.end) {
+        return changes;
+    }
+
+    startOffset = options.start ? new TZDate(options.start) - occurrence.getStarts() : 0;
+    endOffset = options.end ? new TZDate(options.end) - occurrence.getEnds() : 0;
+
+    changes.start = new TZDate(master.getStarts()).addMilliseconds(startOffset);
+    changes.end = new TZDate(master.getEnds()).addMilliseconds(endOffset);
+
+    if (startOffset) {
+        rule = rrule.parse(master.recurrenceRule);
+        rule.exdate = util.map(rule.exdate, function(date) {
+            return new TZDate(date).addMilliseconds(startOffset);
+        });
+        changes.recurrenceRule = rrule.stringify(rule);
+    }
+
+    return changes;
+};
+
+/**
+ * Delete exception schedules of the recurring schedule.
+ * @param {Schedule} master - recurring schedule
+ * @param {TZDate} [from] - delete exceptions only after this date
+ */
+Base.prototype._deleteExceptions = function(master, from) {
+    this._findExceptions(master, from).each(function(model) {
+        this.deleteSchedule(model);
+    }, this);
+};
+
+/**
+ * Find exception schedules of the recurring schedule. The recurring schedule without id has no exceptions.
+ * @param {Schedule} master - recurring schedule
+ * @param {TZDate} [from] - find exceptions only after this date
+ * @returns {Collection} exception schedules
+ */
+Base.prototype._findExceptions = function(master, from) {
+    return this.schedules.find(function(model) {
+        return !!master.id &&
+            model.masterId === master.id &&
+            model.calendarId === master.calendarId &&
+            (!from || model.recurrenceId >= from);
+    });
+};
+
 /**
  * Set date matrix to supplied schedule instance.
  * @param {Schedule} schedule - instance of schedule.
@@ -278,8 +748,12 @@ Base.prototype._removeFromMatrix = function(schedule) {
  * @returns {Schedule} The instance of Schedule that added.
  */
 Base.prototype.addSchedule = function(schedule, silent) {
-    this.schedules.add(schedule);
-    this._addToMatrix(schedule);
+    if (schedule.isRecurring()) {
+        this.recurringSchedules.add(schedule);
+    } else {
+        this.schedules.add(schedule);
+        this._addToMatrix(schedule);
+    }
 
     if (!silent) {
         /**
@@ -349,6 +823,8 @@ Base.prototype.findByDateRange = function(start, end) {
         ymd,
         viewModels;
 
+    this.expandRecurrences(start, end);
+
     util.forEachArray(range, function(date) {
         ymd = dformat(date, 'YYYYMMDD');
         matrix = ownMatrix[ymd];
@@ -367,6 +843,9 @@ Base.prototype.findByDateRange = function(start, end) {
 Base.prototype.clearSchedules = function() {
     this.dateMatrix = {};
     this.schedules.clear();
+    this.recurringSchedules.clear();
+    this._occurrences = {};
+    this._expandedRanges.clear();
     /**
      * for inner view when clear schedules
      * @event Base#clearSchedules
@@ -392,6 +871,215 @@ Base.prototype.setCalendars = function(calendars) {
     this.calendars = calendars;
 };
 
+/**
+ * Set holiday set list
+ * @param {Array.<HolidaySet>} holidays - holiday set list
+ */
+Base.prototype.setHolidays = function(holidays) {
+    this.holidays = holidays || [];
+    this._holidayCache = {};
+};
+
+/**
+ * Get the holidays of a holiday set. The result of the provider is cached by the date range.
+ * @param {HolidaySet} holidaySet - holiday set
+ * @param {number} index - index of the holiday set
+ * @param {TZDate} start - start date of the range
+ * @param {TZDate} end - end date of the range
+ * @returns {Array.<{date: (string|Date|TZDate), name: string}>} holidays
+ */
+Base.prototype._getHolidaysOfSet = function(holidaySet, index, start, end) {
+    var holidays = holidaySet.dates || [];
+    var key;
+
+    if (util.isFunction(holidaySet.provider)) {
+        key = [index, start.getTime(), end.getTime()].join(':');
+
+        if (!this._holidayCache[key]) {
+            this._holidayCache[key] = holidaySet.provider(new TZDate(start), new TZDate(end)) || [];
+        }
+
+        holidays = holidays.concat(this._holidayCache[key]);
+    }
+
+    return holidays;
+};
+
+/**
+ * Find the holidays in the date range
+ * @param {TZDate} start - start date of the range
+ * @param {TZDate} end - end date of the range
+ * @returns {object.<string, Array.<{name: string, holidaySetId: string, isNonWorking: boolean}>>}
+ *  holidays grouped by 'YYYYMMDD'
+ */
+Base.prototype.findHolidaysByDateRange = function(start, end) {
+    var startYmd = datetime.format(start, 'YYYYMMDD'),
+        endYmd = datetime.format(end, 'YYYYMMDD'),
+        result = {};
+
+    util.forEachArray(this.holidays, function(holidaySet, index) {
+        util.forEachArray(this._getHolidaysOfSet(holidaySet, index, start, end), function(holiday) {
+            var date = (util.isString(holiday.date) && datetime.parse(holiday.date)) || new TZDate(holiday.date),
+                ymd = datetime.format(date, 'YYYYMMDD');
+
+            if (ymd < startYmd || ymd > endYmd) {
+                return;
+            }
+
+            result[ymd] = result[ymd] || [];
+            result[ymd].push({
+                name: holiday.name,
+                holidaySetId: holidaySet.id,
+                isNonWorking: Boolean(holidaySet.isNonWorking)
+            });
+        });
+    }, this);
+
+    return result;
+};
+
+/**
+ * Check the schedule can overlap other schedules by the allowOverlap option of the calendar or global.
+ * @param {Schedule} schedule - schedule to check
+ * @returns {boolean} whether the overlap is allowed
+ */
+Base.prototype.isOverlapAllowed = function(schedule) {
+    var calendar = util.filter(this.calendars || [], function(item) {
+        return item.id === schedule.calendarId;
+    })[0];
+
+    if (calendar && util.isBoolean(calendar.allowOverlap)) {
+        return calendar.allowOverlap;
+    }
+
+    return this.allowOverlap;
+};
+
+/**
+ * Find the busy schedules colliding with supplied schedule.
+ * The schedules of 'Free' state and the schedule itself(same id and calendar id) are excluded.
+ * The occurrences of recurring schedules in the period are expanded to be checked.
+ * @param {(Schedule|object)} schedule - schedule instance or data to check
+ * @returns {Array.<Schedule>} colliding schedules sorted by the start
+ */
+Base.prototype.findConflicts = function(schedule) {
+    var target = schedule instanceof Schedule ? schedule : Schedule.create(schedule);
+
+    if (!isBusy(target)) {
+        return [];
+    }
+
+    this.expandRecurrences(target.getStarts(), target.getEnds());
+
+    return this.schedules.find(function(model) {
+        return isBusy(model) &&
+            model.isAllDay === target.isAllDay &&
+            !isSameSchedule(model, target) &&
+            model.collidesWith(target);
+    }).sort(array.compare.schedule.asc);
+};
+
+/**
+ * Select the schedules.
+ * @param {Array.<Schedule>} schedules - schedules to select
+ * @param {string} [mode='replace'] - 'replace' selects only the schedules, 'add' adds them to the selection
+ *  and 'toggle' reverses the selection of them.
+ * @returns {boolean} whether the selection is changed
+ */
+Base.prototype.selectSchedules = function(schedules, mode) {
+    var targets = {},
+        changed = false;
+
+    util.forEachArray(schedules || [], function(schedule) {
+        targets[util.stamp(schedule)] = true;
+    });
+
+    this.schedules.each(function(schedule) {
+        var isSelected = getSelectionState(schedule.isSelected, !!targets[util.stamp(schedule)], mode);
+
+        if (schedule.isSelected !== isSelected) {
+            schedule.isSelected = isSelected;
+            changed = true;
+        }
+    });
+
+    return changed;
+};
+
+/**
+ * Get the selected schedules.
+ * @returns {Array.<Schedule>} selected schedules. The all-day schedules come first and the others are sorted by the start.
+ */
+Base.prototype.getSelectedSchedules = function() {
+    return this.schedules.find(function(model) {
+        return model.isSelected;
+    }).sort(array.compare.schedule.asc);
+};
+
+/**
+ * Get the changes to move the other selected schedules together with the dragged schedule.
+ * @param {Schedule} schedule - the dragged schedule
+ * @param {number} offset - milliseconds to move
+ * @param {function} [filter] - filter of the selected schedules which can be moved
+ * @returns {Array.<{schedule: Schedule, changes: object}>} the changes of the other selected schedules
+ */
+Base.prototype.getSelectionMoveChanges = function(schedule, offset, filter) {
+    var others = util.filter(this.getSelectedSchedules(), function(model) {
+        return model !== schedule && !model.isReadOnly && (!filter || filter(model));
+    });
+
+    return util.map(others, function(model) {
+        return {
+            schedule: model,
+            changes: {
+                start: new TZDate(model.start).addMilliseconds(offset),
+                end: new TZDate(model.end).addMilliseconds(offset)
+            }
+        };
+    });
+};
+
+/**
+ * Get the selection state of the schedule by the mode.
+ * @param {boolean} isSelected - current state
+ * @param {boolean} isTarget - whether the schedule is one of the schedules to select
+ * @param {string} mode - 'replace', 'add' or 'toggle'
+ * @returns {boolean} new state
+ */
+function getSelectionState(isSelected, isTarget, mode) {
+    if (mode === 'toggle') {
+        return isTarget ? !isSelected : isSelected;
+    }
+
+    if (mode === 'add') {
+        return isSelected || isTarget;
+    }
+
+    return isTarget;
+}
+
+/**
+ * Check the schedule takes busy time. Milestones, tasks and 'Free' schedules don't.
+ * @param {Schedule} schedule - schedule to check
+ * @returns {boolean} busy or not
+ */
+function isBusy(schedule) {
+    var category = schedule.category;
+
+    return (category === 'time' || category === 'allday') &&
+        String(schedule.state).toLowerCase() !== 'free';
+}
+
+/**
+ * Check two schedules are the same by instance or id and calendar id.
+ * @param {Schedule} a - schedule
+ * @param {Schedule} b - other schedule
+ * @returns {boolean} same or not
+ */
+function isSameSchedule(a, b) {
+    return a === b || (!!a.id && a.id === b.id && a.calendarId === b.calendarId);
+}
+
 // mixin
 util.CustomEvents.mixin(Base);
 
@@ -189,6 +189,7 @@ var Month = {
         andFilters = andFilters || [];
         filter = Collection.and.apply(null, [filter].concat(andFilters));
 
+        this.expandRecurrences(start, end);
         coll = this.schedules.find(filter);
         vColl = ctrlCore.convertToViewModel(coll);
         ctrlMonth._addMultiDatesInfo(vColl);
@@ -205,6 +206,17 @@ var Month = {
         }
 
         return matrices;
+    },
+
+    /**
+     * Find the holidays in the date range for the view.
+     * @this Base
+     * @param {TZDate} start - start date of the range
+     * @param {TZDate} end - end date of the range
+     * @returns {object.<string, Array.<object>>} holidays grouped by 'YYYYMMDD'
+     */
+    findHolidaysByDateRange: function(start, end) {
+        return this.findHolidaysByDateRange(start, end);
     }
 };
 
@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Controller mixin for Timeline View
+ * @author NHN FE Development Lab <dl_javascript@nhn.com>
+ */
+'use strict';
+
+var util = require('tui-code-snippet');
+var array = require('../../common/array'),
+    common = require('../../common/common'),
+    Collection = require('../../common/collection');
+var mmax = Math.max;
+
+var Timeline = {
+    /**
+     * Stack the view models of a row into the lanes by the collision groups.
+     * The lane is the column of the matrix from Core#getMatrices.
+     * @param {Collection} viewModelColl - view model collection of a row
+     * @returns {number} count of the lanes
+     */
+    _stackLanes: function(viewModelColl) {
+        var ctrlCore = this.Core,
+            vList = viewModelColl.sort(array.compare.schedule.asc),
+            collisionGroup = ctrlCore.getCollisionGroup(vList),
+            matrices = ctrlCore.getMatrices(viewModelColl, collisionGroup),
+            laneCount = 0;
+
+        util.forEachArray(matrices, function(matrix) {
+            util.forEachArray(matrix, function(row) {
+                util.forEachArray(row, function(viewModel, lane) {
+                    if (viewModel) {
+                        viewModel.top = lane;
+                    }
+                });
+            });
+
+            laneCount = mmax(laneCount, matrix[0].length);
+        });
+
+        return laneCount;
+    },
+
+    /**
+     * Set the horizontal position of the view models by percent of the time axis.
+     * @param {TZDate} start - start of the time axis
+     * @param {TZDate} end - end of the time axis
+     * @param {Collection} viewModelColl - view model collection
+     */
+    _positionViewModels: function(start, end, viewModelColl) {
+        var total = end - start;
+
+        viewModelColl.each(function(viewModel) {
+            var starts = viewModel.getStarts(),
+                ends = viewModel.getEnds();
+
+            viewModel.left = common.ratio(total, 100, starts - start);
+            viewModel.width = common.ratio(total, 100, ends - starts);
+        });
+    },
+
+    /**
+     * Find schedules in the time axis and group them by the resources.
+     * When there is no resources, all schedules are in one row.
+     * @param {TZDate} start - start of the time axis
+     * @param {TZDate} end - end of the time axis
+     * @param {Array.<object>} [resources] - resources of the rows
+     * @param {function[]} [andFilters] - optional filters to applying search query
+     * @returns {Array.<{resource: object, laneCount: number, viewModels: Array.<ScheduleViewModel>}>} rows
+     */
+    findByDateRange: function(start, end, resources, andFilters) {
+        var ctrlCore = this.Core,
+            ctrlTimeline = this.Timeline,
+            filter = ctrlCore.getScheduleInDateRangeFilter(start, end),
+            vColl;
+
+        resources = resources && resources.length ? resources : [null];
+        andFilters = andFilters || [];
+        filter = Collection.and.apply(null, [filter].concat(andFilters));
+
+        this.expandRecurrences(start, end);
+        vColl = ctrlCore.convertToViewModel(this.schedules.find(filter));
+        ctrlCore.limitRenderRange(start, end, vColl);
+        ctrlTimeline._positionViewModels(start, end, vColl);
+
+        return util.map(resources, function(resource) {
+            var rowColl = resource ? vColl.find(function(viewModel) {
+                return String(viewModel.model.resourceId) === String(resource.id);
+            }) : vColl;
+
+            return {
+                resource: resource,
+                laneCount: ctrlTimeline._stackLanes(rowColl),
+                viewModels: rowColl.sort(array.compare.schedule.asc)
+            };
+        });
+    }
+};
+
+module.exports = Timeline;
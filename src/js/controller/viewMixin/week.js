@@ -9,8 +9,10 @@ var util = require('tui-code-snippet');
 
 var Collection = require('../../common/collection');
 var array = require('../../common/array');
+var common = require('../../common/common');
 var datetime = require('../../common/datetime');
 var TZDate = require('../../common/timezone').Date;
+var ScheduleViewModel = require('../../model/viewModel/scheduleViewModel');
 
 var SCHEDULE_MIN_DURATION = datetime.MILLISECONDS_SCHEDULE_MIN_DURATION;
 
@@ -164,13 +166,48 @@ var Week = {
      * @returns {object} view model for time part.
      */
     getViewModelForTimeView: function(start, end, time, hourStart, hourEnd) {
+        var ymdSplitted = this.splitScheduleByDateRange(start, end, time);
+
+        return this.Week._getViewModelForSplittedTimeView(ymdSplitted, hourStart, hourEnd);
+    },
+
+    /**
+     * create view model for time view part that has the columns of resources for each date.
+     * @this Base
+     * @param {Date} start - start date.
+     * @param {Date} end - end date.
+     * @param {Collection} time - view model collection.
+     * @param {object} options - week view options
+     * @param {number} options.hourStart - start hour to be shown
+     * @param {number} options.hourEnd - end hour to be shown
+     * @param {Array.<object>} options.resources - resources
+     * @returns {object} view model for time part. grouped by the keys of resource columns.
+     */
+    getViewModelForResourceTimeView: function(start, end, time, options) {
+        var ymdSplitted = this.splitScheduleByDateRange(start, end, time);
+
+        return this.Week._getViewModelForSplittedTimeView(
+            Week._splitByResources(ymdSplitted, options.resources),
+            options.hourStart,
+            options.hourEnd
+        );
+    },
+
+    /**
+     * create view model for each schedule collection of time view part
+     * @this Base
+     * @param {object.<string, Collection>} splitted - view model collections grouped by dates or columns
+     * @param {number} hourStart - start hour to be shown
+     * @param {number} hourEnd - end hour to be shown
+     * @returns {object} view model for time part.
+     */
+    _getViewModelForSplittedTimeView: function(splitted, hourStart, hourEnd) {
         var self = this,
-            ymdSplitted = this.splitScheduleByDateRange(start, end, time),
             result = {};
 
         var _getViewModel = Week._makeGetViewModelFuncForTimeView(hourStart, hourEnd);
 
-        util.forEach(ymdSplitted, function(collection, ymd) {
+        util.forEach(splitted, function(collection, key) {
             var viewModels = _getViewModel(collection);
             var collisionGroups, matrices;
 
@@ -178,12 +215,42 @@ var Week = {
             matrices = self.Core.getMatrices(collection, collisionGroups);
             self.Week.getCollides(matrices);
 
-            result[ymd] = matrices;
+            result[key] = matrices;
         });
 
         return result;
     },
 
+    /**
+     * Split schedule collections of each date by resources.
+     * @param {object.<string, Collection>} ymdSplitted - schedule collections grouped by dates
+     * @param {Array.<object>} resources - resources
+     * @returns {object.<string, Collection>} schedule collections grouped by the keys of resource columns
+     */
+    _splitByResources: function(ymdSplitted, resources) {
+        var result = {};
+
+        util.forEach(ymdSplitted, function(collection, ymd) {
+            util.forEachArray(resources, function(resource) {
+                result[Week.getResourceColumnKey(ymd, resource)] = collection.find(function(viewModel) {
+                    return isScheduleOfResource(viewModel.model, resource);
+                });
+            });
+        });
+
+        return result;
+    },
+
+    /**
+     * Get the key of the resource column in the date
+     * @param {string} ymd - date. YYYYMMDD format
+     * @param {object} resource - resource
+     * @returns {string} key
+     */
+    getResourceColumnKey: function(ymd, resource) {
+        return ymd + '-' + resource.id;
+    },
+
     /**
      * make view model function depending on start and end hour
      * if time view option has start or end hour condition
@@ -278,6 +345,54 @@ var Week = {
         return matrices;
     },
 
+    /**
+     * create view model for allday view part that has the columns of resources for each date.
+     * The schedule block is split by dates because the columns of a resource are not adjacent.
+     * @this Base
+     * @param {Date} start - start date.
+     * @param {Date} end - end date.
+     * @param {Collection} viewModelColl - allday schedule viewModel viewModels.
+     * @param {Array.<object>} resources - resources
+     * @returns {object} allday viewModel. left of the view models is the index of resource columns.
+     */
+    getViewModelForResourceAlldayView: function(start, end, viewModelColl, resources) {
+        var ctrlCore = this.Core,
+            ctrlWeek = this.Week,
+            result = [];
+
+        if (!viewModelColl || !viewModelColl.length) {
+            return result;
+        }
+
+        util.forEachArray(datetime.range(
+            datetime.start(start),
+            datetime.end(end),
+            datetime.MILLISECONDS_PER_DAY
+        ), function(date, dateIndex) {
+            var dateStart = datetime.start(date);
+            var dateEnd = datetime.end(date);
+            var isInDate = ctrlCore.getScheduleInDateRangeFilter(dateStart, dateEnd);
+
+            util.forEachArray(resources, function(resource, resourceIndex) {
+                var column = (dateIndex * resources.length) + resourceIndex;
+                var columnColl = common.createScheduleCollection();
+
+                viewModelColl.each(function(viewModel) {
+                    if (isScheduleOfResource(viewModel.model, resource) && isInDate(viewModel.model)) {
+                        columnColl.add(ScheduleViewModel.create(viewModel.model));
+                    }
+                });
+
+                util.forEachArray(ctrlWeek.getViewModelForAlldayView(dateStart, dateEnd, columnColl), function(matrix) {
+                    moveToColumn(matrix, column);
+                    result.push(matrix);
+                });
+            });
+        });
+
+        return result;
+    },
+
     /**********
      * READ
      **********/
@@ -290,6 +405,8 @@ var Week = {
      * @param {Array.<object>} panels - schedule panels like 'milestone', 'task', 'allday', 'time'
      * @param {function[]} [andFilters] - optional filters to applying search query
      * @param {Object} options - week view options
+     * @param {Array.<object>} [options.resources] - resources. each date is split into the columns of resources.
+     *  time schedules are grouped by the keys of resource columns({@link Base.Week.getResourceColumnKey})
      * @returns {object} schedules grouped by dates.
      */
     findByDateRange: function(start, end, panels, andFilters, options) {
@@ -299,12 +416,14 @@ var Week = {
             scheduleTypes = util.pluck(panels, 'name'),
             hourStart = util.pick(options, 'hourStart'),
             hourEnd = util.pick(options, 'hourEnd'),
+            resources = util.pick(options, 'resources') || [],
             modelColl,
             group;
 
         andFilters = andFilters || [];
         filter = Collection.and.apply(null, [filter].concat(andFilters));
 
+        this.expandRecurrences(start, end);
         modelColl = this.schedules.find(filter);
         modelColl = ctrlCore.convertToViewModel(modelColl);
 
@@ -312,15 +431,30 @@ var Week = {
         util.forEach(panels, function(panel) {
             var name = panel.name;
             if (panel.type === 'daygrid') {
-                group[name] = ctrlWeek.getViewModelForAlldayView(start, end, group[name]);
+                group[name] = resources.length ?
+                    ctrlWeek.getViewModelForResourceAlldayView(start, end, group[name], resources) :
+                    ctrlWeek.getViewModelForAlldayView(start, end, group[name]);
             } else if (panel.type === 'timegrid') {
-                group[name] = ctrlWeek.getViewModelForTimeView(start, end, group[name], hourStart, hourEnd);
+                group[name] = resources.length ?
+                    ctrlWeek.getViewModelForResourceTimeView(start, end, group[name], options) :
+                    ctrlWeek.getViewModelForTimeView(start, end, group[name], hourStart, hourEnd);
             }
         });
 
         return group;
     },
 
+    /**
+     * Find the holidays in the date range for the view.
+     * @this Base
+     * @param {TZDate} start - start date of the range
+     * @param {TZDate} end - end date of the range
+     * @returns {object.<string, Array.<object>>} holidays grouped by 'YYYYMMDD'
+     */
+    findHolidaysByDateRange: function(start, end) {
+        return this.findHolidaysByDateRange(start, end);
+    },
+
     /* eslint max-nested-callbacks: 0 */
     /**
      * Make exceed date information
@@ -383,4 +517,29 @@ var Week = {
     }
 };
 
+/**
+ * Whether the schedule is assigned to the resource
+ * @param {Schedule} model - schedule model
+ * @param {object} resource - resource
+ * @returns {boolean}
+ */
+function isScheduleOfResource(model, resource) {
+    return String(model.resourceId) === String(resource.id);
+}
+
+/**
+ * Move view models of the matrix to the column
+ * @param {Array.<Array.<ScheduleViewModel>>} matrix - matrix positioned in a date
+ * @param {number} column - column index
+ */
+function moveToColumn(matrix, column) {
+    util.forEachArray(matrix, function(row) {
+        util.forEachArray(row, function(viewModel) {
+            if (viewModel) {
+                viewModel.left += column;
+            }
+        });
+    });
+}
+
 module.exports = Week;
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Controller mixin for Year View
+ * @author NHN FE Development Lab <dl_javascript@nhn.com>
+ */
+'use strict';
+
+var datetime = require('../../common/datetime'),
+    Collection = require('../../common/collection'),
+    TZDate = require('../../common/timezone').Date;
+var mmax = Math.max,
+    mmin = Math.min;
+
+var Year = {
+    /**
+     * Get the count of schedules and the total busy duration of each date in the range.
+     * A schedule over several dates is counted in each date. An allday schedule is busy for the whole date.
+     * @param {TZDate} start - start date
+     * @param {TZDate} end - end date
+     * @param {function[]} [andFilters] - optional filters to applying search query
+     * @returns {object.<string, {count: number, duration: number}>} densities by YYYYMMDD. duration is milliseconds.
+     */
+    getDensity: function(start, end, andFilters) {
+        var filter = this.Core.getScheduleInDateRangeFilter(start, end),
+            result = {};
+
+        andFilters = andFilters || [];
+        filter = Collection.and.apply(null, [filter].concat(andFilters));
+
+        this.expandRecurrences(start, end);
+
+        this.schedules.find(filter).each(function(model) {
+            var starts = model.getStarts(),
+                ends = model.getEnds(),
+                last = mmin(ends, end),
+                cursor = datetime.start(new TZDate(mmax(starts, start))),
+                next, ymd, density;
+
+            do {
+                next = datetime.getStartOfNextDay(cursor);
+                ymd = datetime.format(cursor, 'YYYYMMDD');
+                density = result[ymd] = result[ymd] || {
+                    count: 0,
+                    duration: 0
+                };
+
+                density.count += 1;
+                density.duration += model.isAllDay ?
+                    datetime.MILLISECONDS_PER_DAY :
+                    mmin(next, ends) - mmax(cursor, starts);
+
+                cursor = next;
+            } while (cursor < last);
+        });
+
+        return result;
+    }
+};
+
+module.exports = Year;
@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Agenda view factory module
+ * @author NHN FE Development Lab <dl_javascript@nhn.com>
+ */
+'use strict';
+
+var util = require('tui-code-snippet');
+var config = require('../config'),
+    domutil = require('../common/domutil'),
+    common = require('../common/common'),
+    Agenda = require('../view/agenda/agenda'),
+    AgendaClick = require('../handler/agenda/click'),
+    ScheduleCreationPopup = require('../view/popup/scheduleCreationPopup'),
+    ScheduleDetailPopup = require('../view/popup/scheduleDetailPopup');
+
+/**
+ * @param {Base} baseController - controller instance
+ * @param {HTMLElement} layoutContainer - container element for agenda view
+ * @param {Drag} dragHandler - drag handler instance
+ * @param {object} options - options
+ * @returns {object} view instance and refresh method
+ */
+function createAgendaView(baseController, layoutContainer, dragHandler, options) {
+    var agendaViewContainer, agendaView, clickHandler;
+    var createView, detailView, onShowDetailPopup, onShowEditPopup, onDeleteSchedule, onEditSchedule;
+
+    agendaViewContainer = domutil.appendHTMLElement(
+        'div', layoutContainer, config.classname('agenda'));
+
+    agendaView = new Agenda(options, agendaViewContainer, baseController);
+
+    // handlers
+    clickHandler = new AgendaClick(dragHandler, agendaView, baseController);
+
+    // binding popup for schedule detail
+    // agenda view has no drag handlers, so the view fires the actions of the popups.
+    if (options.useDetailPopup) {
+        detailView = new ScheduleDetailPopup(layoutContainer, baseController.calendars, options.popupFields);
+        onShowDetailPopup = function(eventData) {
+            var scheduleId = eventData.schedule.calendarId;
+            eventData.calendar = common.find(baseController.calendars, function(calendar) {
+                return calendar.id === scheduleId;
+            });
+
+            if (options.isReadOnly) {
+                eventData.schedule = util.extend({}, eventData.schedule, {isReadOnly: true});
+            }
+
+            detailView.render(eventData);
+        };
+        onDeleteSchedule = function(eventData) {
+            agendaView.fire('beforeDeleteSchedule', eventData);
+        };
+        onEditSchedule = function(eventData) {
+            agendaView.fire('beforeUpdateSchedule', eventData);
+        };
+
+        clickHandler.on('clickSchedule', onShowDetailPopup);
+
+        detailView.on('beforeDeleteSchedule', onDeleteSchedule);
+
+        if (options.useCreationPopup) {
+            createView = new ScheduleCreationPopup(layoutContainer, baseController.calendars, options.usageStatistics,
+                options.popupFields, options.validateSchedule);
+            onShowEditPopup = function(eventData) {
+                createView.setCalendars(baseController.calendars);
+                createView.render(eventData);
+            };
+            createView.on('beforeUpdateSchedule', onEditSchedule);
+            detailView.on('beforeUpdateSchedule', onShowEditPopup);
+        } else {
+            detailView.on('beforeUpdateSchedule', onEditSchedule);
+        }
+    }
+
+    agendaView.handler = {
+        click: {
+            'default': clickHandler
+        }
+    };
+
+    agendaView._beforeDestroy = function() {
+        clickHandler.off();
+        clickHandler.destroy();
+
+        if (createView) {
+            createView.off('beforeUpdateSchedule', onEditSchedule);
+            createView.destroy();
+        }
+
+        if (detailView) {
+            detailView.off('beforeUpdateSchedule');
+            detailView.off('beforeDeleteSchedule', onDeleteSchedule);
+            detailView.destroy();
+        }
+    };
+
+    // add controller
+    agendaView.controller = baseController;
+
+    return {
+        view: agendaView,
+        refresh: function() {}
+    };
+}
+
+module.exports = createAgendaView;
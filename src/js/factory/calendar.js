@@ -12,25 +12,80 @@ var dw = require('../common/dw'),
     datetime = require('../common/datetime'),
     Layout = require('../view/layout'),
     Drag = require('../handler/drag'),
+    Keyboard = require('../handler/keyboard'),
+    Clipboard = require('../handler/clipboard'),
+    ExternalDrag = require('../handler/externalDrag'),
     controllerFactory = require('./controller'),
     weekViewFactory = require('./weekView'),
     monthViewFactory = require('./monthView'),
+    timelineViewFactory = require('./timelineView'),
+    agendaViewFactory = require('./agendaView'),
+    yearViewFactory = require('./yearView'),
+    ics = require('../common/ics'),
+    RecurrenceScopePopup = require('../view/popup/recurrenceScopePopup'),
+    History = require('../common/history'),
+    EventSource = require('../common/eventSource'),
+    validation = require('../common/validation'),
     TZDate = require('../common/timezone').Date,
     config = require('../config'),
     timezone = require('../common/timezone'),
+    domutil = require('../common/domutil'),
     reqAnimFrame = require('../common/reqAnimFrame');
 
 var mmin = Math.min;
+var SHAKE_DURATION = 400;
+var PENDING_ID_PREFIX = 'pending-';
+var pendingScheduleCount = 0;
+
+/**
+ * The living calendar instances. The schedules are dragged between the instances of the same dragGroup option.
+ * @type {Array.<Calendar>}
+ */
+var calendarInstances = [];
+
+/**
+ * Get the other calendar instances of the same dragGroup option.
+ * @param {Calendar} calendar - calendar instance
+ * @returns {Array.<Calendar>} calendar instances
+ */
+function getDragGroupPeers(calendar) {
+    var dragGroup = calendar._options.dragGroup;
+
+    if (!dragGroup) {
+        return [];
+    }
+
+    return util.filter(calendarInstances, function(peer) {
+        return peer !== calendar && peer._options.dragGroup === dragGroup;
+    });
+}
+
+/**
+ * Find the calendar instance of the same dragGroup under the pointer.
+ * @param {Calendar} calendar - calendar instance which the schedule is dragged from
+ * @param {MouseEvent} mouseEvent - mouse event object
+ * @returns {?Calendar} calendar instance to drop
+ */
+function findDropTarget(calendar, mouseEvent) {
+    var peers = util.filter(getDragGroupPeers(calendar), function(peer) {
+        return !ExternalDrag.isOutside(peer._layout.container, mouseEvent);
+    });
+
+    return peers[0] || null;
+}
 
 /**
  * Schedule information
  * @typedef {object} Schedule
  * @property {string} [id] - The unique schedule id depends on calendar id
  * @property {string} calendarId - The unique calendar id
+ * @property {string} [resourceId] - The id of the resource(e.g. room, person) which the schedule is assigned to. See {@link ResourceProps}
  * @property {string} [title] - The schedule title
  * @property {string} [body] - The schedule body text which is text/plain
  * @property {string|TZDate} [start] - The start time. It's 'string' for input. It's 'TZDate' for output like event handler.
  * @property {string|TZDate} [end] - The end time. It's 'string' for input. It's 'TZDate' for output like event handler.
+ * @property {string} [startTimezone] - The IANA timezone name of start(e.g. 'America/New_York'). The start string without UTC offset is the wall clock time of this timezone.
+ * @property {string} [endTimezone] - The IANA timezone name of end. Default is startTimezone.
  * @property {number} [goingDuration] - The travel time: Going duration minutes
  * @property {number} [comingDuration] - The travel time: Coming duration minutes
  * @property {boolean} [isAllDay] - The all day schedule
@@ -39,7 +94,14 @@ var mmin = Math.min;
  *                                   (any string value is ok and mandatory if category is 'task')
  * @property {string} [location] - The location
  * @property {Array.<string>} [attendees] - The attendees
- * @property {string} [recurrenceRule] - The recurrence rule
+ * @property {string} [recurrenceRule] - The recurrence rule. When it is a valid iCalendar RRULE(RFC 5545) like
+ *                                        'FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10', the schedule is expanded into occurrences.
+ *                                        EXDATE lines can be appended to exclude occurrences.
+ * @property {string} [masterId] - The id of the recurring schedule when the schedule is an occurrence of it
+ * @property {TZDate} [recurrenceId] - The original start of the occurrence when the schedule is an occurrence
+ * @property {Array.<object>} [alarms] - The alarms like VALARM of iCalendar.
+ *                                     Each alarm has action('DISPLAY', 'AUDIO', 'EMAIL'),
+ *                                     trigger(DURATION like '-PT15M' or DATE-TIME value) and description.
  * @property {boolean} [isPending] - The in progress flag to do something like network job(The schedule will be transparent.)
  * @property {boolean} [isFocused] - The focused schedule flag
  * @property {boolean} [isVisible] - The schedule visibility flag
@@ -74,6 +136,8 @@ var mmin = Math.min;
  * @property {function} [monthGridFooterExceed] - The month grid footer(exceed schedule count) template function
  * @property {function} [monthDayname] - The monthly dayname template function
  * @property {function} [weekDayname] - The weekly dayname template function
+ * @property {function} [weekResource] - The weekly/daily resource name template function. It is rendered under the dayname when there are resources.
+ * @property {function} [holidayLabel] - The holiday names template function. It is rendered in the weekly/daily dayname and the monthly grid header.
  * @property {function} [weekGridFooterExceed] - The week/day grid footer(exceed schedule count) template function
  * @property {function} [dayGridTitle] - The week/day grid title template function(e.g. milestone, task, allday)
  * @property {function} [schedule] - The week/day schedule template function(When the schedule category attribute is milestone, task, or all day)
@@ -83,6 +147,7 @@ var mmin = Math.min;
  * @property {function} [timegridDisplayPrimaryTime] - The display label template function of primary timezone in time grid
  * @property {function} [timegridDisplayTime] - The display time template function in time grid
  * @property {function} [timegridCurrentTime] - The current time template function in time grid
+ * @property {function} [timegridSlotLabel] - The label template function of the time slots except the first slot of an hour in time grid. It renders nothing by default.
  * @property {function} [popupIsAllDay] - The all day checkbox label text template function in the default creation popup
  * @property {function} [popupStateFree] - The free option template function in the state select box of the default creation popup
  * @property {function} [popupStateBusy] - The busy option template function in the state select box of the default creation popup
@@ -100,6 +165,12 @@ var mmin = Math.min;
  * @property {function} [popupDetailBody] - The schedule body text information's template function on the default detail popup
  * @property {function} [popupEdit] - The 'Edit' button text template function on the default detail popup
  * @property {function} [popupDelete] - The 'Delete' button text template function on the default detail popup
+ * @property {function} [popupRecurrenceScopeTitle] - The title template function on the popup choosing the scope to edit or delete recurring schedules
+ * @property {function} [popupRecurrenceScopeThis] - The 'This schedule' button text template function on the recurrence scope popup
+ * @property {function} [popupRecurrenceScopeFollowing] - The 'This and following schedules' button text template function on the recurrence scope popup
+ * @property {function} [popupRecurrenceScopeAll] - The 'All schedules' button text template function on the recurrence scope popup
+ * @property {function} [loading] - The template function shown over the calendar while the schedules are loading
+ *  by the events option or the dataSource option. It renders a spinner by default.
  * @example
  * var calendar = new tui.Calendar(document.getElementById('calendar'), {
  *     ...
@@ -164,6 +235,14 @@ var mmin = Math.min;
  *         weekDayname: function(model) {
  *             return '<span class="tui-full-calendar-dayname-date">' + model.date + '</span>&nbsp;&nbsp;<span class="tui-full-calendar-dayname-name">' + model.dayName + '</span>';
  *         },
+ *         weekResource: function(resource) {
+ *             return '<span class="tui-full-calendar-dayname-resource-name">' + resource.name + '</span>';
+ *         },
+ *         holidayLabel: function(holidays) {
+ *             return holidays.map(function(holiday) {
+ *                 return holiday.name;
+ *             }).join(', ');
+ *         },
  *         weekGridFooterExceed: function(hiddenSchedules) {
  *             return '+' + hiddenSchedules;
  *         },
@@ -321,6 +400,18 @@ var mmin = Math.min;
  *         },
  *         popupDelete: function() {
  *             return 'Delete';
+ *         },
+ *         popupRecurrenceScopeTitle: function(isDelete) {
+ *             return isDelete ? 'Delete recurring schedule' : 'Edit recurring schedule';
+ *         },
+ *         popupRecurrenceScopeThis: function() {
+ *             return 'This schedule';
+ *         },
+ *         popupRecurrenceScopeFollowing: function() {
+ *             return 'This and following schedules';
+ *         },
+ *         popupRecurrenceScopeAll: function() {
+ *             return 'All schedules';
  *         }
  *     }
  * }
@@ -337,6 +428,31 @@ var mmin = Math.min;
  * @property {boolean} [timezonesCollapsed=false] - An initial multiple timezones collapsed state
  * @property {number} [hourStart=0] - Can limit of render hour start.
  * @property {number} [hourEnd=24] - Can limit of render hour end.
+ * @property {Array.<BusinessHours>} [businessHours] - The business hours. The other time is shaded in the time grid.
+ * @property {(string|function)} [constraint] - The constraint of creating, moving and resizing schedules in the time grid.
+ *  'businessHours' allows the range in the business hours only.
+ *  The function is called with start, end {@link TZDate} and the schedule to move or resize. It returns false to refuse the range.
+ * @property {boolean} [snapToConstraint=false] - Snap the range into the business hours instead of refusing it.
+ * @property {number} [slotDuration=30] - The minutes of a time slot in the time grid. 5, 10, 15, 20, 30 or 60.
+ * @property {number} [snapDuration] - The minutes which creating, moving and resizing schedules snap to. The slotDuration is default.
+ */
+
+/**
+ * @typedef {object} BusinessHours
+ * @property {Array.<number>} [daysOfWeek=[1, 2, 3, 4, 5]] - The days of week. 0 is Sunday.
+ * @property {string} start - The start time of the business hours. 'HH:mm'
+ * @property {string} end - The end time of the business hours. 'HH:mm'
+ * @example
+ * var cal = new Calendar('#calendar', {
+ *   week: {
+ *     businessHours: [
+ *       {start: '09:00', end: '12:00'},
+ *       {start: '13:00', end: '18:00'},
+ *       {daysOfWeek: [6], start: '10:00', end: '14:00'}
+ *     ],
+ *     constraint: 'businessHours'
+ *   }
+ * });
  */
 
 /**
@@ -362,6 +478,46 @@ var mmin = Math.min;
  * @property {function} [scheduleFilter=null] - The filter schedules on month view. A parameter is {Schedule} object.
  */
 
+/**
+ * Option for the view of a custom range
+ * @typedef {object} ViewOption
+ * @property {string} type - The view type('week', 'month')
+ * @property {number} [dayCount] - The count of days in the 'week' type. e.g. 3 for 3 days view.
+ *                                 The range starts from the current date and prev/next moves by the count.
+ * @property {number} [weeks] - The count of weeks in the 'month' type. e.g. 2 for 2 weeks view. Up to 6.
+ */
+
+/**
+ * Options for timeline view. The resources are rows and the time is a horizontal axis.
+ * @typedef {object} TimelineOptions
+ * @property {string} [granularity='hour'] - The unit of the slots('hour', 'day', 'week').
+ *                                           The rendered range is a day, a month and 13 weeks for each unit.
+ * @property {number} [slotWidth=60] - The width(px) of a slot
+ * @property {number} [resourceWidth=120] - The width(px) of the resource column
+ * @property {number} [scheduleHeight=24] - The height(px) of a schedule
+ * @property {number} [scheduleGutter=2] - The gutter(px) between the stacked schedules
+ * @property {function} [scheduleFilter=null] - The filter schedules on timeline view. A parameter is {Schedule} object.
+ */
+
+/**
+ * Options for agenda view. The schedules are listed by day in chronological order.
+ * @typedef {object} AgendaOptions
+ * @property {number} [dayCount=7] - The count of days to list. prev/next moves by this count.
+ * @property {boolean} [showEmptyDays=false] - Show the days without schedules
+ * @property {Array.<string>} [daynames] - The day names in the day headers. Default values are ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+ * @property {function} [scheduleFilter=null] - The filter schedules on agenda view. A parameter is {Schedule} object.
+ */
+
+/**
+ * Options for year view. The dates of 12 mini months are shaded by the density of schedules.
+ * @typedef {object} YearOptions
+ * @property {number} [startDayOfWeek=0] - The start day of week
+ * @property {Array.<string>} [daynames] - The day names in mini months. Default values are ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+ * @property {string} [density='count'] - The value to shade the dates. 'count' is the count of schedules and 'duration' is the total busy duration.
+ * @property {string} [drillDownView='day'] - The view to change to when a date is clicked('day', 'week'). null doesn't change the view.
+ * @property {function} [scheduleFilter=null] - The filter schedules on year view. A parameter is {Schedule} object.
+ */
+
 /**
  * @typedef {object} CalendarColor
  * @property {string} [color] - The calendar color
@@ -372,6 +528,7 @@ var mmin = Math.min;
 
 /**
  * @typedef {object} Timezone
+ * @property {string} [timezoneName] - The IANA timezone name(e.g. 'Europe/Berlin'). The offset is resolved at each time by Intl.DateTimeFormat, so DST is applied. It takes precedence over timezoneOffset.
  * @property {number} [timezoneOffset] - The minutes for your timezone offset. If null, use the browser's timezone. Refer to Date.prototype.getTimezoneOffset()
  * @property {string} [displayLabel] -  The display label of your timezone at weekly/daily view(e.g. 'GMT+09:00')
  * @property {string} [tooltip] -  The tooltip(e.g. 'Seoul')
@@ -387,6 +544,16 @@ var mmin = Math.min;
  *      tooltip: 'Los Angeles'
  *  }]
  * });
+ * @example
+ * var cal = new Calendar('#calendar', {
+ *  timezones: [{
+ *      timezoneName: 'Europe/Berlin',
+ *      tooltip: 'Berlin'
+ *  }, {
+ *      timezoneName: 'America/New_York',
+ *      tooltip: 'New York'
+ *  }]
+ * });
  */
 
 /**
@@ -397,6 +564,7 @@ var mmin = Math.min;
  * @property {string} bgColor - The background color schedule is displayed
  * @property {string} borderColor - The color of left border or bullet point when schedule is displayed
  * @property {string} dragBgColor - The background color when schedule dragging
+ * @property {boolean} [allowOverlap] - Whether the schedules of the calendar can overlap the busy schedules. It overrides allowOverlap option.
  * @example
  * var cal = new Calendar('#calendar', {
  *   ...
@@ -421,18 +589,144 @@ var mmin = Math.min;
  * });
  */
 
+/**
+ * @typedef {object} ResourceProps
+ * @property {string|number} id - The resource id. The schedules are rendered in the columns of the resource by resourceId.
+ * @property {string} name - The resource name
+ * @property {string} [avatar] - The image URL of the resource. It is rendered by the default weekResource template.
+ * @example
+ * var cal = new Calendar('#calendar', {
+ *   defaultView: 'day',
+ *   resources: [
+ *     {id: 'room-1', name: 'Room 1', avatar: '/images/room-1.png'},
+ *     {id: 'kim', name: 'Technician Kim'}
+ *   ],
+ *   template: {
+ *     weekResource: function(resource) {
+ *       return '<strong>' + resource.name + '</strong>';
+ *     }
+ *   }
+ * });
+ */
+
+/**
+ * @typedef {object} HolidaySet
+ * @property {string} id - The holiday set id
+ * @property {Array.<{date: (string|Date), name: string}>} [dates] - The static holiday list. The date string is 'YYYY-MM-DD'.
+ * @property {function} [provider] - The function called with the start and end {@link TZDate} of the visible range.
+ *  It returns the holiday list like dates. The result is cached by the range until the holidays are set again.
+ * @property {boolean} [isNonWorking=false] - The holidays of the set are non-working days. See nonWorkingDayCreation option.
+ * @example
+ * var cal = new Calendar('#calendar', {
+ *   holidays: [{
+ *     id: 'national',
+ *     isNonWorking: true,
+ *     dates: [
+ *       {date: '2019-12-25', name: 'Christmas Day'}
+ *     ]
+ *   }, {
+ *     id: 'company',
+ *     provider: function(start, end) {
+ *       return getCompanyEvents(start.toDate(), end.toDate()); // [{date: '2019-12-20', name: 'Founding Day'}]
+ *     }
+ *   }],
+ *   nonWorkingDayCreation: 'warn'
+ * });
+ */
+
+/**
+ * @typedef {object} EventSourceOptions
+ * @property {string} id - The event source id. The schedules of the source have it as the calendar id.
+ * @property {string} [name] - The event source name
+ * @property {Array.<Schedule>} [schedules] - The static {@link Schedule} data list
+ * @property {function} [events] - The feed function called with the start and end {@link TZDate} of the ranges
+ *  which are not fetched yet. It returns the {@link Schedule} data list or a promise of it.
+ * @property {string} [url] - The url of the iCalendar(.ics) text. It's fetched by the fetchICS option.
+ * @property {boolean} [isVisible=true] - Whether the schedules of the source are visible
+ * @property {string} [color] - The schedule text color
+ * @property {string} [bgColor] - The schedule background color
+ * @property {string} [borderColor] - The schedule left border color
+ * @property {string} [dragBgColor] - The background color displayed when you drag a schedule
+ * @example
+ * var cal = new Calendar('#calendar', {
+ *   eventSources: [{
+ *     id: 'team',
+ *     name: 'Team',
+ *     bgColor: '#9e5fff',
+ *     events: function(start, end) {
+ *       return api.get('/team/schedules', {start: start.toDate(), end: end.toDate()});
+ *     }
+ *   }, {
+ *     id: 'holidays',
+ *     name: 'Holidays',
+ *     bgColor: '#ff5583',
+ *     url: '/ics-proxy?url=' + encodeURIComponent('https://example.com/holidays.ics')
+ *   }]
+ * });
+ */
+
+/**
+ * @typedef {object} HistoryOptions
+ * @property {number} [size=50] - The max count of the steps to undo. 0 disables the history.
+ * @property {boolean} [groupDrag=true] - Record the schedules changed in a beforeUpdateSchedule handler of a drag as one step.
+ * @property {boolean} [undoByEvent=false] - Fire beforeUpdateSchedule with the history property instead of updating the schedule
+ *  when undoing or redoing an update. Call {@link Calendar#updateSchedule} in the handler to apply it.
+ * @example
+ * var cal = new Calendar('#calendar', {
+ *   history: {
+ *     size: 20,
+ *     undoByEvent: true
+ *   }
+ * });
+ *
+ * cal.on('beforeUpdateSchedule', function(event) {
+ *   saveSchedule(event.schedule, event.changes); // event.history is 'undo' or 'redo' when it's fired by the history
+ *   cal.updateSchedule(event.schedule.id, event.schedule.calendarId, event.changes);
+ * });
+ */
+
 /**
  * @typedef {object} Options - Calendar option object
- * @property {string} [defaultView='week'] - Default view of calendar. The default value is 'week'.
+ * @property {string|ViewOption} [defaultView='week'] - Default view of calendar. The default value is 'week'.
+ *                                                     {@link ViewOption} renders a custom range like 3 days or 2 weeks.
  * @property {boolean|Array.<string>} [taskView=true] - Show the milestone and task in weekly, daily view. The default value is true. If the value is array, it can be &#91;'milestone', 'task'&#93;.
  * @property {boolean|Array.<string>} [scheduleView=true] - Show the all day and time grid in weekly, daily view. The default value is false. If the value is array, it can be &#91;'allday', 'time'&#93;.
  * @property {themeConfig} [theme=themeConfig] - {@link themeConfig} for custom style.
  * @property {Template} [template={}] - {@link Template} for further information
  * @property {WeekOptions} [week={}] - {@link WeekOptions} for week view
  * @property {MonthOptions} [month={}] - {@link MonthOptions} for month view
+ * @property {TimelineOptions} [timeline={}] - {@link TimelineOptions} for timeline view
+ * @property {AgendaOptions} [agenda={}] - {@link AgendaOptions} for agenda view
+ * @property {YearOptions} [year={}] - {@link YearOptions} for year view
  * @property {Array.<CalendarProps>} [calendars=[]] - {@link CalendarProps} List that can be used to add new schedule. The default value is [].
+ * @property {Array.<ResourceProps>} [resources=[]] - {@link ResourceProps} List. When it is not empty, weekly and daily view render a column of each resource for each date. The default value is [].
+ * @property {Array.<HolidaySet>} [holidays=[]] - {@link HolidaySet} List. The holiday names are rendered in the dayname and the monthly grid header. The default value is [].
+ * @property {string} [nonWorkingDayCreation='allow'] - How to create a schedule on the non-working holidays. 'allow', 'warn' or 'block'.
+ *  'warn' adds the nonWorkingHolidays property to the beforeCreateSchedule event and 'block' doesn't fire the event. The default value is 'allow'.
+ * @property {boolean} [allowOverlap=true] - Whether a schedule can be moved or resized into the time of the busy schedules. The default value is true.
+ * @property {string} [dragGroup] - The schedules can be dragged between the calendars of the same dragGroup.
+ *  The drop fires 'beforeDeleteSchedule' on the source calendar and 'beforeCreateSchedule' on the target calendar.
+ *  The move is one step of the history of the source calendar, and the copy is deleted when the source rejects the deletion.
+ * @property {HistoryOptions} [history] - {@link HistoryOptions} for undo and redo
  * @property {boolean} [useCreationPopup=false] - Whether use default creation popup or not. The default value is false.
  * @property {boolean} [useDetailPopup=false] - Whether use default detail popup or not. The default value is false.
+ * @property {Array.<PopupField>} [popupFields=[]] - {@link PopupField} List. The custom fields added to the default creation popup
+ *  and shown read-only in the default detail popup. The default value is [].
+ * @property {DataSource} [dataSource] - {@link DataSource} to load and save the schedules.
+ *  The calendar applies the changes of the popups and the drags in advance and rolls them back when the saving fails.
+ * @property {function} [events] - The feed function called with the start and end {@link TZDate} whenever the visible range
+ *  is changed. It returns the {@link Schedule} data list or a promise of it. The fetched ranges are cached and only the gaps
+ *  are requested. See {@link Calendar#event:loading}
+ * @property {number} [eventCacheDays=365] - The max total days of the ranges cached for each feed function.
+ *  The least recently used ranges over it are evicted with their schedules. 0 doesn't evict anything.
+ * @property {Array.<EventSourceOptions>} [eventSources=[]] - {@link EventSourceOptions} List. The named sources which
+ *  provide the schedules of their own calendars. See {@link Calendar#addEventSource}
+ * @property {function} [fetchICS] - The function called with the url of an event source to fetch the iCalendar text.
+ *  It returns the text or a promise of it. The default is a GET request by XMLHttpRequest.
+ * @property {function} [validateSchedule] - The function to validate a schedule before 'beforeCreateSchedule' and
+ *  'beforeUpdateSchedule' of the popups and the drags. The parameters are the schedule data and the {@link ValidationContext}.
+ *  It returns true, nothing or an empty message when it's valid. false, an error message or the error messages by the field name reject it.
+ *  A promise of the result is waited. A thrown error rejects it with the message.
  * @property {Array.<Timezone>} [timezones] - {@link Timezone} array.
  *  The first Timezone element is primary and can override Calendar#setTimezoneOffset function
  *  The rest timezone elements are shown in left timegrid of weekly/daily view
@@ -442,6 +736,110 @@ var mmin = Math.min;
  * @property {boolean} [usageStatistics=true] - Let us know the hostname. If you don't want to send the hostname, please set to false.
  */
 
+/**
+ * The adapter to load and save the schedules. The functions return a promise or a value.
+ * Return false in the handlers of 'beforeCreateSchedule', 'beforeUpdateSchedule' or 'beforeDeleteSchedule'
+ * to save the schedule by yourself. The occurrences of the recurring schedules are not saved by the adapter.
+ * @typedef {object} DataSource
+ * @property {function} [load] - The function called with the {start, end} {@link TZDate} of the visible range
+ *  whenever it's changed by {@link Calendar#setDate}, {@link Calendar#next}, {@link Calendar#prev} or {@link Calendar#changeView}.
+ *  It resolves the {@link Schedule} data list. The schedules already added are skipped.
+ * @property {function} [create] - The function called with the schedule data created by the default creation popup,
+ *  the paste, the duplicate or the drop. It resolves the created schedule data like the id.
+ *  The schedule is pending until it's resolved.
+ * @property {function} [update] - The function called with the {@link Schedule} and the changes.
+ *  It can resolve the changed values by the server. The schedule is pending until it's resolved.
+ * @property {function} [remove] - The function called with the deleted {@link Schedule}
+ * @example
+ * var calendar = new Calendar('#calendar', {
+ *     useCreationPopup: true,
+ *     dataSource: {
+ *         load: function(range) {
+ *             return api.get('/schedules', {start: range.start.toDate(), end: range.end.toDate()});
+ *         },
+ *         create: function(scheduleData) {
+ *             return api.post('/schedules', scheduleData); // resolves {id: '...'}
+ *         },
+ *         update: function(schedule, changes) {
+ *             return api.patch('/schedules/' + schedule.id, changes);
+ *         },
+ *         remove: function(schedule) {
+ *             return api.delete('/schedules/' + schedule.id);
+ *         }
+ *     }
+ * });
+ *
+ * calendar.on('dataSourceError', function(event) {
+ *     alert('Failed to ' + event.action + ' the schedule.');
+ * });
+ */
+
+/**
+ * The context of the validateSchedule option
+ * @typedef {object} ValidationContext
+ * @property {string} action - 'create' or 'update'
+ * @property {string} triggerEventName - The event name like 'click', 'dblclick', 'drag', 'paste', 'duplicate' or 'drop'.
+ *  'click' when it's saved by the default creation popup
+ * @property {object} [changes] - The changes of the schedule to update
+ * @example
+ * var calendar = new Calendar('#calendar', {
+ *     useCreationPopup: true,
+ *     validateSchedule: function(schedule, context) {
+ *         if (schedule.calendarId === 'holiday' && context.action === 'create') {
+ *             return 'The holiday calendar is read-only.';
+ *         }
+ *
+ *         return fetch('/rooms/' + schedule.raw.room + '/check?start=' + schedule.start.toDate().toISOString())
+ *             .then(function(response) {
+ *                 return response.ok ? true : {room: 'The room is already booked.'};
+ *             });
+ *     }
+ * });
+ *
+ * calendar.on('scheduleRejected', function(event) {
+ *     showToast(event.message);
+ * });
+ */
+
+/**
+ * Custom field of the default creation popup
+ * @typedef {object} PopupField
+ * @property {string} name - The field name. The value is stored into the raw property of the schedule by this name.
+ * @property {string} [type='text'] - The input type('text', 'textarea', 'select', 'multiselect', 'checkbox', 'color', 'attendees')
+ * @property {string} [label] - The label of the field. The default value is the name.
+ * @property {string} [placeholder] - The placeholder of the text input
+ * @property {Array.<{value: string, label: string}>} [options] - The options of 'select' and 'multiselect'.
+ *  'attendees' picks the people of the options. Without the options, it's a text input of the comma separated names.
+ * @property {boolean} [required=false] - Whether the field can't be empty. The unchecked checkbox is empty.
+ * @property {function} [validate] - The function which returns the error message of the invalid value.
+ *  The parameters are the value and the values of all fields.
+ * @property {string} [property] - The {@link Schedule} property to store the value instead of the raw property. e.g. 'attendees', 'body'
+ * @property {*} [defaultValue] - The value of a new schedule
+ * @example
+ * var calendar = new Calendar('#calendar', {
+ *     useCreationPopup: true,
+ *     useDetailPopup: true,
+ *     popupFields: [{
+ *         name: 'room',
+ *         type: 'select',
+ *         label: 'Room',
+ *         required: true,
+ *         options: [{value: 'A', label: 'Room A'}, {value: 'B', label: 'Room B'}]
+ *     }, {
+ *         name: 'attendees',
+ *         type: 'attendees',
+ *         label: 'Attendees',
+ *         property: 'attendees'
+ *     }, {
+ *         name: 'phone',
+ *         label: 'Phone',
+ *         validate: function(value) {
+ *             return /^[0-9-]*$/.test(value) ? '' : 'Only numbers are allowed.';
+ *         }
+ *     }]
+ * });
+ */
+
 /**
  * {@link https://nhn.github.io/tui.code-snippet/latest/tui.util.CustomEvents.html CustomEvents} document at {@link https://github.com/nhn/tui.code-snippet tui-code-snippet}
  * @typedef {class} CustomEvents
@@ -570,12 +968,96 @@ function Calendar(container, options) {
     this._dragHandler = new Drag({distance: 10}, this._layout.container);
 
     /**
-     * current rendered view name. ('day', 'week', 'month')
+     * global keyboard handler
+     * @type {Keyboard}
+     * @private
+     */
+    this._keyboardHandler = new Keyboard(this._layout.container, this._controller);
+
+    /**
+     * global clipboard handler
+     * @type {Clipboard}
+     * @private
+     */
+    this._clipboardHandler = new Clipboard(this._layout.container, this._controller);
+
+    /**
+     * copies of the schedules copied or cut by the clipboard handler
+     * @type {Array.<Schedule>}
+     * @private
+     */
+    this._clipboard = [];
+
+    /**
+     * drag handlers of the elements registered by {@link Calendar#registerExternalDraggable}
+     * @type {Array.<ExternalDrag>}
+     * @private
+     */
+    this._externalDrags = [];
+
+    /**
+     * schedule dragged by the move handlers while the dragGroup option is set
+     * @type {Schedule}
+     * @private
+     */
+    this._draggedSchedule = null;
+
+    /**
+     * key of the range loaded by the dataSource option
+     * @type {string}
+     * @private
+     */
+    this._loadedRangeKey = null;
+
+    /**
+     * sources of the events option and the eventSources option
+     * @type {Array.<EventSource>}
+     * @private
+     */
+    this._eventSources = [];
+
+    /**
+     * count of the requests which are loading the schedules
+     * @type {number}
+     * @private
+     */
+    this._loadingCount = 0;
+
+    /**
+     * element of the loading template
+     * @type {HTMLElement}
+     * @private
+     */
+    this._loadingElement = null;
+
+    /**
+     * popup for choosing the scope to edit or delete recurring schedules
+     * @type {RecurrenceScopePopup}
+     * @private
+     */
+    this._recurrenceScopePopup = new RecurrenceScopePopup(this._layout.container);
+
+    /**
+     * undo/redo history of the schedule operations
+     * @type {History}
+     * @private
+     */
+    this._history = new History(util.pick(options, 'history', 'size'));
+
+    /**
+     * current rendered view name. ('day', 'week', 'month', 'year', 'timeline', 'agenda')
      * @type {string}
      * @default 'week'
      * @private
      */
-    this._viewName = options.defaultView || 'week';
+    this._viewName = util.pick(options.defaultView, 'type') || options.defaultView || 'week';
+
+    /**
+     * {@link ViewOption} of the current view when it renders a custom range.
+     * @type {ViewOption}
+     * @private
+     */
+    this._viewOption = null;
 
     /**
      * Refresh method. it can be ref different functions for each view modes.
@@ -627,13 +1109,31 @@ function Calendar(container, options) {
     this._options = {};
 
     this._initialize(options);
+
+    calendarInstances.push(this);
 }
 
 /**
  * destroy calendar instance.
  */
 Calendar.prototype.destroy = function() {
+    var self = this;
+
+    calendarInstances = util.filter(calendarInstances, function(calendar) {
+        return calendar !== self;
+    });
+
     this._dragHandler.destroy();
+    this._keyboardHandler.off();
+    this._keyboardHandler.destroy();
+    this._clipboardHandler.off();
+    this._clipboardHandler.destroy();
+    util.forEachArray(this._externalDrags, function(externalDrag) {
+        externalDrag.off();
+        externalDrag.destroy();
+    });
+    this._recurrenceScopePopup.off();
+    this._recurrenceScopePopup.destroy();
     this._controller.off();
     this._layout.clear();
     this._layout.destroy();
@@ -645,8 +1145,10 @@ Calendar.prototype.destroy = function() {
     });
 
     this._options = this._renderDate = this._controller =
-        this._layout = this._dragHandler = this._viewName =
-        this._refreshMethod = this._scrollToNowMethod = null;
+        this._layout = this._dragHandler = this._keyboardHandler = this._clipboardHandler = this._viewName =
+        this._refreshMethod = this._scrollToNowMethod = this._recurrenceScopePopup = this._history =
+        this._clipboard = this._externalDrags = this._draggedSchedule = this._eventSources =
+        this._loadingElement = null;
 };
 
 /**
@@ -684,7 +1186,21 @@ Calendar.prototype._initialize = function(options) {
             },
             util.pick(options, 'month') || {}
         ),
+        timeline: {},
+        agenda: {},
+        year: {},
         calendars: [],
+        resources: [],
+        holidays: [],
+        eventSources: [],
+        nonWorkingDayCreation: 'allow',
+        allowOverlap: true,
+        history: {
+            size: 50,
+            groupDrag: true,
+            undoByEvent: false
+        },
+        dataSource: {},
         useCreationPopup: false,
         useDetailPopup: false,
         timezones: options.timezones || [],
@@ -699,9 +1215,20 @@ Calendar.prototype._initialize = function(options) {
 
     this._layout.controller = controller;
 
+    this._keyboardHandler.on({
+        clickSchedule: this._onKeyboardClick,
+        beforeDeleteSchedule: this._onKeyboardDelete
+    }, this);
+
+    this._clipboardHandler.on({
+        copySchedule: this._onCopySchedule,
+        cutSchedule: this._onCutSchedule,
+        pasteSchedule: this._onPasteSchedule
+    }, this);
+
     this._setAdditionalInternalOptions(options);
 
-    this.changeView(viewName, true);
+    this.changeView(this._options.defaultView, true);
 };
 
 /**
@@ -709,6 +1236,9 @@ Calendar.prototype._initialize = function(options) {
  * 1. Register to the template handlebar
  * 2. Update the calendar list and set the color of the calendar.
  * 3. Change the primary timezone offset of the timezones.
+ * 4. Update the holiday sets and the allowOverlap option of the controller.
+ * 5. Update the size of the history.
+ * 6. Set the event sources of the events and eventSources options.
  * @param {Options} options - calendar options
  * @private
  */
@@ -726,7 +1256,63 @@ Calendar.prototype._setAdditionalInternalOptions = function(options) {
     }, this);
 
     if (timezones.length) {
-        timezone.setOffsetByTimezoneOption(timezones[0].timezoneOffset);
+        timezone.setPrimaryTimezoneByOption(timezones[0]);
+    }
+
+    this._setControllerOptions(options);
+
+    if (options.history && !util.isUndefined(options.history.size)) {
+        this._history.setSize(options.history.size);
+    }
+
+    this._setEventOptions(options);
+};
+
+/**
+ * Set the event sources when the events or eventSources option is set. The schedules of the replaced sources are removed.
+ * The cached ranges of all sources are cleared when the eventCacheDays option is set.
+ * @param {Options} options - calendar options
+ * @private
+ */
+Calendar.prototype._setEventOptions = function(options) {
+    var maxDays = this._options.eventCacheDays;
+
+    if (!util.isUndefined(options.events)) {
+        this._removeEventSources(function(source) {
+            return source.id === null;
+        });
+
+        if (options.events) {
+            this._eventSources.unshift(new EventSource({events: options.events}, maxDays));
+        }
+    }
+
+    if (options.eventSources) {
+        this._removeEventSources(function(source) {
+            return source.id !== null;
+        });
+        util.forEachArray(options.eventSources, this._addEventSource, this);
+    }
+
+    if (!util.isUndefined(options.eventCacheDays)) {
+        util.forEachArray(this._eventSources, function(source) {
+            this._deleteSourceSchedules(source.reset(maxDays));
+        }, this);
+    }
+};
+
+/**
+ * Set the options of the controller
+ * @param {Options} options - calendar options
+ * @private
+ */
+Calendar.prototype._setControllerOptions = function(options) {
+    if (options.holidays) {
+        this._controller.setHolidays(options.holidays);
+    }
+
+    if (util.isBoolean(options.allowOverlap)) {
+        this._controller.allowOverlap = options.allowOverlap;
     }
 };
 
@@ -761,11 +1347,24 @@ Calendar.prototype._setAdditionalInternalOptions = function(options) {
  * ]);
  */
 Calendar.prototype.createSchedules = function(schedules, silent) {
+    var created = [];
+
     util.forEach(schedules, function(obj) {
         this._setScheduleColor(obj.calendarId, obj);
     }, this);
 
-    this._controller.createSchedules(schedules, silent);
+    util.forEach(this._controller.createSchedules(schedules, silent), function(schedule) {
+        if (schedule) {
+            created.push(getHistoryData(schedule));
+        }
+    });
+
+    if (created.length) {
+        this._history.push({
+            type: 'create',
+            schedules: created
+        });
+    }
 
     if (!silent) {
         this.render();
@@ -782,58 +1381,351 @@ Calendar.prototype.createSchedules = function(schedules, silent) {
  * console.log(schedule.title);
  */
 Calendar.prototype.getSchedule = function(scheduleId, calendarId) {
-    return this._controller.schedules.single(function(model) {
+    var ctrl = this._controller;
+    var filter = function(model) {
         return model.id === scheduleId && model.calendarId === calendarId;
-    });
+    };
+
+    return ctrl.schedules.single(filter) || ctrl.recurringSchedules.single(filter);
 };
 
 /**
- * Update the schedule
- * @param {string} scheduleId - ID of the original schedule to update
- * @param {string} calendarId - The calendarId of the original schedule to update
- * @param {object} changes - The {@link Schedule} properties and values with changes to update
- * @param {boolean} [silent=false] - No auto render after creation when set true
+ * Undo the last step of creating, updating and deleting schedules by {@link Calendar#createSchedules},
+ * {@link Calendar#updateSchedule}, {@link Calendar#deleteSchedule}, {@link Calendar#updateRecurringSchedule}
+ * and {@link Calendar#deleteRecurringSchedule}.
+ * An update is undone by firing beforeUpdateSchedule when the undoByEvent of {@link HistoryOptions} is true.
  * @example
- * calendar.updateSchedule(schedule.id, schedule.calendarId, {
- *     title: 'Changed schedule',
- *     start: new Date('2019-11-05T09:00:00'),
- *     end: new Date('2019-11-05T10:00:00'),
- *     category: 'time'
+ * document.getElementById('undo').addEventListener('click', function() {
+ *     if (calendar.canUndo()) {
+ *         calendar.undo();
+ *     }
  * });
  */
-Calendar.prototype.updateSchedule = function(scheduleId, calendarId, changes, silent) {
-    var ctrl = this._controller,
-        ownSchedules = ctrl.schedules,
-        schedule = ownSchedules.single(function(model) {
-            return model.id === scheduleId && model.calendarId === calendarId;
-        });
-    var hasChangedCalendar = false;
-
-    if (!changes || !schedule) {
-        return;
-    }
+Calendar.prototype.undo = function() {
+    this._applyHistoryStep(this._history.undo(), 'undo');
+};
 
-    hasChangedCalendar = this._hasChangedCalendar(schedule, changes);
-    changes = hasChangedCalendar ?
-        this._setScheduleColor(changes.calendarId, changes) :
-        changes;
+/**
+ * Redo the last undone step.
+ */
+Calendar.prototype.redo = function() {
+    this._applyHistoryStep(this._history.redo(), 'redo');
+};
 
-    ctrl.updateSchedule(schedule, changes);
+/**
+ * @returns {boolean} whether there is a step to undo
+ */
+Calendar.prototype.canUndo = function() {
+    return this._history.canUndo();
+};
 
-    if (!silent) {
-        this.render();
-    }
+/**
+ * @returns {boolean} whether there is a step to redo
+ */
+Calendar.prototype.canRedo = function() {
+    return this._history.canRedo();
 };
 
-Calendar.prototype._hasChangedCalendar = function(schedule, changes) {
-    return schedule &&
-        changes.calendarId &&
-        schedule.calendarId !== changes.calendarId;
+/**
+ * Remove all steps of the history. Call it after loading the schedules not to undo the loading.
+ * @example
+ * calendar.createSchedules(schedulesFromServer);
+ * calendar.clearHistory();
+ */
+Calendar.prototype.clearHistory = function() {
+    this._history.clear();
 };
 
-Calendar.prototype._setScheduleColor = function(calendarId, schedule) {
-    var calColor = this._calendarColor;
-    var color = calColor[calendarId];
+/**
+ * Revert or replay the operations of the history step without recording them.
+ * The operations are saved by the dataSource option and the failed ones are rolled back.
+ * @param {?Array.<object>} step - operations of the step
+ * @param {string} action - 'undo' reverts the operations in reverse order and 'redo' replays them
+ * @private
+ */
+Calendar.prototype._applyHistoryStep = function(step, action) {
+    if (!step) {
+        return;
+    }
+
+    this._applyHistoryOperations(step, action, util.bind(this._history.cancel, this._history, step, action));
+};
+
+/**
+ * Revert or replay the history operations without recording them and render.
+ * The drop operation reverts or replays the operations of the calendar which the schedule is dropped onto.
+ * @param {Array.<object>} operations - operations to apply
+ * @param {string} action - 'undo' reverts the operations in reverse order and 'redo' replays them
+ * @param {function} onRollback - The function called when the saving fails
+ * @private
+ */
+Calendar.prototype._applyHistoryOperations = function(operations, action, onRollback) {
+    var isUndo = action === 'undo';
+
+    this._history.ignore(function() {
+        util.forEachArray(isUndo ? operations.slice().reverse() : operations, function(operation) {
+            if (operation.type === 'drop') {
+                if (operation.calendar._options) {
+                    operation.calendar._applyHistoryOperations(operation.operations, action, onRollback);
+                }
+            } else if (operation.type === 'series') {
+                this._applyHistorySeries(operation, action, onRollback);
+            } else if (operation.type === 'update') {
+                this._applyHistoryUpdate(operation, action, onRollback);
+            } else if ((operation.type === 'create') === isUndo) {
+                util.forEachArray(operation.schedules, function(data) {
+                    this._applyHistoryDeletion(data, onRollback);
+                }, this);
+            } else {
+                util.forEachArray(operation.schedules, function(data) {
+                    this._applyHistoryCreation(data, onRollback);
+                }, this);
+            }
+        }, this);
+    }, this);
+
+    this.render();
+};
+
+/**
+ * Revert or replay the update operation of the history.
+ * @fires Calendar#beforeUpdateSchedule
+ * @param {object} operation - update operation
+ * @param {string} action - 'undo' or 'redo'
+ * @param {function} onRollback - The function called when the saving fails
+ * @private
+ */
+Calendar.prototype._applyHistoryUpdate = function(operation, action, onRollback) {
+    var calendarId = operation[action].calendarId,
+        changes = util.extend({}, operation[action].changes),
+        schedule = this.getSchedule(operation.id, calendarId);
+    var updateScheduleData;
+
+    if (!schedule) {
+        return;
+    }
+
+    updateScheduleData = {
+        schedule: schedule,
+        changes: changes,
+        start: changes.start || schedule.start,
+        end: changes.end || schedule.end,
+        history: action
+    };
+
+    if (util.pick(this._options, 'history', 'undoByEvent')) {
+        this._invokeBeforeUpdate(updateScheduleData, onRollback);
+    } else if (util.pick(this._options, 'dataSource', 'update')) {
+        this._persistUpdate(updateScheduleData, onRollback);
+    } else {
+        this.updateSchedule(operation.id, calendarId, changes, true);
+    }
+};
+
+/**
+ * Replace the schedules of the recurring series with the ones before or after the change of the history operation,
+ * and save the difference by the dataSource option. The schedule with the same id is saved as an update of it.
+ * It doesn't fire beforeUpdateSchedule even if undoByEvent is true.
+ * @param {object} operation - series operation
+ * @param {string} action - 'undo' restores the series before the change and 'redo' restores it after the change
+ * @param {function} onRollback - The function called when the saving fails
+ * @private
+ */
+Calendar.prototype._applyHistorySeries = function(operation, action, onRollback) {
+    var ctrl = this._controller;
+    var shownAction = action === 'undo' ? 'redo' : 'undo';
+    var current = this._findSavedSchedules(operation[shownAction], util.filter(operation.schedules, function(schedule) {
+        return ctrl.schedules.has(schedule) || ctrl.recurringSchedules.has(schedule);
+    }));
+    var before = util.map(current, function(schedule) {
+        return {
+            schedule: schedule,
+            data: getHistoryData(schedule)
+        };
+    });
+
+    operation[shownAction] = util.map(before, function(item) {
+        return item.data;
+    });
+
+    util.forEachArray(current, function(schedule) {
+        ctrl.deleteSchedule(schedule);
+    });
+    operation.schedules = util.filter(ctrl.createSchedules(util.map(operation[action], function(data) {
+        return util.extend({}, data);
+    }), true), function(schedule) {
+        return !!schedule;
+    });
+
+    if (this._options.dataSource) {
+        this._persistSeries(util.map(before, function(item) {
+            var schedule = util.filter(operation.schedules, function(model) {
+                return model.id === item.data.id && model.calendarId === item.data.calendarId;
+            })[0];
+
+            return schedule ? {
+                schedule: schedule,
+                data: item.data
+            } : item;
+        }), operation.schedules, onRollback);
+    }
+};
+
+/**
+ * Find the schedules of the data list except the expanded occurrences.
+ * @param {Array.<object>} dataList - The schedule data list
+ * @param {Array.<Schedule>} [schedules] - The schedules already found. The schedules of the data are added to it.
+ * @returns {Array.<Schedule>} The found schedules
+ * @private
+ */
+Calendar.prototype._findSavedSchedules = function(dataList, schedules) {
+    var ctrl = this._controller;
+    var found = schedules || [];
+
+    util.forEachArray(dataList, function(data) {
+        var filter = function(model) {
+            return model.id === data.id && model.calendarId === data.calendarId && !ctrl.isOccurrence(model);
+        };
+        var schedule = ctrl.recurringSchedules.single(filter) || ctrl.schedules.single(filter);
+
+        if (schedule && util.inArray(schedule, found) < 0) {
+            found.push(schedule);
+        }
+    });
+
+    return found;
+};
+
+/**
+ * Delete the schedule of the history operation and remove it by the dataSource option.
+ * @param {object} data - The schedule data of the operation
+ * @param {function} onRollback - The function called when the removing fails
+ * @private
+ */
+Calendar.prototype._applyHistoryDeletion = function(data, onRollback) {
+    var schedule = this.getSchedule(data.id, data.calendarId);
+
+    if (!schedule) {
+        return;
+    }
+
+    if (util.pick(this._options, 'dataSource', 'remove')) {
+        this._persistDeletion({schedule: schedule}, onRollback);
+    } else {
+        this.deleteSchedule(data.id, data.calendarId, true);
+    }
+};
+
+/**
+ * Add the schedule of the history operation again and save it by the dataSource option.
+ * The data of the operation is updated with the saved id to undo and redo it later.
+ * @param {object} data - The schedule data of the operation
+ * @param {function} onRollback - The function called when the saving fails
+ * @private
+ */
+Calendar.prototype._applyHistoryCreation = function(data, onRollback) {
+    var create = util.pick(this._options, 'dataSource', 'create');
+    var scheduleData = util.extend({}, data);
+    var schedule;
+
+    this.createSchedules([scheduleData], true);
+    schedule = this.getSchedule(scheduleData.id, scheduleData.calendarId);
+
+    if (!create || !schedule) {
+        return;
+    }
+
+    this._requestDataSource('create', scheduleData, function() {
+        return create(scheduleData);
+    }, function(saved) {
+        this._applySavedValues(schedule, saved);
+        data.id = schedule.id;
+    }, function() {
+        this._history.ignore(function() {
+            this.deleteSchedule(schedule.id, schedule.calendarId);
+        }, this);
+        onRollback();
+    });
+};
+
+/**
+ * Find the busy schedules which collide with the schedule.
+ * The schedules of which state is 'Free' are not busy. The schedule with same id and calendarId is excluded.
+ * @param {(Schedule|object)} schedule - {@link Schedule} object or the data of the schedule to check
+ * @returns {Array.<Schedule>} colliding schedules sorted by the start
+ * @example
+ * var conflicts = calendar.findConflicts({
+ *     calendarId: '1',
+ *     category: 'time',
+ *     start: '2018-01-18T10:00:00+09:00',
+ *     end: '2018-01-18T11:00:00+09:00'
+ * });
+ *
+ * if (conflicts.length) {
+ *     console.log('This time is already booked by ' + conflicts[0].title);
+ * }
+ */
+Calendar.prototype.findConflicts = function(schedule) {
+    return this._controller.findConflicts(schedule);
+};
+
+/**
+ * Update the schedule
+ * @param {string} scheduleId - ID of the original schedule to update
+ * @param {string} calendarId - The calendarId of the original schedule to update
+ * @param {object} changes - The {@link Schedule} properties and values with changes to update
+ * @param {boolean} [silent=false] - No auto render after creation when set true
+ * @example
+ * calendar.updateSchedule(schedule.id, schedule.calendarId, {
+ *     title: 'Changed schedule',
+ *     start: new Date('2019-11-05T09:00:00'),
+ *     end: new Date('2019-11-05T10:00:00'),
+ *     category: 'time'
+ * });
+ */
+Calendar.prototype.updateSchedule = function(scheduleId, calendarId, changes, silent) {
+    var ctrl = this._controller,
+        schedule = this.getSchedule(scheduleId, calendarId);
+    var hasChangedCalendar = false;
+
+    if (!changes || !schedule) {
+        return;
+    }
+
+    hasChangedCalendar = this._hasChangedCalendar(schedule, changes);
+    changes = hasChangedCalendar ?
+        this._setScheduleColor(changes.calendarId, changes) :
+        changes;
+
+    this._history.push({
+        type: 'update',
+        id: scheduleId,
+        undo: {
+            calendarId: changes.calendarId || calendarId,
+            changes: getPreviousValues(schedule, changes)
+        },
+        redo: {
+            calendarId: calendarId,
+            changes: util.extend({}, changes)
+        }
+    });
+
+    ctrl.updateSchedule(schedule, changes);
+
+    if (!silent) {
+        this.render();
+    }
+};
+
+Calendar.prototype._hasChangedCalendar = function(schedule, changes) {
+    return schedule &&
+        changes.calendarId &&
+        schedule.calendarId !== changes.calendarId;
+};
+
+Calendar.prototype._setScheduleColor = function(calendarId, schedule) {
+    var calColor = this._calendarColor;
+    var color = calColor[calendarId];
 
     if (color) {
         schedule.color = schedule.color || color.color;
@@ -853,21 +1745,186 @@ Calendar.prototype._setScheduleColor = function(calendarId, schedule) {
  */
 Calendar.prototype.deleteSchedule = function(scheduleId, calendarId, silent) {
     var ctrl = this._controller,
-        ownSchedules = ctrl.schedules,
-        schedule = ownSchedules.single(function(model) {
-            return model.id === scheduleId && model.calendarId === calendarId;
-        });
+        schedule = this.getSchedule(scheduleId, calendarId);
 
     if (!schedule) {
         return;
     }
 
+    this._history.push({
+        type: 'delete',
+        schedules: [getHistoryData(schedule)]
+    });
+
     ctrl.deleteSchedule(schedule);
     if (!silent) {
         this.render();
     }
 };
 
+/**
+ * Update an occurrence of the recurring schedule in the scope.
+ * - 'this': The occurrence is excluded from the recurring schedule(EXDATE) and an exception schedule is added.
+ * - 'following': The recurring schedule ends before the occurrence and a new recurring schedule starts from it.
+ * - 'all': The recurring schedule is updated.
+ * @param {string} scheduleId - ID of the occurrence to update
+ * @param {string} calendarId - The calendarId of the occurrence to update
+ * @param {object} changes - The {@link Schedule} properties and values with changes to update
+ * @param {string} scope - The scope to update. ('this', 'following', 'all')
+ * @param {boolean} [silent=false] - No auto render after creation when set true
+ * @returns {Schedule} The updated recurring schedule or the added schedule
+ * @example
+ * calendar.on('beforeUpdateSchedule', function(event) {
+ *     var schedule = event.schedule;
+ *
+ *     if (event.recurrenceScope) {
+ *         calendar.updateRecurringSchedule(schedule.id, schedule.calendarId, event.changes, event.recurrenceScope);
+ *     } else {
+ *         calendar.updateSchedule(schedule.id, schedule.calendarId, event.changes);
+ *     }
+ * });
+ */
+Calendar.prototype.updateRecurringSchedule = function(scheduleId, calendarId, changes, scope, silent) {
+    var schedule = this.getSchedule(scheduleId, calendarId);
+    var updated;
+
+    if (!changes || !schedule) {
+        return null;
+    }
+
+    updated = this._changeSeries(schedule, scope, changes).updated;
+
+    if (!silent) {
+        this.render();
+    }
+
+    return updated;
+};
+
+/**
+ * Delete an occurrence of the recurring schedule in the scope.
+ * - 'this': The occurrence is excluded from the recurring schedule(EXDATE).
+ * - 'following': The recurring schedule ends before the occurrence.
+ * - 'all': The recurring schedule is deleted.
+ * @param {string} scheduleId - ID of the occurrence to delete
+ * @param {string} calendarId - The CalendarId of the occurrence to delete
+ * @param {string} scope - The scope to delete. ('this', 'following', 'all')
+ * @param {boolean} [silent=false] - No auto render after creation when set true
+ */
+Calendar.prototype.deleteRecurringSchedule = function(scheduleId, calendarId, scope, silent) {
+    var schedule = this.getSchedule(scheduleId, calendarId);
+
+    if (!schedule) {
+        return;
+    }
+
+    this._changeSeries(schedule, scope);
+    if (!silent) {
+        this.render();
+    }
+};
+
+/**
+ * Update or delete the occurrence in the scope and record the series before and after the change as a history step.
+ * @param {Schedule} occurrence - The occurrence of the recurring schedule
+ * @param {string} scope - The scope to update or delete. ('this', 'following', 'all')
+ * @param {object} [changes] - The changes to update. The occurrence is deleted when it's not set.
+ * @returns {{updated: ?Schedule, before: Array.<{schedule: Schedule, data: object}>, after: Array.<Schedule>}}
+ *          The updated schedule, the schedules of the series and their data before the change,
+ *          and the schedules of the series after the change
+ * @private
+ */
+Calendar.prototype._changeSeries = function(occurrence, scope, changes) {
+    var ctrl = this._controller;
+    var master = ctrl.getMasterSchedule(occurrence) || occurrence;
+    var before = util.map(ctrl.getSeriesSchedules(master), function(schedule) {
+        return {
+            schedule: schedule,
+            data: getHistoryData(schedule)
+        };
+    });
+    var updated = null;
+    var after = [];
+
+    if (changes) {
+        if (this._hasChangedCalendar(occurrence, changes)) {
+            this._setScheduleColor(changes.calendarId, changes);
+        }
+        updated = ctrl.updateOccurrence(occurrence, changes, scope);
+    } else {
+        ctrl.deleteOccurrence(occurrence, scope);
+    }
+
+    util.forEachArray(ctrl.getSeriesSchedules(master).concat(updated ? ctrl.getSeriesSchedules(updated) : []),
+        function(schedule) {
+            if (util.inArray(schedule, after) < 0) {
+                after.push(schedule);
+            }
+        });
+
+    this._history.push({
+        type: 'series',
+        undo: util.map(before, function(item) {
+            return item.data;
+        }),
+        redo: util.map(after, getHistoryData),
+        schedules: after
+    });
+
+    return {
+        updated: updated,
+        before: before,
+        after: after
+    };
+};
+
+/**
+ * Import schedules from iCalendar(.ics) text.
+ * VEVENT and VTODO('task' category) components are imported with their VALARM components.
+ * The date-time with TZID is imported in the timezone and the TZID is kept as startTimezone and endTimezone.
+ * @param {string} text - iCalendar text
+ * @param {string} calendarId - The calendar id of imported schedules
+ * @param {boolean} [silent=false] - No auto render after creation when set true
+ * @returns {Array.<Schedule>} imported schedule data list
+ * @example
+ * calendar.importICS(icsText, '1');
+ */
+Calendar.prototype.importICS = function(text, calendarId, silent) {
+    var schedules = ics.parse(text, calendarId);
+
+    this.createSchedules(schedules, silent);
+
+    return schedules;
+};
+
+/**
+ * Export schedules to iCalendar(.ics) text.
+ * Recurring schedules are exported with RRULE instead of expanded occurrences.
+ * The date-time is exported with TZID of startTimezone and endTimezone of the schedule, or as UTC without them.
+ * @param {object} [options] - export options
+ * @param {string|Array.<string>} [options.calendarId] - The calendar ids to export. All schedules are exported by default.
+ * @param {string} [options.prodId] - The PRODID of VCALENDAR
+ * @returns {string} iCalendar text
+ * @example
+ * var text = calendar.exportICS({calendarId: ['1', '2']});
+ */
+Calendar.prototype.exportICS = function(options) {
+    var ctrl = this._controller;
+    var calendarIds = options && options.calendarId;
+    var filter = function(schedule) {
+        return !ctrl.isOccurrence(schedule) &&
+            (!calendarIds || util.inArray(schedule.calendarId, [].concat(calendarIds)) > -1);
+    };
+    var schedules = ctrl.recurringSchedules.find(filter).toArray()
+        .concat(ctrl.schedules.find(filter).toArray());
+
+    schedules.sort(function(a, b) {
+        return (a.getStarts() - b.getStarts()) || (a.cid() - b.cid());
+    });
+
+    return ics.stringify(schedules, options);
+};
+
 /**********
  * Private Methods
  **********/
@@ -876,10 +1933,11 @@ Calendar.prototype.deleteSchedule = function(scheduleId, calendarId, silent) {
  * @param {string|Date} date - The Date to show in calendar
  * @param {number} [startDayOfWeek=0] - The Start day of week
  * @param {boolean} [workweek=false] - The only show work week
+ * @param {number} [dayCount] - The count of days from the date. startDayOfWeek and workweek are ignored when it is set.
  * @returns {array} render range
  * @private
  */
-Calendar.prototype._getWeekDayRange = function(date, startDayOfWeek, workweek) {
+Calendar.prototype._getWeekDayRange = function(date, startDayOfWeek, workweek, dayCount) {
     var day;
     var start;
     var end;
@@ -889,6 +1947,12 @@ Calendar.prototype._getWeekDayRange = function(date, startDayOfWeek, workweek) {
     date = util.isDate(date) ? date : new TZDate(date);
     day = date.getDay();
 
+    if (dayCount) {
+        start = datetime.start(date);
+
+        return [start, new TZDate(start).addDate(dayCount - 1)];
+    }
+
     // calculate default render range first.
     start = new TZDate(date).addDate(-day + startDayOfWeek);
 
@@ -920,6 +1984,48 @@ Calendar.prototype._getWeekDayRange = function(date, startDayOfWeek, workweek) {
     return [start, end];
 };
 
+/**
+ * Move the render date of the timeline view and get the rendered range by the granularity.
+ * The range is a day for 'hour', a month for 'day' and 13 weeks from the first week of the month for 'week'.
+ * @param {DW} renderDate - wrapper of the render date. it is moved by the offset.
+ * @param {number} offset - The offset value.
+ * @returns {Array.<TZDate>} start and end of the range
+ * @private
+ */
+Calendar.prototype._getTimelineRange = function(renderDate, offset) {
+    var granularity = util.pick(this._options, 'timeline', 'granularity'),
+        start;
+
+    if (granularity === 'day') {
+        renderDate.addMonth(offset);
+
+        return [
+            datetime.startDateOfMonth(renderDate.d),
+            datetime.endDateOfMonth(renderDate.d)
+        ];
+    }
+
+    if (granularity === 'week') {
+        renderDate.addMonth(offset * 3);
+        start = this._getWeekDayRange(
+            datetime.startDateOfMonth(renderDate.d),
+            util.pick(this._options, 'week', 'startDayOfWeek')
+        )[0];
+
+        return [
+            start,
+            datetime.end(new TZDate(start).addDate((13 * 7) - 1))
+        ];
+    }
+
+    renderDate.addDate(offset);
+
+    return [
+        datetime.start(renderDate.d),
+        datetime.end(renderDate.d)
+    ];
+};
+
 /**
  * Toggle schedules' visibility by calendar ID
  * @param {string} calendarId - The calendar id value
@@ -927,16 +2033,18 @@ Calendar.prototype._getWeekDayRange = function(date, startDayOfWeek, workweek) {
  * @param {boolean} [render=true] - set true then render after change visible property each models
  */
 Calendar.prototype.toggleSchedules = function(calendarId, toHide, render) {
-    var ownSchedules = this._controller.schedules;
+    var ctrl = this._controller;
+    var toggle = function(schedule) {
+        if (~util.inArray(schedule.calendarId, calendarId)) {
+            schedule.set('isVisible', !toHide);
+        }
+    };
 
     render = util.isExisty(render) ? render : true;
     calendarId = util.isArray(calendarId) ? calendarId : [calendarId];
 
-    ownSchedules.each(function(schedule) {
-        if (~util.inArray(schedule.calendarId, calendarId)) {
-            schedule.set('isVisible', !toHide);
-        }
-    });
+    ctrl.schedules.each(toggle);
+    ctrl.recurringSchedules.each(toggle);
 
     if (render) {
         this.render();
@@ -988,6 +2096,9 @@ Calendar.prototype._renderFunc = function() {
     if (this._scrollToNowMethod && this._requestScrollToNow) {
         this._scrollToNowMethod();
     }
+    if (this._keyboardHandler) {
+        this._keyboardHandler.refresh();
+    }
 
     this._requestScrollToNow = false;
     this._requestRender = null;
@@ -1004,6 +2115,7 @@ Calendar.prototype._renderFunc = function() {
  */
 Calendar.prototype.clear = function(immediately) {
     this._controller.clearSchedules();
+    this._history.clear();
     this.render(immediately);
 };
 
@@ -1053,14 +2165,18 @@ Calendar.prototype.move = function(offset) {
         viewName = this._viewName,
         view = this._getCurrentView(),
         recursiveSet = _setOptionRecurseively,
-        startDate, endDate, tempDate,
+        viewOption = this._viewOption,
+        startDate, endDate, tempDate, dayCount,
         startDayOfWeek, visibleWeeksCount, workweek, isAlways6Week, datetimeOptions;
 
     offset = util.isExisty(offset) ? offset : 0;
 
     if (viewName === 'month') {
         startDayOfWeek = util.pick(this._options, 'month', 'startDayOfWeek') || 0;
-        visibleWeeksCount = mmin(util.pick(this._options, 'month', 'visibleWeeksCount') || 0, 6);
+        visibleWeeksCount = mmin(
+            util.pick(viewOption, 'weeks') || util.pick(this._options, 'month', 'visibleWeeksCount') || 0,
+            6
+        );
         workweek = util.pick(this._options, 'month', 'workweek') || false;
         isAlways6Week = util.pick(this._options, 'month', 'isAlways6Week');
 
@@ -1096,10 +2212,11 @@ Calendar.prototype.move = function(offset) {
         startDate = tempDate[0][0];
         endDate = tempDate[tempDate.length - 1][tempDate[tempDate.length - 1].length - 1];
     } else if (viewName === 'week') {
-        renderDate.addDate(offset * 7);
+        dayCount = util.pick(viewOption, 'dayCount');
+        renderDate.addDate(offset * (dayCount || 7));
         startDayOfWeek = util.pick(this._options, 'week', 'startDayOfWeek') || 0;
         workweek = util.pick(this._options, 'week', 'workweek') || false;
-        tempDate = this._getWeekDayRange(renderDate.d, startDayOfWeek, workweek);
+        tempDate = this._getWeekDayRange(renderDate.d, startDayOfWeek, workweek, dayCount);
 
         startDate = tempDate[0];
         endDate = tempDate[1];
@@ -1125,6 +2242,35 @@ Calendar.prototype.move = function(offset) {
                 collapsed: true
             });
         });
+    } else if (viewName === 'year') {
+        renderDate.addMonth(offset * 12);
+        startDate = new TZDate(renderDate.d.getFullYear(), 0, 1);
+        endDate = datetime.end(new TZDate(renderDate.d.getFullYear(), 11, 31));
+
+        recursiveSet(view, function(childView, opt) {
+            opt.renderStartDate = new TZDate(startDate);
+            opt.renderEndDate = new TZDate(endDate);
+        });
+    } else if (viewName === 'agenda') {
+        dayCount = util.pick(this._options, 'agenda', 'dayCount') || 7;
+        renderDate.addDate(offset * dayCount);
+        startDate = datetime.start(renderDate.d);
+        endDate = datetime.end(new TZDate(renderDate.d).addDate(dayCount - 1));
+
+        recursiveSet(view, function(childView, opt) {
+            opt.renderStartDate = new TZDate(startDate);
+            opt.renderEndDate = new TZDate(endDate);
+        });
+    } else if (viewName === 'timeline') {
+        tempDate = this._getTimelineRange(renderDate, offset);
+
+        startDate = tempDate[0];
+        endDate = tempDate[1];
+
+        recursiveSet(view, function(childView, opt) {
+            opt.renderStartDate = new TZDate(startDate);
+            opt.renderEndDate = new TZDate(endDate);
+        });
     }
 
     this._renderDate = renderDate.d;
@@ -1132,6 +2278,9 @@ Calendar.prototype.move = function(offset) {
         start: startDate,
         end: endDate
     };
+
+    this._loadSchedules();
+    this._renderLoading();
 };
 
 /**
@@ -1230,8 +2379,9 @@ Calendar.prototype._getCurrentView = function() {
  */
 Calendar.prototype.setCalendarColor = function(calendarId, option, silent) {
     var calColor = this._calendarColor,
-        ownSchedules = this._controller.schedules,
+        ctrl = this._controller,
         ownColor = calColor[calendarId];
+    var setColor;
 
     if (!util.isObject(option)) {
         config.throwError('Calendar#changeCalendarColor(): color 는 {color: \'\', bgColor: \'\'} 형태여야 합니다.');
@@ -1244,7 +2394,7 @@ Calendar.prototype.setCalendarColor = function(calendarId, option, silent) {
         dragBgColor: '#a1b56c'
     }, option);
 
-    ownSchedules.each(function(model) {
+    setColor = function(model) {
         if (model.calendarId !== calendarId) {
             return;
         }
@@ -1253,7 +2403,10 @@ Calendar.prototype.setCalendarColor = function(calendarId, option, silent) {
         model.bgColor = ownColor.bgColor;
         model.borderColor = ownColor.borderColor;
         model.dragBgColor = ownColor.dragBgColor;
-    });
+    };
+
+    ctrl.schedules.each(setColor);
+    ctrl.recurringSchedules.each(setColor);
 
     if (!silent) {
         this.render();
@@ -1295,22 +2448,86 @@ Calendar.prototype._onClick = function(clickScheduleData) {
      * });
      */
     this.fire('clickSchedule', clickScheduleData);
+
+    this._setSelection([], 'replace');
 };
 
 /**
- * A bridge-based event handler for connecting a click handler to a user click event handler for each view
- * @fires Calendar#clickMore
- * @param {object} clickMoreSchedule - The event data of 'clickMore' handler
+ * Update the selection by clicking with the modifier keys or dragging the marquee.
+ * @param {object} selectScheduleData - The event data of 'selectSchedules' handler
  * @private
  */
-Calendar.prototype._onClickMore = function(clickMoreSchedule) {
-    /**
-     * Fire this event when click a schedule.
-     * @event Calendar#clickMore
-     * @type {object}
-     * @property {Date} date - The Clicked date
-     * @property {HTMLElement} target - The more element
-     * @example
+Calendar.prototype._onSelectSchedules = function(selectScheduleData) {
+    this._setSelection(selectScheduleData.schedules, selectScheduleData.mode);
+};
+
+/**
+ * Select the schedules and render them when the selection is changed.
+ * @fires Calendar#selectionChange
+ * @param {Array.<Schedule>} schedules - schedules to select
+ * @param {string} mode - 'replace', 'add' or 'toggle'
+ * @private
+ */
+Calendar.prototype._setSelection = function(schedules, mode) {
+    if (!this._controller.selectSchedules(schedules, mode)) {
+        return;
+    }
+
+    this.render();
+
+    /**
+     * Fire this event when the selected schedules are changed by Ctrl/Shift clicking or the marquee selection.
+     * Ctrl(or Cmd) click toggles the selection of the schedule and Shift click adds the schedule to the selection.
+     * Dragging the empty area with the Shift key selects the schedules in the marquee.
+     * @event Calendar#selectionChange
+     * @type {object}
+     * @property {Array.<Schedule>} schedules - The selected {@link Schedule} list
+     * @example
+     * calendar.on('selectionChange', function(event) {
+     *     deleteButton.disabled = !event.schedules.length;
+     * });
+     */
+    this.fire('selectionChange', {
+        schedules: this._controller.getSelectedSchedules()
+    });
+};
+
+/**
+ * Get the schedules selected by Ctrl/Shift clicking or the marquee selection.
+ * @returns {Array.<Schedule>} The selected {@link Schedule} list. The all-day schedules come first and the others are sorted by the start.
+ * @example
+ * deleteButton.addEventListener('click', function() {
+ *     calendar.getSelectedSchedules().forEach(function(schedule) {
+ *         calendar.deleteSchedule(schedule.id, schedule.calendarId, true);
+ *     });
+ *     calendar.render();
+ * });
+ */
+Calendar.prototype.getSelectedSchedules = function() {
+    return this._controller.getSelectedSchedules();
+};
+
+/**
+ * Clear the selection of the schedules.
+ */
+Calendar.prototype.clearSelection = function() {
+    this._setSelection([], 'replace');
+};
+
+/**
+ * A bridge-based event handler for connecting a click handler to a user click event handler for each view
+ * @fires Calendar#clickMore
+ * @param {object} clickMoreSchedule - The event data of 'clickMore' handler
+ * @private
+ */
+Calendar.prototype._onClickMore = function(clickMoreSchedule) {
+    /**
+     * Fire this event when click a schedule.
+     * @event Calendar#clickMore
+     * @type {object}
+     * @property {Date} date - The Clicked date
+     * @property {HTMLElement} target - The more element
+     * @example
      * calendar.on('clickMore', function(event) {
      *     console.log('clickMore', event.date, event.target);
      * });
@@ -1318,6 +2535,39 @@ Calendar.prototype._onClickMore = function(clickMoreSchedule) {
     this.fire('clickMore', clickMoreSchedule);
 };
 
+/**
+ * date click event handler of year view. It changes the view to the clicked date.
+ * @fires Calendar#clickYearDate
+ * @param {object} clickYearDateData - The event data of 'clickYearDate' handler
+ * @private
+ */
+Calendar.prototype._onClickYearDate = function(clickYearDateData) {
+    var drillDownView = util.pick(this._options, 'year', 'drillDownView');
+
+    /**
+     * Fire this event when click a date in year view.
+     * The view is changed to the date unless the event handler returns false.
+     * @event Calendar#clickYearDate
+     * @type {object}
+     * @property {TZDate} date - The clicked date
+     * @property {number} count - The count of schedules in the date
+     * @property {number} duration - The total busy duration(milliseconds) in the date
+     * @example
+     * calendar.on('clickYearDate', function(event) {
+     *     console.log('clickYearDate', event.date, event.count);
+     * });
+     */
+    if (!this.invoke('clickYearDate', clickYearDateData)) {
+        return;
+    }
+
+    drillDownView = util.isUndefined(drillDownView) ? 'day' : drillDownView;
+    if (drillDownView) {
+        this._renderDate = new TZDate(clickYearDateData.date);
+        this.changeView(drillDownView, true);
+    }
+};
+
 /**
  * dayname click event handler
  * @fires Calendar#clickDayname
@@ -1347,6 +2597,10 @@ Calendar.prototype._onClickDayname = function(clickScheduleData) {
  * @private
  */
 Calendar.prototype._onBeforeCreate = function(createScheduleData) {
+    if (!this._checkNonWorkingDayCreation(createScheduleData)) {
+        return;
+    }
+
     if (this._options.useCreationPopup && !createScheduleData.useCreationPopup) {
         if (this._showCreationPopup) {
             this._showCreationPopup(createScheduleData);
@@ -1354,6 +2608,33 @@ Calendar.prototype._onBeforeCreate = function(createScheduleData) {
             return;
         }
     }
+
+    if (createScheduleData.useCreationPopup) {
+        this._fireBeforeCreate(createScheduleData);
+
+        return;
+    }
+
+    this._validateSchedule([{
+        schedule: createScheduleData,
+        context: {
+            action: 'create',
+            triggerEventName: createScheduleData.triggerEventName
+        }
+    }], util.bind(this._fireBeforeCreate, this, createScheduleData), function() {
+        if (createScheduleData.guide) {
+            createScheduleData.guide.clearGuideElement();
+        }
+    });
+};
+
+/**
+ * @fires Calendar#beforeCreateSchedule
+ * @param {object} createScheduleData - select schedule data from allday, time
+ * @param {object} [transfer] - The drop from the calendar of the same dragGroup
+ * @private
+ */
+Calendar.prototype._fireBeforeCreate = function(createScheduleData, transfer) {
     /**
      * Fire this event when select time period in daily, weekly, monthly.
      * @event Calendar#beforeCreateSchedule
@@ -1361,8 +2642,14 @@ Calendar.prototype._onBeforeCreate = function(createScheduleData) {
      * @property {boolean} isAllDay - The allday schedule
      * @property {Date} start - The selected start time
      * @property {Date} end - The selected end time
-     * @property {TimeCreationGuide} guide - {@link TimeCreationGuide} instance
-     * @property {string} triggerEventName - The event name like 'click', 'dblclick'
+     * @property {string} [resourceId] - The resource id of the selected row in timeline view
+     * @property {Array.<object>} [nonWorkingHolidays] - The non-working holidays in the selected period when nonWorkingDayCreation option is 'warn'
+     * @property {TimeCreationGuide} guide - {@link TimeCreationGuide} instance. It's not given for 'paste' and 'duplicate'
+     * @property {string} triggerEventName - The event name like 'click', 'dblclick'. 'paste' when the copied schedules are
+     *                                       pasted, 'duplicate' when the schedule is dragged with the Alt key
+     *                                       and 'drop' when the schedule is dropped from the calendar of the same dragGroup
+     * @property {Schedule} [schedule] - The copied {@link Schedule} instance without the id when the triggerEventName
+     *                                   is 'paste', 'duplicate' or 'drop'. The calendarId and title are given with it.
      * @example
      * calendar.on('beforeCreateSchedule', function(event) {
      *     var startTime = event.start;
@@ -1383,52 +2670,1519 @@ Calendar.prototype._onBeforeCreate = function(createScheduleData) {
      *     calendar.createSchedules([schedule]);
      * });
      */
-    this.fire('beforeCreateSchedule', createScheduleData);
+    if (this.invoke('beforeCreateSchedule', createScheduleData)) {
+        this._persistCreation(createScheduleData, transfer);
+    }
+};
+
+/**
+ * Check the selected period by nonWorkingDayCreation option.
+ * @param {object} createScheduleData - select schedule data from allday, time
+ * @returns {boolean} false when the creation is blocked
+ * @private
+ */
+Calendar.prototype._checkNonWorkingDayCreation = function(createScheduleData) {
+    var policy = this._options.nonWorkingDayCreation,
+        nonWorkingHolidays = [],
+        holidays;
+
+    if (policy !== 'warn' && policy !== 'block') {
+        return true;
+    }
+
+    holidays = this._controller.findHolidaysByDateRange(
+        datetime.start(createScheduleData.start),
+        datetime.end(datetime.convertStartDayToLastDay(createScheduleData.end))
+    );
+    util.forEach(holidays, function(holidaysOfDate) {
+        nonWorkingHolidays = nonWorkingHolidays.concat(util.filter(holidaysOfDate, function(holiday) {
+            return holiday.isNonWorking;
+        }));
+    });
+
+    if (!nonWorkingHolidays.length) {
+        return true;
+    }
+
+    if (policy === 'block') {
+        if (createScheduleData.guide) {
+            createScheduleData.guide.clearGuideElement();
+        }
+
+        return false;
+    }
+
+    createScheduleData.nonWorkingHolidays = nonWorkingHolidays;
+
+    return true;
+};
+
+/**
+ * @fires Calendar#beforeUpdateSchedule
+ * @param {object} updateScheduleData - update {@link Schedule} data
+ * @private
+ */
+Calendar.prototype._onBeforeUpdate = function(updateScheduleData) {
+    var updates = updateScheduleData.updates || [updateScheduleData];
+    var triggerEventName = updateScheduleData.triggerEventName || 'drag';
+
+    if (updateScheduleData.useCreationPopup || !updateScheduleData.changes) {
+        this._fireBeforeUpdate(updateScheduleData);
+
+        return;
+    }
+
+    this._validateSchedule(util.map(updates, function(update) {
+        return {
+            schedule: validation.applyChanges(update.schedule, update.changes),
+            context: {
+                action: 'update',
+                triggerEventName: triggerEventName,
+                changes: update.changes
+            }
+        };
+    }), util.bind(this._fireBeforeUpdate, this, updateScheduleData), util.bind(function() {
+        this._shakeSchedules(util.map(updates, function(update) {
+            return update.schedule;
+        }));
+    }, this));
+};
+
+/**
+ * @fires Calendar#beforeUpdateSchedule
+ * @param {object} updateScheduleData - update {@link Schedule} data
+ * @private
+ */
+Calendar.prototype._fireBeforeUpdate = function(updateScheduleData) {
+    var groupDrag = util.pick(this._options, 'history', 'groupDrag') !== false;
+
+    if (this._openRecurrenceScopePopup('beforeUpdateSchedule', updateScheduleData)) {
+        return;
+    }
+
+    /**
+     * Fire this event when drag a schedule to change time in daily, weekly, monthly.
+     * When the schedule is an occurrence of recurring schedule, it's fired after choosing the scope to update.
+     * @event Calendar#beforeUpdateSchedule
+     * @type {object}
+     * @property {Schedule} schedule - The original {@link Schedule} instance
+     * @property {object} changes - The {@link Schedule} properties and values with changes to update
+     * @property {Date} start - Deprecated: start time to update
+     * @property {Date} end - Deprecated: end time to update
+     * @property {string} [recurrenceScope] - The scope to update when the schedule is an occurrence of recurring schedule.
+     *                                        ('this', 'following', 'all') Use it with {@link Calendar#updateRecurringSchedule}
+     * @property {Schedule} [masterSchedule] - The recurring schedule which the schedule is expanded from
+     * @property {string} [history] - 'undo' or 'redo' when it's fired by {@link Calendar#undo} or {@link Calendar#redo}.
+     *                                See the undoByEvent of {@link HistoryOptions}
+     * @example
+     * calendar.on('beforeUpdateSchedule', function(event) {
+     *     var schedule = event.schedule;
+     *     var changes = event.changes;
+     *
+     *     calendar.updateSchedule(schedule.id, schedule.calendarId, changes);
+     * });
+     */
+    if (!groupDrag) {
+        this._invokeBeforeUpdate(updateScheduleData);
+
+        return;
+    }
+
+    this._history.group(function() {
+        this._invokeBeforeUpdate(updateScheduleData);
+    }, this);
+};
+
+/**
+ * @fires Calendar#beforeUpdateSchedule
+ * @param {object} updateScheduleData - update {@link Schedule} data
+ * @param {function} [onRollback] - The function called when the saving by the dataSource option fails
+ * @private
+ */
+Calendar.prototype._invokeBeforeUpdate = function(updateScheduleData, onRollback) {
+    if (this.invoke('beforeUpdateSchedule', updateScheduleData)) {
+        this._persistUpdate(updateScheduleData, onRollback);
+    }
+};
+
+/**
+ * Validate the schedules with the validateSchedule option. All schedules are rejected together
+ * when one of them is invalid.
+ * @fires Calendar#scheduleRejected
+ * @param {Array.<{schedule: object, context: ValidationContext}>} targets - The schedule data and the context
+ * @param {function} onValid - The function called when all schedules are valid
+ * @param {function} [onInvalid] - The function called when a schedule is invalid
+ * @private
+ */
+Calendar.prototype._validateSchedule = function(targets, onValid, onInvalid) {
+    var self = this;
+
+    validation.runAll(this._options.validateSchedule, targets, function(invalid, target) {
+        if (!self._options) {
+            return;
+        }
+
+        if (!invalid) {
+            onValid();
+
+            return;
+        }
+
+        if (onInvalid) {
+            onInvalid();
+        }
+
+        /**
+         * Fire this event when the validateSchedule option rejects a schedule created or updated by the drags,
+         * the clicks without the default creation popup, the paste and the drop.
+         * The errors of the default creation popup are shown in the popup instead.
+         * @event Calendar#scheduleRejected
+         * @type {object}
+         * @property {object} schedule - The schedule data to create or the schedule data with the changes to update
+         * @property {ValidationContext} context - The {@link ValidationContext}
+         * @property {string} message - The error message
+         * @property {object} errors - The error messages by the field name
+         * @example
+         * calendar.on('scheduleRejected', function(event) {
+         *     alert(event.message || 'The schedule can\'t be saved.');
+         * });
+         */
+        self.fire('scheduleRejected', {
+            schedule: target.schedule,
+            context: target.context,
+            message: invalid.message,
+            errors: invalid.fields
+        });
+    });
+};
+
+/**
+ * Shake the elements of the schedules to show the update is rejected.
+ * @param {Array.<Schedule>} schedules - The rejected schedules
+ * @private
+ */
+Calendar.prototype._shakeSchedules = function(schedules) {
+    var className = config.classname('schedule-rejected');
+    var container = this._layout.container;
+    var elements = [];
+
+    util.forEachArray(schedules, function(schedule) {
+        elements = elements.concat(util.toArray(
+            container.querySelectorAll('[data-id="' + util.stamp(schedule) + '"]')
+        ));
+    });
+
+    util.forEachArray(elements, function(element) {
+        domutil.addClass(element, className);
+    });
+
+    setTimeout(function() {
+        util.forEachArray(elements, function(element) {
+            domutil.removeClass(element, className);
+        });
+    }, SHAKE_DURATION);
+};
+
+/**
+ * Bridge the 'clickSchedule' of keyboard handler to the click handler of current view.
+ * So the detail popup is opened and 'clickSchedule' is fired same as clicking the schedule.
+ * @param {object} clickScheduleData - The event data of 'clickSchedule' keyboard handler
+ * @private
+ */
+Calendar.prototype._onKeyboardClick = function(clickScheduleData) {
+    var viewName = this._viewName === 'day' ? 'week' : this._viewName;
+
+    this._layout.children.doWhenHas(viewName, function(view) {
+        util.forEach(view.handler.click, function(clickHandler) {
+            clickHandler.fire('clickSchedule', clickScheduleData);
+
+            return false;
+        });
+    });
+};
+
+/**
+ * Delete the schedule by keyboard handler when it's not read only.
+ * The other selected schedules are deleted together when the schedule is selected.
+ * @param {object} deleteScheduleData - delete schedule data
+ * @private
+ */
+Calendar.prototype._onKeyboardDelete = function(deleteScheduleData) {
+    var schedule = deleteScheduleData.schedule,
+        eventData = {
+            schedule: schedule
+        },
+        schedules;
+
+    if (this._options.isReadOnly || schedule.isReadOnly) {
+        return;
+    }
+
+    schedules = this._getTargetSchedules(schedule, true);
+
+    if (schedules.length > 1) {
+        eventData.schedules = schedules;
+    }
+
+    this._onBeforeDelete(eventData);
+};
+
+/**
+ * Get the schedules to copy or delete together with the schedule.
+ * They are the selected schedules when the schedule is selected with the others.
+ * @param {Schedule} schedule - The schedule of the focused block
+ * @param {boolean} [editableOnly=false] - Exclude the read only schedules of the selection
+ * @returns {Array.<Schedule>} schedules
+ * @private
+ */
+Calendar.prototype._getTargetSchedules = function(schedule, editableOnly) {
+    var schedules = util.filter(this._controller.getSelectedSchedules(), function(model) {
+        return !editableOnly || !model.isReadOnly;
+    });
+
+    return (schedule.isSelected && schedules.length > 1) ? schedules : [schedule];
+};
+
+/**
+ * Keep the copies of the schedules and write them to the system clipboard.
+ * @param {Array.<Schedule>} schedules - The schedules to copy
+ * @param {ClipboardEvent} clipboardEvent - The copy or cut event
+ * @private
+ */
+Calendar.prototype._copySchedules = function(schedules, clipboardEvent) {
+    var ctrl = this._controller;
+
+    this._clipboard = util.map(schedules, function(schedule) {
+        return ctrl.cloneSchedule(schedule);
+    });
+
+    Clipboard.write(clipboardEvent, schedules);
+};
+
+/**
+ * Copy the schedule by the clipboard handler.
+ * @param {object} copyScheduleData - The event data of 'copySchedule' clipboard handler
+ * @private
+ */
+Calendar.prototype._onCopySchedule = function(copyScheduleData) {
+    this._copySchedules(this._getTargetSchedules(copyScheduleData.schedule), copyScheduleData.event);
+};
+
+/**
+ * Copy the schedule and fire 'beforeDeleteSchedule' by the clipboard handler when it's not read only.
+ * @param {object} cutScheduleData - The event data of 'cutSchedule' clipboard handler
+ * @private
+ */
+Calendar.prototype._onCutSchedule = function(cutScheduleData) {
+    var schedule = cutScheduleData.schedule;
+
+    if (this._options.isReadOnly || schedule.isReadOnly) {
+        return;
+    }
+
+    this._copySchedules(this._getTargetSchedules(schedule, true), cutScheduleData.event);
+    this._onKeyboardDelete({
+        schedule: schedule
+    });
+};
+
+/**
+ * Paste the copied schedules onto the focused or hovered slot.
+ * The first copied schedule starts at the time slot. The all-day slot keeps the time of the day.
+ * The others keep the intervals from the first one.
+ * @param {object} pasteScheduleData - The event data of 'pasteSchedule' clipboard handler
+ * @private
+ */
+Calendar.prototype._onPasteSchedule = function(pasteScheduleData) {
+    var ctrl = this._controller,
+        clipboard = this._clipboard,
+        slot, offset;
+
+    if (this._options.isReadOnly || !clipboard.length) {
+        return;
+    }
+
+    slot = this._getPasteSlot(pasteScheduleData.position);
+
+    if (!slot) {
+        return;
+    }
+
+    offset = getPasteOffset(slot, clipboard);
+
+    this._fireCloneCreation(util.map(clipboard, function(schedule) {
+        return ctrl.cloneSchedule(schedule, {
+            start: new TZDate(schedule.getStarts()).addMilliseconds(offset),
+            end: new TZDate(schedule.getEnds()).addMilliseconds(offset)
+        });
+    }), 'paste');
+};
+
+/**
+ * Get the slot at the position from the creation handlers of the current view.
+ * @param {object} position - The position of 'pasteSchedule' clipboard handler
+ * @returns {?{start: TZDate, isAllDay: boolean}} slot
+ * @private
+ */
+Calendar.prototype._getPasteSlot = function(position) {
+    var viewName = this._viewName === 'day' ? 'week' : this._viewName;
+    var slot = null;
+
+    this._layout.children.doWhenHas(viewName, function(view) {
+        util.forEach(view.handler.creation, function(creationHandler) {
+            slot = creationHandler.getSlot ? creationHandler.getSlot(position) : null;
+
+            return !slot;
+        });
+    });
+
+    return slot;
+};
+
+/**
+ * Duplicate the dragged schedule with the Alt key instead of moving it.
+ * The other selected schedules are duplicated together when they are moved together.
+ * @param {object} duplicateScheduleData - The event data of 'duplicateSchedule' move handler
+ * @private
+ */
+Calendar.prototype._onDuplicateSchedule = function(duplicateScheduleData) {
+    var ctrl = this._controller;
+    var updates = duplicateScheduleData.updates || [{
+        schedule: duplicateScheduleData.schedule,
+        changes: duplicateScheduleData.changes
+    }];
+
+    this._fireCloneCreation(util.map(updates, function(update) {
+        return ctrl.cloneSchedule(update.schedule, update.changes);
+    }), 'duplicate');
+};
+
+/**
+ * Fire 'beforeCreateSchedule' with each copied schedule. The creations are recorded as one step of the history.
+ * @fires Calendar#beforeCreateSchedule
+ * @param {Array.<Schedule>} schedules - The copied schedules to create
+ * @param {string} triggerEventName - 'paste', 'duplicate' or 'drop'
+ * @param {object} [transfer] - The drop from the calendar of the same dragGroup.
+ *  The creations are collected into its operations instead of the history,
+ *  and its onCreate is called after the schedules are valid and 'beforeCreateSchedule' is fired.
+ * @private
+ */
+Calendar.prototype._fireCloneCreation = function(schedules, triggerEventName, transfer) {
+    var targets = [];
+
+    util.forEachArray(schedules, function(schedule) {
+        var createScheduleData = {
+            calendarId: schedule.calendarId,
+            title: schedule.title,
+            isAllDay: schedule.isAllDay,
+            start: schedule.getStarts(),
+            end: schedule.getEnds(),
+            schedule: schedule,
+            triggerEventName: triggerEventName
+        };
+
+        if (this._checkNonWorkingDayCreation(createScheduleData)) {
+            targets.push({
+                schedule: createScheduleData,
+                context: {
+                    action: 'create',
+                    triggerEventName: triggerEventName
+                }
+            });
+        }
+    }, this);
+
+    if (!targets.length) {
+        return;
+    }
+
+    this._validateSchedule(targets, util.bind(function() {
+        var fireAll = function() {
+            util.forEachArray(targets, function(target) {
+                this._fireBeforeCreate(target.schedule, transfer);
+            }, this);
+        };
+
+        if (transfer) {
+            this._history.collect(transfer.operations, fireAll, this);
+            transfer.onCreate(transfer);
+        } else {
+            this._history.group(fireAll, this);
+        }
+    }, this));
+};
+
+/**
+ * Register the element outside of the calendar to drag onto the time grid, the all-day panels or the month cells.
+ * It shows the move guide of the hovered view while dragging and fires {@link Calendar#beforeDropExternal} on drop.
+ * @param {HTMLElement} element - The element to drag
+ * @param {function} dataFn - The function which returns the schedule data of the element when the dragging starts.
+ *  The duration property is the minutes of the schedule in the time grid. (default 60)
+ *  Return nothing to cancel the dragging.
+ * @example
+ * calendar.registerExternalDraggable(document.getElementById('job-1'), function(element) {
+ *     return {
+ *         calendarId: '1',
+ *         title: element.textContent,
+ *         duration: 90
+ *     };
+ * });
+ *
+ * calendar.on('beforeDropExternal', function(event) {
+ *     calendar.createSchedules([{
+ *         id: String(Date.now()),
+ *         calendarId: event.data.calendarId,
+ *         title: event.data.title,
+ *         category: event.category,
+ *         isAllDay: event.isAllDay,
+ *         start: event.start,
+ *         end: event.end
+ *     }]);
+ * });
+ */
+Calendar.prototype.registerExternalDraggable = function(element, dataFn) {
+    var externalDrag = new ExternalDrag(element, dataFn);
+
+    externalDrag.on({
+        externalDrag: this._onExternalDrag,
+        externalDrop: this._onExternalDrop,
+        externalDragCancel: this._endExternalDrag
+    }, this);
+
+    this._externalDrags.push(externalDrag);
+};
+
+/**
+ * Unregister the element registered by {@link Calendar#registerExternalDraggable}.
+ * @param {HTMLElement} element - The registered element
+ */
+Calendar.prototype.unregisterExternalDraggable = function(element) {
+    this._externalDrags = util.filter(this._externalDrags, function(externalDrag) {
+        if (externalDrag.element !== element) {
+            return true;
+        }
+
+        externalDrag.off();
+        externalDrag.destroy();
+
+        return false;
+    });
+};
+
+/**
+ * Show the move guide of the current view for the element dragged from the outside of the calendar.
+ * @param {Schedule} model - The schedule model of the dragged element
+ * @param {MouseEvent} mouseEvent - The mouse event
+ * @returns {?{start: TZDate, end: TZDate, isAllDay: boolean, category: string}} The range to drop
+ * @private
+ */
+Calendar.prototype._dragExternal = function(model, mouseEvent) {
+    var viewName = this._viewName === 'day' ? 'week' : this._viewName;
+    var dropRange = null;
+
+    if (ExternalDrag.isOutside(this._layout.container, mouseEvent)) {
+        this._endExternalDrag();
+
+        return null;
+    }
+
+    this._layout.children.doWhenHas(viewName, function(view) {
+        util.forEach(view.handler.move, function(moveHandler) {
+            var range = moveHandler.dragExternal ? moveHandler.dragExternal(model, mouseEvent) : null;
+
+            dropRange = dropRange || range;
+        });
+    });
+
+    return dropRange;
+};
+
+/**
+ * Clear the move guides of the element dragged from the outside of the calendar.
+ * @private
+ */
+Calendar.prototype._endExternalDrag = function() {
+    var viewName = this._viewName === 'day' ? 'week' : this._viewName;
+
+    this._layout.children.doWhenHas(viewName, function(view) {
+        util.forEach(view.handler.move, function(moveHandler) {
+            if (moveHandler.endExternalDrag) {
+                moveHandler.endExternalDrag();
+            }
+        });
+    });
+};
+
+/**
+ * The element registered by {@link Calendar#registerExternalDraggable} is dragged.
+ * @param {object} externalDragData - The event data of 'externalDrag' external drag handler
+ * @private
+ */
+Calendar.prototype._onExternalDrag = function(externalDragData) {
+    if (this._options.isReadOnly) {
+        return;
+    }
+
+    this._dragExternal(externalDragData.model, externalDragData.originEvent);
+};
+
+/**
+ * @fires Calendar#beforeDropExternal
+ * @param {object} externalDropData - The event data of 'externalDrop' external drag handler
+ * @private
+ */
+Calendar.prototype._onExternalDrop = function(externalDropData) {
+    var dropRange;
+
+    if (this._options.isReadOnly) {
+        return;
+    }
+
+    dropRange = this._dragExternal(externalDropData.model, externalDropData.originEvent);
+    this._endExternalDrag();
+
+    if (!dropRange) {
+        return;
+    }
+
+    /**
+     * Fire this event when the element registered by {@link Calendar#registerExternalDraggable} is dropped
+     * onto the calendar. Create the schedule with the range in this event.
+     * @event Calendar#beforeDropExternal
+     * @type {object}
+     * @property {object} data - The schedule data returned by the data function of the element
+     * @property {HTMLElement} element - The dropped element
+     * @property {TZDate} start - The start time of the slot. It's the start of the date when isAllDay is true.
+     * @property {TZDate} end - The end time keeping the duration. It's the end of the date when isAllDay is true.
+     * @property {boolean} isAllDay - Whether it's dropped onto the all-day panel or the month cell
+     * @property {string} category - The category of the slot. ('time', 'allday', 'milestone', 'task')
+     * @property {MouseEvent} event - The mouse event of the drop
+     * @example
+     * calendar.on('beforeDropExternal', function(event) {
+     *     console.log(event.data.title, event.start, event.end);
+     * });
+     */
+    this.fire('beforeDropExternal', util.extend({
+        data: externalDropData.data,
+        element: externalDropData.element,
+        event: externalDropData.originEvent
+    }, dropRange));
+};
+
+/**
+ * Start to show the dragged schedule on the calendars of the same dragGroup.
+ * @param {object} dragStartData - The event data of 'scheduleDragStart' move handler
+ * @private
+ */
+Calendar.prototype._onScheduleDragStart = function(dragStartData) {
+    if (!this._options.dragGroup) {
+        return;
+    }
+
+    this._draggedSchedule = dragStartData.schedule;
+    this._dragHandler.on({
+        drag: this._onScheduleDrag,
+        dragEnd: this._onScheduleDragEnd,
+        dragCancel: this._onScheduleDragEnd
+    }, this);
+};
+
+/**
+ * Show the move guide of the dragged schedule on the calendars of the same dragGroup.
+ * @param {object} dragEventData - The event data of Drag#drag
+ * @private
+ */
+Calendar.prototype._onScheduleDrag = function(dragEventData) {
+    var schedule = this._draggedSchedule;
+
+    util.forEachArray(getDragGroupPeers(this), function(peer) {
+        peer._onExternalDrag({
+            model: schedule,
+            originEvent: dragEventData.originEvent
+        });
+    });
+};
+
+/**
+ * Clear the move guides of the dragged schedule on the calendars of the same dragGroup.
+ * @private
+ */
+Calendar.prototype._onScheduleDragEnd = function() {
+    this._dragHandler.off({
+        drag: this._onScheduleDrag,
+        dragEnd: this._onScheduleDragEnd,
+        dragCancel: this._onScheduleDragEnd
+    }, this);
+
+    util.forEachArray(getDragGroupPeers(this), function(peer) {
+        peer._endExternalDrag();
+    });
+
+    this._draggedSchedule = null;
+};
+
+/**
+ * Drop the schedule dragged from the calendar of the same dragGroup.
+ * The creation of the copy is collected into the operations of the transfer given to onDrop,
+ * so the calendar of the dragged schedule records it into its history or cancels it.
+ * @param {Schedule} schedule - The dragged schedule
+ * @param {MouseEvent} mouseEvent - The mouse event of the drop
+ * @param {function} onDrop - The function called with the transfer when the copy of the schedule is valid and created
+ * @returns {boolean} Whether the schedule is dropped
+ * @private
+ */
+Calendar.prototype._dropSchedule = function(schedule, mouseEvent, onDrop) {
+    var dropRange;
+
+    if (this._options.isReadOnly) {
+        return false;
+    }
+
+    dropRange = this._dragExternal(schedule, mouseEvent);
+    this._endExternalDrag();
+
+    if (!dropRange) {
+        return false;
+    }
+
+    this._fireCloneCreation([this._controller.cloneSchedule(schedule, dropRange)], 'drop', {
+        calendar: this,
+        operations: [],
+        isCancelled: false,
+        onCreate: onDrop
+    });
+
+    return true;
+};
+
+/**
+ * Delete the copies created by the drop again because the calendar of the dragged schedule rejects to delete it.
+ * The copy which is being saved by the dataSource option is deleted after it's saved.
+ * @param {object} transfer - The drop from the calendar of the same dragGroup
+ * @private
+ */
+Calendar.prototype._cancelTransfer = function(transfer) {
+    transfer.isCancelled = true;
+    this._applyHistoryOperations(transfer.operations, 'undo', function() {});
+    transfer.operations.length = 0;
+};
+
+/**
+ * Fire 'scheduleDragOut' when the schedule is dropped outside of the calendar.
+ * The schedule isn't updated in this case.
+ * When it's dropped onto the calendar of the same dragGroup, the schedule is removed from this calendar
+ * and created on that calendar instead.
+ * @param {object} dragOutData - The event data of 'scheduleDragOut' move handler
+ * @private
+ */
+Calendar.prototype._onScheduleDragOut = function(dragOutData) {
+    var target = findDropTarget(this, dragOutData.event);
+    var self = this;
+
+    if (target && target._dropSchedule(dragOutData.schedule, dragOutData.event, function(transfer) {
+        if (self._options) {
+            self._deleteDroppedSchedule(dragOutData.schedule, transfer);
+        } else {
+            target._cancelTransfer(transfer);
+        }
+    })) {
+        return;
+    }
+
+    /**
+     * Fire this event when a schedule is dragged and dropped outside of the calendar.
+     * @event Calendar#scheduleDragOut
+     * @type {object}
+     * @property {Schedule} schedule - The dragged {@link Schedule} instance
+     * @property {MouseEvent} event - The mouse event of the drop
+     * @example
+     * calendar.on('scheduleDragOut', function(event) {
+     *     var target = document.elementFromPoint(event.event.clientX, event.event.clientY);
+     *
+     *     if (target && target.id === 'backlog') {
+     *         calendar.deleteSchedule(event.schedule.id, event.schedule.calendarId);
+     *     }
+     * });
+     */
+    this.fire('scheduleDragOut', dragOutData);
+};
+
+/**
+ * Delete the schedule dropped onto the calendar of the same dragGroup. The deletion and the creation of the copy
+ * are recorded as one step of the history. The copy is deleted again when beforeDeleteSchedule is cancelled
+ * or the removing by the dataSource option fails.
+ * @fires Calendar#beforeDeleteSchedule
+ * @param {Schedule} schedule - The dropped schedule
+ * @param {object} transfer - The drop of the calendar which the copy is created on
+ * @private
+ */
+Calendar.prototype._deleteDroppedSchedule = function(schedule, transfer) {
+    var cancel = util.bind(transfer.calendar._cancelTransfer, transfer.calendar, transfer);
+    var deleteScheduleData = {
+        schedule: schedule,
+        triggerEventName: 'drop'
+    };
+    var remove = function(scopedData) {
+        var isDeleted = false;
+
+        if (!scopedData) {
+            cancel();
+
+            return;
+        }
+
+        this._history.group(function() {
+            isDeleted = this.invoke('beforeDeleteSchedule', scopedData);
+
+            if (isDeleted) {
+                this._history.push({
+                    type: 'drop',
+                    calendar: transfer.calendar,
+                    operations: transfer.operations
+                });
+                this._persistDeletion(scopedData, cancel);
+            }
+        }, this);
+
+        if (!isDeleted) {
+            cancel();
+        }
+    };
+
+    if (!this._openRecurrenceScopePopup('beforeDeleteSchedule', deleteScheduleData, remove)) {
+        remove.call(this, deleteScheduleData);
+    }
+};
+
+/**
+ * @fires Calendar#beforeDeleteSchedule
+ * @param {object} deleteScheduleData - delete schedule data
+ * @private
+ */
+Calendar.prototype._onBeforeDelete = function(deleteScheduleData) {
+    if (this._openRecurrenceScopePopup('beforeDeleteSchedule', deleteScheduleData)) {
+        return;
+    }
+
+    /**
+     * Fire this event when delete a schedule.
+     * When the schedule is an occurrence of recurring schedule, it's fired after choosing the scope to delete.
+     * @event Calendar#beforeDeleteSchedule
+     * @type {object}
+     * @property {Schedule} schedule - The {@link Schedule} instance to delete
+     * @property {Array.<Schedule>} [schedules] - The selected {@link Schedule} list to delete together
+     *                                           when the selected schedule is deleted by the keyboard
+     * @property {string} [recurrenceScope] - The scope to delete when the schedule is an occurrence of recurring schedule.
+     *                                        ('this', 'following', 'all') Use it with {@link Calendar#deleteRecurringSchedule}
+     * @property {Schedule} [masterSchedule] - The recurring schedule which the schedule is expanded from
+     * @property {string} [triggerEventName] - 'drop' when the schedule is dropped onto the calendar of the same dragGroup
+     * @example
+     * calendar.on('beforeDeleteSchedule', function(event) {
+     *     var schedule = event.schedule;
+     *     alert('The schedule is removed.', schedule);
+     * });
+     */
+    if (this.invoke('beforeDeleteSchedule', deleteScheduleData)) {
+        this._persistDeletion(deleteScheduleData);
+    }
+};
+
+/**
+ * Load the schedules of the visible range by the load function of the dataSource option.
+ * The schedules which are already added are skipped. The range is loaded again when the loading fails.
+ * @private
+ */
+Calendar.prototype._loadSchedules = function() {
+    var load = util.pick(this._options, 'dataSource', 'load');
+    var range = this._renderRange;
+    var rangeKey = range.start.getTime() + '-' + range.end.getTime();
+
+    this._fetchEvents();
+
+    if (!load || rangeKey === this._loadedRangeKey) {
+        return;
+    }
+
+    this._loadedRangeKey = rangeKey;
+    this._setLoading(true);
+    this._requestDataSource('load', null, function() {
+        return load({
+            start: new TZDate(range.start),
+            end: new TZDate(range.end)
+        });
+    }, function(schedules) {
+        this._history.ignore(function() {
+            this.createSchedules(util.filter(schedules || [], function(scheduleData) {
+                return !this.getSchedule(scheduleData.id, scheduleData.calendarId);
+            }, this));
+        }, this);
+        this._setLoading(false);
+    }, function() {
+        this._setLoading(false);
+        this._loadedRangeKey = null;
+    });
+};
+
+/**
+ * Fetch the schedules of the visible range from the visible event sources. Only the gaps of the cached ranges
+ * are requested and the least recently used ranges over the eventCacheDays option are evicted with their schedules.
+ * @param {Array.<EventSource>} [sources] - The sources to fetch. All sources are fetched by default.
+ * @private
+ */
+Calendar.prototype._fetchEvents = function(sources) {
+    var start = this._renderRange.start.getTime();
+    var end = this._renderRange.end.getTime() + 1;
+
+    util.forEachArray(sources || this._eventSources, function(source) {
+        if (source.isVisible) {
+            this._fetchEventSource(source, start, end);
+        }
+    }, this);
+};
+
+/**
+ * Fetch the schedules of the range from the event source.
+ * The responses are ignored when the source is reset or removed before they arrive,
+ * and the range is requested again when the request fails.
+ * @param {EventSource} source - The event source
+ * @param {number} start - The start timestamp of the visible range
+ * @param {number} end - The end timestamp of the visible range (exclusive)
+ * @private
+ */
+Calendar.prototype._fetchEventSource = function(source, start, end) {
+    var version = source.version;
+
+    util.forEachArray(source.getGaps(start, end), function(gap) {
+        source.add(gap);
+        this._setLoading(true);
+        this._requestDataSource('load', null, function() {
+            return source.request(gap, this._options.fetchICS);
+        }, function(data) {
+            if (source.version === version) {
+                this._addFetchedSchedules(source, data);
+            }
+
+            this._setLoading(false);
+        }, function() {
+            this._setLoading(false);
+
+            if (source.version === version) {
+                source.remove(gap);
+            }
+        });
+    }, this);
+
+    this._deleteSourceSchedules(source.evict(start, end));
+};
+
+/**
+ * Add the schedules fetched from the event source without recording the history.
+ * The schedules already added are skipped.
+ * @param {EventSource} source - The event source
+ * @param {Array.<object>|string} data - The {@link Schedule} data list or the iCalendar text
+ * @private
+ */
+Calendar.prototype._addFetchedSchedules = function(source, data) {
+    var newSchedules = util.filter(source.parse(data), function(scheduleData) {
+        return !this.getSchedule(scheduleData.id, scheduleData.calendarId);
+    }, this);
+
+    util.forEachArray(newSchedules, function(scheduleData) {
+        this._setScheduleColor(scheduleData.calendarId, scheduleData);
+    }, this);
+
+    source.addModels(this._controller.createSchedules(newSchedules, true));
+
+    this.render();
+};
+
+/**
+ * Register the event source and set its colors. The source with the same id is replaced.
+ * @param {EventSourceOptions} options - The event source options
+ * @returns {EventSource} The event source
+ * @private
+ */
+Calendar.prototype._addEventSource = function(options) {
+    var source = new EventSource(options, this._options.eventCacheDays);
+    var color = getSourceColor(options);
+
+    this._removeEventSources(function(registered) {
+        return registered.id === source.id;
+    });
+    this._eventSources.push(source);
+
+    if (color) {
+        this.setCalendarColor(source.id, color, true);
+    }
+
+    return source;
+};
+
+/**
+ * Remove the event sources and their schedules.
+ * @param {function} filter - The function which returns true for the sources to remove
+ * @private
+ */
+Calendar.prototype._removeEventSources = function(filter) {
+    this._eventSources = util.filter(this._eventSources, function(source) {
+        if (!filter(source)) {
+            return true;
+        }
+
+        this._deleteSourceSchedules(source.reset());
+
+        return false;
+    }, this);
+};
+
+/**
+ * Get the event source by the id.
+ * @param {string} id - The event source id
+ * @returns {?EventSource} The event source
+ * @private
+ */
+Calendar.prototype._getEventSource = function(id) {
+    return util.filter(this._eventSources, function(source) {
+        return source.id !== null && source.id === String(id);
+    })[0] || null;
+};
+
+/**
+ * Remove the schedules of the event source which are not removed yet without recording the history.
+ * @param {Array.<Schedule>} schedules - The schedules of the event source
+ * @private
+ */
+Calendar.prototype._deleteSourceSchedules = function(schedules) {
+    util.forEachArray(schedules, function(schedule) {
+        if (this.getSchedule(schedule.id, schedule.calendarId) === schedule) {
+            this._controller.deleteSchedule(schedule);
+        }
+    }, this);
+};
+
+/**
+ * Count the loading requests. 'loading' is fired and the loading template is shown
+ * when the first request starts and hidden when the last request ends.
+ * @fires Calendar#loading
+ * @param {boolean} isLoading - true when a request starts and false when it ends
+ * @private
+ */
+Calendar.prototype._setLoading = function(isLoading) {
+    var wasLoading = this._loadingCount > 0;
+
+    this._loadingCount += isLoading ? 1 : -1;
+
+    if (wasLoading === (this._loadingCount > 0)) {
+        return;
+    }
+
+    this._renderLoading();
+
+    /**
+     * Fire this event when the calendar starts or ends loading the schedules
+     * by the events option or the load function of the dataSource option.
+     * @event Calendar#loading
+     * @type {object}
+     * @property {boolean} isLoading - Whether the schedules are loading
+     * @example
+     * calendar.on('loading', function(event) {
+     *     document.getElementById('loading').style.display = event.isLoading ? 'block' : 'none';
+     * });
+     */
+    this.fire('loading', {
+        isLoading: !wasLoading
+    });
+};
+
+/**
+ * Show the loading template over the calendar while loading. It's added again after the view is changed.
+ * @private
+ */
+Calendar.prototype._renderLoading = function() {
+    var container = this._layout.container;
+    var element = this._loadingElement;
+
+    if (!this._loadingCount) {
+        domutil.remove(element);
+
+        return;
+    }
+
+    if (!element) {
+        element = this._loadingElement = document.createElement('div');
+        element.className = config.classname('loading');
+    }
+
+    element.innerHTML = Handlebars.helpers['loading-tmpl']();
+
+    if (element.parentNode !== container) {
+        container.appendChild(element);
+    }
+};
+
+/**
+ * Add the schedule created by the default creation popup, the paste, the duplicate or the drop as pending
+ * and save it by the create function of the dataSource option. It's replaced with the created schedule
+ * and recorded to the history when the saving succeeds, and removed when it fails.
+ * The created schedule data should have the id.
+ * @param {object} createScheduleData - The event data of 'beforeCreateSchedule'
+ * @param {object} [transfer] - The drop from the calendar of the same dragGroup. The creation is collected into
+ *  its operations instead of the history, and the created schedule is removed again when the drop is cancelled.
+ * @private
+ */
+Calendar.prototype._persistCreation = function(createScheduleData, transfer) {
+    var create = util.pick(this._options, 'dataSource', 'create');
+    var scheduleData, pendingData;
+
+    if (!create || (!createScheduleData.schedule && !createScheduleData.useCreationPopup)) {
+        return;
+    }
+
+    if (createScheduleData.schedule) {
+        scheduleData = createScheduleData.schedule.parameterize();
+        delete scheduleData.id;
+    } else {
+        scheduleData = util.extend({
+            category: createScheduleData.isAllDay ? 'allday' : 'time'
+        }, createScheduleData);
+        delete scheduleData.useCreationPopup;
+    }
+
+    pendingScheduleCount += 1;
+    pendingData = util.extend({}, scheduleData, {
+        id: PENDING_ID_PREFIX + pendingScheduleCount,
+        isPending: true
+    });
+    this._history.ignore(function() {
+        this.createSchedules([pendingData]);
+    }, this);
+
+    this._requestDataSource('create', scheduleData, function() {
+        return create(scheduleData);
+    }, function(created) {
+        var savedData = util.extend({}, scheduleData, created);
+
+        if (!created || !util.isExisty(created.id)) {
+            throw new Error('The create function of the dataSource option should resolve the schedule data with the id.');
+        }
+
+        this._history.ignore(function() {
+            this.deleteSchedule(pendingData.id, pendingData.calendarId, true);
+        }, this);
+
+        if (!transfer) {
+            this.createSchedules([savedData]);
+        } else if (transfer.isCancelled) {
+            this._history.ignore(function() {
+                this.createSchedules([savedData], true);
+                this._applyHistoryDeletion(savedData);
+            }, this);
+            this.render();
+        } else {
+            this._history.collect(transfer.operations, function() {
+                this.createSchedules([savedData]);
+            }, this);
+        }
+    }, function() {
+        this._history.ignore(function() {
+            this.deleteSchedule(pendingData.id, pendingData.calendarId);
+        }, this);
+    });
+};
+
+/**
+ * Update the schedules as pending and save them by the update function of the dataSource option.
+ * The changes are reverted when the saving fails.
+ * @param {object} updateScheduleData - The event data of 'beforeUpdateSchedule'
+ * @param {function} [onRollback] - The function called after the changes are reverted
+ * @private
+ */
+Calendar.prototype._persistUpdate = function(updateScheduleData, onRollback) {
+    var update = util.pick(this._options, 'dataSource', 'update');
+
+    if (!update || !updateScheduleData.changes) {
+        return;
+    }
+
+    if (updateScheduleData.recurrenceScope) {
+        this._persistRecurrence(updateScheduleData.schedule, updateScheduleData.recurrenceScope,
+            updateScheduleData.changes, onRollback);
+
+        return;
+    }
+
+    util.forEachArray(updateScheduleData.updates || [updateScheduleData], function(item) {
+        var schedule = this.getSchedule(item.schedule.id, item.schedule.calendarId);
+        var changes = util.extend({}, item.changes);
+        var calendarId, previousValues;
+
+        if (!schedule) {
+            return;
+        }
+
+        if (this._hasChangedCalendar(schedule, changes)) {
+            this._setScheduleColor(changes.calendarId, changes);
+        }
+
+        calendarId = changes.calendarId || schedule.calendarId;
+        previousValues = getPreviousValues(schedule, changes);
+        this.updateSchedule(schedule.id, schedule.calendarId, changes, true);
+        this._setPending(schedule, true);
+
+        this._requestDataSource('update', schedule, function() {
+            return update(schedule, item.changes);
+        }, function(saved) {
+            this._history.ignore(function() {
+                this.updateSchedule(schedule.id, calendarId, saved, true);
+            }, this);
+            this._setPending(schedule, false);
+        }, function() {
+            this._history.ignore(function() {
+                this.updateSchedule(schedule.id, calendarId, previousValues, true);
+            }, this);
+            this._setPending(schedule, false);
+
+            if (onRollback) {
+                onRollback();
+            }
+        });
+    }, this);
+};
+
+/**
+ * Set the isPending of the schedule without recording the history and render.
+ * @param {Schedule} schedule - The schedule
+ * @param {boolean} isPending - Whether the schedule is being saved
+ * @private
+ */
+Calendar.prototype._setPending = function(schedule, isPending) {
+    this._controller.updateSchedule(schedule, {
+        isPending: isPending
+    });
+    this.render();
+};
+
+/**
+ * Delete the schedules and remove them by the remove function of the dataSource option.
+ * The schedules are added again when the removing fails.
+ * @param {object} deleteScheduleData - The event data of 'beforeDeleteSchedule'
+ * @param {function} [onRollback] - The function called after the schedules are added again
+ * @private
+ */
+Calendar.prototype._persistDeletion = function(deleteScheduleData, onRollback) {
+    var remove = util.pick(this._options, 'dataSource', 'remove');
+
+    if (!remove) {
+        return;
+    }
+
+    if (deleteScheduleData.recurrenceScope) {
+        this._persistRecurrence(deleteScheduleData.schedule, deleteScheduleData.recurrenceScope, null, onRollback);
+
+        return;
+    }
+
+    util.forEachArray(deleteScheduleData.schedules || [deleteScheduleData.schedule], function(schedule) {
+        var scheduleData = schedule.parameterize();
+
+        this.deleteSchedule(schedule.id, schedule.calendarId);
+
+        this._requestDataSource('remove', schedule, function() {
+            return remove(schedule);
+        }, null, function() {
+            this._history.ignore(function() {
+                this.createSchedules([scheduleData]);
+            }, this);
+
+            if (onRollback) {
+                onRollback();
+            }
+        });
+    }, this);
+};
+
+/**
+ * Update or delete the occurrence in the scope and save the changed schedules of the series
+ * by the dataSource option.
+ * @param {Schedule} occurrence - The occurrence of the recurring schedule
+ * @param {string} scope - The scope to update or delete. ('this', 'following', 'all')
+ * @param {object} [changes] - The changes to update. The occurrence is deleted when it's not set.
+ * @param {function} [onRollback] - The function called after the series is restored when the saving fails
+ * @private
+ */
+Calendar.prototype._persistRecurrence = function(occurrence, scope, changes, onRollback) {
+    var series = this._changeSeries(occurrence, scope, changes);
+
+    this._persistSeries(series.before, series.after, onRollback);
+    this.render();
+};
+
+/**
+ * Save the difference of the schedules of a series by the dataSource option. The new schedules are created first,
+ * and then the changed ones are updated and the deleted ones are removed to refer to the created ids.
+ * The series is restored when one of the requests fails.
+ * @param {Array.<{schedule: Schedule, data: object}>} before - The recurring schedules and the exceptions,
+ *                                                         and their data before the change
+ * @param {Array.<Schedule>} after - The recurring schedules and the exceptions after the change
+ * @param {function} [onRollback] - The function called after the series is restored
+ * @private
+ */
+Calendar.prototype._persistSeries = function(before, after, onRollback) {
+    var dataSource = this._options.dataSource;
+    var previous = {};
+    var current = {};
+    var created = [];
+    var remains = 0;
+    var isRestored = false;
+    var restore = function() {
+        if (isRestored) {
+            return;
+        }
+
+        isRestored = true;
+        this._restoreSeries(current, previous);
+
+        if (onRollback) {
+            onRollback();
+        }
+    };
+    var request = function(action, schedule, args, onResolve) {
+        if (!dataSource[action]) {
+            if (onResolve) {
+                onResolve.call(this, null);
+            }
+
+            return;
+        }
+
+        this._requestDataSource(action, schedule, function() {
+            return dataSource[action].apply(null, args);
+        }, onResolve, restore);
+    };
+    var saveChanges = function() {
+        util.forEach(previous, function(item, stamp) {
+            var schedule = current[stamp];
+            var changes = schedule && getChangedValues(item.data, schedule.parameterize());
+
+            if (!schedule) {
+                request.call(this, 'remove', item.schedule, [item.schedule], null);
+            } else if (!util.isEmpty(changes)) {
+                request.call(this, 'update', schedule, [schedule, changes], function(saved) {
+                    this._applySavedValues(schedule, saved);
+                });
+            }
+        }, this);
+    };
+
+    util.forEachArray(before, function(item) {
+        previous[util.stamp(item.schedule)] = item;
+    });
+    util.forEachArray(after, function(schedule) {
+        var stamp = util.stamp(schedule);
+
+        if (!current[stamp] && !previous[stamp]) {
+            created.push(schedule);
+        }
+
+        current[stamp] = schedule;
+    });
+
+    remains = created.length;
+
+    if (!remains) {
+        saveChanges.call(this);
+    }
+
+    util.forEachArray(created, function(schedule) {
+        var scheduleData = schedule.parameterize();
+
+        request.call(this, 'create', scheduleData, [scheduleData], function(saved) {
+            this._applySavedValues(schedule, saved);
+            remains -= 1;
+
+            if (!remains) {
+                saveChanges.call(this);
+            }
+        });
+    }, this);
+};
+
+/**
+ * Restore the schedules of a series without recording the history.
+ * @param {object.<string, Schedule>} current - The schedules of the series after the change by the stamp
+ * @param {object.<string, {schedule: Schedule, data: object}>} previous - The schedules and the data before the change
+ * @private
+ */
+Calendar.prototype._restoreSeries = function(current, previous) {
+    var ctrl = this._controller;
+
+    this._history.ignore(function() {
+        util.forEach(current, function(schedule) {
+            if (this.getSchedule(schedule.id, schedule.calendarId) === schedule) {
+                ctrl.deleteSchedule(schedule);
+            }
+        }, this);
+        this.createSchedules(util.map(previous, function(item) {
+            return item.data;
+        }), true);
+    }, this);
+    this.render();
+};
+
+/**
+ * Apply the values saved by the dataSource option to the schedule without recording the history.
+ * The exceptions of the recurring schedule follow the saved id.
+ * @param {Schedule} schedule - The schedule
+ * @param {?object} saved - The saved values
+ * @private
+ */
+Calendar.prototype._applySavedValues = function(schedule, saved) {
+    var ctrl = this._controller;
+    var id = schedule.id;
+
+    if (!saved || this.getSchedule(id, schedule.calendarId) !== schedule) {
+        return;
+    }
+
+    if (util.isExisty(saved.id) && saved.id !== id) {
+        schedule.id = saved.id;
+        ctrl.schedules.each(function(model) {
+            if (id && model.masterId === id && model.calendarId === schedule.calendarId) {
+                model.set('masterId', saved.id);
+            }
+        });
+    }
+
+    ctrl.updateSchedule(schedule, saved);
+    this.render();
 };
 
 /**
- * @fires Calendar#beforeUpdateSchedule
- * @param {object} updateScheduleData - update {@link Schedule} data
+ * Call the function of the dataSource option and wait the result. The result can be a promise or a value.
+ * The errors thrown by the function or the onResolve callback reject the request.
+ * The callbacks are not called after the calendar is destroyed.
+ * @fires Calendar#dataSourceError
+ * @param {string} action - 'load', 'create', 'update' or 'remove'
+ * @param {?object} schedule - The schedule or the schedule data of the request
+ * @param {function} request - The function which calls the dataSource function and returns the result.
+ *                             It's called with the calendar as this.
+ * @param {?function} onResolve - The function called with the resolved value
+ * @param {function} onReject - The function called to roll back when it's rejected
  * @private
  */
-Calendar.prototype._onBeforeUpdate = function(updateScheduleData) {
-    /**
-     * Fire this event when drag a schedule to change time in daily, weekly, monthly.
-     * @event Calendar#beforeUpdateSchedule
-     * @type {object}
-     * @property {Schedule} schedule - The original {@link Schedule} instance
-     * @property {object} changes - The {@link Schedule} properties and values with changes to update
-     * @property {Date} start - Deprecated: start time to update
-     * @property {Date} end - Deprecated: end time to update
-     * @example
-     * calendar.on('beforeUpdateSchedule', function(event) {
-     *     var schedule = event.schedule;
-     *     var changes = event.changes;
-     *
-     *     calendar.updateSchedule(schedule.id, schedule.calendarId, changes);
-     * });
-     */
-    this.fire('beforeUpdateSchedule', updateScheduleData);
+Calendar.prototype._requestDataSource = function(action, schedule, request, onResolve, onReject) {
+    var self = this;
+    var isSettled = false;
+    var reject = function(error) {
+        if (!self._options || isSettled) {
+            return;
+        }
+
+        isSettled = true;
+        onReject.call(self);
+
+        /**
+         * Fire this event when a function of the dataSource option is rejected or throws an error.
+         * The schedule added, updated or deleted in advance is rolled back before this event.
+         * @event Calendar#dataSourceError
+         * @type {object}
+         * @property {string} action - 'load', 'create', 'update' or 'remove'
+         * @property {object} [schedule] - The {@link Schedule} or the schedule data of the request
+         * @property {*} error - The reason of the rejection
+         * @example
+         * calendar.on('dataSourceError', function(event) {
+         *     alert('Failed to ' + event.action + ' the schedule.');
+         * });
+         */
+        self.fire('dataSourceError', {
+            action: action,
+            schedule: schedule,
+            error: error
+        });
+    };
+    var resolve = function(value) {
+        if (!self._options || isSettled) {
+            return;
+        }
+
+        try {
+            if (onResolve) {
+                onResolve.call(self, value);
+            }
+        } catch (error) {
+            reject(error);
+        }
+
+        isSettled = true;
+    };
+    var result;
+
+    try {
+        result = request.call(self);
+    } catch (error) {
+        reject(error);
+
+        return;
+    }
+
+    if (result && util.isFunction(result.then)) {
+        result.then(resolve, reject);
+    } else {
+        resolve(result);
+    }
 };
 
 /**
- * @fires Calendar#beforeDeleteSchedule
- * @param {object} deleteScheduleData - delete schedule data
+ * Open the popup to choose the scope when the schedule is an occurrence of recurring schedule.
+ * The event is fired with the chosen scope through the same path as the other schedules.
+ * @param {string} eventName - The event name to fire after choosing the scope
+ * @param {object} eventData - The event data
+ * @param {function} [onSelect] - The function called with the event data of the chosen scope instead of firing the event.
+ *  It's called without the data when the popup is closed without choosing the scope.
+ * @returns {boolean} whether the popup is opened
  * @private
  */
-Calendar.prototype._onBeforeDelete = function(deleteScheduleData) {
-    /**
-     * Fire this event when delete a schedule.
-     * @event Calendar#beforeDeleteSchedule
-     * @type {object}
-     * @property {Schedule} schedule - The {@link Schedule} instance to delete
-     * @example
-     * calendar.on('beforeDeleteSchedule', function(event) {
-     *     var schedule = event.schedule;
-     *     alert('The schedule is removed.', schedule);
-     * });
-     */
-    this.fire('beforeDeleteSchedule', deleteScheduleData);
+Calendar.prototype._openRecurrenceScopePopup = function(eventName, eventData, onSelect) {
+    var master = this._controller.getMasterSchedule(eventData.schedule);
+    var popup = this._recurrenceScopePopup;
+    var isDelete = eventName === 'beforeDeleteSchedule';
+
+    if (!master || eventData.recurrenceScope) {
+        return false;
+    }
+
+    popup.off('selectScope');
+    popup.off('cancelScope');
+    popup.once('selectScope', function(scopeData) {
+        var scopedData = util.extend(eventData, {
+            recurrenceScope: scopeData.scope,
+            masterSchedule: master
+        });
+
+        popup.off('cancelScope');
+
+        if (onSelect) {
+            onSelect.call(this, scopedData);
+        } else if (isDelete) {
+            this._onBeforeDelete(scopedData);
+        } else {
+            this._fireBeforeUpdate(scopedData);
+        }
+    }, this);
+
+    if (onSelect) {
+        popup.once('cancelScope', function() {
+            popup.off('selectScope');
+            onSelect.call(this);
+        }, this);
+    }
+
+    popup.render({
+        schedule: eventData.schedule,
+        isDelete: isDelete
+    });
+
+    return true;
 };
 
 /**
@@ -1485,6 +4239,11 @@ Calendar.prototype._toggleViewSchedule = function(isAttach, view) {
 
     util.forEach(handler.click, function(clickHandler) {
         clickHandler[method]('clickSchedule', self._onClick, self);
+        clickHandler[method]('selectSchedules', self._onSelectSchedules, self);
+    });
+
+    util.forEach(handler.selection, function(selectionHandler) {
+        selectionHandler[method]('selectSchedules', self._onSelectSchedules, self);
     });
 
     util.forEach(handler.dayname, function(clickHandler) {
@@ -1498,6 +4257,9 @@ Calendar.prototype._toggleViewSchedule = function(isAttach, view) {
 
     util.forEach(handler.move, function(moveHandler) {
         moveHandler[method]('beforeUpdateSchedule', self._onBeforeUpdate, self);
+        moveHandler[method]('duplicateSchedule', self._onDuplicateSchedule, self);
+        moveHandler[method]('scheduleDragStart', self._onScheduleDragStart, self);
+        moveHandler[method]('scheduleDragOut', self._onScheduleDragOut, self);
     });
 
     util.forEach(handler.resize, function(resizeHandler) {
@@ -1508,10 +4270,13 @@ Calendar.prototype._toggleViewSchedule = function(isAttach, view) {
     view[method]('afterRenderSchedule', self._onAfterRenderSchedule, self);
     view[method]('clickTimezonesCollapseBtn', self._onClickTimezonesCollapseBtn, self);
     view[method]('clickMore', self._onClickMore, self);
+    view[method]('beforeUpdateSchedule', self._onBeforeUpdate, self);
+    view[method]('beforeDeleteSchedule', self._onBeforeDelete, self);
+    view[method]('clickYearDate', self._onClickYearDate, self);
 };
 
 /**
- * Change current view with view name('day', 'week', 'month')
+ * Change current view with view name('day', 'week', 'month', 'year', 'timeline', 'agenda')
  * @param {string} newViewName - The New view name to render
  * @param {boolean} force - Force render despite of current view and new view are equal
  * @example
@@ -1547,21 +4312,43 @@ Calendar.prototype._toggleViewSchedule = function(isAttach, view) {
  * calendar.setOptions({week: {workweek: true}}, true);
  * calendar.setOptions({month: {workweek: true}}, true);
  * calendar.changeView(calendar.getViewName(), true);
+ *
+ * // timeline view of the resources by days of a month
+ * calendar.setOptions({timeline: {granularity: 'day'}}, true);
+ * calendar.changeView('timeline', true);
+ *
+ * // year view shaded by busy duration
+ * calendar.setOptions({year: {density: 'duration'}}, true);
+ * calendar.changeView('year', true);
+ *
+ * // agenda view of 14 days
+ * calendar.setOptions({agenda: {dayCount: 14}}, true);
+ * calendar.changeView('agenda', true);
+ *
+ * // 3 days view
+ * calendar.changeView({type: 'week', dayCount: 3}, true);
+ *
+ * // 2 weeks view
+ * calendar.changeView({type: 'month', weeks: 2}, true);
  */
 Calendar.prototype.changeView = function(newViewName, force) {
     var self = this,
         layout = this._layout,
         controller = this._controller,
         dragHandler = this._dragHandler,
-        options = this._options,
+        viewOption = util.isObject(newViewName) ? newViewName : null,
         viewName = this._viewName,
-        created;
+        options, created;
 
-    if (!force && viewName === newViewName) {
+    newViewName = viewOption ? viewOption.type : newViewName;
+
+    if (!force && viewName === newViewName && _isSameViewOption(viewOption, this._viewOption)) {
         return;
     }
 
     this._setViewName(newViewName);
+    this._viewOption = viewOption;
+    options = _getOptionsForViewOption(this._options, viewOption);
 
     // convert day to week
     if (viewName === 'day') {
@@ -1584,6 +4371,27 @@ Calendar.prototype.changeView = function(newViewName, force) {
             dragHandler,
             options
         );
+    } else if (newViewName === 'timeline') {
+        created = _createTimelineView(
+            controller,
+            layout.container,
+            dragHandler,
+            options
+        );
+    } else if (newViewName === 'year') {
+        created = _createYearView(
+            controller,
+            layout.container,
+            dragHandler,
+            options
+        );
+    } else if (newViewName === 'agenda') {
+        created = _createAgendaView(
+            controller,
+            layout.container,
+            dragHandler,
+            options
+        );
     } else if (newViewName === 'week' || newViewName === 'day') {
         created = _createWeekView(
             controller,
@@ -1627,7 +4435,7 @@ Calendar.prototype.toggleTaskView = function(enabled) {
 
     options.taskView = enabled;
 
-    this.changeView(viewName, true);
+    this.changeView(this._viewOption || viewName, true);
 };
 
 /**
@@ -1647,7 +4455,7 @@ Calendar.prototype.toggleScheduleView = function(enabled) {
 
     options.scheduleView = enabled;
 
-    this.changeView(viewName, true);
+    this.changeView(this._viewOption || viewName, true);
 };
 
 /**
@@ -1702,7 +4510,7 @@ Calendar.prototype.setTheme = function(theme) {
  */
 Calendar.prototype.setOptions = function(options, silent) {
     util.forEach(options, function(value, name) {
-        if (util.isObject(value) && !util.isArray(value)) {
+        if (util.isObject(value) && !util.isArray(value) && !util.isFunction(value)) {
             util.forEach(value, function(innerValue, innerName) {
                 this._options[name][innerName] = innerValue;
             }, this);
@@ -1714,7 +4522,7 @@ Calendar.prototype.setOptions = function(options, silent) {
     this._setAdditionalInternalOptions(options);
 
     if (!silent) {
-        this.changeView(this._viewName, true);
+        this.changeView(this._viewOption || this._viewName, true);
     }
 };
 
@@ -1751,7 +4559,7 @@ Calendar.prototype.getDateRangeEnd = function() {
 };
 
 /**
- * Get current view name('day', 'week', 'month')
+ * Get current view name('day', 'week', 'month', 'year', 'timeline', 'agenda')
  * @returns {string} view name
  */
 Calendar.prototype.getViewName = function() {
@@ -1772,6 +4580,112 @@ Calendar.prototype.setCalendars = function(calendars) {
     this.render();
 };
 
+/**
+ * Add an event source. The source with the same id is replaced. The schedules of the visible range are fetched from it.
+ * @param {EventSourceOptions} source - {@link EventSourceOptions}
+ * @example
+ * calendar.addEventSource({
+ *     id: 'birthdays',
+ *     name: 'Birthdays',
+ *     bgColor: '#00a9ff',
+ *     schedules: [{id: '1', title: 'Kim', category: 'allday', start: '2019-12-24', end: '2019-12-24'}]
+ * });
+ */
+Calendar.prototype.addEventSource = function(source) {
+    this._fetchEvents([this._addEventSource(source)]);
+    this.render();
+};
+
+/**
+ * Remove the event source and its schedules.
+ * @param {string} id - The event source id
+ */
+Calendar.prototype.removeEventSource = function(id) {
+    this._removeEventSources(function(source) {
+        return source.id !== null && source.id === String(id);
+    });
+    this.render();
+};
+
+/**
+ * Fetch the schedules of the event source again. The other sources are not affected.
+ * @param {string} id - The event source id
+ * @example
+ * document.getElementById('refresh-team').addEventListener('click', function() {
+ *     calendar.refreshEventSource('team');
+ * });
+ */
+Calendar.prototype.refreshEventSource = function(id) {
+    var source = this._getEventSource(id);
+
+    if (!source) {
+        return;
+    }
+
+    this._deleteSourceSchedules(source.reset());
+    this._fetchEvents([source]);
+    this.render();
+};
+
+/**
+ * Toggle the visibility of the schedules of the event source. A hidden source isn't fetched until it's shown again.
+ * @param {string} id - The event source id
+ * @param {boolean} toHide - Set true to hide the schedules
+ * @example
+ * checkbox.addEventListener('change', function() {
+ *     calendar.toggleEventSource(checkbox.value, !checkbox.checked);
+ * });
+ */
+Calendar.prototype.toggleEventSource = function(id, toHide) {
+    var source = this._getEventSource(id);
+
+    if (!source) {
+        return;
+    }
+
+    source.isVisible = !toHide;
+    this.toggleSchedules(source.id, toHide, false);
+
+    if (!toHide) {
+        this._fetchEvents([source]);
+    }
+
+    this.render();
+};
+
+/**
+ * Get the event source list.
+ * @returns {Array.<{id: string, name: string, isVisible: boolean}>} The event sources
+ */
+Calendar.prototype.getEventSources = function() {
+    return util.map(util.filter(this._eventSources, function(source) {
+        return source.id !== null;
+    }), function(source) {
+        return {
+            id: source.id,
+            name: source.name,
+            isVisible: source.isVisible
+        };
+    });
+};
+
+/**
+ * Set holiday set list
+ * @param {Array.<HolidaySet>} holidays - {@link HolidaySet} List
+ * @example
+ * calendar.setHolidays([{
+ *     id: 'national',
+ *     isNonWorking: true,
+ *     dates: [{date: '2019-12-25', name: 'Christmas Day'}]
+ * }]);
+ */
+Calendar.prototype.setHolidays = function(holidays) {
+    this._options.holidays = holidays || [];
+    this._controller.setHolidays(holidays);
+
+    this.render();
+};
+
 /**
  * Open schedule creation popup
  * @param {Schedule} schedule - The preset {@link Schedule} data
@@ -1829,6 +4743,110 @@ function _createController(options) {
     return controllerFactory(options);
 }
 
+/**
+ * Get the data of the schedule to record into the history. The stamp of the instance is excluded.
+ * @param {Schedule} schedule - schedule to record
+ * @returns {object} schedule data
+ * @private
+ */
+function getHistoryData(schedule) {
+    var data = schedule.parameterize();
+
+    delete data.__fe_id;
+
+    return data;
+}
+
+/**
+ * Get the current values of the schedule for the changes to revert the update.
+ * @param {Schedule} schedule - schedule to update
+ * @param {object} changes - properties and values to update
+ * @returns {object} current values
+ * @private
+ */
+function getPreviousValues(schedule, changes) {
+    var values = {};
+
+    util.forEach(changes, function(value, name) {
+        values[name] = schedule[name] instanceof TZDate ? new TZDate(schedule[name]) : schedule[name];
+    });
+
+    if (!util.isUndefined(changes.category)) {
+        values.isAllDay = schedule.isAllDay;
+    }
+
+    return values;
+}
+
+/**
+ * Get the values of the schedule data which are different from the previous data.
+ * The dates are compared by the time and the other objects by the JSON. The private values are skipped.
+ * @param {object} previous - previous schedule data
+ * @param {object} current - current schedule data
+ * @returns {object} changed values
+ * @private
+ */
+function getChangedValues(previous, current) {
+    var changes = {};
+
+    util.forEach(current, function(value, name) {
+        if (name.charAt(0) !== '_' && !isSameValue(value, previous[name])) {
+            changes[name] = value;
+        }
+    });
+
+    return changes;
+}
+
+/**
+ * Whether the values of the schedule data are same.
+ * @param {*} value - value
+ * @param {*} other - other value
+ * @returns {boolean} whether the values are same
+ * @private
+ */
+function isSameValue(value, other) {
+    value = toComparableValue(value);
+    other = toComparableValue(other);
+
+    return value === other ||
+        (util.isObject(value) && util.isObject(other) && JSON.stringify(value) === JSON.stringify(other));
+}
+
+/**
+ * Get the time of the date to compare. The other values are returned as they are.
+ * @param {*} value - value
+ * @returns {*} value to compare
+ * @private
+ */
+function toComparableValue(value) {
+    return value && util.isFunction(value.getTime) ? value.getTime() : value;
+}
+
+/**
+ * Get the milliseconds to move the copied schedules onto the slot.
+ * The first copied schedule starts at the time slot. It keeps the time of the day for the all-day slot.
+ * @param {{start: TZDate, isAllDay: boolean}} slot - slot to paste
+ * @param {Array.<Schedule>} schedules - copied schedules
+ * @returns {number} milliseconds to move
+ * @private
+ */
+function getPasteOffset(slot, schedules) {
+    var first = schedules[0];
+
+    util.forEachArray(schedules, function(schedule) {
+        if (schedule.getStarts() < first.getStarts()) {
+            first = schedule;
+        }
+    });
+
+    if (slot.isAllDay || first.isAllDay) {
+        return datetime.start(slot.start) - datetime.start(first.getStarts());
+    }
+
+    return slot.start - first.getStarts();
+}
+
 /**
  * Create week view instance by dependent module instances
  * @param {Base} controller - controller
@@ -1867,6 +4885,100 @@ function _createMonthView(controller, container, dragHandler, options) {
     );
 }
 
+/**
+ * Create timeline view instance by dependent module instances
+ * @param {Base} controller - controller
+ * @param {HTMLElement} container - container element
+ * @param {Drag} dragHandler - global drag handler
+ * @param {object} options - options for timeline view
+ * @returns {Timeline} timeline view instance
+ * @private
+ */
+function _createTimelineView(controller, container, dragHandler, options) {
+    return timelineViewFactory(
+        controller,
+        container,
+        dragHandler,
+        options
+    );
+}
+
+/**
+ * Create year view instance by dependent module instances
+ * @param {Base} controller - controller
+ * @param {HTMLElement} container - container element
+ * @param {Drag} dragHandler - global drag handler
+ * @param {object} options - options for year view
+ * @returns {Year} year view instance
+ * @private
+ */
+function _createYearView(controller, container, dragHandler, options) {
+    return yearViewFactory(
+        controller,
+        container,
+        dragHandler,
+        options
+    );
+}
+
+/**
+ * Create agenda view instance by dependent module instances
+ * @param {Base} controller - controller
+ * @param {HTMLElement} container - container element
+ * @param {Drag} dragHandler - global drag handler
+ * @param {object} options - options for agenda view
+ * @returns {Agenda} agenda view instance
+ * @private
+ */
+function _createAgendaView(controller, container, dragHandler, options) {
+    return agendaViewFactory(
+        controller,
+        container,
+        dragHandler,
+        options
+    );
+}
+
+/**
+ * Whether the view options are same
+ * @param {ViewOption} viewOption - view option
+ * @param {ViewOption} otherViewOption - other view option
+ * @returns {boolean} same or not
+ * @private
+ */
+function _isSameViewOption(viewOption, otherViewOption) {
+    return util.pick(viewOption, 'dayCount') === util.pick(otherViewOption, 'dayCount') &&
+        util.pick(viewOption, 'weeks') === util.pick(otherViewOption, 'weeks');
+}
+
+/**
+ * Get the calendar options for the view factories.
+ * The options of the custom range override the week and month options without changing the calendar options.
+ * @param {Options} options - calendar options
+ * @param {ViewOption} viewOption - view option
+ * @returns {Options} options for the view factory
+ * @private
+ */
+function _getOptionsForViewOption(options, viewOption) {
+    if (util.pick(viewOption, 'dayCount')) {
+        return util.extend({}, options, {
+            week: util.extend({}, options.week, {
+                workweek: false
+            })
+        });
+    }
+
+    if (util.pick(viewOption, 'weeks')) {
+        return util.extend({}, options, {
+            month: util.extend({}, options.month, {
+                visibleWeeksCount: viewOption.weeks
+            })
+        });
+    }
+
+    return options;
+}
+
 /**
  * Set child view's options recursively
  * @param {View} view - parent view
@@ -1885,6 +4997,25 @@ function _setOptionRecurseively(view, func) {
     });
 }
 
+/**
+ * Get the colors of the event source options.
+ * @param {EventSourceOptions} options - The event source options
+ * @returns {?CalendarColor} The colors. null when no color is set.
+ * @private
+ */
+function getSourceColor(options) {
+    var color = null;
+
+    util.forEachArray(['color', 'bgColor', 'borderColor', 'dragBgColor'], function(name) {
+        if (options[name]) {
+            color = color || {};
+            color[name] = options[name];
+        }
+    });
+
+    return color;
+}
+
 util.CustomEvents.mixin(Calendar);
 
 module.exports = Calendar;
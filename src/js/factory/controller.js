@@ -8,7 +8,9 @@ var util = require('tui-code-snippet');
 var Base = require('../controller/base'),
     Core = require('../controller/viewMixin/core'),
     Week = require('../controller/viewMixin/week'),
-    Month = require('../controller/viewMixin/month');
+    Month = require('../controller/viewMixin/month'),
+    Timeline = require('../controller/viewMixin/timeline'),
+    Year = require('../controller/viewMixin/year');
 
 /**
  * Mixin object. create object property to target and mix to that
@@ -35,11 +37,15 @@ module.exports = function(options) {
     mixin(Core, controller, 'Core');
     mixin(Week, controller, 'Week');
     mixin(Month, controller, 'Month');
+    mixin(Timeline, controller, 'Timeline');
+    mixin(Year, controller, 'Year');
 
     // for Theme
     controller.Core.theme = controller.theme;
     controller.Week.theme = controller.theme;
     controller.Month.theme = controller.theme;
+    controller.Timeline.theme = controller.theme;
+    controller.Year.theme = controller.theme;
 
     return controller;
 };
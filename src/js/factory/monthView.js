@@ -15,6 +15,7 @@ var config = require('../config'),
     MonthCreation = require('../handler/month/creation'),
     MonthResize = require('../handler/month/resize'),
     MonthMove = require('../handler/month/move'),
+    Selection = require('../handler/selection'),
     More = require('../view/month/more'),
     ScheduleCreationPopup = require('../view/popup/scheduleCreationPopup'),
     ScheduleDetailPopup = require('../view/popup/scheduleDetailPopup'),
@@ -51,7 +52,8 @@ function getViewModelForMoreLayer(date, target, schedules, daynames) {
  */
 function createMonthView(baseController, layoutContainer, dragHandler, options) {
     var monthViewContainer, monthView, moreView, createView;
-    var clickHandler, creationHandler, resizeHandler, moveHandler, clearSchedulesHandler, onUpdateSchedule;
+    var clickHandler, selectionHandler, creationHandler, resizeHandler, moveHandler;
+    var clearSchedulesHandler, onUpdateSchedule;
     var onShowCreationPopup, onSaveNewSchedule, onShowEditPopup;
     var detailView, onShowDetailPopup, onDeleteSchedule, onEditSchedule;
 
@@ -63,6 +65,7 @@ function createMonthView(baseController, layoutContainer, dragHandler, options)
 
     // handlers
     clickHandler = new MonthClick(dragHandler, monthView, baseController);
+    selectionHandler = new Selection(dragHandler, monthView, baseController);
     if (!options.isReadOnly) {
         creationHandler = new MonthCreation(dragHandler, monthView, baseController, options);
         resizeHandler = new MonthResize(dragHandler, monthView, baseController);
@@ -115,7 +118,8 @@ function createMonthView(baseController, layoutContainer, dragHandler, options)
 
     // binding popup for schedules creation
     if (options.useCreationPopup) {
-        createView = new ScheduleCreationPopup(layoutContainer, baseController.calendars, options.usageStatistics);
+        createView = new ScheduleCreationPopup(layoutContainer, baseController.calendars, options.usageStatistics,
+            options.popupFields, options.validateSchedule);
 
         onSaveNewSchedule = function(scheduleData) {
             creationHandler.fire('beforeCreateSchedule', util.extend(scheduleData, {
@@ -127,7 +131,7 @@ function createMonthView(baseController, layoutContainer, dragHandler, options)
 
     // binding popup for schedule detail
     if (options.useDetailPopup) {
-        detailView = new ScheduleDetailPopup(layoutContainer, baseController.calendars);
+        detailView = new ScheduleDetailPopup(layoutContainer, baseController.calendars, options.popupFields);
         onShowDetailPopup = function(eventData) {
             var scheduleId = eventData.schedule.calendarId;
             eventData.calendar = common.find(baseController.calendars, function(calendar) {
@@ -180,6 +184,9 @@ function createMonthView(baseController, layoutContainer, dragHandler, options)
     monthView.handler = {
         click: {
             'default': clickHandler
+        },
+        selection: {
+            'default': selectionHandler
         }
     };
 
@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Timeline view factory module
+ * @author NHN FE Development Lab <dl_javascript@nhn.com>
+ */
+'use strict';
+
+var util = require('tui-code-snippet');
+var config = require('../config'),
+    domutil = require('../common/domutil'),
+    common = require('../common/common'),
+    Timeline = require('../view/timeline/timeline'),
+    TimelineClick = require('../handler/timeline/click'),
+    TimelineCreation = require('../handler/timeline/creation'),
+    TimelineMove = require('../handler/timeline/move'),
+    TimelineResize = require('../handler/timeline/resize'),
+    ScheduleCreationPopup = require('../view/popup/scheduleCreationPopup'),
+    ScheduleDetailPopup = require('../view/popup/scheduleDetailPopup'),
+    Schedule = require('../model/schedule');
+
+/**
+ * @param {Base} baseController - controller instance
+ * @param {HTMLElement} layoutContainer - container element for timeline view
+ * @param {Drag} dragHandler - drag handler instance
+ * @param {object} options - options
+ * @returns {object} view instance and refresh method
+ */
+function createTimelineView(baseController, layoutContainer, dragHandler, options) {
+    var timelineViewContainer, timelineView, createView;
+    var clickHandler, creationHandler, moveHandler, resizeHandler;
+    var onSaveNewSchedule, onShowEditPopup;
+    var detailView, onShowDetailPopup, onDeleteSchedule, onEditSchedule;
+
+    timelineViewContainer = domutil.appendHTMLElement(
+        'div', layoutContainer, config.classname('timeline'));
+
+    timelineView = new Timeline(options, timelineViewContainer, baseController.Timeline);
+
+    // handlers
+    clickHandler = new TimelineClick(dragHandler, timelineView, baseController);
+    if (!options.isReadOnly) {
+        creationHandler = new TimelineCreation(dragHandler, timelineView, baseController, options);
+        moveHandler = new TimelineMove(dragHandler, timelineView, baseController);
+        resizeHandler = new TimelineResize(dragHandler, timelineView, baseController);
+    }
+
+    // binding popup for schedules creation
+    if (options.useCreationPopup) {
+        createView = new ScheduleCreationPopup(layoutContainer, baseController.calendars, options.usageStatistics,
+            options.popupFields, options.validateSchedule);
+
+        onSaveNewSchedule = function(scheduleData) {
+            creationHandler.fire('beforeCreateSchedule', util.extend(scheduleData, {
+                useCreationPopup: true
+            }));
+        };
+        createView.on('beforeCreateSchedule', onSaveNewSchedule);
+    }
+
+    // binding popup for schedule detail
+    if (options.useDetailPopup) {
+        detailView = new ScheduleDetailPopup(layoutContainer, baseController.calendars, options.popupFields);
+        onShowDetailPopup = function(eventData) {
+            var scheduleId = eventData.schedule.calendarId;
+            eventData.calendar = common.find(baseController.calendars, function(calendar) {
+                return calendar.id === scheduleId;
+            });
+
+            if (options.isReadOnly) {
+                eventData.schedule = util.extend({}, eventData.schedule, {isReadOnly: true});
+            }
+
+            detailView.render(eventData);
+        };
+        onDeleteSchedule = function(eventData) {
+            if (creationHandler) {
+                creationHandler.fire('beforeDeleteSchedule', eventData);
+            }
+        };
+        onEditSchedule = function(eventData) {
+            moveHandler.fire('beforeUpdateSchedule', eventData);
+        };
+
+        clickHandler.on('clickSchedule', onShowDetailPopup);
+
+        detailView.on('beforeDeleteSchedule', onDeleteSchedule);
+
+        if (options.useCreationPopup) {
+            onShowEditPopup = function(eventData) {
+                createView.setCalendars(baseController.calendars);
+                createView.render(eventData);
+            };
+            createView.on('beforeUpdateSchedule', onEditSchedule);
+            detailView.on('beforeUpdateSchedule', onShowEditPopup);
+        } else {
+            detailView.on('beforeUpdateSchedule', onEditSchedule);
+        }
+    }
+
+    timelineView.handler = {
+        click: {
+            'default': clickHandler
+        }
+    };
+
+    if (!options.isReadOnly) {
+        timelineView.handler = util.extend(timelineView.handler, {
+            creation: {
+                'default': creationHandler
+            },
+            move: {
+                'default': moveHandler
+            },
+            resize: {
+                'default': resizeHandler
+            }
+        });
+    }
+
+    timelineView._beforeDestroy = function() {
+        util.forEach(timelineView.handler, function(type) {
+            util.forEach(type, function(handler) {
+                handler.off();
+                handler.destroy();
+            });
+        });
+
+        if (options.useCreationPopup) {
+            if (options.useDetailPopup) {
+                createView.off('beforeUpdateSchedule', onEditSchedule);
+            }
+            createView.off('beforeCreateSchedule', onSaveNewSchedule);
+            createView.destroy();
+        }
+
+        if (options.useDetailPopup) {
+            detailView.off('beforeUpdateSchedule');
+            detailView.off('beforeDeleteSchedule', onDeleteSchedule);
+            detailView.destroy();
+        }
+    };
+
+    // add controller
+    timelineView.controller = baseController.Timeline;
+
+    return {
+        view: timelineView,
+        refresh: function() {},
+        scrollToNow: function() {
+            timelineView.scrollToNow();
+        },
+        openCreationPopup: function(schedule) {
+            if (createView && creationHandler) {
+                creationHandler.invokeCreationClick(Schedule.create(schedule));
+            }
+        },
+        showCreationPopup: function(eventData) {
+            if (createView) {
+                createView.setCalendars(baseController.calendars);
+                createView.render(eventData);
+            }
+        }
+    };
+}
+
+module.exports = createTimelineView;
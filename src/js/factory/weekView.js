@@ -31,6 +31,7 @@ var TimeClick = require('../handler/time/click');
 var TimeCreation = require('../handler/time/creation');
 var TimeMove = require('../handler/time/move');
 var TimeResize = require('../handler/time/resize');
+var Selection = require('../handler/selection');
 
 var DAYGRID_HANDLDERS = {
     'click': DayGridClick,
@@ -137,7 +138,10 @@ module.exports = function(baseController, layoutContainer, dragHandler, options,
         });
     }
 
-    util.extend(options.week, {panels: panels});
+    util.extend(options.week, {
+        panels: panels,
+        resources: options.resources || []
+    });
 
     weekView = new Week(null, options.week, layoutContainer, panels, viewName);
     weekView.handler = {
@@ -145,7 +149,8 @@ module.exports = function(baseController, layoutContainer, dragHandler, options,
         dayname: {},
         creation: {},
         move: {},
-        resize: {}
+        resize: {},
+        selection: {}
     };
 
     dayNameContainer = domutil.appendHTMLElement('div', weekView.container, config.classname('dayname-layout'));
@@ -225,6 +230,8 @@ module.exports = function(baseController, layoutContainer, dragHandler, options,
         }
     });
 
+    weekView.handler.selection.week = new Selection(dragHandler, weekView, baseController);
+
     vLayout.on('resize', function() {
         reqAnimFrame.requestAnimFrame(function() {
             weekView.render();
@@ -233,7 +240,8 @@ module.exports = function(baseController, layoutContainer, dragHandler, options,
 
     // binding create schedules event
     if (options.useCreationPopup) {
-        createView = new ScheduleCreationPopup(layoutContainer, baseController.calendars, options.usageStatistics);
+        createView = new ScheduleCreationPopup(layoutContainer, baseController.calendars, options.usageStatistics,
+            options.popupFields, options.validateSchedule);
 
         onSaveNewSchedule = function(scheduleData) {
             util.extend(scheduleData, {
@@ -258,7 +266,7 @@ module.exports = function(baseController, layoutContainer, dragHandler, options,
 
     // binding popup for schedule detail
     if (options.useDetailPopup) {
-        detailView = new ScheduleDetailPopup(layoutContainer, baseController.calendars);
+        detailView = new ScheduleDetailPopup(layoutContainer, baseController.calendars, options.popupFields);
         onShowDetailPopup = function(eventData) {
             var scheduleId = eventData.schedule.calendarId;
             eventData.calendar = common.find(baseController.calendars, function(calendar) {
@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Year view factory module
+ * @author NHN FE Development Lab <dl_javascript@nhn.com>
+ */
+'use strict';
+
+var config = require('../config'),
+    domutil = require('../common/domutil'),
+    Year = require('../view/year/year'),
+    YearClick = require('../handler/year/click');
+
+/**
+ * @param {Base} baseController - controller instance
+ * @param {HTMLElement} layoutContainer - container element for year view
+ * @param {Drag} dragHandler - drag handler instance
+ * @param {object} options - options
+ * @returns {object} view instance and refresh method
+ */
+function createYearView(baseController, layoutContainer, dragHandler, options) {
+    var yearViewContainer, yearView, clickHandler, onClickYearDate;
+
+    yearViewContainer = domutil.appendHTMLElement(
+        'div', layoutContainer, config.classname('year'));
+
+    yearView = new Year(options, yearViewContainer, baseController.Year);
+
+    // handlers
+    clickHandler = new YearClick(dragHandler, yearView, baseController);
+
+    onClickYearDate = function(eventData) {
+        /**
+         * @event Year#clickYearDate
+         */
+        yearView.fire('clickYearDate', eventData);
+    };
+    clickHandler.on('clickYearDate', onClickYearDate);
+
+    yearView.handler = {
+        click: {
+            'default': clickHandler
+        }
+    };
+
+    yearView._beforeDestroy = function() {
+        clickHandler.off('clickYearDate', onClickYearDate);
+        clickHandler.destroy();
+    };
+
+    // add controller
+    yearView.controller = baseController.Year;
+
+    return {
+        view: yearView,
+        refresh: function() {}
+    };
+}
+
+module.exports = createYearView;
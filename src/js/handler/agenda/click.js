@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Click handler for agenda view
+ * @author NHN FE Development Lab <dl_javascript@nhn.com>
+ */
+'use strict';
+
+var util = require('tui-code-snippet');
+var config = require('../../config'),
+    domutil = require('../../common/domutil');
+
+/**
+ * @constructor
+ * @implements {Handler}
+ * @mixes util.CustomEvents
+ * @param {Drag} [dragHandler] - Drag handler instance.
+ * @param {Agenda} [agendaView] - Agenda view instance.
+ * @param {Base} [baseController] - Base controller instance.
+ */
+function AgendaClick(dragHandler, agendaView, baseController) {
+    /**
+     * @type {Drag}
+     */
+    this.dragHandler = dragHandler;
+
+    /**
+     * @type {Agenda}
+     */
+    this.agendaView = agendaView;
+
+    /**
+     * @type {Base}
+     */
+    this.baseController = baseController;
+
+    dragHandler.on({
+        'click': this._onClick
+    }, this);
+}
+
+/**
+ * Destroy handler module
+ */
+AgendaClick.prototype.destroy = function() {
+    this.dragHandler.off(this);
+    this.agendaView = this.baseController = this.dragHandler = null;
+};
+
+/**
+ * Click event handler
+ * @fires AgendaClick#clickSchedule
+ * @param {object} clickEvent - click event data
+ */
+AgendaClick.prototype._onClick = function(clickEvent) {
+    var self = this,
+        blockElement = domutil.closest(clickEvent.target, config.classname('.agenda-item'));
+
+    if (!blockElement) {
+        return;
+    }
+
+    this.baseController.schedules.doWhenHas(domutil.getData(blockElement, 'id'), function(schedule) {
+        /**
+         * @events AgendaClick#clickSchedule
+         * @type {object}
+         * @property {Schedule} schedule - schedule instance
+         * @property {MouseEvent} event - MouseEvent object
+         */
+        self.fire('clickSchedule', {
+            schedule: schedule,
+            event: clickEvent.originEvent
+        });
+    });
+};
+
+util.CustomEvents.mixin(AgendaClick);
+
+module.exports = AgendaClick;
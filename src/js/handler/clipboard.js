@@ -0,0 +1,266 @@
+/**
+ * @fileoverview Clipboard handler for copying, cutting and pasting schedules.
+ * @author NHN FE Development Lab <dl_javascript@nhn.com>
+ */
+'use strict';
+
+var util = require('tui-code-snippet');
+var datetime = require('../common/datetime');
+var domutil = require('../common/domutil');
+var domevent = require('../common/domevent');
+var ics = require('../common/ics');
+
+/**
+ * Find the closest element which has the role including the element itself.
+ * @param {HTMLElement} el - element to start find
+ * @param {string} role - role attribute value
+ * @param {HTMLElement} root - element to stop find
+ * @returns {HTMLElement} element or null
+ */
+function closestByRole(el, role, root) {
+    while (el && el !== root && el.getAttribute) {
+        if (el.getAttribute('role') === role) {
+            return el;
+        }
+
+        el = el.parentNode;
+    }
+
+    return null;
+}
+
+/**
+ * Format the period of the schedule for the text representation.
+ * @param {Schedule} schedule - schedule instance
+ * @returns {string} period like '2018-10-28 09:00 - 10:00'
+ */
+function formatPeriod(schedule) {
+    var start = schedule.getStarts(),
+        end = schedule.getEnds(),
+        isSameDate = datetime.isSameDate(start, end);
+
+    if (schedule.isAllDay) {
+        return datetime.format(start, 'YYYY-MM-DD') + (isSameDate ? '' : ' - ' + datetime.format(end, 'YYYY-MM-DD'));
+    }
+
+    return datetime.format(start, 'YYYY-MM-DD HH:mm') + ' - ' +
+        datetime.format(end, isSameDate ? 'HH:mm' : 'YYYY-MM-DD HH:mm');
+}
+
+/**
+ * Copy, cut and paste the schedules by the clipboard events(Ctrl+C, Ctrl+X, Ctrl+V) in the calendar.
+ * It remembers the hovered position to paste the schedules onto the hovered slot.
+ * @constructor
+ * @mixes CustomEvents
+ * @param {HTMLElement} container - element to watching clipboard interaction.
+ * @param {Base} baseController - Base controller instance.
+ */
+function Clipboard(container, baseController) {
+    /**
+     * @type {HTMLElement}
+     */
+    this.container = container;
+
+    /**
+     * @type {Base}
+     */
+    this.baseController = baseController;
+
+    /**
+     * position of the last mouse move in the container
+     * @type {{target: HTMLElement, clientX: number, clientY: number, type: string}}
+     */
+    this._hoverPosition = null;
+
+    domevent.on(container, {
+        copy: this._onCopy,
+        cut: this._onCut,
+        paste: this._onPaste,
+        mousemove: this._onMouseMove,
+        mouseleave: this._onMouseLeave
+    }, this);
+}
+
+/**
+ * Get the event name of the move handlers. Dragging with the alt key duplicates the schedule instead of moving it.
+ * @param {MouseEvent} mouseEvent - mouse event of the drag end
+ * @returns {string} 'duplicateSchedule' with the alt key, 'beforeUpdateSchedule' without it
+ */
+Clipboard.getMoveEventName = function(mouseEvent) {
+    return (mouseEvent && mouseEvent.altKey) ? 'duplicateSchedule' : 'beforeUpdateSchedule';
+};
+
+/**
+ * Write the text and iCalendar representations of the schedules to the system clipboard.
+ * @param {ClipboardEvent} clipboardEvent - copy or cut event
+ * @param {Array.<Schedule>} schedules - schedules to write
+ */
+Clipboard.write = function(clipboardEvent, schedules) {
+    var clipboardData = clipboardEvent.clipboardData || window.clipboardData;
+    var text = util.map(schedules, function(schedule) {
+        return formatPeriod(schedule) + ' ' + schedule.title;
+    }).join('\n');
+
+    if (!clipboardData) {
+        return;
+    }
+
+    domevent.preventDefault(clipboardEvent);
+
+    if (!clipboardEvent.clipboardData) {
+        // IE supports only the text format
+        clipboardData.setData('Text', text);
+
+        return;
+    }
+
+    clipboardData.setData('text/plain', text);
+    clipboardData.setData('text/calendar', ics.stringify(schedules));
+};
+
+/**
+ * Destroy method.
+ */
+Clipboard.prototype.destroy = function() {
+    domevent.off(this.container, {
+        copy: this._onCopy,
+        cut: this._onCut,
+        paste: this._onPaste,
+        mousemove: this._onMouseMove,
+        mouseleave: this._onMouseLeave
+    }, this);
+    this.container = this.baseController = this._hoverPosition = null;
+};
+
+/**
+ * Get the schedule of the focused block
+ * @param {HTMLElement} target - event target
+ * @returns {?Schedule} schedule
+ */
+Clipboard.prototype._getSchedule = function(target) {
+    var block = closestByRole(target, 'button', this.container);
+    var id = block && domutil.getData(block, 'id');
+
+    return (id && this.baseController.schedules.items[id]) || null;
+};
+
+/**
+ * Get the position to paste.
+ * The center of the focused slot is used when the slot has focus. Otherwise it is the hovered position.
+ * @param {HTMLElement} target - event target
+ * @returns {?{target: HTMLElement, clientX: number, clientY: number, type: string}} position
+ */
+Clipboard.prototype._getPastePosition = function(target) {
+    var slot = closestByRole(target, 'gridcell', this.container);
+    var rect;
+
+    if (!slot) {
+        return this._hoverPosition;
+    }
+
+    rect = slot.getBoundingClientRect();
+
+    return {
+        target: slot,
+        clientX: rect.left + (rect.width / 2),
+        clientY: rect.top + (rect.height / 2),
+        type: 'paste'
+    };
+};
+
+/**
+ * Fire the event with the schedule of the focused block
+ * @param {string} eventName - event name to fire
+ * @param {ClipboardEvent} clipboardEvent - copy or cut event
+ */
+Clipboard.prototype._fireScheduleEvent = function(eventName, clipboardEvent) {
+    var schedule = this._getSchedule(clipboardEvent.target || clipboardEvent.srcElement);
+
+    if (!schedule) {
+        return;
+    }
+
+    /**
+     * @event Clipboard#copySchedule
+     * @type {object}
+     * @property {Schedule} schedule - schedule instance of the focused block
+     * @property {ClipboardEvent} event - ClipboardEvent object
+     */
+    /**
+     * @event Clipboard#cutSchedule
+     * @type {object}
+     * @property {Schedule} schedule - schedule instance of the focused block
+     * @property {ClipboardEvent} event - ClipboardEvent object
+     */
+    this.fire(eventName, {
+        schedule: schedule,
+        event: clipboardEvent
+    });
+};
+
+/**
+ * Copy DOM event handler.
+ * @fires Clipboard#copySchedule
+ * @param {ClipboardEvent} copyEvent - copy event object
+ */
+Clipboard.prototype._onCopy = function(copyEvent) {
+    this._fireScheduleEvent('copySchedule', copyEvent);
+};
+
+/**
+ * Cut DOM event handler.
+ * @fires Clipboard#cutSchedule
+ * @param {ClipboardEvent} cutEvent - cut event object
+ */
+Clipboard.prototype._onCut = function(cutEvent) {
+    this._fireScheduleEvent('cutSchedule', cutEvent);
+};
+
+/**
+ * Paste DOM event handler.
+ * @fires Clipboard#pasteSchedule
+ * @param {ClipboardEvent} pasteEvent - paste event object
+ */
+Clipboard.prototype._onPaste = function(pasteEvent) {
+    var position = this._getPastePosition(pasteEvent.target || pasteEvent.srcElement);
+
+    if (!position) {
+        return;
+    }
+
+    /**
+     * @event Clipboard#pasteSchedule
+     * @type {object}
+     * @property {object} position - the focused slot or the hovered position to paste.
+     *  It has the target, clientX and clientY like a mouse event.
+     * @property {ClipboardEvent} event - ClipboardEvent object
+     */
+    this.fire('pasteSchedule', {
+        position: position,
+        event: pasteEvent
+    });
+};
+
+/**
+ * MouseMove DOM event handler.
+ * @param {MouseEvent} mouseEvent - mouse event object
+ */
+Clipboard.prototype._onMouseMove = function(mouseEvent) {
+    this._hoverPosition = {
+        target: mouseEvent.target || mouseEvent.srcElement,
+        clientX: mouseEvent.clientX,
+        clientY: mouseEvent.clientY,
+        type: 'paste'
+    };
+};
+
+/**
+ * MouseLeave DOM event handler.
+ */
+Clipboard.prototype._onMouseLeave = function() {
+    this._hoverPosition = null;
+};
+
+util.CustomEvents.mixin(Clipboard);
+
+module.exports = Clipboard;
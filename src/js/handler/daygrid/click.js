@@ -8,6 +8,7 @@ var util = require('tui-code-snippet');
 var config = require('../../config');
 var domutil = require('../../common/domutil');
 var DayGridMove = require('./move');
+var Selection = require('../selection');
 
 /**
  * @constructor
@@ -112,6 +113,23 @@ DayGridClick.prototype._onClick = function(clickEvent) {
     if (scheduleElement) {
         blockElement = domutil.closest(target, config.classname('.weekday-schedule-block'));
         scheduleCollection.doWhenHas(domutil.getData(blockElement, 'id'), function(schedule) {
+            var mode = Selection.getModeByEvent(clickEvent.originEvent);
+
+            if (mode) {
+                /**
+                 * @events DayGridClick#selectSchedules
+                 * @type {object}
+                 * @property {Array.<Schedule>} schedules - the clicked schedule
+                 * @property {string} mode - 'toggle' with the ctrl(or meta) key, 'add' with the shift key
+                 */
+                self.fire('selectSchedules', {
+                    schedules: [schedule],
+                    mode: mode
+                });
+
+                return;
+            }
+
             /**
              * @events DayGridClick#clickSchedule
              * @type {object}
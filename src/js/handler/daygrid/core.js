@@ -31,7 +31,8 @@ var dayGridCore = {
             mousePos,
             dragStartXIndex,
             grids,
-            range;
+            range,
+            columns;
 
         if (!weekdayView) {
             return false;
@@ -41,6 +42,7 @@ var dayGridCore = {
         range = weekdayView.getRenderDateRange();
         datesInRange = range.length;
         grids = weekdayView.getRenderDateGrids();
+        columns = weekdayView.getRenderColumns();
 
         containerWidth = domutil.getSize(container)[0];
         mousePos = domevent.getMousePosition(mouseEvent, container);
@@ -66,7 +68,8 @@ var dayGridCore = {
                 xIndex: xIndex,
                 triggerEvent: mouseEvent.type,
                 grids: grids,
-                range: range
+                range: range,
+                columns: columns
             };
         };
     },
@@ -81,7 +84,8 @@ var dayGridCore = {
             datesInRange,
             dragStartXIndex = 0,
             grids,
-            range;
+            range,
+            columns;
 
         if (!weekdayView) {
             return false;
@@ -90,6 +94,7 @@ var dayGridCore = {
         range = weekdayView.getRenderDateRange();
         datesInRange = range.length;
         grids = weekdayView.getRenderDateGrids();
+        columns = weekdayView.getRenderColumns();
 
         util.forEach(range, function(date, index) {
             if (datetime.isSameDate(date, startDate)) {
@@ -121,9 +126,26 @@ var dayGridCore = {
                 xIndex: xIndex,
                 triggerEvent: 'manual',
                 grids: grids,
-                range: range
+                range: range,
+                columns: columns
             };
         };
+    },
+
+    /**
+     * Get the date offset between the drag start and the current grid.
+     * The columns of resources in a date have the same date.
+     * @param {object} scheduleData - schedule data from the function of _retriveScheduleData
+     * @returns {number} date offset
+     */
+    _getDateOffset: function(scheduleData) {
+        var columns = scheduleData.columns;
+
+        if (!columns) {
+            return scheduleData.xIndex - scheduleData.dragStartXIndex;
+        }
+
+        return columns[scheduleData.xIndex].dateIndex - columns[scheduleData.dragStartXIndex].dateIndex;
     }
 };
 
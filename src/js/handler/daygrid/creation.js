@@ -12,6 +12,7 @@ var domutil = require('../../common/domutil');
 var domevent = require('../../common/domevent');
 var dayGridCore = require('./core');
 var DayGridCreationGuide = require('./creationGuide');
+var Selection = require('../selection');
 var TZDate = require('../../common/timezone').Date;
 
 var CLICK_DELAY = 300;
@@ -130,6 +131,32 @@ DayGridCreation.prototype.checkExpectedCondition = function(target) {
     return util.pick(this.view.children.items, matches[1]);
 };
 
+/**
+ * Get the date slot at the position to paste the schedules.
+ * @param {object} position - mouse event or an object which has the target, clientX and clientY like it.
+ * @returns {?{start: TZDate, isAllDay: boolean}} slot. null when the position is not in the view.
+ */
+DayGridCreation.prototype.getSlot = function(position) {
+    var getScheduleDataFunc, scheduleData;
+
+    if (!this.view.container.contains(position.target)) {
+        return null;
+    }
+
+    getScheduleDataFunc = this._retriveScheduleData(this.view, position);
+
+    if (!getScheduleDataFunc) {
+        return null;
+    }
+
+    scheduleData = getScheduleDataFunc(position);
+
+    return {
+        start: new TZDate(scheduleData.range[scheduleData.xIndex]),
+        isAllDay: true
+    };
+};
+
 /**
  * Request schedule model creation to controller by custom schedules.
  * @fires {DayGridCreation#beforeCreateSchedule}
@@ -182,13 +209,14 @@ DayGridCreation.prototype._onDragStart = function(dragStartEventData) {
         getScheduleDataFunc,
         scheduleData;
 
-    if (!result) {
+    if (!result || Selection.isMarqueeEvent(dragStartEventData.originEvent)) {
         return;
     }
 
     this.dragHandler.on({
         drag: this._onDrag,
-        dragEnd: this._onDragEnd
+        dragEnd: this._onDragEnd,
+        dragCancel: this._onDragCancel
     }, this);
 
     getScheduleDataFunc = this._retriveScheduleData(this.view, dragStartEventData.originEvent);
@@ -238,8 +266,9 @@ DayGridCreation.prototype._onDrag = function(dragEventData) {
  * @emits DayGridCreation#dragend
  * @param {object} dragEndEventData - Drag#dragEnd event handler data.
  * @param {string} [overrideEventName] - override emitted event name when supplied.
+ * @param {?boolean} skipCreate - true then clear the guide without creating schedule.
  */
-DayGridCreation.prototype._onDragEnd = function(dragEndEventData, overrideEventName) {
+DayGridCreation.prototype._onDragEnd = function(dragEndEventData, overrideEventName, skipCreate) {
     var getScheduleDataFunc = this.getScheduleDataFunc;
     var scheduleData;
 
@@ -249,12 +278,17 @@ DayGridCreation.prototype._onDragEnd = function(dragEndEventData, overrideEventN
 
     this.dragHandler.off({
         drag: this._onDrag,
-        dragEnd: this._onDragEnd
+        dragEnd: this._onDragEnd,
+        dragCancel: this._onDragCancel
     }, this);
 
     scheduleData = getScheduleDataFunc(dragEndEventData.originEvent);
 
-    this._createSchedule(scheduleData);
+    if (skipCreate) {
+        this.guide.clearGuideElement();
+    } else {
+        this._createSchedule(scheduleData);
+    }
 
     /**
      * @event DayGridCreation#dragend
@@ -269,6 +303,15 @@ DayGridCreation.prototype._onDragEnd = function(dragEndEventData, overrideEventN
     this.getScheduleDataFunc = null;
 };
 
+/**
+ * DragCancel event handler method. Clear the guide without creating schedule.
+ * @emits DayGridCreation#dragend
+ * @param {object} dragCancelEventData - Drag#dragCancel event handler data.
+ */
+DayGridCreation.prototype._onDragCancel = function(dragCancelEventData) {
+    this._onDragEnd(dragCancelEventData, null, true);
+};
+
 /**
  * Click event handler method.
  * @emits DayGridCreation#click
@@ -7,9 +7,12 @@
 var util = require('tui-code-snippet');
 var config = require('../../config');
 var common = require('../../common/common');
+var datetime = require('../../common/datetime');
 var domutil = require('../../common/domutil');
 var dayGridCore = require('./core');
 var DayGridMoveGuide = require('./moveGuide');
+var Clipboard = require('../clipboard');
+var ExternalDrag = require('../externalDrag');
 var TZDate = require('../../common/timezone').Date;
 
 /**
@@ -46,6 +49,12 @@ function DayGridMove(dragHandler, view, controller) {
      */
     this._dragStart = null;
 
+    /**
+     * dragstart data of the element dragged from the outside of the calendar
+     * @type {object}
+     */
+    this._externalDragStart = null;
+
     dragHandler.on({
         dragStart: this._onDragStart
     }, this);
@@ -60,7 +69,7 @@ DayGridMove.prototype.destroy = function() {
     this.guide.destroy();
     this.dragHandler.off(this);
     this.dragHandler = this.view = this.controller =
-        this.guide = this._dragStart = null;
+        this.guide = this._dragStart = this._externalDragStart = null;
 };
 
 /**
@@ -141,9 +150,19 @@ DayGridMove.prototype._onDragStart = function(dragStartEventData) {
     this.dragHandler.on({
         drag: this._onDrag,
         dragEnd: this._onDragEnd,
+        dragCancel: this._onDragCancel,
         click: this._onClick
     }, this);
 
+    /**
+     * @event DayGridMove#scheduleDragStart
+     * @type {object}
+     * @property {Schedule} schedule - dragged schedule
+     */
+    this.fire('scheduleDragStart', {
+        schedule: targetModel
+    });
+
     /**
      * @event DayGridMove#dragstart
      * @type {object}
@@ -183,11 +202,12 @@ DayGridMove.prototype._onDrag = function(dragEventData) {
 /**
  * Request update schedule model to base controller.
  * @fires DayGridMove#beforeUpdateSchedule
+ * @fires DayGridMove#duplicateSchedule
  * @param {object} scheduleData - schedule data from DayGridMove handler module.
  */
 DayGridMove.prototype._updateSchedule = function(scheduleData) {
     var schedule = scheduleData.targetModel,
-        dateOffset = scheduleData.xIndex - scheduleData.dragStartXIndex,
+        dateOffset = this._getDateOffset(scheduleData),
         newStarts = new TZDate(schedule.start),
         newEnds = new TZDate(schedule.end);
 
@@ -203,13 +223,19 @@ DayGridMove.prototype._updateSchedule = function(scheduleData) {
      * @property {object} changes - start and end time to update
      *  @property {Date} start - start time to update
      *  @property {Date} end - end time to update
+     *  @property {string} [resourceId] - resource id to update when moved to the column of other resource
+     */
+    /**
+     * Same data with beforeUpdateSchedule. It is fired instead of it when the schedule is dragged with the Alt key.
+     * @event DayGridMove#duplicateSchedule
+     * @type {object}
      */
-    this.fire('beforeUpdateSchedule', {
+    this.fire(Clipboard.getMoveEventName(scheduleData.originEvent), {
         schedule: schedule,
-        changes: {
+        changes: util.extend({
             start: newStarts,
             end: newEnds
-        },
+        }, getResourceChanges(scheduleData)),
         start: newStarts,
         end: newEnds
     });
@@ -234,15 +260,17 @@ DayGridMove.prototype._onDragEnd = function(dragEndEventData, overrideEventName,
     this.dragHandler.off({
         drag: this._onDrag,
         dragEnd: this._onDragEnd,
+        dragCancel: this._onDragCancel,
         click: this._onClick
     }, this);
 
     scheduleData = getScheduleDataFunc(dragEndEventData.originEvent);
     util.extend(scheduleData, {
-        targetModel: dragStart.model
+        targetModel: dragStart.model,
+        originEvent: dragEndEventData.originEvent
     });
 
-    if (!skipUpdate) {
+    if (!skipUpdate && !ExternalDrag.fireDragOut(this, dragStart.model, dragEndEventData.originEvent)) {
         this._updateSchedule(scheduleData);
     }
 
@@ -259,6 +287,15 @@ DayGridMove.prototype._onDragEnd = function(dragEndEventData, overrideEventName,
     this.getScheduleDataFunc = this._dragStart = null;
 };
 
+/**
+ * DragCancel event handler method. Clear the guide without updating the schedule.
+ * @emits DayGridMove#dragend
+ * @param {object} dragCancelEventData - Drag#dragCancel event handler data.
+ */
+DayGridMove.prototype._onDragCancel = function(dragCancelEventData) {
+    this._onDragEnd(dragCancelEventData, null, true);
+};
+
 /**
  * Click event handler method.
  * @emits DayGridMove#click
@@ -276,6 +313,83 @@ DayGridMove.prototype._onClick = function(clickEventData) {
     this._onDragEnd(clickEventData, 'click', true);
 };
 
+/**
+ * Show the move guide of the schedule dragged from the outside of the calendar.
+ * The schedule is dropped as an all-day schedule of the date at the mouse position.
+ * @emits DayGridMove#dragstart
+ * @emits DayGridMove#drag
+ * @param {Schedule} model - schedule model of the dragged element
+ * @param {MouseEvent} mouseEvent - mouse event object
+ * @returns {?{start: TZDate, end: TZDate, isAllDay: boolean, category: string}} the range to drop.
+ *  null when the mouse is out of this panel.
+ */
+DayGridMove.prototype.dragExternal = function(model, mouseEvent) {
+    var getScheduleDataFunc, scheduleData, date;
+
+    if (!this.checkExpectedCondition(mouseEvent.target || mouseEvent.srcElement)) {
+        this.endExternalDrag();
+
+        return null;
+    }
+
+    getScheduleDataFunc = this._retriveScheduleData(this.view, mouseEvent);
+    scheduleData = getScheduleDataFunc(mouseEvent);
+    date = scheduleData.range[scheduleData.xIndex];
+
+    if (!this._externalDragStart) {
+        this._externalDragStart = util.extend({
+            model: this.controller.cloneSchedule(model, {
+                start: datetime.start(date),
+                end: datetime.end(date),
+                isAllDay: true
+            })
+        }, scheduleData);
+        this.fire('dragstart', this._externalDragStart);
+    }
+
+    this.fire('drag', scheduleData);
+
+    return {
+        start: datetime.start(date),
+        end: datetime.end(date),
+        isAllDay: true,
+        category: this.view.options.viewName
+    };
+};
+
+/**
+ * Clear the move guide of the schedule dragged from the outside of the calendar.
+ * @emits DayGridMove#dragend
+ */
+DayGridMove.prototype.endExternalDrag = function() {
+    var dragStart = this._externalDragStart;
+
+    if (!dragStart) {
+        return;
+    }
+
+    this._externalDragStart = null;
+    this.fire('dragend', dragStart);
+};
+
+/**
+ * Get changes of the resource when the schedule is moved between the columns of resources.
+ * @param {object} scheduleData - schedule data from DayGridMove handler module.
+ * @returns {object} changes. empty when the resource is not changed.
+ */
+function getResourceChanges(scheduleData) {
+    var columns = scheduleData.columns;
+    var resource = columns ? columns[scheduleData.xIndex].resource : null;
+
+    if (!resource || resource.id === columns[scheduleData.dragStartXIndex].resource.id) {
+        return {};
+    }
+
+    return {
+        resourceId: resource.id
+    };
+}
+
 common.mixin(dayGridCore, DayGridMove);
 util.CustomEvents.mixin(DayGridMove);
 
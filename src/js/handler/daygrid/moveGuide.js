@@ -9,6 +9,7 @@ var config = require('../../config');
 var datetime = require('../../common/datetime');
 var domutil = require('../../common/domutil');
 var reqAnimFrame = require('../../common/reqAnimFrame');
+var tmpl = require('../../view/template/week/dayGridMoveGuide.hbs');
 
 /**
  * Class for DayGrid.Move dragging effect.
@@ -193,7 +194,9 @@ DayGridMoveGuide.prototype._getScheduleBlockDataFunc = function(dragStartEventDa
  */
 DayGridMoveGuide.prototype._onDragStart = function(dragStartEventData) {
     var container = this.daygridMove.view.container,
-        guideElement = this.guideElement = dragStartEventData.scheduleBlockElement.cloneNode(true),
+        blockElement = dragStartEventData.scheduleBlockElement,
+        guideElement = this.guideElement = blockElement ?
+            blockElement.cloneNode(true) : this._createGuideElement(dragStartEventData.model),
         scheduleContainer;
 
     if (!util.browser.msie) {
@@ -212,6 +215,22 @@ DayGridMoveGuide.prototype._onDragStart = function(dragStartEventData) {
     this._highlightScheduleBlocks(dragStartEventData.model, guideElement);
 };
 
+/**
+ * Create the guide element of the schedule dragged from the outside of the calendar.
+ * @param {Schedule} model - schedule model
+ * @returns {HTMLElement} guide element
+ */
+DayGridMoveGuide.prototype._createGuideElement = function(model) {
+    var wrapper = document.createElement('div');
+
+    wrapper.innerHTML = tmpl({
+        model: model,
+        scheduleHeight: this.daygridMove.view.options.scheduleHeight
+    });
+
+    return domutil.find(config.classname('.weekday-schedule-block'), wrapper);
+};
+
 /**
  * Drag event handler.
  * @param {object} dragEventData - schedule data.
@@ -234,6 +253,12 @@ DayGridMoveGuide.prototype._onDrag = function(dragEventData) {
         return;
     }
 
+    if (dragEventData.columns) {
+        this._refreshColumnGuideElement(dragEventData);
+
+        return;
+    }
+
     scheduleData = getScheduleDataFunc(dragEventData.xIndex - dragStartXIndex);
     isExceededLeft = scheduleData.fromLeft < 0;
     isExceededRight = scheduleData.fromRight > 0;
@@ -249,6 +274,23 @@ DayGridMoveGuide.prototype._onDrag = function(dragEventData) {
     this.refreshGuideElement(newLeft, newWidth, isExceededLeft, isExceededRight);
 };
 
+/**
+ * Refresh guide element in the columns of resources.
+ * The schedule block is split by dates in the columns, so the guide element moves to the column only.
+ * @param {object} dragEventData - schedule data.
+ */
+DayGridMoveGuide.prototype._refreshColumnGuideElement = function(dragEventData) {
+    var guideElement = this.guideElement;
+    var grid = dragEventData.grids[dragEventData.xIndex];
+
+    this.refreshGuideElement(
+        grid.left,
+        grid.width,
+        domutil.hasClass(guideElement, config.classname('weekday-exceed-left')),
+        domutil.hasClass(guideElement, config.classname('weekday-exceed-right'))
+    );
+};
+
 /**
  * Get schedule width based on grids
  * @param {number} left - left index
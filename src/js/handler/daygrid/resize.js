@@ -135,6 +135,7 @@ DayGridResize.prototype._onDragStart = function(dragStartEventData) {
     this.dragHandler.on({
         drag: this._onDrag,
         dragEnd: this._onDragEnd,
+        dragCancel: this._onDragCancel,
         click: this._onClick
     }, this);
 
@@ -181,7 +182,7 @@ DayGridResize.prototype._onDrag = function(dragEventData) {
  */
 DayGridResize.prototype._updateSchedule = function(scheduleData) {
     var schedule = scheduleData.targetModel,
-        dateOffset = scheduleData.xIndex - scheduleData.dragStartXIndex,
+        dateOffset = this._getDateOffset(scheduleData),
         newEnds = new TZDate(schedule.end);
     var changes;
 
@@ -230,6 +231,7 @@ DayGridResize.prototype._onDragEnd = function(dragEndEventData, overrideEventNam
     this.dragHandler.off({
         drag: this._onDrag,
         dragEnd: this._onDragEnd,
+        dragCancel: this._onDragCancel,
         click: this._onClick
     }, this);
 
@@ -255,6 +257,15 @@ DayGridResize.prototype._onDragEnd = function(dragEndEventData, overrideEventNam
     this.getScheduleDataFunc = this._dragStart = null;
 };
 
+/**
+ * DragCancel event handler method. Clear the guide without updating the schedule.
+ * @emits DayGridResize#dragend
+ * @param {object} dragCancelEventData - Drag#dragCancel event handler data.
+ */
+DayGridResize.prototype._onDragCancel = function(dragCancelEventData) {
+    this._onDragEnd(dragCancelEventData, null, true);
+};
+
 /**
  * Click event handler method.
  * @emits DayGridResize#click
@@ -8,20 +8,86 @@ var util = require('tui-code-snippet');
 var domutil = require('../common/domutil');
 var domevent = require('../common/domevent');
 
+var EVENT_NAMES = domevent.getDragEventNames();
+
+/**
+ * Whether the event is from the touch pointer of current dragging session.
+ * It's always true when the session isn't started by touch.
+ * @param {Drag} drag - drag handler
+ * @param {PointerEvent|MouseEvent} pointerEvent - pointer or mouse event object
+ * @returns {boolean} same pointer?
+ */
+function isSessionPointer(drag, pointerEvent) {
+    return !util.isExisty(drag._pointerId) || pointerEvent.pointerId === drag._pointerId;
+}
+
+/**
+ * Wait the long press delay when the dragging session is started by touch.
+ * The touch implicitly captures the pointer to the target, so release it to get the element under the pointer
+ * as the target of pointermove and pointerup like mouse events.
+ * @param {Drag} drag - drag handler
+ * @param {PointerEvent|MouseEvent} pointerDownEvent - pointerdown or mousedown event object
+ */
+function waitLongPress(drag, pointerDownEvent) {
+    var target = pointerDownEvent.target;
+    var pointerId = pointerDownEvent.pointerId;
+
+    if (pointerDownEvent.pointerType !== 'touch') {
+        return;
+    }
+
+    if (target.hasPointerCapture && target.hasPointerCapture(pointerId)) {
+        target.releasePointerCapture(pointerId);
+    }
+
+    drag._pointerId = pointerId;
+    drag._isPressing = true;
+    drag._longPressTimer = window.setTimeout(function() {
+        drag._isPressing = false;
+        drag._longPressTimer = 0;
+    }, drag.options.longPressDelay);
+}
+
+/**
+ * Whether the pointer can drag in current dragging session.
+ * The touch pointer moving before the long press cancels the session because the user wants to scroll.
+ * @param {Drag} drag - drag handler
+ * @param {PointerEvent|MouseEvent} pointerMoveEvent - pointermove or mousemove event object
+ * @returns {boolean} can drag?
+ */
+function canDrag(drag, pointerMoveEvent) {
+    if (!isSessionPointer(drag, pointerMoveEvent)) {
+        return false;
+    }
+
+    if (drag._isPressing) {
+        drag._cancelLongPress(pointerMoveEvent);
+
+        return false;
+    }
+
+    return true;
+}
+
 /**
+ * Dragging by mouse, pen and touch.
+ * The touch pointer starts dragging only after pressing for the long press delay.
+ * Before that, the touch is left to the browser for scrolling and zooming.
  * @constructor
  * @mixes CustomEvents
  * @param {object} options - options for drag handler
  * @param {number} [options.distance=10] - distance in pixels after mouse must move before dragging should start
  * @param {function} [options.exclude] - filter function for don't fire drag events that specific conditions.
+ * @param {number} [options.longPressDelay=500] - milliseconds to press before the touch pointer starts dragging
  * @param {HTMLElement} container element to watching drag interaction.
  */
 function Drag(options, container) {
-    domevent.on(container, 'mousedown', this._onMouseDown, this);
+    domevent.on(container, EVENT_NAMES.start, this._onMouseDown, this);
 
     this.options = util.extend({
         distance: 10,
-        exclude: null
+        exclude: null,
+        longPressDelay: 500
     }, options);
 
     /**
@@ -55,13 +121,37 @@ function Drag(options, container) {
      * @type {object}
      */
     this._dragStartEventData = null;
+
+    /**
+     * the last event data of "drag" event. it's fired with "dragCancel" when the browser cancels the pointer.
+     * @type {object}
+     */
+    this._dragEventData = null;
+
+    /**
+     * pointer id of current dragging session. the other pointers are ignored.
+     * @type {number}
+     */
+    this._pointerId = null;
+
+    /**
+     * whether the touch pointer is waiting the long press delay
+     * @type {boolean}
+     */
+    this._isPressing = false;
+
+    /**
+     * @type {number}
+     */
+    this._longPressTimer = 0;
 }
 
 /**
  * Destroy method.
  */
 Drag.prototype.destroy = function() {
-    domevent.off(this.container, 'mousedown', this._onMouseDown, this);
+    domevent.off(this.container, EVENT_NAMES.start, this._onMouseDown, this);
+    window.clearTimeout(this._longPressTimer);
     this._isMoved = null;
     this.container = null;
 };
@@ -70,11 +160,16 @@ Drag.prototype.destroy = function() {
  * Clear cache data for single dragging session.
  */
 Drag.prototype._clearData = function() {
+    window.clearTimeout(this._longPressTimer);
     this._cancelled = false;
     this._distance = 0;
     this._isMoved = false;
     this._dragStartFired = false;
     this._dragStartEventData = null;
+    this._dragEventData = null;
+    this._pointerId = null;
+    this._isPressing = false;
+    this._longPressTimer = 0;
 };
 
 /**
@@ -96,10 +191,35 @@ Drag.prototype._toggleDragEvent = function(toBind) {
 
     domutil[method + 'TextSelection'](container);
     domutil[method + 'ImageDrag'](container);
-    domevent[domMethod](global.document, {
-        mousemove: this._onMouseMove,
-        mouseup: this._onMouseUp
-    }, this);
+    domevent[domMethod](global.document, EVENT_NAMES.move, this._onMouseMove, this);
+    domevent[domMethod](global.document, EVENT_NAMES.end, this._onMouseUp, this);
+
+    if (EVENT_NAMES.cancel) {
+        domevent[domMethod](global.document, EVENT_NAMES.cancel, this._onPointerCancel, this);
+        // the browser can't scroll while dragging by touch. the container isn't passive event target.
+        domevent[domMethod](container, {
+            touchmove: this._onTouchMove,
+            contextmenu: this._onContextMenu
+        }, this);
+    }
+};
+
+/**
+ * TouchMove DOM event handler. Prevent scrolling after the long press.
+ * @param {TouchEvent} touchMoveEvent - touchmove event object.
+ */
+Drag.prototype._onTouchMove = function(touchMoveEvent) {
+    if (!this._isPressing) {
+        domevent.preventDefault(touchMoveEvent);
+    }
+};
+
+/**
+ * ContextMenu DOM event handler. Prevent context menu of long press while dragging.
+ * @param {MouseEvent} contextMenuEvent - contextmenu event object.
+ */
+Drag.prototype._onContextMenu = function(contextMenuEvent) {
+    domevent.preventDefault(contextMenuEvent);
 };
 
 /**
@@ -122,8 +242,8 @@ Drag.prototype._onMouseDown = function(mouseDownEvent) {
     var opt = this.options,
         target = (mouseDownEvent.srcElement || mouseDownEvent.target);
 
-    // only primary button can start drag.
-    if (domevent.getMouseButton(mouseDownEvent) !== 0) {
+    // only primary button can start drag. the other pointer can't start while dragging.
+    if (domevent.getMouseButton(mouseDownEvent) !== 0 || !isSessionPointer(this, mouseDownEvent)) {
         return;
     }
 
@@ -136,6 +256,8 @@ Drag.prototype._onMouseDown = function(mouseDownEvent) {
     this._clearData();
     this._dragStartEventData = this._getEventData(mouseDownEvent);
 
+    waitLongPress(this, mouseDownEvent);
+
     this._toggleDragEvent(true);
 
     /**
@@ -163,6 +285,10 @@ Drag.prototype._onMouseMove = function(mouseMoveEvent) {
         return;
     }
 
+    if (!canDrag(this, mouseMoveEvent)) {
+        return;
+    }
+
     distance = this.options.distance;
     // prevent automatic scrolling.
     domevent.preventDefault(mouseMoveEvent);
@@ -192,6 +318,8 @@ Drag.prototype._onMouseMove = function(mouseMoveEvent) {
         }
     }
 
+    this._dragEventData = this._getEventData(mouseMoveEvent);
+
     /**
      * CalEvents while dragging.
      * @event Drag#drag
@@ -199,7 +327,51 @@ Drag.prototype._onMouseMove = function(mouseMoveEvent) {
      * @property {HTMLElement} target - target element in this event.
      * @property {MouseEvent} originEvent - original mouse event object.
      */
-    this.fire('drag', this._getEventData(mouseMoveEvent));
+    this.fire('drag', this._dragEventData);
+};
+
+/**
+ * Stop the dragging session when the touch pointer moves farther than the distance before the long press.
+ * @param {PointerEvent} pointerMoveEvent - pointermove event object
+ */
+Drag.prototype._cancelLongPress = function(pointerMoveEvent) {
+    var start = this._dragStartEventData.originEvent;
+    var distance = this.options.distance;
+
+    if (Math.abs(pointerMoveEvent.clientX - start.clientX) > distance ||
+        Math.abs(pointerMoveEvent.clientY - start.clientY) > distance) {
+        this._toggleDragEvent(false);
+        this._clearData();
+    }
+};
+
+/**
+ * PointerCancel DOM event handler.
+ * The browser takes the pointer for scrolling, zooming or the system UI. Throw away the dragging.
+ * @param {PointerEvent} pointerCancelEvent - pointercancel event object
+ * @emits Drag#dragCancel
+ */
+Drag.prototype._onPointerCancel = function(pointerCancelEvent) {
+    var dragEventData = this._dragEventData;
+
+    if (!isSessionPointer(this, pointerCancelEvent)) {
+        return;
+    }
+
+    this._toggleDragEvent(false);
+
+    if (this._isMoved && dragEventData) {
+        /**
+         * Drag cancel events. The dragging should be thrown away without applying it.
+         * @event Drag#dragCancel
+         * @type {object}
+         * @property {HTMLElement} target - target element of the last drag event.
+         * @property {MouseEvent} originEvent - original event object of the last drag event.
+         */
+        this.fire('dragCancel', dragEventData);
+    }
+
+    this._clearData();
 };
 
 /**
@@ -209,7 +381,7 @@ Drag.prototype._onMouseMove = function(mouseMoveEvent) {
  * @emits Drag#click
  */
 Drag.prototype._onMouseUp = function(mouseUpEvent) {
-    if (this._cancelled) {
+    if (this._cancelled || !isSessionPointer(this, mouseUpEvent)) {
         return;
     }
 
@@ -0,0 +1,220 @@
+/**
+ * @fileoverview Drag handler for the elements outside of the calendar.
+ * @author NHN FE Development Lab <dl_javascript@nhn.com>
+ */
+'use strict';
+
+var util = require('tui-code-snippet');
+var Drag = require('./drag');
+var Schedule = require('../model/schedule');
+var datetime = require('../common/datetime');
+var TZDate = require('../common/timezone').Date;
+
+var DEFAULT_DURATION = 60;
+
+/**
+ * Drag the element outside of the calendar to drop it as a schedule.
+ * @constructor
+ * @mixes CustomEvents
+ * @param {HTMLElement} element - element to drag
+ * @param {function} dataFn - function returning the schedule data of the element when the dragging starts.
+ *  the dragging is cancelled when it returns nothing.
+ */
+function ExternalDrag(element, dataFn) {
+    /**
+     * @type {HTMLElement}
+     */
+    this.element = element;
+
+    /**
+     * @type {function}
+     */
+    this.dataFn = dataFn;
+
+    /**
+     * @type {Drag}
+     */
+    this.dragHandler = new Drag({distance: 10}, element);
+
+    /**
+     * schedule data of current dragging session
+     * @type {object}
+     */
+    this._data = null;
+
+    /**
+     * schedule model made from the data of current dragging session
+     * @type {Schedule}
+     */
+    this._model = null;
+
+    this.dragHandler.on('dragStart', this._onDragStart, this);
+}
+
+/**
+ * Check the pointer of the mouse event is outside of the container.
+ * @param {HTMLElement} container - container element
+ * @param {MouseEvent} mouseEvent - mouse event object
+ * @returns {boolean} whether the pointer is outside
+ */
+ExternalDrag.isOutside = function(container, mouseEvent) {
+    var rect = container.getBoundingClientRect();
+    var x = mouseEvent.clientX,
+        y = mouseEvent.clientY;
+
+    return x < rect.left || x > rect.right || y < rect.top || y > rect.bottom;
+};
+
+/**
+ * Fire 'scheduleDragOut' of the move handler instead of updating the schedule
+ * when the schedule is dropped outside of the calendar.
+ * @param {object} moveHandler - move handler which has the drag handler of the calendar
+ * @param {Schedule} schedule - dragged schedule
+ * @param {MouseEvent} mouseEvent - mouse event of the drag end
+ * @returns {boolean} whether the schedule is dropped outside
+ */
+ExternalDrag.fireDragOut = function(moveHandler, schedule, mouseEvent) {
+    if (!mouseEvent || !ExternalDrag.isOutside(moveHandler.dragHandler.container, mouseEvent)) {
+        return false;
+    }
+
+    /**
+     * @event Handler#scheduleDragOut
+     * @type {object}
+     * @property {Schedule} schedule - dragged schedule
+     * @property {MouseEvent} event - mouse event of the drop
+     */
+    moveHandler.fire('scheduleDragOut', {
+        schedule: schedule,
+        event: mouseEvent
+    });
+
+    return true;
+};
+
+/**
+ * Destroy method.
+ */
+ExternalDrag.prototype.destroy = function() {
+    this.dragHandler.off(this);
+    this.dragHandler.destroy();
+    this.element = this.dataFn = this.dragHandler = this._data = this._model = null;
+};
+
+/**
+ * Make the schedule model of the data. It's placed by the move handlers while dragging.
+ * It starts at the start of today, so the time schedule is dropped onto the month view at that time.
+ * @param {object} data - schedule data
+ * @returns {Schedule} schedule model
+ */
+ExternalDrag.prototype._createModel = function(data) {
+    var start = datetime.start(new TZDate());
+
+    return Schedule.create(util.extend({}, data, {
+        start: start,
+        end: new TZDate(start).addMinutes(data.duration || DEFAULT_DURATION)
+    }));
+};
+
+/**
+ * Drag#dragStart event handler
+ * @param {object} dragStartEventData - Drag#dragStart event data
+ * @returns {boolean} false to cancel the dragging when there is no data.
+ */
+ExternalDrag.prototype._onDragStart = function(dragStartEventData) {
+    var data = this.dataFn(this.element, dragStartEventData.originEvent);
+
+    if (!data) {
+        return false;
+    }
+
+    this._data = data;
+    this._model = this._createModel(data);
+
+    this.dragHandler.on({
+        drag: this._onDrag,
+        dragEnd: this._onDragEnd,
+        dragCancel: this._onDragCancel
+    }, this);
+
+    return true;
+};
+
+/**
+ * Drag#drag event handler
+ * @emits ExternalDrag#externalDrag
+ * @param {object} dragEventData - Drag#drag event data
+ */
+ExternalDrag.prototype._onDrag = function(dragEventData) {
+    /**
+     * @event ExternalDrag#externalDrag
+     * @type {object}
+     * @property {Schedule} model - schedule model made from the data
+     * @property {object} data - schedule data returned by the data function
+     * @property {HTMLElement} element - dragged element
+     * @property {MouseEvent} originEvent - mouse event object
+     */
+    this.fire('externalDrag', this._getEventData(dragEventData));
+};
+
+/**
+ * Drag#dragEnd event handler
+ * @emits ExternalDrag#externalDrop
+ * @param {object} dragEndEventData - Drag#dragEnd event data
+ */
+ExternalDrag.prototype._onDragEnd = function(dragEndEventData) {
+    var eventData = this._getEventData(dragEndEventData);
+
+    this.dragHandler.off({
+        drag: this._onDrag,
+        dragEnd: this._onDragEnd,
+        dragCancel: this._onDragCancel
+    }, this);
+    this._data = this._model = null;
+
+    /**
+     * @event ExternalDrag#externalDrop
+     * @type {object}
+     * @property {Schedule} model - schedule model made from the data
+     * @property {object} data - schedule data returned by the data function
+     * @property {HTMLElement} element - dropped element
+     * @property {MouseEvent} originEvent - mouse event object
+     */
+    this.fire('externalDrop', eventData);
+};
+
+/**
+ * Drag#dragCancel event handler. The element isn't dropped.
+ * @emits ExternalDrag#externalDragCancel
+ */
+ExternalDrag.prototype._onDragCancel = function() {
+    this.dragHandler.off({
+        drag: this._onDrag,
+        dragEnd: this._onDragEnd,
+        dragCancel: this._onDragCancel
+    }, this);
+    this._data = this._model = null;
+
+    /**
+     * @event ExternalDrag#externalDragCancel
+     */
+    this.fire('externalDragCancel');
+};
+
+/**
+ * Get the event data of the dragging session.
+ * @param {object} dragEventData - Drag#drag or Drag#dragEnd event data
+ * @returns {object} event data
+ */
+ExternalDrag.prototype._getEventData = function(dragEventData) {
+    return {
+        model: this._model,
+        data: this._data,
+        element: this.element,
+        originEvent: dragEventData.originEvent
+    };
+};
+
+util.CustomEvents.mixin(ExternalDrag);
+
+module.exports = ExternalDrag;
@@ -0,0 +1,454 @@
+/**
+ * @fileoverview Keyboard navigation handler for calendar.
+ * @author NHN FE Development Lab <dl_javascript@nhn.com>
+ */
+'use strict';
+
+var util = require('tui-code-snippet');
+var domutil = require('../common/domutil');
+var domevent = require('../common/domevent');
+
+var KEYCODE = {
+    ENTER: 13,
+    LEFT: 37,
+    UP: 38,
+    RIGHT: 39,
+    DOWN: 40,
+    DELETE: 46
+};
+var SCHEDULE_EVENT_NAMES = {};
+
+SCHEDULE_EVENT_NAMES[KEYCODE.ENTER] = 'clickSchedule';
+SCHEDULE_EVENT_NAMES[KEYCODE.DELETE] = 'beforeDeleteSchedule';
+
+/**
+ * Get index of the element in the element list
+ * @param {Array.<HTMLElement>} elements - element list
+ * @param {HTMLElement} el - element to find
+ * @returns {number} index. -1 when there is no element.
+ */
+function indexOfElement(elements, el) {
+    var i = 0,
+        len = elements.length;
+
+    for (; i < len; i += 1) {
+        if (elements[i] === el) {
+            return i;
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Find the closest element which has the role including the element itself.
+ * @param {HTMLElement} el - element to start find
+ * @param {string} role - role attribute value
+ * @param {HTMLElement} root - element to stop find
+ * @returns {HTMLElement} element or null
+ */
+function closestByRole(el, role, root) {
+    while (el && el !== root && el.getAttribute) {
+        if (el.getAttribute('role') === role) {
+            return el;
+        }
+
+        el = el.parentNode;
+    }
+
+    return null;
+}
+
+/**
+ * Roving focus over the grid of rendered views.
+ * The rows(role="row") have slots(role="gridcell") and schedule blocks(role="button").
+ * Only one of them can get focus by tab key and arrow keys move the focus between them.
+ * @constructor
+ * @mixes CustomEvents
+ * @param {HTMLElement} container - element to watching keyboard interaction.
+ * @param {Base} baseController - Base controller instance.
+ */
+function Keyboard(container, baseController) {
+    /**
+     * @type {HTMLElement}
+     */
+    this.container = container;
+
+    /**
+     * @type {Base}
+     */
+    this.baseController = baseController;
+
+    /**
+     * position of the focusable item. the schedule is found by the cid.
+     * @type {{row: number, column: number, scheduleId: string}}
+     */
+    this._position = null;
+
+    /**
+     * whether the focus was in the items
+     * @type {boolean}
+     */
+    this._hasFocus = false;
+
+    domevent.on(container, {
+        keydown: this._onKeyDown,
+        focusin: this._onFocusIn,
+        focusout: this._onFocusOut
+    }, this);
+}
+
+/**
+ * Destroy method.
+ */
+Keyboard.prototype.destroy = function() {
+    domevent.off(this.container, {
+        keydown: this._onKeyDown,
+        focusin: this._onFocusIn,
+        focusout: this._onFocusOut
+    }, this);
+    this.container = this.baseController = this._position = null;
+};
+
+/**
+ * Get the grid model of rendered views.
+ * @returns {Array.<{slots: Array.<HTMLElement>, schedules: Array.<Array.<HTMLElement>>}>} rows
+ */
+Keyboard.prototype._getRows = function() {
+    var rows = [];
+    var container = this.container;
+
+    util.forEachArray(this.container.querySelectorAll('[role="row"]'), function(rowElement) {
+        var slots = rowElement.querySelectorAll('[role="gridcell"]');
+        var schedules = [];
+
+        if (!slots.length) {
+            return;
+        }
+
+        util.forEachArray(slots, function() {
+            schedules.push([]);
+        });
+
+        util.forEachArray(rowElement.querySelectorAll('[role="button"][data-id]'), function(block) {
+            var slot = indexOfElement(slots, closestByRole(block, 'gridcell', container));
+            var column = slot > -1 ? slot : Number(domutil.getData(block, 'column'));
+
+            if (schedules[column]) {
+                schedules[column].push(block);
+            }
+        });
+
+        util.forEachArray(schedules, function(blocks) {
+            blocks.sort(function(a, b) {
+                return a.offsetTop - b.offsetTop;
+            });
+        });
+
+        rows.push({
+            slots: slots,
+            schedules: schedules
+        });
+    });
+
+    return rows;
+};
+
+/**
+ * Find position of the element in the grid model
+ * @param {Array.<object>} rows - grid model
+ * @param {HTMLElement} el - slot or schedule block element
+ * @returns {?{row: number, column: number, index: number}} position. index is -1 for slot.
+ */
+Keyboard.prototype._findPosition = function(rows, el) {
+    var position = null;
+
+    util.forEachArray(rows, function(row, rowIndex) {
+        var column = indexOfElement(row.slots, el);
+
+        if (column > -1) {
+            position = {
+                row: rowIndex,
+                column: column,
+                index: -1
+            };
+        }
+
+        util.forEachArray(row.schedules, function(blocks, columnIndex) {
+            var index = indexOfElement(blocks, el);
+
+            if (index > -1) {
+                position = {
+                    row: rowIndex,
+                    column: columnIndex,
+                    index: index
+                };
+            }
+
+            return !position;
+        });
+
+        return !position;
+    });
+
+    return position;
+};
+
+/**
+ * Get element at the position
+ * @param {Array.<object>} rows - grid model
+ * @param {{row: number, column: number, index: number}} position - position
+ * @returns {HTMLElement} slot or schedule block element
+ */
+Keyboard.prototype._getElement = function(rows, position) {
+    var row = rows[position.row];
+
+    if (!row) {
+        return null;
+    }
+
+    if (position.index < 0) {
+        return row.slots[position.column] || null;
+    }
+
+    return row.schedules[position.column][position.index] || null;
+};
+
+/**
+ * Get the next position by arrow key.
+ * Left and right move between slots of the row. Up and down move through the column of the slots and its schedules.
+ * @param {Array.<object>} rows - grid model
+ * @param {{row: number, column: number, index: number}} position - current position
+ * @param {number} keyCode - arrow key code
+ * @returns {?{row: number, column: number, index: number}} next position
+ */
+Keyboard.prototype._getNextPosition = function(rows, position, keyCode) {
+    var sequence = [];
+    var current = -1;
+
+    if (keyCode === KEYCODE.LEFT || keyCode === KEYCODE.RIGHT) {
+        return {
+            row: position.row,
+            column: position.column + (keyCode === KEYCODE.LEFT ? -1 : 1),
+            index: -1
+        };
+    }
+
+    util.forEachArray(rows, function(row, rowIndex) {
+        var blocks = row.schedules[position.column];
+
+        if (!row.slots[position.column]) {
+            return;
+        }
+
+        util.forEachArray([null].concat(blocks), function(block, index) {
+            if (rowIndex === position.row && index - 1 === position.index) {
+                current = sequence.length;
+            }
+
+            sequence.push({
+                row: rowIndex,
+                column: position.column,
+                index: index - 1
+            });
+        });
+    });
+
+    return sequence[current + (keyCode === KEYCODE.UP ? -1 : 1)] || null;
+};
+
+/**
+ * Set the focusable item. Only the item can get focus by tab key.
+ * @param {Array.<object>} rows - grid model
+ * @param {HTMLElement} el - slot or schedule block element
+ * @param {boolean} [focus=false] - move focus to the element
+ */
+Keyboard.prototype._setFocusableItem = function(rows, el, focus) {
+    var position = this._findPosition(rows, el);
+
+    util.forEachArray(this.container.querySelectorAll('[role="row"] [tabindex="0"]'), function(item) {
+        item.setAttribute('tabindex', '-1');
+    });
+
+    el.setAttribute('tabindex', '0');
+
+    this._position = {
+        row: position.row,
+        column: position.column,
+        scheduleId: position.index > -1 ? domutil.getData(el, 'id') : ''
+    };
+
+    if (focus) {
+        el.focus();
+    }
+};
+
+/**
+ * Find the element of previous position after rendering.
+ * It is the schedule block which has same cid, or the slot.
+ * @param {Array.<object>} rows - grid model
+ * @returns {HTMLElement} slot or schedule block element
+ */
+Keyboard.prototype._findPreviousElement = function(rows) {
+    var position = this._position;
+    var found = null;
+
+    if (!position) {
+        return null;
+    }
+
+    if (position.scheduleId) {
+        util.forEachArray(this.container.querySelectorAll('[role="row"] [role="button"][data-id]'), function(block) {
+            if (domutil.getData(block, 'id') === position.scheduleId) {
+                found = block;
+            }
+
+            return !found;
+        });
+    }
+
+    return found || this._getElement(rows, {
+        row: position.row,
+        column: position.column,
+        index: -1
+    });
+};
+
+/**
+ * Refresh the focusable item after rendering views.
+ * The previous item or the today's slot or the first slot is focusable.
+ * When the focused item is re-rendered, move the focus to the new one.
+ */
+Keyboard.prototype.refresh = function() {
+    var rows = this._getRows();
+    var activeElement = document.activeElement;
+    var el;
+
+    if (!rows.length) {
+        return;
+    }
+
+    el = this._findPreviousElement(rows) ||
+        this.container.querySelector('[role="row"] [role="gridcell"][aria-current="date"]') ||
+        rows[0].slots[0];
+
+    this._setFocusableItem(rows, el, this._hasFocus && (!activeElement || activeElement === document.body));
+};
+
+/**
+ * Get the slot or schedule block element from event target
+ * @param {HTMLElement} target - event target
+ * @returns {HTMLElement} slot or schedule block element
+ */
+Keyboard.prototype._getItem = function(target) {
+    var role = target.getAttribute && target.getAttribute('role');
+
+    if ((role === 'gridcell' || (role === 'button' && domutil.getData(target, 'id'))) &&
+        closestByRole(target, 'row', this.container)) {
+        return target;
+    }
+
+    return null;
+};
+
+/**
+ * FocusIn DOM event handler.
+ * @param {FocusEvent} focusEvent - focus event object
+ */
+Keyboard.prototype._onFocusIn = function(focusEvent) {
+    var item = this._getItem(focusEvent.target || focusEvent.srcElement);
+
+    if (item) {
+        this._hasFocus = true;
+        this._setFocusableItem(this._getRows(), item);
+    }
+};
+
+/**
+ * FocusOut DOM event handler.
+ * @param {FocusEvent} focusEvent - focus event object
+ */
+Keyboard.prototype._onFocusOut = function(focusEvent) {
+    var relatedTarget = focusEvent.relatedTarget;
+
+    // the focused element can be removed by rendering, then there is no related target.
+    if (relatedTarget && !this._getItem(relatedTarget)) {
+        this._hasFocus = false;
+    }
+};
+
+/**
+ * KeyDown DOM event handler.
+ * @fires Keyboard#clickSchedule
+ * @fires Keyboard#beforeDeleteSchedule
+ * @param {KeyboardEvent} keyDownEvent - keyboard event object
+ */
+Keyboard.prototype._onKeyDown = function(keyDownEvent) {
+    var item = this._getItem(keyDownEvent.target || keyDownEvent.srcElement);
+    var keyCode = keyDownEvent.keyCode;
+
+    if (!item) {
+        return;
+    }
+
+    if (SCHEDULE_EVENT_NAMES[keyCode]) {
+        this._fireScheduleEvent(item, SCHEDULE_EVENT_NAMES[keyCode], keyDownEvent);
+    } else if (keyCode >= KEYCODE.LEFT && keyCode <= KEYCODE.DOWN) {
+        domevent.preventDefault(keyDownEvent);
+        this._moveFocus(item, keyCode);
+    }
+};
+
+/**
+ * Move the focus from the item by arrow key
+ * @param {HTMLElement} item - focused item
+ * @param {number} keyCode - arrow key code
+ */
+Keyboard.prototype._moveFocus = function(item, keyCode) {
+    var rows = this._getRows();
+    var position = this._findPosition(rows, item);
+    var next = position ? this._getNextPosition(rows, position, keyCode) : null;
+    var el = next ? this._getElement(rows, next) : null;
+
+    if (el) {
+        this._setFocusableItem(rows, el, true);
+    }
+};
+
+/**
+ * Fire the event with the schedule of the block element
+ * @param {HTMLElement} item - focused item
+ * @param {string} eventName - event name to fire
+ * @param {KeyboardEvent} keyDownEvent - keyboard event object
+ */
+Keyboard.prototype._fireScheduleEvent = function(item, eventName, keyDownEvent) {
+    var self = this;
+
+    if (item.getAttribute('role') !== 'button') {
+        return;
+    }
+
+    domevent.preventDefault(keyDownEvent);
+
+    this.baseController.schedules.doWhenHas(domutil.getData(item, 'id'), function(schedule) {
+        /**
+         * @event Keyboard#clickSchedule
+         * @type {object}
+         * @property {Schedule} schedule - schedule instance
+         * @property {KeyboardEvent} event - KeyboardEvent object
+         */
+        /**
+         * @event Keyboard#beforeDeleteSchedule
+         * @type {object}
+         * @property {Schedule} schedule - schedule instance to delete
+         */
+        self.fire(eventName, {
+            schedule: schedule,
+            event: keyDownEvent
+        });
+    });
+};
+
+util.CustomEvents.mixin(Keyboard);
+
+module.exports = Keyboard;
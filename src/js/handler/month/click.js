@@ -7,7 +7,8 @@
 var util = require('tui-code-snippet');
 var config = require('../../config'),
     datetime = require('../../common/datetime'),
-    domutil = require('../../common/domutil');
+    domutil = require('../../common/domutil'),
+    Selection = require('../selection');
 
 /**
  * @constructor
@@ -72,6 +73,23 @@ MonthClick.prototype._onClick = function(clickEvent) {
 
     if (blockElement) {
         scheduleCollection.doWhenHas(domutil.getData(blockElement, 'id'), function(schedule) {
+            var mode = Selection.getModeByEvent(clickEvent.originEvent);
+
+            if (mode) {
+                /**
+                 * @events MonthClick#selectSchedules
+                 * @type {object}
+                 * @property {Array.<Schedule>} schedules - the clicked schedule
+                 * @property {string} mode - 'toggle' with the ctrl(or meta) key, 'add' with the shift key
+                 */
+                self.fire('selectSchedules', {
+                    schedules: [schedule],
+                    mode: mode
+                });
+
+                return;
+            }
+
             /**
              * @events AlldayClick#clickSchedule
              * @type {object}
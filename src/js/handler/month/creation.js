@@ -13,6 +13,7 @@ var domutil = require('../../common/domutil');
 var domevent = require('../../common/domevent');
 var getMousePosDate = require('./core');
 var Guide = require('./creationGuide');
+var Selection = require('../selection');
 var TZDate = require('../../common/timezone').Date;
 
 var CLICK_DELAY = 300;
@@ -96,6 +97,26 @@ MonthCreation.prototype.destroy = function() {
         this.getScheduleData = this._cache = this.guide = null;
 };
 
+/**
+ * Get the date slot at the position to paste the schedules.
+ * @param {object} position - mouse event or an object which has the target, clientX and clientY like it.
+ * @returns {?{start: TZDate, isAllDay: boolean}} slot. null when the position is not in the month view.
+ */
+MonthCreation.prototype.getSlot = function(position) {
+    var scheduleData;
+
+    if (!this.monthView.container.contains(position.target)) {
+        return null;
+    }
+
+    scheduleData = getMousePosDate(this.monthView)(position);
+
+    return scheduleData ? {
+        start: new TZDate(scheduleData.date),
+        isAllDay: true
+    } : null;
+};
+
 /**
  * Fire before create schedule
  * @fires {MonthCreation#beforeCreateSchedule}
@@ -128,13 +149,14 @@ MonthCreation.prototype._createSchedule = function(eventData) {
 MonthCreation.prototype._onDragStart = function(dragStartEvent) {
     var eventData;
 
-    if (!isElementWeekdayGrid(dragStartEvent.target)) {
+    if (!isElementWeekdayGrid(dragStartEvent.target) || Selection.isMarqueeEvent(dragStartEvent.originEvent)) {
         return;
     }
 
     this.dragHandler.on({
         drag: this._onDrag,
-        dragEnd: this._onDragEnd
+        dragEnd: this._onDragEnd,
+        dragCancel: this._onDragCancel
     }, this);
 
     this.getScheduleData = getMousePosDate(this.monthView);
@@ -187,15 +209,17 @@ MonthCreation.prototype._onDrag = function(dragEvent) {
  * DragEnd event handler
  * @fires {MonthCreation#monthCreationDragend}
  * @param {object} dragEndEvent - drag end event data
+ * @param {boolean} [skipCreate] - true then clear the guide without creating schedule.
  */
-MonthCreation.prototype._onDragEnd = function(dragEndEvent) {
+MonthCreation.prototype._onDragEnd = function(dragEndEvent, skipCreate) {
     var cache = this._cache;
     var eventData;
     var times;
 
     this.dragHandler.off({
         drag: this._onDrag,
-        dragEnd: this._onDragEnd
+        dragEnd: this._onDragEnd,
+        dragCancel: this._onDragCancel
     }, this);
 
     if (!this.getScheduleData) {
@@ -204,7 +228,11 @@ MonthCreation.prototype._onDragEnd = function(dragEndEvent) {
 
     eventData = this.getScheduleData(dragEndEvent.originEvent);
 
-    if (eventData) {
+    if (skipCreate) {
+        if (this.guide.guide) {
+            this.guide.guide.clearGuideElement();
+        }
+    } else if (eventData) {
         cache.end = new TZDate(eventData.date);
         cache.isAllDay = true;
 
@@ -231,6 +259,15 @@ MonthCreation.prototype._onDragEnd = function(dragEndEvent) {
     this.getScheduleData = this._cache = null;
 };
 
+/**
+ * DragCancel event handler. Clear the guide without creating schedule.
+ * @fires {MonthCreation#monthCreationDragend}
+ * @param {object} dragCancelEvent - drag cancel event data
+ */
+MonthCreation.prototype._onDragCancel = function(dragCancelEvent) {
+    this._onDragEnd(dragCancelEvent, true);
+};
+
 /**
  * Dblclick event handler
  * @fires {MonthCreation#monthCreationDragstart}
@@ -11,6 +11,9 @@ var config = require('../../config'),
     datetime = require('../../common/datetime'),
     getMousePosData = require('./core'),
     MonthMoveGuide = require('./moveGuide'),
+    Selection = require('../selection'),
+    Clipboard = require('../clipboard'),
+    ExternalDrag = require('../externalDrag'),
     TZDate = require('../../common/timezone').Date;
 
 /**
@@ -46,6 +49,12 @@ function MonthMove(dragHandler, monthView, baseController) {
      */
     this._cache = null;
 
+    /**
+     * whether the element dragged from the outside of the calendar shows the guide
+     * @type {boolean}
+     */
+    this._isExternalDragging = false;
+
     /**
      * @type {MonthMoveGuide}
      */
@@ -66,6 +75,7 @@ MonthMove.prototype.destroy = function() {
 /**
  * Update target schedule
  * @fires {MonthMove#beforeUpdateSchedule}
+ * @fires {MonthMove#duplicateSchedule}
  * @param {object} scheduleCache - cache object that result of single dragging
  *  session.
  */
@@ -75,9 +85,25 @@ MonthMove.prototype.updateSchedule = function(scheduleCache) {
     var startDateRaw = datetime.raw(schedule.start);
     var dragEndTime = new TZDate(scheduleCache.end);
     var newStartDate = new TZDate(dragEndTime);
+    var eventData, updates;
 
     newStartDate.setHours(startDateRaw.h, startDateRaw.m, startDateRaw.s, startDateRaw.ms);
 
+    eventData = {
+        schedule: schedule,
+        changes: {
+            start: newStartDate,
+            end: new TZDate(newStartDate).addMilliseconds(duration)
+        },
+        start: newStartDate,
+        end: new TZDate(newStartDate).addMilliseconds(duration)
+    };
+    updates = Selection.getMoveUpdates(this.baseController, schedule, eventData.changes);
+
+    if (updates) {
+        eventData.updates = updates;
+    }
+
     /**
      * @event MonthMove#beforeUpdateSchedule
      * @type {object}
@@ -87,16 +113,15 @@ MonthMove.prototype.updateSchedule = function(scheduleCache) {
      * @property {object} changes - start and end time to update
      *  @property {Date} start - start time to update
      *  @property {Date} end - end time to update
+     * @property {Array.<{schedule: Schedule, changes: object}>} [updates] - The changes of the dragged schedule and
+     *  the other selected schedules when the dragged schedule is selected
      */
-    this.fire('beforeUpdateSchedule', {
-        schedule: schedule,
-        changes: {
-            start: newStartDate,
-            end: new TZDate(newStartDate).addMilliseconds(duration)
-        },
-        start: newStartDate,
-        end: new TZDate(newStartDate).addMilliseconds(duration)
-    });
+    /**
+     * Same data with beforeUpdateSchedule. It is fired instead of it when the schedule is dragged with the Alt key.
+     * @event MonthMove#duplicateSchedule
+     * @type {object}
+     */
+    this.fire(Clipboard.getMoveEventName(scheduleCache.originEvent), eventData);
 };
 
 /**
@@ -173,7 +198,8 @@ MonthMove.prototype._onDragStart = function(dragStartEvent) {
 
     this.dragHandler.on({
         drag: this._onDrag,
-        dragEnd: this._onDragEnd
+        dragEnd: this._onDragEnd,
+        dragCancel: this._onDragCancel
     }, this);
 
     this.getScheduleData = getMousePosData(this.monthView);
@@ -189,6 +215,15 @@ MonthMove.prototype._onDragStart = function(dragStartEvent) {
         start: new TZDate(Number(scheduleData.date))
     };
 
+    /**
+     * @event {MonthMove#scheduleDragStart}
+     * @type {object}
+     * @property {Schedule} schedule - dragged schedule
+     */
+    this.fire('scheduleDragStart', {
+        schedule: model
+    });
+
     /**
      * @event {MonthMove#monthMoveDragstart}
      * @type {object}
@@ -234,14 +269,16 @@ MonthMove.prototype._onDrag = function(dragEvent) {
  * Event handler for Drag#dragEnd
  * @fires {MonthMove#monthMoveDragend}
  * @param {object} dragEndEvent - dragend event data
+ * @param {boolean} [skipUpdate] - true then skip update schedule model.
  */
-MonthMove.prototype._onDragEnd = function(dragEndEvent) {
+MonthMove.prototype._onDragEnd = function(dragEndEvent, skipUpdate) {
     var cache = this._cache;
     var scheduleData;
 
     this.dragHandler.off({
         drag: this._onDrag,
-        dragEnd: this._onDragEnd
+        dragEnd: this._onDragEnd,
+        dragCancel: this._onDragCancel
     }, this);
 
     if (!this.getScheduleData) {
@@ -250,8 +287,9 @@ MonthMove.prototype._onDragEnd = function(dragEndEvent) {
 
     scheduleData = this.getScheduleData(dragEndEvent.originEvent);
 
-    if (scheduleData) {
+    if (scheduleData && !skipUpdate && !ExternalDrag.fireDragOut(this, cache.model, dragEndEvent.originEvent)) {
         cache.end = new TZDate(scheduleData.date);
+        cache.originEvent = dragEndEvent.originEvent;
         this.updateSchedule(cache);
     }
 
@@ -267,6 +305,97 @@ MonthMove.prototype._onDragEnd = function(dragEndEvent) {
     this.getScheduleData = this._cache = null;
 };
 
+/**
+ * Event handler for Drag#dragCancel. Clear the guide without updating the schedule.
+ * @fires {MonthMove#monthMoveDragend}
+ * @param {object} dragCancelEvent - dragcancel event data
+ */
+MonthMove.prototype._onDragCancel = function(dragCancelEvent) {
+    this._onDragEnd(dragCancelEvent, true);
+};
+
+/**
+ * Show the move guide of the schedule dragged from the outside of the calendar.
+ * The schedule is dropped onto the date at the mouse position. See {@link getDropRange} for the time.
+ * @fires {MonthMove#monthMoveDragstart}
+ * @fires {MonthMove#monthMoveDrag}
+ * @param {Schedule} model - schedule model of the dragged element
+ * @param {MouseEvent} mouseEvent - mouse event object
+ * @returns {?{start: TZDate, end: TZDate, isAllDay: boolean, category: string}} the range to drop.
+ *  null when the mouse is out of the month view.
+ */
+MonthMove.prototype.dragExternal = function(model, mouseEvent) {
+    var scheduleData = null;
+
+    if (this.monthView.container.contains(mouseEvent.target || mouseEvent.srcElement)) {
+        scheduleData = getMousePosData(this.monthView)(mouseEvent);
+    }
+
+    if (!scheduleData) {
+        this.endExternalDrag();
+
+        return null;
+    }
+
+    scheduleData.originEvent = mouseEvent;
+
+    if (!this._isExternalDragging) {
+        this._isExternalDragging = true;
+        this.fire('monthMoveDragstart', util.extend({
+            model: model
+        }, scheduleData));
+    }
+
+    this.fire('monthMoveDrag', scheduleData);
+
+    return getDropRange(model, scheduleData.date);
+};
+
+/**
+ * Clear the move guide of the schedule dragged from the outside of the calendar.
+ * @fires {MonthMove#monthMoveDragend}
+ */
+MonthMove.prototype.endExternalDrag = function() {
+    if (!this._isExternalDragging) {
+        return;
+    }
+
+    this._isExternalDragging = false;
+    this.fire('monthMoveDragend');
+};
+
+/**
+ * Get the range to drop the schedule onto the date.
+ * The time schedule keeps the time of the day like moving in the month view.
+ * The others are dropped as an all-day schedule like the creation in the month view.
+ * @param {Schedule} model - schedule model
+ * @param {TZDate} date - date to drop
+ * @returns {{start: TZDate, end: TZDate, isAllDay: boolean, category: string}} the range to drop
+ */
+function getDropRange(model, date) {
+    var start, raw;
+
+    if (model.category !== 'time' || model.isAllDay) {
+        return {
+            start: datetime.start(date),
+            end: datetime.end(date),
+            isAllDay: true,
+            category: 'allday'
+        };
+    }
+
+    raw = datetime.raw(model.getStarts());
+    start = new TZDate(date);
+    start.setHours(raw.h, raw.m, raw.s, raw.ms);
+
+    return {
+        start: start,
+        end: new TZDate(start).addMilliseconds(model.duration()),
+        isAllDay: false,
+        category: 'time'
+    };
+}
+
 util.CustomEvents.mixin(MonthMove);
 
 module.exports = MonthMove;
@@ -122,7 +122,8 @@ MonthResize.prototype._onDragStart = function(dragStartEvent) {
 
     this.dragHandler.on({
         drag: this._onDrag,
-        dragEnd: this._onDragEnd
+        dragEnd: this._onDragEnd,
+        dragCancel: this._onDragCancel
     }, this);
 
     this.getScheduleData = getMousePosData(this.monthView);
@@ -178,15 +179,17 @@ MonthResize.prototype._onDrag = function(dragEvent) {
 /**
  * @fires {MonthResize#monthResizeDragend}
  * @param {object} dragEndEvent - drag end event data
+ * @param {boolean} [skipUpdate] - true then skip update schedule model.
  */
-MonthResize.prototype._onDragEnd = function(dragEndEvent) {
+MonthResize.prototype._onDragEnd = function(dragEndEvent, skipUpdate) {
     var cache = this._cache;
     var scheduleData;
     var start, end;
 
     this.dragHandler.off({
         drag: this._onDrag,
-        dragEnd: this._onDragEnd
+        dragEnd: this._onDragEnd,
+        dragCancel: this._onDragCancel
     }, this);
 
     if (!this.getScheduleData) {
@@ -195,7 +198,7 @@ MonthResize.prototype._onDragEnd = function(dragEndEvent) {
 
     scheduleData = this.getScheduleData(dragEndEvent.originEvent);
 
-    if (scheduleData) {
+    if (scheduleData && !skipUpdate) {
         start = new TZDate(cache.schedule.getStarts());
         end = new TZDate(scheduleData.date);
         cache.end = end;
@@ -217,6 +220,15 @@ MonthResize.prototype._onDragEnd = function(dragEndEvent) {
     this.getScheduleData = this._cache = null;
 };
 
+/**
+ * Clear the guide without updating the schedule.
+ * @fires {MonthResize#monthResizeDragend}
+ * @param {object} dragCancelEvent - drag cancel event data
+ */
+MonthResize.prototype._onDragCancel = function(dragCancelEvent) {
+    this._onDragEnd(dragCancelEvent, true);
+};
+
 util.CustomEvents.mixin(MonthResize);
 
 module.exports = MonthResize;
@@ -0,0 +1,279 @@
+/**
+ * @fileoverview Marquee selection handler for week and month view
+ * @author NHN FE Development Lab <dl_javascript@nhn.com>
+ */
+'use strict';
+
+var util = require('tui-code-snippet');
+var config = require('../config'),
+    domutil = require('../common/domutil');
+var mmin = Math.min,
+    mmax = Math.max;
+
+var BLOCK_SELECTORS = ['.time-date-schedule-block', '.weekday-schedule-block'];
+
+/**
+ * Select the schedules in the rectangle dragged with the shift key on the empty area of the view.
+ * @constructor
+ * @mixes CustomEvents
+ * @param {Drag} dragHandler - Drag handler instance.
+ * @param {View} view - Week or Month view instance.
+ * @param {Base} baseController - Base controller instance.
+ */
+function Selection(dragHandler, view, baseController) {
+    /**
+     * @type {Drag}
+     */
+    this.dragHandler = dragHandler;
+
+    /**
+     * @type {View}
+     */
+    this.view = view;
+
+    /**
+     * @type {Base}
+     */
+    this.baseController = baseController;
+
+    /**
+     * client position where the dragging starts
+     * @type {Array.<number>}
+     */
+    this._startPos = null;
+
+    /**
+     * rectangle element of the marquee
+     * @type {HTMLElement}
+     */
+    this._marqueeElement = null;
+
+    dragHandler.on('dragStart', this._onDragStart, this);
+}
+
+/**
+ * Get the selection mode by the modifier keys of the mouse event.
+ * @param {MouseEvent} mouseEvent - mouse event
+ * @returns {?string} 'toggle' with the ctrl(or meta) key, 'add' with the shift key. null without them.
+ */
+Selection.getModeByEvent = function(mouseEvent) {
+    if (!mouseEvent) {
+        return null;
+    }
+
+    if (mouseEvent.ctrlKey || mouseEvent.metaKey) {
+        return 'toggle';
+    }
+
+    return mouseEvent.shiftKey ? 'add' : null;
+};
+
+/**
+ * Check the dragging is for the marquee selection, not for creating a schedule.
+ * @param {MouseEvent} mouseEvent - mouse event
+ * @returns {boolean} whether the shift key is pressed
+ */
+Selection.isMarqueeEvent = function(mouseEvent) {
+    return !!(mouseEvent && mouseEvent.shiftKey);
+};
+
+/**
+ * Get the changes of the selected schedules to move them together with the dragged schedule.
+ * @param {Base} baseController - Base controller instance.
+ * @param {Schedule} schedule - the dragged schedule
+ * @param {object} changes - changes of the dragged schedule
+ * @param {function} [filter] - filter of the other selected schedules which can be moved
+ * @returns {?Array.<{schedule: Schedule, changes: object}>} the changes of the dragged schedule and the others.
+ *  null when the dragged schedule isn't selected with the others.
+ */
+Selection.getMoveUpdates = function(baseController, schedule, changes, filter) {
+    var others;
+
+    if (!schedule.isSelected) {
+        return null;
+    }
+
+    others = baseController.getSelectionMoveChanges(schedule, changes.start - schedule.getStarts(), filter);
+
+    return others.length ? [{
+        schedule: schedule,
+        changes: changes
+    }].concat(others) : null;
+};
+
+/**
+ * Destructor
+ */
+Selection.prototype.destroy = function() {
+    this._clearMarquee();
+    this.dragHandler.off(this);
+    this.dragHandler = this.view = this.baseController = null;
+};
+
+/**
+ * Get the schedule block element of the target.
+ * @param {HTMLElement} target - target element
+ * @returns {?HTMLElement} schedule block element
+ */
+Selection.prototype._getBlockElement = function(target) {
+    var block = null;
+
+    util.forEachArray(BLOCK_SELECTORS, function(selector) {
+        block = domutil.closest(target, config.classname(selector));
+
+        return !block;
+    });
+
+    return block;
+};
+
+/**
+ * Drag#dragStart event handler
+ * @param {object} dragStartEventData - Drag#dragStart event data
+ */
+Selection.prototype._onDragStart = function(dragStartEventData) {
+    var target = dragStartEventData.target,
+        originEvent = dragStartEventData.originEvent;
+
+    if (!Selection.isMarqueeEvent(originEvent) ||
+        !this.view.container.contains(target) ||
+        this._getBlockElement(target)
+    ) {
+        return;
+    }
+
+    this._startPos = [originEvent.clientX, originEvent.clientY];
+    this._marqueeElement = domutil.appendHTMLElement('div', this.view.container, config.classname('marquee'));
+    this._refreshMarquee(originEvent);
+
+    this.dragHandler.on({
+        drag: this._onDrag,
+        dragEnd: this._onDragEnd,
+        dragCancel: this._onDragCancel
+    }, this);
+};
+
+/**
+ * Drag#drag event handler
+ * @param {object} dragEventData - Drag#drag event data
+ */
+Selection.prototype._onDrag = function(dragEventData) {
+    this._refreshMarquee(dragEventData.originEvent);
+};
+
+/**
+ * Drag#dragEnd event handler
+ * @emits Selection#selectSchedules
+ * @param {object} dragEndEventData - Drag#dragEnd event data
+ */
+Selection.prototype._onDragEnd = function(dragEndEventData) {
+    var originEvent = dragEndEventData.originEvent,
+        schedules = this._findSchedules(this._getRect(originEvent));
+
+    this.dragHandler.off({
+        drag: this._onDrag,
+        dragEnd: this._onDragEnd,
+        dragCancel: this._onDragCancel
+    }, this);
+    this._clearMarquee();
+
+    /**
+     * @event Selection#selectSchedules
+     * @type {object}
+     * @property {Array.<Schedule>} schedules - schedules in the marquee
+     * @property {string} mode - 'add' with the ctrl(or meta) key, 'replace' without it
+     */
+    this.fire('selectSchedules', {
+        schedules: schedules,
+        mode: (originEvent.ctrlKey || originEvent.metaKey) ? 'add' : 'replace'
+    });
+};
+
+/**
+ * Drag#dragCancel event handler. Clear the marquee without selecting.
+ */
+Selection.prototype._onDragCancel = function() {
+    this.dragHandler.off({
+        drag: this._onDrag,
+        dragEnd: this._onDragEnd,
+        dragCancel: this._onDragCancel
+    }, this);
+    this._clearMarquee();
+};
+
+/**
+ * Get the client rectangle of the marquee
+ * @param {MouseEvent} mouseEvent - mouse event of the current position
+ * @returns {{left: number, top: number, right: number, bottom: number}} rectangle
+ */
+Selection.prototype._getRect = function(mouseEvent) {
+    var start = this._startPos;
+
+    return {
+        left: mmin(start[0], mouseEvent.clientX),
+        top: mmin(start[1], mouseEvent.clientY),
+        right: mmax(start[0], mouseEvent.clientX),
+        bottom: mmax(start[1], mouseEvent.clientY)
+    };
+};
+
+/**
+ * Render the marquee to the current position
+ * @param {MouseEvent} mouseEvent - mouse event of the current position
+ */
+Selection.prototype._refreshMarquee = function(mouseEvent) {
+    var rect = this._getRect(mouseEvent),
+        style = this._marqueeElement.style;
+
+    style.left = rect.left + 'px';
+    style.top = rect.top + 'px';
+    style.width = (rect.right - rect.left) + 'px';
+    style.height = (rect.bottom - rect.top) + 'px';
+};
+
+/**
+ * Remove the marquee element
+ */
+Selection.prototype._clearMarquee = function() {
+    domutil.remove(this._marqueeElement);
+    this._startPos = this._marqueeElement = null;
+};
+
+/**
+ * Find the schedules of which block elements intersect the rectangle
+ * @param {{left: number, top: number, right: number, bottom: number}} rect - client rectangle
+ * @returns {Array.<Schedule>} schedules
+ */
+Selection.prototype._findSchedules = function(rect) {
+    var items = this.baseController.schedules.items,
+        found = {},
+        schedules = [];
+
+    util.forEachArray(BLOCK_SELECTORS, function(selector) {
+        util.forEachArray(domutil.find(config.classname(selector), this.view.container, true), function(block) {
+            var id = domutil.getData(block, 'id');
+            var bound = block.getBoundingClientRect();
+
+            if (items[id] && !found[id] && isIntersected(rect, bound)) {
+                found[id] = true;
+                schedules.push(items[id]);
+            }
+        });
+    }, this);
+
+    return schedules;
+};
+
+/**
+ * Check two rectangles intersect
+ * @param {object} a - rectangle
+ * @param {object} b - rectangle
+ * @returns {boolean} intersected or not
+ */
+function isIntersected(a, b) {
+    return a.left < b.right && b.left < a.right && a.top < b.bottom && b.top < a.bottom;
+}
+
+util.CustomEvents.mixin(Selection);
+
+module.exports = Selection;
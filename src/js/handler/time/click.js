@@ -7,6 +7,7 @@
 var util = require('tui-code-snippet');
 var config = require('../../config');
 var domutil = require('../../common/domutil');
+var Selection = require('../selection');
 
 /**
  * @constructor
@@ -86,6 +87,23 @@ TimeClick.prototype._onClick = function(clickEvent) {
     }
 
     schedulesCollection.doWhenHas(domutil.getData(blockElement, 'id'), function(schedule) {
+        var mode = Selection.getModeByEvent(clickEvent.originEvent);
+
+        if (mode) {
+            /**
+             * @events TimeClick#selectSchedules
+             * @type {object}
+             * @property {Array.<Schedule>} schedules - the clicked schedule
+             * @property {string} mode - 'toggle' with the ctrl(or meta) key, 'add' with the shift key
+             */
+            self.fire('selectSchedules', {
+                schedules: [schedule],
+                mode: mode
+            });
+
+            return;
+        }
+
         /**
          * @events TimeClick#clickSchedule
          * @type {object}
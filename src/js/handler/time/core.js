@@ -5,11 +5,15 @@
 'use strict';
 
 var util = require('tui-code-snippet');
+var config = require('../../config');
 var common = require('../../common/common');
+var businessHours = require('../../common/businessHours');
 var datetime = require('../../common/datetime');
 var domevent = require('../../common/domevent');
 var Point = require('../../common/point');
+var Schedule = require('../../model/schedule');
 var TZDate = require('../../common/timezone').Date;
+var SIXTY_MINUTES = 60;
 
 /**
  * @mixin Time.Core
@@ -20,16 +24,18 @@ var timeCore = {
      * @param {number} baseMil - base milliseconds number for supplied height.
      * @param {number} height - container element height.
      * @param {number} y - Y coordinate to calculate hour ratio.
+     * @param {number} [snapDuration=30] - minutes which the index snaps to.
      * @returns {number} hour index ratio value.
      */
-    _calcGridYIndex: function(baseMil, height, y) {
+    _calcGridYIndex: function(baseMil, height, y, snapDuration) {
         // get ratio from right expression > point.y : x = session.height : baseMil
         // and convert milliseconds value to hours.
         var result = datetime.millisecondsTo('hour', (y * baseMil) / height),
             floored = result | 0,
-            nearest = common.nearest(result - floored, [0, 1]);
+            slotCount = SIXTY_MINUTES / (snapDuration || config.time.defaultSlotDuration),
+            slotIndex = Math.floor((result - floored) * slotCount);
 
-        return floored + (nearest ? 0.5 : 0);
+        return floored + (slotIndex / slotCount);
     },
 
     /**
@@ -55,7 +61,7 @@ var timeCore = {
             var mouseY = Point.n(domevent.getMousePosition(mouseEvent, container)).y,
                 gridY = common.ratio(viewHeight, hourLength, mouseY),
                 timeY = new TZDate(viewTime).addMinutes(datetime.minutesFromHours(gridY)),
-                nearestGridY = self._calcGridYIndex(baseMil, viewHeight, mouseY),
+                nearestGridY = self._calcGridYIndex(baseMil, viewHeight, mouseY, options.snapDuration),
                 nearestGridTimeY = new TZDate(viewTime).addMinutes(
                     datetime.minutesFromHours(nearestGridY + options.hourStart)
                 );
@@ -81,7 +87,8 @@ var timeCore = {
      * @returns {function} - Function that return event data from mouse event.
      */
     _retriveScheduleDataFromDate: function(timeView) {
-        var viewTime = timeView.getDate();
+        var viewTime = timeView.getDate(),
+            snapDuration = timeView.options.snapDuration;
 
         /**
          * @param {TZDate} startDate - start date
@@ -92,11 +99,11 @@ var timeCore = {
         return util.bind(function(startDate, endDate, hourStart) {
             var gridY, timeY, nearestGridY, nearestGridTimeY, nearestGridEndY, nearestGridEndTimeY;
 
-            gridY = startDate.getHours() - hourStart + getNearestHour(startDate.getMinutes());
+            gridY = startDate.getHours() - hourStart + getNearestHour(startDate.getMinutes(), snapDuration);
             timeY = new TZDate(viewTime).addMinutes(datetime.minutesFromHours(gridY));
             nearestGridY = gridY;
             nearestGridTimeY = new TZDate(viewTime).addMinutes(datetime.minutesFromHours(nearestGridY));
-            nearestGridEndY = endDate.getHours() - hourStart + getNearestHour(endDate.getMinutes());
+            nearestGridEndY = endDate.getHours() - hourStart + getNearestHour(endDate.getMinutes(), snapDuration);
             nearestGridEndTimeY = new TZDate(viewTime).addMinutes(datetime.minutesFromHours(nearestGridEndY));
 
             return util.extend({
@@ -114,6 +121,59 @@ var timeCore = {
         }, this);
     },
 
+    /**
+     * Get the minutes which the dragging snaps to.
+     * @returns {number} minutes
+     */
+    _getSnapDuration: function() {
+        return util.pick(this.timeGridView, 'options', 'snapDuration') || config.time.defaultSlotDuration;
+    },
+
+    /**
+     * Check the range by the constraint option of the time grid.
+     * @param {TZDate} start - start of the range
+     * @param {TZDate} end - end of the range
+     * @param {boolean} keepDuration - keep the duration when the range is snapped
+     * @param {Schedule} [schedule] - the schedule to move or resize
+     * @returns {?Array.<TZDate>} the allowed range. null when the range is refused.
+     */
+    _applyConstraint: function(start, end, keepDuration, schedule) {
+        var options = util.pick(this.timeGridView, 'options') || {};
+        var range = businessHours.applyConstraint(
+            options, new TZDate(start), new TZDate(end), keepDuration, schedule
+        );
+
+        if (range && schedule && this._isOverlapRefused(schedule, range)) {
+            return null;
+        }
+
+        return range;
+    },
+
+    /**
+     * Check the schedule moved to the range collides with the busy schedules when the overlap is not allowed.
+     * @param {Schedule} schedule - the schedule to move or resize
+     * @param {Array.<TZDate>} range - new range of the schedule
+     * @returns {boolean} whether the range is refused
+     */
+    _isOverlapRefused: function(schedule, range) {
+        var ctrl = this.baseController;
+        var moved;
+
+        if (!ctrl || ctrl.isOverlapAllowed(schedule)) {
+            return false;
+        }
+
+        moved = Schedule.create(util.extend(schedule.parameterize(), {
+            start: range[0],
+            end: range[1]
+        }));
+
+        return util.filter(ctrl.findConflicts(moved), function(model) {
+            return model !== schedule;
+        }).length > 0;
+    },
+
     /**
      * Mixin method.
      * @param {(TimeCreation|TimeMove)} obj - Constructor functions
@@ -133,19 +193,13 @@ var timeCore = {
 /**
  * Get the nearest hour
  * @param {number} minutes - minutes
+ * @param {number} [snapDuration=30] - minutes which the hour snaps to
  * @returns {number} hour
  */
-function getNearestHour(minutes) {
-    var nearestHour;
-    if (minutes === 0) {
-        nearestHour = 0;
-    } else if (minutes > 30) {
-        nearestHour = 1;
-    } else if (minutes <= 30) {
-        nearestHour = 0.5;
-    }
+function getNearestHour(minutes, snapDuration) {
+    var duration = snapDuration || config.time.defaultSlotDuration;
 
-    return nearestHour;
+    return (Math.ceil(minutes / duration) * duration) / SIXTY_MINUTES;
 }
 
 module.exports = timeCore;
@@ -14,6 +14,7 @@ var common = require('../../common/common');
 var TimeCreationGuide = require('./creationGuide');
 var TZDate = require('../../common/timezone').Date;
 var timeCore = require('./core');
+var Selection = require('../selection');
 
 var CLICK_DELAY = 300;
 
@@ -128,6 +129,25 @@ TimeCreation.prototype.checkExpectedCondition = function(target) {
     return util.pick(this.timeGridView.children.items, matches[1]);
 };
 
+/**
+ * Get the time slot at the position to paste the schedules.
+ * @param {object} position - mouse event or an object which has the target, clientX and clientY like it.
+ * @returns {?{start: TZDate, isAllDay: boolean}} slot. null when the position is not in the time grid.
+ */
+TimeCreation.prototype.getSlot = function(position) {
+    var target = domutil.closest(position.target, config.classname('.time-date')),
+        timeView = target && this.checkExpectedCondition(target);
+
+    if (!timeView) {
+        return null;
+    }
+
+    return {
+        start: new TZDate(this._retriveScheduleData(timeView)(position).nearestGridTimeY),
+        isAllDay: false
+    };
+};
+
 /**
  * Drag#dragStart event handler.
  * @emits TimeCreation#timeCreationDragstart
@@ -141,7 +161,7 @@ TimeCreation.prototype._onDragStart = function(dragStartEventData, overrideEvent
         getScheduleDataFunc,
         eventData;
 
-    if (!result) {
+    if (!result || Selection.isMarqueeEvent(dragStartEventData.originEvent)) {
         return;
     }
 
@@ -154,7 +174,8 @@ TimeCreation.prototype._onDragStart = function(dragStartEventData, overrideEvent
 
     this.dragHandler.on({
         drag: this._onDrag,
-        dragEnd: this._onDragEnd
+        dragEnd: this._onDragEnd,
+        dragCancel: this._onDragCancel
     }, this);
 
     /**
@@ -187,6 +208,7 @@ TimeCreation.prototype._onDrag = function(dragEventData, overrideEventName, revi
     }
 
     eventData = getScheduleDataFunc(dragEventData.originEvent);
+    eventData.isAllowed = this._isAllowedRange(this._dragStart, eventData);
 
     if (revise) {
         revise(eventData);
@@ -202,10 +224,32 @@ TimeCreation.prototype._onDrag = function(dragEventData, overrideEventName, revi
      * @property {number} timeY - milliseconds value of mouseY points.
      * @property {number} nearestGridY - nearest grid index related with mouseY value.
      * @property {number} nearestGridTimeY - time value for nearestGridY.
+     * @property {boolean} isAllowed - whether the range to create is allowed by the constraint.
      */
     this.fire(overrideEventName || 'timeCreationDrag', eventData);
 };
 
+/**
+ * Check the range between the drag start and the current position is allowed by the constraint.
+ * @param {object} dragStart - event data of the drag start
+ * @param {object} eventData - event data of the current position
+ * @returns {boolean} whether the range is allowed
+ */
+TimeCreation.prototype._isAllowedRange = function(dragStart, eventData) {
+    var range;
+
+    if (!dragStart) {
+        return true;
+    }
+
+    range = [
+        new TZDate(dragStart.nearestGridTimeY),
+        new TZDate(eventData.nearestGridTimeY)
+    ].sort(array.compare.num.asc);
+
+    return !!this._applyConstraint(range[0], range[1].addMinutes(this._getSnapDuration()), false);
+};
+
 /**
  * @fires TimeCreation#beforeCreateSchedule
  * @param {object} eventData - event data object from TimeCreation#timeCreationDragend
@@ -217,12 +261,13 @@ TimeCreation.prototype._createSchedule = function(eventData) {
         nearestGridTimeY = eventData.nearestGridTimeY,
         nearestGridEndTimeY = eventData.nearestGridEndTimeY
             ? eventData.nearestGridEndTimeY
-            : new TZDate(nearestGridTimeY).addMinutes(30),
+            : new TZDate(nearestGridTimeY).addMinutes(this._getSnapDuration()),
         baseDate,
         dateStart,
         dateEnd,
         start,
-        end;
+        end,
+        range;
 
     if (!createRange) {
         createRange = [
@@ -236,6 +281,13 @@ TimeCreation.prototype._createSchedule = function(eventData) {
     dateEnd = datetime.getStartOfNextDay(baseDate);
     start = common.limitDate(createRange[0], dateStart, dateEnd);
     end = common.limitDate(createRange[1], dateStart, dateEnd);
+    range = this._applyConstraint(start, end, false);
+
+    if (!range) {
+        this.guide.clearGuideElement();
+
+        return;
+    }
 
     /**
      * @event TimeCreation#beforeCreateSchedule
@@ -248,8 +300,8 @@ TimeCreation.prototype._createSchedule = function(eventData) {
      */
     this.fire('beforeCreateSchedule', {
         isAllDay: false,
-        start: new TZDate(start),
-        end: new TZDate(end),
+        start: range[0],
+        end: range[1],
         guide: this.guide,
         triggerEventName: eventData.triggerEvent
     });
@@ -266,7 +318,8 @@ TimeCreation.prototype._onDragEnd = function(dragEndEventData) {
 
     this.dragHandler.off({
         drag: this._onDrag,
-        dragEnd: this._onDragEnd
+        dragEnd: this._onDragEnd,
+        dragCancel: this._onDragCancel
     }, this);
 
     /**
@@ -278,7 +331,7 @@ TimeCreation.prototype._onDragEnd = function(dragEndEventData) {
             dragStart.nearestGridTimeY,
             eventData.nearestGridTimeY
         ].sort(array.compare.num.asc);
-        range[1].addMinutes(30);
+        range[1].addMinutes(self._getSnapDuration());
 
         eventData.createRange = range;
 
@@ -302,6 +355,20 @@ TimeCreation.prototype._onDragEnd = function(dragEndEventData) {
     this._dragStart = this._getScheduleDataFunc = null;
 };
 
+/**
+ * Drag#dragCancel event handler. Clear the guide without creating schedule.
+ */
+TimeCreation.prototype._onDragCancel = function() {
+    this.dragHandler.off({
+        drag: this._onDrag,
+        dragEnd: this._onDragEnd,
+        dragCancel: this._onDragCancel
+    }, this);
+
+    this.guide.clearGuideElement();
+    this._dragStart = this._getScheduleDataFunc = null;
+};
+
 /**
  * Drag#click event handler
  * @emits TimeCreation#timeCreationClick
@@ -313,7 +380,8 @@ TimeCreation.prototype._onClick = function(clickEventData) {
 
     this.dragHandler.off({
         drag: this._onDrag,
-        dragEnd: this._onDragEnd
+        dragEnd: this._onDragEnd,
+        dragCancel: this._onDragCancel
     }, this);
 
     condResult = this.checkExpectedCondition(clickEventData.target);
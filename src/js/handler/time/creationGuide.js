@@ -56,6 +56,12 @@ function TimeCreationGuide(timeCreation) {
      */
     this._styleFunc = null;
 
+    /**
+     * Minutes which the dragging snaps to
+     * @type {number}
+     */
+    this._snapDuration = config.time.defaultSlotDuration;
+
     timeCreation.on({
         timeCreationDragstart: this._createGuideElement,
         timeCreationDrag: this._onDrag,
@@ -89,6 +95,7 @@ TimeCreationGuide.prototype.clearGuideElement = function() {
         guideElement.style.top = '';
         guideElement.style.height = '';
         timeElement.innerHTML = '';
+        domutil.removeClass(guideElement, config.classname('time-guide-disallowed'));
     });
 };
 
@@ -171,9 +178,10 @@ TimeCreationGuide.prototype._limitStyleData = function(top, height, start, end)
  * @param {number} viewHeight - total height of view's container element
  * @param {number} hourLength - hour length that rendered in time view
  * @param {TZDate} todayStart - time for view's start date
+ * @param {number} [snapDuration=30] - minutes which the dragging snaps to
  * @returns {function} UI data calculator function
  */
-TimeCreationGuide.prototype._getStyleDataFunc = function(viewHeight, hourLength, todayStart) {
+TimeCreationGuide.prototype._getStyleDataFunc = function(viewHeight, hourLength, todayStart, snapDuration) {
     var todayStartTime = todayStart;
     var todayEndTime = datetime.end(todayStart);
 
@@ -183,7 +191,7 @@ TimeCreationGuide.prototype._getStyleDataFunc = function(viewHeight, hourLength,
      * @returns {number[]} top, time
      */
     function getStyleData(scheduleData) {
-        var minMinutes = 30;
+        var minMinutes = snapDuration || config.time.defaultSlotDuration;
         var gridY = scheduleData.nearestGridY,
             gridTimeY = scheduleData.nearestGridTimeY,
             gridEndTimeY = scheduleData.nearestGridEndTimeY || new TZDate(gridTimeY).addMinutes(minMinutes),
@@ -209,7 +217,8 @@ TimeCreationGuide.prototype._createGuideElement = function(dragStartEventData) {
         unitData, styleFunc, styleData, result, top, height, start, end;
 
     unitData = this._styleUnit = this._getUnitData(relatedView);
-    styleFunc = this._styleFunc = this._getStyleDataFunc.apply(this, unitData);
+    this._snapDuration = relatedView.options.snapDuration || config.time.defaultSlotDuration;
+    styleFunc = this._styleFunc = this._getStyleDataFunc(unitData[0], unitData[1], unitData[2], this._snapDuration);
     styleData = this._styleStart = styleFunc(dragStartEventData);
 
     start = new TZDate(styleData[1]).addMinutes(datetime.minutesFromHours(hourStart));
@@ -234,12 +243,14 @@ TimeCreationGuide.prototype._createGuideElement = function(dragStartEventData) {
  * @param {object} dragEventData - drag schedule data.
  */
 TimeCreationGuide.prototype._onDrag = function(dragEventData) {
-    var minutes30 = 30;
+    var snapDuration = this._snapDuration;
     var styleFunc = this._styleFunc,
         unitData = this._styleUnit,
         startStyle = this._styleStart,
         refreshGuideElement = this._refreshGuideElement.bind(this),
-        heightOfHalfHour,
+        guideElement = this.guideElement,
+        isAllowed = dragEventData.isAllowed !== false,
+        heightOfSnap,
         endStyle,
         result;
 
@@ -247,28 +258,29 @@ TimeCreationGuide.prototype._onDrag = function(dragEventData) {
         return;
     }
 
-    heightOfHalfHour = (unitData[4] / 2);
+    heightOfSnap = unitData[4] * snapDuration / 60;
     endStyle = styleFunc(dragEventData);
 
     if (endStyle[0] > startStyle[0]) {
         result = this._limitStyleData(
             startStyle[0],
-            (endStyle[0] - startStyle[0]) + heightOfHalfHour,
+            (endStyle[0] - startStyle[0]) + heightOfSnap,
             startStyle[1],
-            new TZDate(endStyle[1]).addMinutes(minutes30)
+            new TZDate(endStyle[1]).addMinutes(snapDuration)
         );
     } else {
         result = this._limitStyleData(
             endStyle[0],
-            (startStyle[0] - endStyle[0]) + heightOfHalfHour,
+            (startStyle[0] - endStyle[0]) + heightOfSnap,
             endStyle[1],
-            new TZDate(startStyle[1]).addMinutes(minutes30)
+            new TZDate(startStyle[1]).addMinutes(snapDuration)
         );
         result.push(true);
     }
 
     reqAnimFrame.requestAnimFrame(function() {
         refreshGuideElement.apply(null, result);
+        domutil.toggleClass(guideElement, config.classname('time-guide-disallowed'), !isAllowed);
     });
 };
 
@@ -12,6 +12,9 @@ var domevent = require('../../common/domevent');
 var TZDate = require('../../common/timezone').Date;
 var timeCore = require('./core');
 var TimeMoveGuide = require('./moveGuide');
+var Selection = require('../selection');
+var Clipboard = require('../clipboard');
+var ExternalDrag = require('../externalDrag');
 
 /**
  * @constructor
@@ -48,6 +51,12 @@ function TimeMove(dragHandler, timeGridView, baseController) {
      */
     this._dragStart = null;
 
+    /**
+     * dragstart data of the element dragged from the outside of the calendar
+     * @type {object}
+     */
+    this._externalDragStart = null;
+
     /**
      * @type {TimeMoveGuide}
      */
@@ -64,7 +73,7 @@ TimeMove.prototype.destroy = function() {
     this._guide.destroy();
     this.dragHandler.off(this);
     this.dragHandler = this.timeGridView = this.baseController =
-        this._getScheduleDataFunc = this._dragStart = this._guide = null;
+        this._getScheduleDataFunc = this._dragStart = this._externalDragStart = this._guide = null;
 };
 
 /**
@@ -158,9 +167,19 @@ TimeMove.prototype._onDragStart = function(dragStartEventData) {
     this.dragHandler.on({
         drag: this._onDrag,
         dragEnd: this._onDragEnd,
+        dragCancel: this._onDragCancel,
         click: this._onClick
     }, this);
 
+    /**
+     * @event TimeMove#scheduleDragStart
+     * @type {object}
+     * @property {Schedule} schedule - dragged schedule
+     */
+    this.fire('scheduleDragStart', {
+        schedule: targetModel
+    });
+
     /**
      * @event TimeMove#timeMoveDragstart
      * @type {object}
@@ -198,6 +217,12 @@ TimeMove.prototype._onDrag = function(dragEventData, overrideEventName, revise)
         currentView: timeView,
         targetModelID: dragStart.targetModelID
     });
+    scheduleData.isAllowed = !!this._getAllowedRange(
+        dragStart.model,
+        scheduleData.nearestGridTimeY - dragStart.nearestGridTimeY,
+        scheduleData.relatedView,
+        timeView
+    );
 
     if (revise) {
         revise(scheduleData);
@@ -216,41 +241,75 @@ TimeMove.prototype._onDrag = function(dragEventData, overrideEventName, revise)
      * @property {number} nearestGridTimeY - time value for nearestGridY.
      * @property {Time} currentView - time view instance related with current mouse position.
      * @property {string} targetModelID - The model unique id emitted move schedule.
+     * @property {boolean} isAllowed - whether the moved range is allowed by the constraint.
      */
     this.fire(overrideEventName || 'timeMoveDrag', scheduleData);
 };
 
+/**
+ * Get the range of the schedule moved by the drag and checked by the constraint.
+ * @param {Schedule} schedule - schedule to move
+ * @param {number} timeDiff - milliseconds moved in the day
+ * @param {Time} relatedView - time view instance related with drag start position.
+ * @param {Time} currentView - time view instance related with current mouse position.
+ * @returns {?Array.<TZDate>} the moved range. null when the range is refused by the constraint.
+ */
+TimeMove.prototype._getAllowedRange = function(schedule, timeDiff, relatedView, currentView) {
+    var diff = timeDiff + (currentView.getDate() - relatedView.getDate());
+
+    return this._applyConstraint(
+        new TZDate(schedule.getStarts()).addMilliseconds(diff),
+        new TZDate(schedule.getEnds()).addMilliseconds(diff),
+        true,
+        schedule
+    );
+};
+
 /**
  * Update model instance by dragend event results.
  * @fires TimeMove#beforeUpdateSchedule
+ * @fires TimeMove#duplicateSchedule
  * @param {object} scheduleData - schedule data from TimeMove#timeMoveDragend
  */
 TimeMove.prototype._updateSchedule = function(scheduleData) {
     var ctrl = this.baseController,
         modelID = scheduleData.targetModelID,
         range = scheduleData.nearestRange,
-        timeDiff = range[1] - range[0],
-        dateDiff = 0,
         schedule = ctrl.schedules.items[modelID],
         relatedView = scheduleData.relatedView,
         currentView = scheduleData.currentView,
-        newStarts,
-        newEnds;
+        timeDiff,
+        newRange,
+        changes,
+        updates,
+        eventData;
 
     if (!schedule || !currentView) {
         return;
     }
 
-    timeDiff -= datetime.millisecondsFrom('minutes', 30);
-    newStarts = new TZDate(schedule.getStarts()).addMilliseconds(timeDiff);
-    newEnds = new TZDate(schedule.getEnds()).addMilliseconds(timeDiff);
+    timeDiff = range[1] - range[0] - datetime.millisecondsFrom('minutes', this._getSnapDuration());
+    newRange = this._getAllowedRange(schedule, timeDiff, relatedView, currentView);
 
-    if (currentView) {
-        dateDiff = currentView.getDate() - relatedView.getDate();
+    if (!newRange) {
+        return;
     }
 
-    newStarts.addMilliseconds(dateDiff);
-    newEnds.addMilliseconds(dateDiff);
+    changes = util.extend({
+        start: newRange[0],
+        end: newRange[1]
+    }, getResourceChanges(relatedView, currentView));
+    eventData = {
+        schedule: schedule,
+        changes: changes,
+        start: newRange[0],
+        end: newRange[1]
+    };
+    updates = Selection.getMoveUpdates(ctrl, schedule, changes, isTimeSchedule);
+
+    if (updates) {
+        eventData.updates = updates;
+    }
 
     /**
      * @event TimeMove#beforeUpdateSchedule
@@ -261,23 +320,24 @@ TimeMove.prototype._updateSchedule = function(scheduleData) {
      * @property {object} changes - start and end time to update
      *  @property {Date} start - start time to update
      *  @property {Date} end - end time to update
+     *  @property {string} [resourceId] - resource id to update when moved to the column of other resource
+     * @property {Array.<{schedule: Schedule, changes: object}>} [updates] - The changes of the dragged schedule and
+     *  the other selected time schedules when the dragged schedule is selected
      */
-    this.fire('beforeUpdateSchedule', {
-        schedule: schedule,
-        changes: {
-            start: newStarts,
-            end: newEnds
-        },
-        start: newStarts,
-        end: newEnds
-    });
+    /**
+     * Same data with beforeUpdateSchedule. It is fired instead of it when the schedule is dragged with the Alt key.
+     * @event TimeMove#duplicateSchedule
+     * @type {object}
+     */
+    this.fire(Clipboard.getMoveEventName(scheduleData.originEvent), eventData);
 };
 
 /**
  * @emits TimeMove#timeMoveDragend
  * @param {MouseEvent} dragEndEventData - mouseup mouse event object.
+ * @param {boolean} [skipUpdate] - true then skip update schedule model.
  */
-TimeMove.prototype._onDragEnd = function(dragEndEventData) {
+TimeMove.prototype._onDragEnd = function(dragEndEventData, skipUpdate) {
     var getScheduleDataFunc = this._getScheduleDataFunc,
         currentView = this._getTimeView(dragEndEventData.target),
         dragStart = this._dragStart,
@@ -286,6 +346,7 @@ TimeMove.prototype._onDragEnd = function(dragEndEventData) {
     this.dragHandler.off({
         drag: this._onDrag,
         dragEnd: this._onDragEnd,
+        dragCancel: this._onDragCancel,
         click: this._onClick
     }, this);
 
@@ -300,15 +361,17 @@ TimeMove.prototype._onDragEnd = function(dragEndEventData) {
 
     scheduleData.range = [
         dragStart.timeY,
-        new TZDate(scheduleData.timeY).addMinutes(30)
+        new TZDate(scheduleData.timeY).addMinutes(this._getSnapDuration())
     ];
 
     scheduleData.nearestRange = [
         dragStart.nearestGridTimeY,
-        new TZDate(scheduleData.nearestGridTimeY).addMinutes(30)
+        new TZDate(scheduleData.nearestGridTimeY).addMinutes(this._getSnapDuration())
     ];
 
-    this._updateSchedule(scheduleData);
+    if (!skipUpdate && !ExternalDrag.fireDragOut(this, dragStart.model, dragEndEventData.originEvent)) {
+        this._updateSchedule(scheduleData);
+    }
 
     /**
      * @event TimeMove#timeMoveDragend
@@ -329,6 +392,15 @@ TimeMove.prototype._onDragEnd = function(dragEndEventData) {
     this.fire('timeMoveDragend', scheduleData);
 };
 
+/**
+ * Clear the guide without updating the schedule.
+ * @emits TimeMove#timeMoveDragend
+ * @param {MouseEvent} dragCancelEventData - the last mouse event object of Drag#drag.
+ */
+TimeMove.prototype._onDragCancel = function(dragCancelEventData) {
+    this._onDragEnd(dragCancelEventData, true);
+};
+
 /**
  * @emits TimeMove#timeMoveClick
  * @param {MouseEvent} clickEventData - click mouse event object.
@@ -341,6 +413,7 @@ TimeMove.prototype._onClick = function(clickEventData) {
     this.dragHandler.off({
         drag: this._onDrag,
         dragEnd: this._onDragEnd,
+        dragCancel: this._onDragCancel,
         click: this._onClick
     }, this);
 
@@ -368,6 +441,108 @@ TimeMove.prototype._onClick = function(clickEventData) {
     this.fire('timeMoveClick', scheduleData);
 };
 
+/**
+ * Show the move guide of the schedule dragged from the outside of the calendar.
+ * The schedule starts at the nearest time slot from the mouse position.
+ * @emits TimeMove#timeMoveDragstart
+ * @emits TimeMove#timeMoveDrag
+ * @param {Schedule} model - schedule model of the dragged element
+ * @param {MouseEvent} mouseEvent - mouse event object
+ * @returns {?{start: TZDate, end: TZDate, isAllDay: boolean, category: string}} the range to drop.
+ *  null when the mouse is out of the time grid or the range is refused by the constraint.
+ */
+TimeMove.prototype.dragExternal = function(model, mouseEvent) {
+    var timeView = this._getTimeView(mouseEvent.target || mouseEvent.srcElement),
+        scheduleData,
+        start,
+        range;
+
+    if (!timeView) {
+        this._clearExternalGuide();
+
+        return null;
+    }
+
+    scheduleData = this._retriveScheduleData(timeView)(mouseEvent, {
+        currentView: timeView,
+        isExternal: true
+    });
+    start = scheduleData.nearestGridTimeY;
+    range = this._applyConstraint(start, new TZDate(start).addMilliseconds(model.duration()), true, model);
+    scheduleData.isAllowed = !!range;
+
+    if (!this._externalDragStart) {
+        this._externalDragStart = util.extend({
+            model: this.baseController.cloneSchedule(model, {
+                start: start,
+                end: new TZDate(start).addMilliseconds(model.duration())
+            })
+        }, scheduleData);
+        this.fire('timeMoveDragstart', this._externalDragStart);
+        this.timeGridView.toggleAutoScroll(true);
+    }
+
+    this.fire('timeMoveDrag', scheduleData);
+
+    return range && {
+        start: range[0],
+        end: range[1],
+        isAllDay: false,
+        category: 'time'
+    };
+};
+
+/**
+ * Finish the dragging from the outside of the calendar. It clears the guide and stops the autoscroll.
+ */
+TimeMove.prototype.endExternalDrag = function() {
+    this._clearExternalGuide();
+    this.timeGridView.toggleAutoScroll(false);
+};
+
+/**
+ * Clear the move guide of the schedule dragged from the outside of the calendar.
+ * The autoscroll keeps running while the mouse is over the other panels of the calendar.
+ * @emits TimeMove#timeMoveDragend
+ */
+TimeMove.prototype._clearExternalGuide = function() {
+    var dragStart = this._externalDragStart;
+
+    if (!dragStart) {
+        return;
+    }
+
+    this._externalDragStart = null;
+    this.fire('timeMoveDragend', dragStart);
+};
+
+/**
+ * Check the schedule can be moved in the time grid with the dragged schedule.
+ * @param {Schedule} schedule - selected schedule
+ * @returns {boolean} whether the schedule is a time schedule
+ */
+function isTimeSchedule(schedule) {
+    return schedule.category === 'time' && !schedule.isAllDay;
+}
+
+/**
+ * Get changes of the resource when the schedule is moved between the columns of resources.
+ * @param {Time} relatedView - time view instance related with drag start position.
+ * @param {Time} currentView - time view instance related with current mouse position.
+ * @returns {object} changes. empty when the resource is not changed.
+ */
+function getResourceChanges(relatedView, currentView) {
+    var resource = util.pick(currentView, 'options', 'resource');
+
+    if (!resource || resource.id === util.pick(relatedView, 'options', 'resource', 'id')) {
+        return {};
+    }
+
+    return {
+        resourceId: resource.id
+    };
+}
+
 timeCore.mixin(TimeMove);
 util.CustomEvents.mixin(TimeMove);
 
@@ -74,6 +74,11 @@ function TimeMoveGuide(timeMove) {
      */
     this._startTopPixel = 0;
 
+    /**
+     * @type {number}
+     */
+    this._guideHeight = 0;
+
     timeMove.on({
         'timeMoveDragstart': this._onDragStart,
         'timeMoveDrag': this._onDrag,
@@ -92,7 +97,7 @@ TimeMoveGuide.prototype.destroy = function() {
         this._guideLayer.destroy();
     }
     this.guideElement = this.timeMove = this._container = this._guideLayer = this._lastDrag =
-        this._getTopFunc = this._startGridY = this._startTopPixel = this._viewModel = null;
+        this._getTopFunc = this._startGridY = this._startTopPixel = this._guideHeight = this._viewModel = null;
 };
 
 /**
@@ -109,7 +114,7 @@ TimeMoveGuide.prototype._clearGuideElement = function() {
     this._showOriginScheduleBlocks();
 
     this.guideElement = this._getTopFunc = this._guideLayer = this._model = this._lastDrag =
-        this._startGridY = this._startTopPixel = this._viewModel = null;
+        this._startGridY = this._startTopPixel = this._guideHeight = this._viewModel = null;
 };
 
 /**
@@ -138,8 +143,9 @@ TimeMoveGuide.prototype._showOriginScheduleBlocks = function() {
  * @param {string} top - guide element's style top.
  * @param {Schedule} model - updated model
  * @param {object} viewModel - view model
+ * @param {boolean} [isAllowed=true] - whether the moved range is allowed by the constraint
  */
-TimeMoveGuide.prototype._refreshGuideElement = function(top, model, viewModel) {
+TimeMoveGuide.prototype._refreshGuideElement = function(top, model, viewModel, isAllowed) {
     var self = this;
 
     reqAnimFrame.requestAnimFrame(function() {
@@ -148,6 +154,11 @@ TimeMoveGuide.prototype._refreshGuideElement = function(top, model, viewModel) {
         }
         self._guideLayer.setPosition(0, top);
         self._guideLayer.setContent(tmpl(util.extend({model: model}, viewModel)));
+        domutil.toggleClass(
+            self._guideLayer.container,
+            config.classname('time-guide-disallowed'),
+            isAllowed === false
+        );
     });
 };
 
@@ -156,17 +167,18 @@ TimeMoveGuide.prototype._refreshGuideElement = function(top, model, viewModel) {
  * @param {object} dragStartEventData - dragstart event data
  */
 TimeMoveGuide.prototype._onDragStart = function(dragStartEventData) {
-    var guideElement = domutil.closest(
+    var isExternal = dragStartEventData.isExternal;
+    var guideElement = isExternal ? null : domutil.closest(
         dragStartEventData.target,
         config.classname('.time-date-schedule-block')
     );
     var duration, modelDuration, goingDuration, comingDuration;
 
-    if (!guideElement) {
+    if (!guideElement && !isExternal) {
         return;
     }
 
-    this._startTopPixel = parseFloat(guideElement.style.top);
+    this._setGuideBound(dragStartEventData, guideElement);
     this._startGridY = dragStartEventData.nearestGridY;
     this.guideElement = guideElement;
     this._container = dragStartEventData.relatedView.container;
@@ -203,7 +215,7 @@ TimeMoveGuide.prototype._onDrag = function(dragEventData) {
     var timeView = dragEventData.currentView,
         viewOptions = timeView.options,
         viewHeight = timeView.getViewBound().height,
-        guideHeight = parseFloat(this.guideElement.style.height),
+        guideHeight = this._guideHeight,
         hourLength = viewOptions.hourEnd - viewOptions.hourStart,
         gridYOffset = dragEventData.nearestGridY - this._startGridY,
         gridYOffsetPixel = ratio(hourLength, viewHeight, gridYOffset),
@@ -231,7 +243,35 @@ TimeMoveGuide.prototype._onDrag = function(dragEventData) {
     this._model.end = new TZDate(this._model.getEnds()).addMinutes(datetime.minutesFromHours(gridDiff));
     this._lastDrag = dragEventData;
 
-    this._refreshGuideElement(top, this._model, this._viewModel);
+    this._refreshGuideElement(top, this._model, this._viewModel, dragEventData.isAllowed);
+};
+
+/**
+ * Set the top and the height of the guide from the schedule block element.
+ * The schedule dragged from the outside of the calendar has no element, so they are calculated from the model.
+ * @param {object} dragStartEventData - dragstart event data
+ * @param {HTMLElement} [guideElement] - schedule block element
+ */
+TimeMoveGuide.prototype._setGuideBound = function(dragStartEventData, guideElement) {
+    var timeView = dragStartEventData.relatedView,
+        viewOptions = timeView.options,
+        hourLength = viewOptions.hourEnd - viewOptions.hourStart,
+        viewHeight;
+
+    if (guideElement) {
+        this._startTopPixel = parseFloat(guideElement.style.top);
+        this._guideHeight = parseFloat(guideElement.style.height);
+
+        return;
+    }
+
+    viewHeight = timeView.getViewBound().height;
+    this._startTopPixel = ratio(hourLength, viewHeight, dragStartEventData.nearestGridY);
+    this._guideHeight = ratio(
+        hourLength,
+        viewHeight,
+        datetime.millisecondsTo('hour', dragStartEventData.model.duration())
+    );
 };
 
 TimeMoveGuide.prototype._resetGuideLayer = function() {
@@ -240,8 +280,8 @@ TimeMoveGuide.prototype._resetGuideLayer = function() {
         this._guideLayer = null;
     }
     this._guideLayer = new FloatingLayer(null, this._container);
-    this._guideLayer.setSize(this._container.getBoundingClientRect().width, this.guideElement.style.height);
-    this._guideLayer.setPosition(0, this.guideElement.style.top);
+    this._guideLayer.setSize(this._container.getBoundingClientRect().width, this._guideHeight);
+    this._guideLayer.setPosition(0, this._startTopPixel);
     this._guideLayer.setContent(tmpl(util.extend({model: this._model}, this._viewModel)));
     this._guideLayer.show();
 };
@@ -122,6 +122,7 @@ TimeResize.prototype._onDragStart = function(dragStartEventData) {
     this.dragHandler.on({
         drag: this._onDrag,
         dragEnd: this._onDragEnd,
+        dragCancel: this._onDragCancel,
         click: this._onClick
     }, this);
 
@@ -161,6 +162,11 @@ TimeResize.prototype._onDrag = function(dragEventData, overrideEventName, revise
     scheduleData = getScheduleDataFunc(dragEventData.originEvent, {
         targetModelID: startScheduleData.targetModelID
     });
+    scheduleData.isAllowed = !!this._getAllowedEnd(
+        startScheduleData.schedule,
+        scheduleData.nearestGridTimeY - startScheduleData.nearestGridTimeY,
+        scheduleData.relatedView
+    );
 
     if (revise) {
         revise(scheduleData);
@@ -178,10 +184,37 @@ TimeResize.prototype._onDrag = function(dragEventData, overrideEventName, revise
      * @property {number} nearestGridY - nearest grid index related with mouseY value.
      * @property {number} nearestGridTimeY - time value for nearestGridY.
      * @property {string} targetModelID - The model unique id emitted move schedule.
+     * @property {boolean} isAllowed - whether the resized range is allowed by the constraint.
      */
     this.fire(overrideEventName || 'timeResizeDrag', scheduleData);
 };
 
+/**
+ * Get the end of the schedule resized by the drag and checked by the constraint.
+ * @param {Schedule} schedule - schedule to resize
+ * @param {number} timeDiff - milliseconds resized
+ * @param {Time} relatedView - time view instance related with drag start position.
+ * @returns {?TZDate} the new end. null when the range is refused by the constraint.
+ */
+TimeResize.prototype._getAllowedEnd = function(schedule, timeDiff, relatedView) {
+    var dateEnd = datetime.end(new TZDate(relatedView.getDate())),
+        newEnds = new TZDate(schedule.getEnds()).addMilliseconds(timeDiff),
+        snapDuration = this._getSnapDuration(),
+        range;
+
+    if (newEnds > dateEnd) {
+        newEnds = new TZDate(dateEnd);
+    }
+
+    if (newEnds.getTime() - schedule.getStarts().getTime() < datetime.millisecondsFrom('minutes', snapDuration)) {
+        newEnds = new TZDate(schedule.getStarts()).addMinutes(snapDuration);
+    }
+
+    range = this._applyConstraint(schedule.getStarts(), newEnds, false, schedule);
+
+    return range && range[1];
+};
+
 /**
  * Update model instance by dragend event results.
  * @fires TimeResize#beforeUpdateSchedule
@@ -193,28 +226,18 @@ TimeResize.prototype._updateSchedule = function(scheduleData) {
         range = scheduleData.nearestRange,
         timeDiff = range[1] - range[0],
         schedule = ctrl.schedules.items[modelID],
-        relatedView = scheduleData.relatedView,
-        dateEnd,
-        newEnds,
-        baseDate;
+        newEnds;
     var changes;
 
     if (!schedule) {
         return;
     }
 
-    timeDiff -= datetime.millisecondsFrom('minutes', 30);
+    timeDiff -= datetime.millisecondsFrom('minutes', this._getSnapDuration());
+    newEnds = this._getAllowedEnd(schedule, timeDiff, scheduleData.relatedView);
 
-    baseDate = new TZDate(relatedView.getDate());
-    dateEnd = datetime.end(baseDate);
-    newEnds = new TZDate(schedule.getEnds()).addMilliseconds(timeDiff);
-
-    if (newEnds > dateEnd) {
-        newEnds = new TZDate(dateEnd);
-    }
-
-    if (newEnds.getTime() - schedule.getStarts().getTime() < datetime.millisecondsFrom('minutes', 30)) {
-        newEnds = new TZDate(schedule.getStarts()).addMinutes(30);
+    if (!newEnds) {
+        return;
     }
 
     changes = common.getScheduleChanges(
@@ -244,8 +267,9 @@ TimeResize.prototype._updateSchedule = function(scheduleData) {
  * Drag#dragEnd event handler
  * @emits TimeResize#timeResizeDragend
  * @param {MouseEvent} dragEndEventData - Mouse event of Drag#dragEnd custom event.
+ * @param {boolean} [skipUpdate] - true then skip update schedule model.
  */
-TimeResize.prototype._onDragEnd = function(dragEndEventData) {
+TimeResize.prototype._onDragEnd = function(dragEndEventData, skipUpdate) {
     var getScheduleDataFunc = this._getScheduleDataFunc,
         dragStart = this._dragStart,
         scheduleData;
@@ -253,6 +277,7 @@ TimeResize.prototype._onDragEnd = function(dragEndEventData) {
     this.dragHandler.off({
         drag: this._onDrag,
         dragEnd: this._onDragEnd,
+        dragCancel: this._onDragCancel,
         click: this._onClick
     }, this);
 
@@ -266,15 +291,17 @@ TimeResize.prototype._onDragEnd = function(dragEndEventData) {
 
     scheduleData.range = [
         dragStart.timeY,
-        new TZDate(scheduleData.timeY).addMinutes(30)
+        new TZDate(scheduleData.timeY).addMinutes(this._getSnapDuration())
     ];
 
     scheduleData.nearestRange = [
         dragStart.nearestGridTimeY,
-        scheduleData.nearestGridTimeY.addMinutes(30)
+        scheduleData.nearestGridTimeY.addMinutes(this._getSnapDuration())
     ];
 
-    this._updateSchedule(scheduleData);
+    if (!skipUpdate) {
+        this._updateSchedule(scheduleData);
+    }
 
     /**
      * @event TimeResize#timeResizeDragend
@@ -296,6 +323,15 @@ TimeResize.prototype._onDragEnd = function(dragEndEventData) {
     this._getScheduleDataFunc = this._dragStart = null;
 };
 
+/**
+ * Drag#dragCancel event handler. Clear the guide without updating the schedule.
+ * @emits TimeResize#timeResizeDragend
+ * @param {MouseEvent} dragCancelEventData - Mouse event of Drag#dragCancel custom event.
+ */
+TimeResize.prototype._onDragCancel = function(dragCancelEventData) {
+    this._onDragEnd(dragCancelEventData, true);
+};
+
 /**
  * @emits TimeResize#timeResizeClick
  */
@@ -303,6 +339,7 @@ TimeResize.prototype._onClick = function() {
     this.dragHandler.off({
         drag: this._onDrag,
         dragEnd: this._onDragEnd,
+        dragCancel: this._onDragCancel,
         click: this._onClick
     }, this);
 
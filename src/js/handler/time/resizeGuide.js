@@ -102,8 +102,9 @@ TimeResizeGuide.prototype._clearGuideElement = function() {
  * @param {number} guideHeight - guide element's style height.
  * @param {number} minTimeHeight - time element's min height
  * @param {number} timeHeight - time element's height.
+ * @param {boolean} [isAllowed=true] - whether the resized range is allowed by the constraint
  */
-TimeResizeGuide.prototype._refreshGuideElement = function(guideHeight, minTimeHeight, timeHeight) {
+TimeResizeGuide.prototype._refreshGuideElement = function(guideHeight, minTimeHeight, timeHeight, isAllowed) {
     var guideElement = this.guideElement;
     var timeElement;
 
@@ -121,6 +122,8 @@ TimeResizeGuide.prototype._refreshGuideElement = function(guideHeight, minTimeHe
             timeElement.style.height = timeHeight + 'px';
             timeElement.style.minHeight = minTimeHeight + 'px';
         }
+
+        domutil.toggleClass(guideElement, config.classname('time-guide-disallowed'), isAllowed === false);
     });
 };
 
@@ -175,6 +178,7 @@ TimeResizeGuide.prototype._onDrag = function(dragEventData) {
         modelDuration = this._schedule.duration() / datetime.MILLISECONDS_PER_MINUTES,
         comingDuration = this._schedule.comingDuration,
         minutesLength = hourLength * 60,
+        snapDuration = viewOptions.snapDuration || config.time.defaultSlotDuration,
         timeHeight,
         timeMinHeight,
         minHeight,
@@ -182,8 +186,8 @@ TimeResizeGuide.prototype._onDrag = function(dragEventData) {
         height;
 
     height = (this._startHeightPixel + gridYOffsetPixel);
-    // at least large than 30min from schedule start time.
-    minHeight = guideTop + ratio(hourLength, viewHeight, 0.5);
+    // at least large than the snap duration from schedule start time.
+    minHeight = guideTop + ratio(hourLength, viewHeight, snapDuration / 60);
     minHeight -= this._startTopPixel;
     timeMinHeight = minHeight;
     minHeight += ratio(minutesLength, viewHeight, goingDuration) + ratio(minutesLength, viewHeight, comingDuration);
@@ -195,7 +199,7 @@ TimeResizeGuide.prototype._onDrag = function(dragEventData) {
 
     timeHeight = ratio(minutesLength, viewHeight, modelDuration) + gridYOffsetPixel;
 
-    this._refreshGuideElement(height, timeMinHeight, timeHeight);
+    this._refreshGuideElement(height, timeMinHeight, timeHeight, dragEventData.isAllowed);
 };
 
 module.exports = TimeResizeGuide;
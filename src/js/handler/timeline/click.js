@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Click handler for timeline view
+ * @author NHN FE Development Lab <dl_javascript@nhn.com>
+ */
+'use strict';
+
+var util = require('tui-code-snippet');
+var config = require('../../config'),
+    domutil = require('../../common/domutil');
+
+/**
+ * @constructor
+ * @implements {Handler}
+ * @mixes util.CustomEvents
+ * @param {Drag} [dragHandler] - Drag handler instance.
+ * @param {Timeline} [timelineView] - Timeline view instance.
+ * @param {Base} [baseController] - Base controller instance.
+ */
+function TimelineClick(dragHandler, timelineView, baseController) {
+    /**
+     * @type {Drag}
+     */
+    this.dragHandler = dragHandler;
+
+    /**
+     * @type {Timeline}
+     */
+    this.timelineView = timelineView;
+
+    /**
+     * @type {Base}
+     */
+    this.baseController = baseController;
+
+    dragHandler.on({
+        'click': this._onClick
+    }, this);
+}
+
+/**
+ * Destroy handler module
+ */
+TimelineClick.prototype.destroy = function() {
+    this.dragHandler.off(this);
+    this.timelineView = this.baseController = this.dragHandler = null;
+};
+
+/**
+ * Check target element is expected condition for activate this plugins.
+ * @param {HTMLElement} target - The element to check
+ * @returns {HTMLElement} - return the schedule block element when satiate condition.
+ */
+TimelineClick.prototype.checkExpectCondition = function(target) {
+    if (!domutil.closest(target, config.classname('.timeline-schedule'))) {
+        return null;
+    }
+
+    return domutil.closest(target, config.classname('.timeline-schedule-block'));
+};
+
+/**
+ * Click event handler
+ * @fires TimelineClick#clickSchedule
+ * @param {object} clickEvent - click event data
+ */
+TimelineClick.prototype._onClick = function(clickEvent) {
+    var self = this,
+        blockElement = this.checkExpectCondition(clickEvent.target);
+
+    if (!blockElement) {
+        return;
+    }
+
+    this.baseController.schedules.doWhenHas(domutil.getData(blockElement, 'id'), function(schedule) {
+        /**
+         * @events TimelineClick#clickSchedule
+         * @type {object}
+         * @property {Schedule} schedule - schedule instance
+         * @property {MouseEvent} event - MouseEvent object
+         */
+        self.fire('clickSchedule', {
+            schedule: schedule,
+            event: clickEvent.originEvent
+        });
+    });
+};
+
+util.CustomEvents.mixin(TimelineClick);
+
+module.exports = TimelineClick;
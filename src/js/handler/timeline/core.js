@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Core methods for dragging actions in timeline view
+ * @author NHN FE Development Lab <dl_javascript@nhn.com>
+ */
+'use strict';
+
+var util = require('tui-code-snippet');
+var common = require('../../common/common');
+var datetime = require('../../common/datetime');
+var domevent = require('../../common/domevent');
+var Point = require('../../common/point');
+var TZDate = require('../../common/timezone').Date;
+var mfloor = Math.floor,
+    mmax = Math.max,
+    mmin = Math.min,
+    mround = Math.round;
+
+/**
+ * @mixin Timeline.Core
+ */
+var timelineCore = {
+    /**
+     * Get function to makes event data from Timeline and mouseEvent
+     * @param {Timeline} timelineView - Instance of timeline view.
+     * @returns {function} - Function that return event data from mouse event.
+     */
+    _retriveScheduleData: function(timelineView) {
+        var tracks = timelineView.getTrackElements(),
+            axis = timelineView.getTimeAxis(),
+            total = axis.end - axis.start,
+            snap = timelineView.getSnapDuration();
+
+        /**
+         * @param {MouseEvent} mouseEvent - mouse event object to get common event data.
+         * @param {object} [extend] - object to extend event data before return.
+         * @returns {object} - common event data for timeline.*
+         */
+        return util.bind(function(mouseEvent, extend) {
+            var rowIndex = getRowIndex(tracks, mouseEvent),
+                track = tracks[rowIndex],
+                width = track.offsetWidth,
+                mouseX = mmin(mmax(Point.n(domevent.getMousePosition(mouseEvent, track)).x, 0), width),
+                time = common.ratio(width, total, mouseX),
+                nearestTime = mmin(mfloor(time / snap) * snap, total - snap);
+
+            return util.extend({
+                target: mouseEvent.target || mouseEvent.srcElement,
+                relatedView: timelineView,
+                originEvent: mouseEvent,
+                rowIndex: rowIndex,
+                resource: util.pick(timelineView.getRow(rowIndex), 'resource') || null,
+                mouseX: mouseX,
+                time: new TZDate(axis.start).addMilliseconds(time),
+                nearestTime: new TZDate(axis.start).addMilliseconds(nearestTime),
+                snapDuration: snap,
+                triggerEvent: mouseEvent.type
+            }, extend);
+        }, this);
+    },
+
+    /**
+     * Get the time difference between the drag start and the current position.
+     * The allday schedules are moved by days.
+     * @param {object} dragStart - event data of drag start
+     * @param {object} eventData - current event data
+     * @param {boolean} isAllDay - whether the schedule is allday
+     * @returns {number} milliseconds
+     */
+    _getTimeDiff: function(dragStart, eventData, isAllDay) {
+        var diff = eventData.nearestTime - dragStart.nearestTime,
+            day = datetime.MILLISECONDS_PER_DAY;
+
+        return isAllDay ? mround(diff / day) * day : diff;
+    },
+
+    /**
+     * Mixin method.
+     * @param {(TimelineCreation|TimelineMove|TimelineResize)} obj - Constructor functions
+     */
+    mixin: function(obj) {
+        var proto = obj.prototype;
+        util.forEach(timelineCore, function(method, methodName) {
+            if (methodName === 'mixin') {
+                return;
+            }
+
+            proto[methodName] = method;
+        });
+    }
+};
+
+/**
+ * Get the index of the row under the mouse. It is limited to the first and last row.
+ * @param {Array.<HTMLElement>} tracks - track elements of the rows
+ * @param {MouseEvent} mouseEvent - mouse event object
+ * @returns {number} row index
+ */
+function getRowIndex(tracks, mouseEvent) {
+    var i = 0,
+        len = tracks.length;
+
+    for (; i < len; i += 1) {
+        if (Point.n(domevent.getMousePosition(mouseEvent, tracks[i])).y < tracks[i].offsetHeight) {
+            return i;
+        }
+    }
+
+    return len - 1;
+}
+
+module.exports = timelineCore;
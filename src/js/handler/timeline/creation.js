@@ -0,0 +1,411 @@
+/**
+ * @fileoverview Handling creation events from drag handler and timeline view
+ * @author NHN FE Development Lab <dl_javascript@nhn.com>
+ */
+'use strict';
+
+var util = require('tui-code-snippet');
+var config = require('../../config');
+var datetime = require('../../common/datetime');
+var domutil = require('../../common/domutil');
+var domevent = require('../../common/domevent');
+var TZDate = require('../../common/timezone').Date;
+var timelineCore = require('./core');
+var TimelineGuide = require('./guide');
+
+var CLICK_DELAY = 300;
+
+/**
+ * @constructor
+ * @implements {Handler}
+ * @mixes timelineCore
+ * @mixes CustomEvents
+ * @param {Drag} [dragHandler] - Drag handler instance.
+ * @param {Timeline} [timelineView] - Timeline view instance.
+ * @param {Base} [baseController] - Base controller instance.
+ * @param {Options} [options] - calendar Options
+ */
+function TimelineCreation(dragHandler, timelineView, baseController, options) {
+    /**
+     * Drag handler instance.
+     * @type {Drag}
+     */
+    this.dragHandler = dragHandler;
+
+    /**
+     * Timeline view instance.
+     * @type {Timeline}
+     */
+    this.timelineView = timelineView;
+
+    /**
+     * Base controller instance.
+     * @type {Base}
+     */
+    this.baseController = baseController;
+
+    /**
+     * @type {TimelineGuide}
+     */
+    this.guide = new TimelineGuide(this, 'timelineCreation', true);
+
+    /**
+     * Temporary function for single drag session's calc.
+     * @type {function}
+     */
+    this._getScheduleDataFunc = null;
+
+    /**
+     * Temporary function for drag start data cache.
+     * @type {object}
+     */
+    this._dragStart = null;
+
+    /**
+     * @type {boolean}
+     */
+    this._requestOnClick = false;
+
+    /**
+     * @type {boolean}
+     */
+    this._disableDblClick = options.disableDblClick;
+
+    /**
+     * @type {boolean}
+     */
+    this._disableClick = options.disableClick;
+
+    dragHandler.on('dragStart', this._onDragStart, this);
+    dragHandler.on('click', this._onClick, this);
+
+    if (!this._disableDblClick) {
+        domevent.on(timelineView.container, 'dblclick', this._onDblClick, this);
+    }
+}
+
+/**
+ * Destroy method
+ */
+TimelineCreation.prototype.destroy = function() {
+    var timelineView = this.timelineView;
+
+    this.guide.destroy();
+    this.dragHandler.off(this);
+
+    if (timelineView && timelineView.container) {
+        domevent.off(timelineView.container, 'dblclick', this._onDblClick, this);
+    }
+
+    this.dragHandler = this.timelineView = this.baseController =
+        this._getScheduleDataFunc = this._dragStart = this.guide = null;
+};
+
+/**
+ * Check target element is expected condition for activate this plugins.
+ * The target should be in the track and not in the schedule blocks.
+ * @param {HTMLElement} target - The element to check
+ * @returns {(boolean|Timeline)} - return Timeline view instance when satiate condition.
+ */
+TimelineCreation.prototype.checkExpectedCondition = function(target) {
+    if (!domutil.closest(target, config.classname('.timeline-track')) ||
+        domutil.closest(target, config.classname('.timeline-schedule-block'))) {
+        return false;
+    }
+
+    return this.timelineView;
+};
+
+/**
+ * Get the range to create between drag start and the current position
+ * @param {object} dragStart - event data of drag start
+ * @param {object} eventData - current event data
+ * @returns {TZDate[]} range
+ */
+TimelineCreation.prototype._getCreateRange = function(dragStart, eventData) {
+    var start = dragStart.nearestTime,
+        current = eventData.nearestTime;
+
+    if (current < start) {
+        return [new TZDate(current), new TZDate(start).addMilliseconds(eventData.snapDuration)];
+    }
+
+    return [new TZDate(start), new TZDate(current).addMilliseconds(eventData.snapDuration)];
+};
+
+/**
+ * Drag#dragStart event handler.
+ * @emits TimelineCreation#timelineCreationDragstart
+ * @param {object} dragStartEventData - Drag#dragStart event data.
+ */
+TimelineCreation.prototype._onDragStart = function(dragStartEventData) {
+    var timelineView = this.checkExpectedCondition(dragStartEventData.target),
+        eventData;
+
+    if (!timelineView) {
+        return;
+    }
+
+    this._getScheduleDataFunc = this._retriveScheduleData(timelineView);
+    eventData = this._dragStart = this._getScheduleDataFunc(dragStartEventData.originEvent);
+    eventData.range = this._getCreateRange(eventData, eventData);
+
+    this.dragHandler.on({
+        drag: this._onDrag,
+        dragEnd: this._onDragEnd,
+        dragCancel: this._onDragCancel
+    }, this);
+
+    /**
+     * @event TimelineCreation#timelineCreationDragstart
+     * @type {object}
+     * @property {Timeline} relatedView - timeline view instance.
+     * @property {MouseEvent} originEvent - mouse event object.
+     * @property {number} rowIndex - index of the row related with mouse position.
+     * @property {object} resource - resource of the row.
+     * @property {TZDate} time - time of the mouse position.
+     * @property {TZDate} nearestTime - time snapped by the granularity.
+     * @property {TZDate[]} range - time range to create.
+     */
+    this.fire('timelineCreationDragstart', eventData);
+};
+
+/**
+ * Drag#drag event handler
+ * @emits TimelineCreation#timelineCreationDrag
+ * @param {object} dragEventData - event data from Drag#drag.
+ * @param {string} [overrideEventName] - override emitted event name when supplied.
+ * @returns {object} event data. null when it isn't dragging.
+ */
+TimelineCreation.prototype._onDrag = function(dragEventData, overrideEventName) {
+    var getScheduleDataFunc = this._getScheduleDataFunc,
+        dragStart = this._dragStart,
+        eventData;
+
+    if (!getScheduleDataFunc || !dragStart) {
+        return null;
+    }
+
+    // the schedule is created in the row of the drag start.
+    eventData = getScheduleDataFunc(dragEventData.originEvent, {
+        rowIndex: dragStart.rowIndex,
+        resource: dragStart.resource
+    });
+    eventData.range = this._getCreateRange(dragStart, eventData);
+
+    /**
+     * @event TimelineCreation#timelineCreationDrag
+     * @type {object}
+     * @property {Timeline} relatedView - timeline view instance.
+     * @property {MouseEvent} originEvent - mouse event object.
+     * @property {number} rowIndex - index of the row of the drag start.
+     * @property {object} resource - resource of the row.
+     * @property {TZDate} time - time of the mouse position.
+     * @property {TZDate} nearestTime - time snapped by the granularity.
+     * @property {TZDate[]} range - time range to create.
+     */
+    this.fire(overrideEventName || 'timelineCreationDrag', eventData);
+
+    return eventData;
+};
+
+/**
+ * @fires TimelineCreation#beforeCreateSchedule
+ * @param {object} eventData - event data object from TimelineCreation#timelineCreationDragend
+ * or TimelineCreation#timelineCreationClick
+ */
+TimelineCreation.prototype._createSchedule = function(eventData) {
+    var range = eventData.range,
+        isAllDay = eventData.snapDuration >= datetime.MILLISECONDS_PER_DAY,
+        start = new TZDate(range[0]),
+        end = new TZDate(range[1]),
+        createScheduleData;
+
+    if (isAllDay) {
+        start = datetime.start(start);
+        end = datetime.end(end.addMilliseconds(-1));
+    }
+
+    createScheduleData = {
+        isAllDay: isAllDay,
+        start: start,
+        end: end,
+        guide: this.guide,
+        triggerEventName: eventData.triggerEvent
+    };
+
+    if (eventData.resource) {
+        createScheduleData.resourceId = eventData.resource.id;
+    }
+
+    /**
+     * @event TimelineCreation#beforeCreateSchedule
+     * @type {object}
+     * @property {boolean} isAllDay - whether the granularity is a day or more
+     * @property {Date} start - select start time
+     * @property {Date} end - select end time
+     * @property {string} [resourceId] - resource id of the row
+     * @property {TimelineGuide} guide - TimelineGuide instance
+     * @property {string} triggerEventName - event name
+     */
+    this.fire('beforeCreateSchedule', createScheduleData);
+};
+
+/**
+ * Drag#dragEnd event handler
+ * @emits TimelineCreation#timelineCreationDragend
+ * @param {object} dragEndEventData - event data from Drag#dragend
+ */
+TimelineCreation.prototype._onDragEnd = function(dragEndEventData) {
+    var eventData;
+
+    this.dragHandler.off({
+        drag: this._onDrag,
+        dragEnd: this._onDragEnd,
+        dragCancel: this._onDragCancel
+    }, this);
+
+    /**
+     * @event TimelineCreation#timelineCreationDragend
+     * @type {object}
+     * @property {Timeline} relatedView - timeline view instance.
+     * @property {MouseEvent} originEvent - mouse event object.
+     * @property {number} rowIndex - index of the row of the drag start.
+     * @property {object} resource - resource of the row.
+     * @property {TZDate} time - time of the mouse position.
+     * @property {TZDate} nearestTime - time snapped by the granularity.
+     * @property {TZDate[]} range - time range to create.
+     */
+    eventData = this._onDrag(dragEndEventData, 'timelineCreationDragend');
+
+    if (eventData) {
+        this._createSchedule(eventData);
+    }
+
+    this._dragStart = this._getScheduleDataFunc = null;
+};
+
+/**
+ * Drag#dragCancel event handler. Clear the guide without creating schedule.
+ */
+TimelineCreation.prototype._onDragCancel = function() {
+    this.dragHandler.off({
+        drag: this._onDrag,
+        dragEnd: this._onDragEnd,
+        dragCancel: this._onDragCancel
+    }, this);
+
+    this.guide.clearGuideElement();
+    this._dragStart = this._getScheduleDataFunc = null;
+};
+
+/**
+ * Get event data of the slot clicked
+ * @param {Timeline} timelineView - timeline view instance
+ * @param {MouseEvent} mouseEvent - mouse event object
+ * @returns {object} event data
+ */
+TimelineCreation.prototype._getClickEventData = function(timelineView, mouseEvent) {
+    var eventData = this._retriveScheduleData(timelineView)(mouseEvent);
+
+    eventData.range = this._getCreateRange(eventData, eventData);
+
+    return eventData;
+};
+
+/**
+ * Drag#click event handler
+ * @emits TimelineCreation#timelineCreationClick
+ * @param {object} clickEventData - event data from Drag#click.
+ */
+TimelineCreation.prototype._onClick = function(clickEventData) {
+    var self = this;
+    var timelineView, eventData;
+
+    this.dragHandler.off({
+        drag: this._onDrag,
+        dragEnd: this._onDragEnd,
+        dragCancel: this._onDragCancel
+    }, this);
+
+    timelineView = this.checkExpectedCondition(clickEventData.target);
+    if (!timelineView || this._disableClick) {
+        return;
+    }
+
+    eventData = this._getClickEventData(timelineView, clickEventData.originEvent);
+
+    this._requestOnClick = true;
+    setTimeout(function() {
+        if (self._requestOnClick) {
+            self.fire('timelineCreationClick', eventData);
+            self._createSchedule(eventData);
+        }
+        self._requestOnClick = false;
+    }, this._disableDblClick ? 0 : CLICK_DELAY);
+    this._dragStart = this._getScheduleDataFunc = null;
+};
+
+/**
+ * Dblclick event handler
+ * @param {MouseEvent} e - Native MouseEvent
+ */
+TimelineCreation.prototype._onDblClick = function(e) {
+    var timelineView = this.checkExpectedCondition(e.target),
+        eventData;
+
+    if (!timelineView) {
+        return;
+    }
+
+    eventData = this._getClickEventData(timelineView, e);
+
+    this.fire('timelineCreationClick', eventData);
+
+    this._createSchedule(eventData);
+
+    this._requestOnClick = false;
+};
+
+/**
+ * Find the index of the row of the resource
+ * @param {(string|number)} resourceId - resource id
+ * @returns {number} row index. 0 when there is no row of the resource.
+ */
+TimelineCreation.prototype._findRowIndex = function(resourceId) {
+    var rowIndex = 0,
+        row = this.timelineView.getRow(rowIndex);
+
+    for (; row; rowIndex += 1, row = this.timelineView.getRow(rowIndex)) {
+        if (row.resource && String(row.resource.id) === String(resourceId)) {
+            return rowIndex;
+        }
+    }
+
+    return 0;
+};
+
+/**
+ * Invoke creation click
+ * @param {Schedule} schedule - schedule instance
+ */
+TimelineCreation.prototype.invokeCreationClick = function(schedule) {
+    var rowIndex = this._findRowIndex(schedule.resourceId),
+        eventData = {
+            relatedView: this.timelineView,
+            rowIndex: rowIndex,
+            resource: util.pick(this.timelineView.getRow(rowIndex), 'resource') || null,
+            snapDuration: this.timelineView.getSnapDuration(),
+            range: [new TZDate(schedule.start), new TZDate(schedule.end)],
+            triggerEvent: 'manual'
+        };
+
+    this.fire('timelineCreationClick', eventData);
+
+    this._createSchedule(eventData);
+};
+
+timelineCore.mixin(TimelineCreation);
+util.CustomEvents.mixin(TimelineCreation);
+
+module.exports = TimelineCreation;
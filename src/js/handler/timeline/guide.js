@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Guide element for creation, move and resize in timeline view
+ * @author NHN FE Development Lab <dl_javascript@nhn.com>
+ */
+'use strict';
+
+var config = require('../../config');
+var common = require('../../common/common');
+var datetime = require('../../common/datetime');
+var domutil = require('../../common/domutil');
+
+/**
+ * Guide element of the range in the track of the row.
+ * It listens the drag events of the handler. The event data have range and rowIndex.
+ * @constructor
+ * @param {(TimelineCreation|TimelineMove|TimelineResize)} handler - timeline drag handler
+ * @param {string} eventPrefix - prefix of the event names of the handler. e.g. 'timelineCreation'
+ * @param {boolean} [isCreationMode=false] - keep the guide after drag end until clearGuideElement() is called
+ */
+function TimelineGuide(handler, eventPrefix, isCreationMode) {
+    /**
+     * @type {(TimelineCreation|TimelineMove|TimelineResize)}
+     */
+    this.handler = handler;
+
+    /**
+     * @type {boolean}
+     */
+    this.isCreationMode = !!isCreationMode;
+
+    /**
+     * @type {HTMLElement}
+     */
+    this.guideElement = null;
+
+    /**
+     * @type {object}
+     */
+    this._events = {};
+
+    this._events[eventPrefix + 'Dragstart'] = this._refreshGuideElement;
+    this._events[eventPrefix + 'Drag'] = this._refreshGuideElement;
+    this._events[eventPrefix + 'Dragend'] = this._onDragEnd;
+    this._events[eventPrefix + 'Click'] = this._onDragEnd;
+
+    handler.on(this._events, this);
+}
+
+/**
+ * Destroy method
+ */
+TimelineGuide.prototype.destroy = function() {
+    this.clearGuideElement();
+    this.handler.off(this._events, this);
+    this.handler = this._events = null;
+};
+
+/**
+ * Clear guide element.
+ */
+TimelineGuide.prototype.clearGuideElement = function() {
+    if (this.guideElement) {
+        domutil.remove(this.guideElement);
+    }
+
+    this.guideElement = null;
+};
+
+/**
+ * Get the guide element in the track of the row. It is created when there is no element.
+ * @param {HTMLElement} track - track element of the row
+ * @returns {HTMLElement} guide element
+ */
+TimelineGuide.prototype._getGuideElement = function(track) {
+    var guideElement = this.guideElement;
+
+    if (!guideElement) {
+        guideElement = this.guideElement = document.createElement('div');
+        domutil.addClass(guideElement, config.classname('timeline-guide'));
+    }
+
+    if (guideElement.parentNode !== track) {
+        track.appendChild(guideElement);
+    }
+
+    return guideElement;
+};
+
+/**
+ * Get the text of the guide. The title of the schedule or the range to create.
+ * @param {object} eventData - event data of the handler
+ * @returns {string} text
+ */
+TimelineGuide.prototype._getGuideText = function(eventData) {
+    var range = eventData.range,
+        format = eventData.snapDuration < datetime.MILLISECONDS_PER_DAY ? 'HH:mm' : 'MM.DD',
+        model = eventData.model;
+
+    if (model) {
+        return common.stripTags(model.title);
+    }
+
+    return datetime.format(range[0], format) + ' - ' + datetime.format(range[1], format);
+};
+
+/**
+ * Apply the colors of the schedule or creation guide
+ * @param {HTMLElement} guideElement - guide element
+ * @param {Schedule} [model] - the schedule to move or resize
+ */
+TimelineGuide.prototype._applyColors = function(guideElement, model) {
+    var theme = this.handler.baseController.theme,
+        style = guideElement.style;
+
+    if (model) {
+        style.color = model.color;
+        style.backgroundColor = model.dragBgColor || model.bgColor;
+        style.border = '';
+        style.borderLeft = '3px solid ' + model.borderColor;
+    } else {
+        style.color = theme.week.creationGuide.color;
+        style.backgroundColor = theme.common.creationGuide.backgroundColor;
+        style.border = theme.common.creationGuide.border;
+    }
+};
+
+/**
+ * Refresh the guide element by the range of the event data
+ * @param {object} eventData - event data of the handler
+ */
+TimelineGuide.prototype._refreshGuideElement = function(eventData) {
+    var view = this.handler.timelineView,
+        track = view.getTrackElements()[eventData.rowIndex],
+        guideElement, position;
+
+    if (!eventData.range || !track) {
+        return;
+    }
+
+    guideElement = this._getGuideElement(track);
+    position = view.getLeftAndWidth(eventData.range[0], eventData.range[1]);
+
+    guideElement.style.left = position.left + '%';
+    guideElement.style.width = position.width + '%';
+    guideElement.innerHTML = this._getGuideText(eventData);
+    this._applyColors(guideElement, eventData.model);
+};
+
+/**
+ * Drag end and click event handler. The creation guide is kept until clearGuideElement() is called.
+ * @param {object} eventData - event data of the handler
+ */
+TimelineGuide.prototype._onDragEnd = function(eventData) {
+    if (this.isCreationMode) {
+        this._refreshGuideElement(eventData);
+    } else {
+        this.clearGuideElement();
+    }
+};
+
+module.exports = TimelineGuide;
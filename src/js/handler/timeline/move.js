@@ -0,0 +1,343 @@
+/**
+ * @fileoverview Handling move schedules from drag handler and timeline view
+ * @author NHN FE Development Lab <dl_javascript@nhn.com>
+ */
+'use strict';
+
+var util = require('tui-code-snippet');
+var config = require('../../config');
+var domutil = require('../../common/domutil');
+var domevent = require('../../common/domevent');
+var TZDate = require('../../common/timezone').Date;
+var timelineCore = require('./core');
+var TimelineGuide = require('./guide');
+var Clipboard = require('../clipboard');
+var ExternalDrag = require('../externalDrag');
+
+/**
+ * @constructor
+ * @implements {Handler}
+ * @mixes timelineCore
+ * @mixes util.CustomEvents
+ * @param {Drag} [dragHandler] - Drag handler instance.
+ * @param {Timeline} [timelineView] - Timeline view instance.
+ * @param {Base} [baseController] - Base controller instance.
+ */
+function TimelineMove(dragHandler, timelineView, baseController) {
+    /**
+     * @type {Drag}
+     */
+    this.dragHandler = dragHandler;
+
+    /**
+     * @type {Timeline}
+     */
+    this.timelineView = timelineView;
+
+    /**
+     * @type {Base}
+     */
+    this.baseController = baseController;
+
+    /**
+     * @type {function}
+     */
+    this._getScheduleDataFunc = null;
+
+    /**
+     * @type {object}
+     */
+    this._dragStart = null;
+
+    /**
+     * @type {TimelineGuide}
+     */
+    this._guide = new TimelineGuide(this, 'timelineMove');
+
+    dragHandler.on('dragStart', this._onDragStart, this);
+    dragHandler.on('mousedown', this._onMouseDown, this);
+}
+
+/**
+ * Destroy method.
+ */
+TimelineMove.prototype.destroy = function() {
+    this._guide.destroy();
+    this.dragHandler.off(this);
+    this.dragHandler = this.timelineView = this.baseController =
+        this._getScheduleDataFunc = this._dragStart = this._guide = null;
+};
+
+/**
+ * Check target element is expected condition for activate this plugins.
+ * @param {HTMLElement} target - The element to check
+ * @returns {HTMLElement} - return the schedule block element when satiate condition.
+ */
+TimelineMove.prototype.checkExpectCondition = function(target) {
+    if (!domutil.closest(target, config.classname('.timeline-schedule'))) {
+        return null;
+    }
+
+    return domutil.closest(target, config.classname('.timeline-schedule-block'));
+};
+
+/**
+ * @param {object} mouseDownEventData - Drag#mousedown schedule data.
+ */
+TimelineMove.prototype._onMouseDown = function(mouseDownEventData) {
+    // EventTarget.target is not changed in mousemove event even if mouse is over the other element.
+    // It's different with other browsers(IE, Chrome, Safari)
+    if (util.browser.firefox && this.checkExpectCondition(mouseDownEventData.target)) {
+        domevent.preventDefault(mouseDownEventData.originEvent);
+    }
+};
+
+/**
+ * Get the range of the schedule moved by the drag
+ * @param {object} dragStart - event data of drag start
+ * @param {object} eventData - current event data
+ * @returns {TZDate[]} range
+ */
+TimelineMove.prototype._getMovedRange = function(dragStart, eventData) {
+    var model = dragStart.model,
+        diff = this._getTimeDiff(dragStart, eventData, model.isAllDay);
+
+    return [
+        new TZDate(model.getStarts()).addMilliseconds(diff),
+        new TZDate(model.getEnds()).addMilliseconds(diff)
+    ];
+};
+
+/**
+ * @emits TimelineMove#timelineMoveDragstart
+ * @param {object} dragStartEventData - Drag#dragStart schedule data.
+ */
+TimelineMove.prototype._onDragStart = function(dragStartEventData) {
+    var blockElement = this.checkExpectCondition(dragStartEventData.target),
+        ctrl = this.baseController,
+        targetModelID, targetModel, scheduleData;
+
+    if (!blockElement) {
+        return;
+    }
+
+    targetModelID = domutil.getData(blockElement, 'id');
+    targetModel = ctrl.schedules.items[targetModelID];
+
+    if (!targetModel || targetModel.isReadOnly) {
+        return;
+    }
+
+    this._getScheduleDataFunc = this._retriveScheduleData(this.timelineView);
+    scheduleData = this._dragStart = this._getScheduleDataFunc(
+        dragStartEventData.originEvent, {
+            targetModelID: targetModelID,
+            model: targetModel
+        }
+    );
+    scheduleData.range = this._getMovedRange(scheduleData, scheduleData);
+
+    this.dragHandler.on({
+        drag: this._onDrag,
+        dragEnd: this._onDragEnd,
+        dragCancel: this._onDragCancel,
+        click: this._onClick
+    }, this);
+
+    /**
+     * @event TimelineMove#scheduleDragStart
+     * @type {object}
+     * @property {Schedule} schedule - dragged schedule
+     */
+    this.fire('scheduleDragStart', {
+        schedule: targetModel
+    });
+
+    /**
+     * @event TimelineMove#timelineMoveDragstart
+     * @type {object}
+     * @property {HTMLElement} target - current target in mouse event object.
+     * @property {Timeline} relatedView - timeline view instance.
+     * @property {MouseEvent} originEvent - mouse event object.
+     * @property {number} rowIndex - index of the row related with mouse position.
+     * @property {object} resource - resource of the row.
+     * @property {TZDate} nearestTime - time snapped by the granularity.
+     * @property {string} targetModelID - The model unique id emitted move schedule.
+     * @property {Schedule} model - model instance
+     * @property {TZDate[]} range - time range of the schedule after moving
+     */
+    this.fire('timelineMoveDragstart', scheduleData);
+};
+
+/**
+ * @emits TimelineMove#timelineMoveDrag
+ * @param {object} dragEventData - event data of Drag#drag
+ * @param {string} [overrideEventName] - name of emitting event to override.
+ * @returns {object} schedule data. null when it isn't dragging.
+ */
+TimelineMove.prototype._onDrag = function(dragEventData, overrideEventName) {
+    var getScheduleDataFunc = this._getScheduleDataFunc,
+        dragStart = this._dragStart,
+        scheduleData;
+
+    if (!getScheduleDataFunc || !dragStart) {
+        return null;
+    }
+
+    scheduleData = getScheduleDataFunc(dragEventData.originEvent, {
+        targetModelID: dragStart.targetModelID,
+        model: dragStart.model
+    });
+    scheduleData.range = this._getMovedRange(dragStart, scheduleData);
+
+    /**
+     * @event TimelineMove#timelineMoveDrag
+     * @type {object}
+     * @property {HTMLElement} target - current target in mouse event object.
+     * @property {Timeline} relatedView - timeline view instance.
+     * @property {MouseEvent} originEvent - mouse event object.
+     * @property {number} rowIndex - index of the row related with mouse position.
+     * @property {object} resource - resource of the row.
+     * @property {TZDate} nearestTime - time snapped by the granularity.
+     * @property {string} targetModelID - The model unique id emitted move schedule.
+     * @property {Schedule} model - model instance
+     * @property {TZDate[]} range - time range of the schedule after moving
+     */
+    this.fire(overrideEventName || 'timelineMoveDrag', scheduleData);
+
+    return scheduleData;
+};
+
+/**
+ * Update model instance by dragend event results.
+ * @fires TimelineMove#beforeUpdateSchedule
+ * @fires TimelineMove#duplicateSchedule
+ * @param {object} scheduleData - schedule data from TimelineMove#timelineMoveDragend
+ */
+TimelineMove.prototype._updateSchedule = function(scheduleData) {
+    var schedule = this.baseController.schedules.items[scheduleData.targetModelID],
+        range = scheduleData.range,
+        changes;
+
+    if (!schedule) {
+        return;
+    }
+
+    changes = {
+        start: range[0],
+        end: range[1]
+    };
+
+    if (scheduleData.resource && String(scheduleData.resource.id) !== String(schedule.resourceId)) {
+        changes.resourceId = scheduleData.resource.id;
+    }
+
+    /**
+     * @event TimelineMove#beforeUpdateSchedule
+     * @type {object}
+     * @property {Schedule} schedule - The original schedule instance
+     * @property {Date} start - Deprecated: start time to update
+     * @property {Date} end - Deprecated: end time to update
+     * @property {object} changes - start and end time to update
+     *  @property {Date} start - start time to update
+     *  @property {Date} end - end time to update
+     *  @property {string} [resourceId] - resource id to update when moved to the row of other resource
+     */
+    /**
+     * Same data with beforeUpdateSchedule. It is fired instead of it when the schedule is dragged with the Alt key.
+     * @event TimelineMove#duplicateSchedule
+     * @type {object}
+     */
+    this.fire(Clipboard.getMoveEventName(scheduleData.originEvent), {
+        schedule: schedule,
+        changes: changes,
+        start: range[0],
+        end: range[1]
+    });
+};
+
+/**
+ * @emits TimelineMove#timelineMoveDragend
+ * @param {object} dragEndEventData - event data of Drag#dragEnd
+ * @param {boolean} [skipUpdate] - true then skip update schedule model.
+ */
+TimelineMove.prototype._onDragEnd = function(dragEndEventData, skipUpdate) {
+    var scheduleData;
+
+    this.dragHandler.off({
+        drag: this._onDrag,
+        dragEnd: this._onDragEnd,
+        dragCancel: this._onDragCancel,
+        click: this._onClick
+    }, this);
+
+    /**
+     * @event TimelineMove#timelineMoveDragend
+     * @type {object}
+     * @property {HTMLElement} target - current target in mouse event object.
+     * @property {Timeline} relatedView - timeline view instance.
+     * @property {MouseEvent} originEvent - mouse event object.
+     * @property {number} rowIndex - index of the row related with mouse position.
+     * @property {object} resource - resource of the row.
+     * @property {TZDate} nearestTime - time snapped by the granularity.
+     * @property {string} targetModelID - The model unique id emitted move schedule.
+     * @property {Schedule} model - model instance
+     * @property {TZDate[]} range - time range of the schedule after moving
+     */
+    scheduleData = this._onDrag(dragEndEventData, 'timelineMoveDragend');
+
+    if (scheduleData && !skipUpdate &&
+        !ExternalDrag.fireDragOut(this, scheduleData.model, dragEndEventData.originEvent)) {
+        this._updateSchedule(scheduleData);
+    }
+
+    this._getScheduleDataFunc = this._dragStart = null;
+};
+
+/**
+ * Clear the guide without updating the schedule.
+ * @emits TimelineMove#timelineMoveDragend
+ * @param {object} dragCancelEventData - event data of Drag#dragCancel
+ */
+TimelineMove.prototype._onDragCancel = function(dragCancelEventData) {
+    this._onDragEnd(dragCancelEventData, true);
+};
+
+/**
+ * @emits TimelineMove#timelineMoveClick
+ * @param {object} clickEventData - event data of Drag#click
+ */
+TimelineMove.prototype._onClick = function(clickEventData) {
+    var getScheduleDataFunc = this._getScheduleDataFunc,
+        dragStart = this._dragStart;
+
+    this.dragHandler.off({
+        drag: this._onDrag,
+        dragEnd: this._onDragEnd,
+        dragCancel: this._onDragCancel,
+        click: this._onClick
+    }, this);
+
+    if (!getScheduleDataFunc || !dragStart) {
+        return;
+    }
+
+    /**
+     * @event TimelineMove#timelineMoveClick
+     * @type {object}
+     * @property {HTMLElement} target - current target in mouse event object.
+     * @property {Timeline} relatedView - timeline view instance.
+     * @property {MouseEvent} originEvent - mouse event object.
+     * @property {string} targetModelID - The model unique id emitted move schedule.
+     */
+    this.fire('timelineMoveClick', getScheduleDataFunc(clickEventData.originEvent, {
+        targetModelID: dragStart.targetModelID
+    }));
+
+    this._getScheduleDataFunc = this._dragStart = null;
+};
+
+timelineCore.mixin(TimelineMove);
+util.CustomEvents.mixin(TimelineMove);
+
+module.exports = TimelineMove;
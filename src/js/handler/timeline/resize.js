@@ -0,0 +1,305 @@
+/**
+ * @fileoverview Handling resize schedules from drag handler and timeline view
+ * @author NHN FE Development Lab <dl_javascript@nhn.com>
+ */
+'use strict';
+
+var util = require('tui-code-snippet');
+var config = require('../../config');
+var common = require('../../common/common');
+var domutil = require('../../common/domutil');
+var TZDate = require('../../common/timezone').Date;
+var timelineCore = require('./core');
+var TimelineGuide = require('./guide');
+
+/**
+ * @constructor
+ * @implements {Handler}
+ * @mixes timelineCore
+ * @mixes util.CustomEvents
+ * @param {Drag} [dragHandler] - Drag handler instance.
+ * @param {Timeline} [timelineView] - Timeline view instance.
+ * @param {Base} [baseController] - Base controller instance.
+ */
+function TimelineResize(dragHandler, timelineView, baseController) {
+    /**
+     * @type {Drag}
+     */
+    this.dragHandler = dragHandler;
+
+    /**
+     * @type {Timeline}
+     */
+    this.timelineView = timelineView;
+
+    /**
+     * @type {Base}
+     */
+    this.baseController = baseController;
+
+    /**
+     * @type {function}
+     */
+    this._getScheduleDataFunc = null;
+
+    /**
+     * @type {object}
+     */
+    this._dragStart = null;
+
+    /**
+     * @type {TimelineGuide}
+     */
+    this._guide = new TimelineGuide(this, 'timelineResize');
+
+    dragHandler.on('dragStart', this._onDragStart, this);
+}
+
+/**
+ * Destroy method
+ */
+TimelineResize.prototype.destroy = function() {
+    this._guide.destroy();
+    this.dragHandler.off(this);
+    this.dragHandler = this.timelineView = this.baseController =
+        this._getScheduleDataFunc = this._dragStart = this._guide = null;
+};
+
+/**
+ * @param {HTMLElement} target - element to check condition.
+ * @returns {HTMLElement} - return the schedule block element when satiate condition.
+ */
+TimelineResize.prototype.checkExpectCondition = function(target) {
+    if (!domutil.hasClass(target, config.classname('timeline-resize-handle'))) {
+        return null;
+    }
+
+    return domutil.closest(target, config.classname('.timeline-schedule-block'));
+};
+
+/**
+ * Get the range of the schedule resized by the drag. The duration is limited to the snap duration.
+ * @param {object} dragStart - event data of drag start
+ * @param {object} eventData - current event data
+ * @returns {TZDate[]} range
+ */
+TimelineResize.prototype._getResizedRange = function(dragStart, eventData) {
+    var model = dragStart.model,
+        starts = new TZDate(model.getStarts()),
+        ends = new TZDate(model.getEnds()).addMilliseconds(
+            this._getTimeDiff(dragStart, eventData, model.isAllDay)
+        ),
+        minEnds = new TZDate(starts).addMilliseconds(eventData.snapDuration);
+
+    if (ends < minEnds) {
+        ends = model.isAllDay ? new TZDate(minEnds).addMilliseconds(-1000) : minEnds;
+    }
+
+    return [starts, ends];
+};
+
+/**
+ * @emits TimelineResize#timelineResizeDragstart
+ * @param {object} dragStartEventData - event data of Drag#dragstart
+ */
+TimelineResize.prototype._onDragStart = function(dragStartEventData) {
+    var blockElement = this.checkExpectCondition(dragStartEventData.target),
+        ctrl = this.baseController,
+        targetModelID, targetModel, scheduleData;
+
+    if (!blockElement) {
+        return;
+    }
+
+    targetModelID = domutil.getData(blockElement, 'id');
+    targetModel = ctrl.schedules.items[targetModelID];
+
+    if (!targetModel) {
+        return;
+    }
+
+    this._getScheduleDataFunc = this._retriveScheduleData(this.timelineView);
+    scheduleData = this._dragStart = this._getScheduleDataFunc(
+        dragStartEventData.originEvent, {
+            targetModelID: targetModelID,
+            model: targetModel
+        }
+    );
+    scheduleData.rowIndex = this._getRowIndexOfBlock(blockElement, scheduleData.rowIndex);
+    scheduleData.range = this._getResizedRange(scheduleData, scheduleData);
+
+    this.dragHandler.on({
+        drag: this._onDrag,
+        dragEnd: this._onDragEnd,
+        dragCancel: this._onDragCancel,
+        click: this._onClick
+    }, this);
+
+    /**
+     * @event TimelineResize#timelineResizeDragstart
+     * @type {object}
+     * @property {HTMLElement} target - current target in mouse event object.
+     * @property {Timeline} relatedView - timeline view instance.
+     * @property {MouseEvent} originEvent - mouse event object.
+     * @property {number} rowIndex - index of the row of the schedule.
+     * @property {TZDate} nearestTime - time snapped by the granularity.
+     * @property {string} targetModelID - The model unique id emitted resize schedule.
+     * @property {Schedule} model - model instance
+     * @property {TZDate[]} range - time range of the schedule after resizing
+     */
+    this.fire('timelineResizeDragstart', scheduleData);
+};
+
+/**
+ * Get the index of the row which has the schedule block
+ * @param {HTMLElement} blockElement - schedule block element
+ * @param {number} defaultIndex - index to return when the row isn't found
+ * @returns {number} row index
+ */
+TimelineResize.prototype._getRowIndexOfBlock = function(blockElement, defaultIndex) {
+    var track = domutil.closest(blockElement, config.classname('.timeline-track'));
+    var rowIndex = track ? Number(domutil.getData(track, 'rowIndex')) : NaN;
+
+    return isNaN(rowIndex) ? defaultIndex : rowIndex;
+};
+
+/**
+ * Drag#drag event handler
+ * @emits TimelineResize#timelineResizeDrag
+ * @param {object} dragEventData - event data of Drag#drag custom event.
+ * @param {string} [overrideEventName] - override emitted event name when supplied.
+ * @returns {object} schedule data. null when it isn't dragging.
+ */
+TimelineResize.prototype._onDrag = function(dragEventData, overrideEventName) {
+    var getScheduleDataFunc = this._getScheduleDataFunc,
+        dragStart = this._dragStart,
+        scheduleData;
+
+    if (!getScheduleDataFunc || !dragStart) {
+        return null;
+    }
+
+    // the schedule is resized in its row.
+    scheduleData = getScheduleDataFunc(dragEventData.originEvent, {
+        targetModelID: dragStart.targetModelID,
+        model: dragStart.model,
+        rowIndex: dragStart.rowIndex
+    });
+    scheduleData.range = this._getResizedRange(dragStart, scheduleData);
+
+    /**
+     * @event TimelineResize#timelineResizeDrag
+     * @type {object}
+     * @property {HTMLElement} target - current target in mouse event object.
+     * @property {Timeline} relatedView - timeline view instance.
+     * @property {MouseEvent} originEvent - mouse event object.
+     * @property {number} rowIndex - index of the row of the schedule.
+     * @property {TZDate} nearestTime - time snapped by the granularity.
+     * @property {string} targetModelID - The model unique id emitted resize schedule.
+     * @property {Schedule} model - model instance
+     * @property {TZDate[]} range - time range of the schedule after resizing
+     */
+    this.fire(overrideEventName || 'timelineResizeDrag', scheduleData);
+
+    return scheduleData;
+};
+
+/**
+ * Update model instance by dragend event results.
+ * @fires TimelineResize#beforeUpdateSchedule
+ * @param {object} scheduleData - schedule data from TimelineResize#timelineResizeDragend
+ */
+TimelineResize.prototype._updateSchedule = function(scheduleData) {
+    var schedule = this.baseController.schedules.items[scheduleData.targetModelID],
+        newEnds = scheduleData.range[1];
+
+    if (!schedule) {
+        return;
+    }
+
+    /**
+     * @event TimelineResize#beforeUpdateSchedule
+     * @type {object}
+     * @property {Schedule} schedule - The original schedule instance
+     * @property {Date} start - Deprecated: start time to update
+     * @property {Date} end - Deprecated: end time to update
+     * @property {object} changes - end time to update
+     *  @property {date} end - end time to update
+     */
+    this.fire('beforeUpdateSchedule', {
+        schedule: schedule,
+        changes: common.getScheduleChanges(schedule, ['end'], {end: newEnds}),
+        start: schedule.getStarts(),
+        end: newEnds
+    });
+};
+
+/**
+ * Drag#dragEnd event handler
+ * @emits TimelineResize#timelineResizeDragend
+ * @param {object} dragEndEventData - event data of Drag#dragEnd custom event.
+ * @param {boolean} [skipUpdate] - true then skip update schedule model.
+ */
+TimelineResize.prototype._onDragEnd = function(dragEndEventData, skipUpdate) {
+    var scheduleData;
+
+    this.dragHandler.off({
+        drag: this._onDrag,
+        dragEnd: this._onDragEnd,
+        dragCancel: this._onDragCancel,
+        click: this._onClick
+    }, this);
+
+    /**
+     * @event TimelineResize#timelineResizeDragend
+     * @type {object}
+     * @property {HTMLElement} target - current target in mouse event object.
+     * @property {Timeline} relatedView - timeline view instance.
+     * @property {MouseEvent} originEvent - mouse event object.
+     * @property {number} rowIndex - index of the row of the schedule.
+     * @property {TZDate} nearestTime - time snapped by the granularity.
+     * @property {string} targetModelID - The model unique id emitted resize schedule.
+     * @property {Schedule} model - model instance
+     * @property {TZDate[]} range - time range of the schedule after resizing
+     */
+    scheduleData = this._onDrag(dragEndEventData, 'timelineResizeDragend');
+
+    if (scheduleData && !skipUpdate) {
+        this._updateSchedule(scheduleData);
+    }
+
+    this._getScheduleDataFunc = this._dragStart = null;
+};
+
+/**
+ * Drag#dragCancel event handler. Clear the guide without updating the schedule.
+ * @emits TimelineResize#timelineResizeDragend
+ * @param {object} dragCancelEventData - event data of Drag#dragCancel custom event.
+ */
+TimelineResize.prototype._onDragCancel = function(dragCancelEventData) {
+    this._onDragEnd(dragCancelEventData, true);
+};
+
+/**
+ * @emits TimelineResize#timelineResizeClick
+ */
+TimelineResize.prototype._onClick = function() {
+    this.dragHandler.off({
+        drag: this._onDrag,
+        dragEnd: this._onDragEnd,
+        dragCancel: this._onDragCancel,
+        click: this._onClick
+    }, this);
+
+    /**
+     * @event TimelineResize#timelineResizeClick
+     */
+    this.fire('timelineResizeClick', {});
+
+    this._getScheduleDataFunc = this._dragStart = null;
+};
+
+timelineCore.mixin(TimelineResize);
+util.CustomEvents.mixin(TimelineResize);
+
+module.exports = TimelineResize;
@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Click handler for year view
+ * @author NHN FE Development Lab <dl_javascript@nhn.com>
+ */
+'use strict';
+
+var util = require('tui-code-snippet');
+var config = require('../../config'),
+    datetime = require('../../common/datetime'),
+    domevent = require('../../common/domevent'),
+    domutil = require('../../common/domutil');
+
+var KEYCODE_ENTER = 13;
+
+/**
+ * @constructor
+ * @implements {Handler}
+ * @mixes util.CustomEvents
+ * @param {Drag} [dragHandler] - Drag handler instance.
+ * @param {Year} [yearView] - Year view instance.
+ * @param {Base} [baseController] - Base controller instance.
+ */
+function YearClick(dragHandler, yearView, baseController) {
+    /**
+     * @type {Drag}
+     */
+    this.dragHandler = dragHandler;
+
+    /**
+     * @type {Year}
+     */
+    this.yearView = yearView;
+
+    /**
+     * @type {Base}
+     */
+    this.baseController = baseController;
+
+    dragHandler.on({
+        'click': this._onClick
+    }, this);
+    domevent.on(yearView.container, 'keydown', this._onKeyDown, this);
+}
+
+/**
+ * Destroy handler module
+ */
+YearClick.prototype.destroy = function() {
+    this.dragHandler.off(this);
+    domevent.off(this.yearView.container, 'keydown', this._onKeyDown, this);
+    this.yearView = this.baseController = this.dragHandler = null;
+};
+
+/**
+ * Fire the event of the date element
+ * @fires YearClick#clickYearDate
+ * @param {HTMLElement} target - target element of the event
+ */
+YearClick.prototype._fireDateEvent = function(target) {
+    var dateElement = domutil.closest(target, config.classname('.year-day')),
+        ymd = dateElement ? domutil.getData(dateElement, 'date') : null,
+        density;
+
+    if (!ymd) {
+        return;
+    }
+
+    density = this.yearView.getDensity(ymd);
+
+    /**
+     * @event YearClick#clickYearDate
+     * @type {object}
+     * @property {TZDate} date - clicked date
+     * @property {number} count - count of schedules in the date
+     * @property {number} duration - total busy duration(milliseconds) in the date
+     */
+    this.fire('clickYearDate', {
+        date: datetime.parse(ymd),
+        count: density.count,
+        duration: density.duration
+    });
+};
+
+/**
+ * Click event handler
+ * @param {object} clickEvent - click event data
+ */
+YearClick.prototype._onClick = function(clickEvent) {
+    this._fireDateEvent(clickEvent.target);
+};
+
+/**
+ * Keydown event handler. Enter key on the date is same with click.
+ * @param {KeyboardEvent} keyDownEvent - keydown event object
+ */
+YearClick.prototype._onKeyDown = function(keyDownEvent) {
+    if (keyDownEvent.keyCode === KEYCODE_ENTER) {
+        this._fireDateEvent(keyDownEvent.target || keyDownEvent.srcElement);
+    }
+};
+
+util.CustomEvents.mixin(YearClick);
+
+module.exports = YearClick;
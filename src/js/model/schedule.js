@@ -6,10 +6,12 @@
 'use strict';
 
 var util = require('tui-code-snippet');
-var TZDate = require('../common/timezone').Date;
+var timezone = require('../common/timezone');
+var TZDate = timezone.Date;
 var datetime = require('../common/datetime');
 var dirty = require('../common/dirty');
 var model = require('../common/model');
+var rrule = require('../common/rrule');
 
 var SCHEDULE_MIN_DURATION = datetime.MILLISECONDS_SCHEDULE_MIN_DURATION;
 
@@ -75,6 +77,18 @@ function Schedule() {
      */
     this.end = null;
 
+    /**
+     * IANA timezone name of schedule start
+     * @type {string}
+     */
+    this.startTimezone = '';
+
+    /**
+     * IANA timezone name of schedule end
+     * @type {string}
+     */
+    this.endTimezone = '';
+
     /**
      * schedule text color
      * @type {string}
@@ -111,6 +125,12 @@ function Schedule() {
      */
     this.calendarId = '';
 
+    /**
+     * resource(e.g. room, person) ID which the schedule is assigned to
+     * @type {string}
+     */
+    this.resourceId = '';
+
     /**
      * Schedule category(milestone, task, allday, time)
      * @type {string}
@@ -141,6 +161,12 @@ function Schedule() {
      */
     this.isFocused = false;
 
+    /**
+     * selected schedule flag by the multi selection
+     * @type {boolean}
+     */
+    this.isSelected = false;
+
     /**
      * read-only schedule flag
      * @type {boolean}
@@ -171,6 +197,24 @@ function Schedule() {
      */
     this.recurrenceRule = '';
 
+    /**
+     * id of the recurring schedule which this occurrence is expanded from
+     * @type {string}
+     */
+    this.masterId = '';
+
+    /**
+     * original start of this occurrence in the recurring schedule
+     * @type {TZDate}
+     */
+    this.recurrenceId = null;
+
+    /**
+     * alarms. trigger is DURATION(e.g. '-PT15M') or DATE-TIME value of iCalendar
+     * @type {Array.<{action: string, trigger: string, description: string}>}
+     */
+    this.alarms = [];
+
     /**
      * state. 'Busy' is default.
      * @type {string}
@@ -245,12 +289,16 @@ Schedule.prototype.init = function(options) {
     this.dragBgColor = options.dragBgColor || this.dragBgColor;
     this.borderColor = options.borderColor || this.borderColor;
     this.calendarId = options.calendarId || '';
+    this.resourceId = util.isExisty(options.resourceId) ? options.resourceId : '';
     this.category = options.category || '';
     this.dueDateClass = options.dueDateClass || '';
     this.customStyle = options.customStyle || '';
     this.location = options.location || '';
     this.attendees = options.attendees || [];
     this.recurrenceRule = options.recurrenceRule || '';
+    this.masterId = options.masterId || '';
+    this.recurrenceId = options.recurrenceId ? new TZDate(options.recurrenceId) : null;
+    this.alarms = options.alarms || [];
     this.isPrivate = options.isPrivate || false;
     this.isPending = options.isPending || false;
     this.isFocused = options.isFocused || false;
@@ -258,6 +306,8 @@ Schedule.prototype.init = function(options) {
     this.goingDuration = options.goingDuration || 0;
     this.comingDuration = options.comingDuration || 0;
     this.state = options.state || '';
+    this.startTimezone = options.startTimezone || '';
+    this.endTimezone = options.endTimezone || this.startTimezone;
 
     if (this.isAllDay) {
         this.setAllDayPeriod(options.start, options.end);
@@ -288,8 +338,8 @@ Schedule.prototype.setAllDayPeriod = function(start, end) {
 };
 
 Schedule.prototype.setTimePeriod = function(start, end) {
-    this.start = new TZDate(start || Date.now());
-    this.end = new TZDate(end || this.start);
+    this.start = timezone.createDateByTimezoneName(start || Date.now(), this.startTimezone);
+    this.end = end ? timezone.createDateByTimezoneName(end, this.endTimezone) : new TZDate(this.start);
 
     if (!end) {
         this.end.setMinutes(this.end.getMinutes() + 30);
@@ -310,6 +360,38 @@ Schedule.prototype.getEnds = function() {
     return this.end;
 };
 
+/**
+ * @returns {boolean} whether this schedule is a recurring schedule which has a valid recurrence rule.
+ */
+Schedule.prototype.isRecurring = function() {
+    return !this.recurrenceId && !!rrule.parse(this.recurrenceRule);
+};
+
+/**
+ * Create an occurrence of this recurring schedule.
+ * @param {TZDate} start - start of the occurrence
+ * @returns {Schedule} occurrence schedule instance
+ */
+Schedule.prototype.createOccurrence = function(start) {
+    var end = new TZDate(start);
+
+    if (this.isAllDay) {
+        end.addDate(Math.round(
+            (datetime.start(this.getEnds()) - datetime.start(this.getStarts())) / datetime.MILLISECONDS_PER_DAY
+        ));
+    } else {
+        end.addMilliseconds(this.getEnds() - this.getStarts());
+    }
+
+    return Schedule.create(util.extend(this.parameterize(), {
+        id: this.id + '_' + rrule.formatDateValue(start),
+        start: new TZDate(start),
+        end: end,
+        masterId: this.id,
+        recurrenceId: start
+    }));
+};
+
 /**
  * @returns {number} instance unique id.
  */
@@ -81,6 +81,7 @@ var theme = {
 
     'week.today.backgroundColor': 'rgba(81, 92, 230, 0.05)',
     'week.weekend.backgroundColor': 'inherit',
+    'week.nonBusinessHours.backgroundColor': 'rgba(0, 0, 0, 0.05)',
 
     // week timegrid 'timegrid'
     'week.timegridLeft.width': '72px',
@@ -85,6 +85,7 @@
 
     'week.today.backgroundColor': 'rgba(81, 92, 230, 0.05)',
     'week.weekend.backgroundColor': 'inherit',
+    'week.nonBusinessHours.backgroundColor': 'rgba(0, 0, 0, 0.05)',
 
     // week timegrid 'timegrid'
     'week.timegridLeft.width': '72px',
@@ -205,6 +206,7 @@ var themeConfig = {
 
     'week.today.backgroundColor': 'rgba(81, 92, 230, 0.05)',
     'week.weekend.backgroundColor': 'inherit',
+    'week.nonBusinessHours.backgroundColor': 'rgba(0, 0, 0, 0.05)',
 
     // week timegrid 'timegrid'
     'week.timegridLeft.width': '72px',
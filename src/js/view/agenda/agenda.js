@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Agenda view. schedules are listed by day in chronological order.
+ * @author NHN FE Development Lab <dl_javascript@nhn.com>
+ */
+'use strict';
+
+var util = require('tui-code-snippet');
+var array = require('../../common/array'),
+    datetime = require('../../common/datetime'),
+    TZDate = require('../../common/timezone').Date,
+    tmpl = require('../template/agenda/agenda.hbs'),
+    View = require('../view');
+
+/**
+ * @constructor
+ * @extends {View}
+ * @param {object} options - options
+ * @param {object} [options.agenda] - agenda options
+ * @param {number} [options.agenda.dayCount=7] - count of days to render
+ * @param {boolean} [options.agenda.showEmptyDays=false] - render the days without schedules
+ * @param {string[]} [options.agenda.daynames] - daynames to use in the day headers
+ * @param {function} [options.agenda.scheduleFilter] - schedule filter
+ * @param {HTMLElement} container - container element
+ * @param {Base} controller - controller instance
+ */
+function Agenda(options, container, controller) {
+    options = options || {};
+
+    View.call(this, container);
+
+    container.setAttribute('role', 'grid');
+
+    /**
+     * @type {Base}
+     */
+    this.controller = controller;
+
+    /**
+     * @type {object}
+     */
+    this.options = util.extend({
+        renderStartDate: datetime.start(),
+        renderEndDate: datetime.end(),
+        dayCount: 7,
+        showEmptyDays: false,
+        daynames: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+        scheduleFilter: function(schedule) {
+            return Boolean(schedule.isVisible) &&
+                (schedule.category === 'allday' || schedule.category === 'time');
+        }
+    }, options.agenda);
+}
+
+util.inherit(Agenda, View);
+
+/**
+ * Name of view. for managing subview at layout view
+ * @type {string}
+ */
+Agenda.prototype.viewName = 'agenda';
+
+/**
+ * Get the view model of the days in the rendered range.
+ * The days without schedules are excluded unless showEmptyDays option is true.
+ * @returns {Array.<object>} days which have date, dayName, isToday and schedules
+ */
+Agenda.prototype._getViewModel = function() {
+    var opt = this.options,
+        schedulesByDate = this.controller.findByDateRange(
+            datetime.start(opt.renderStartDate),
+            datetime.end(opt.renderEndDate)
+        ),
+        today = datetime.format(new TZDate(), 'YYYYMMDD'),
+        days = [];
+
+    util.forEachArray(datetime.range(
+        datetime.start(opt.renderStartDate),
+        datetime.end(opt.renderEndDate),
+        datetime.MILLISECONDS_PER_DAY
+    ), function(date) {
+        var ymd = datetime.format(date, 'YYYYMMDD'),
+            schedules = schedulesByDate[ymd].find(function(viewModel) {
+                return opt.scheduleFilter(viewModel.model);
+            }).sort(array.compare.schedule.asc);
+
+        if (!schedules.length && !opt.showEmptyDays) {
+            return;
+        }
+
+        days.push({
+            date: datetime.format(date, 'YYYY-MM-DD'),
+            dayName: opt.daynames[date.getDay()],
+            isToday: ymd === today,
+            schedules: schedules
+        });
+    });
+
+    return days;
+};
+
+/**
+ * Render agenda view
+ * @override
+ */
+Agenda.prototype.render = function() {
+    var theme = this.controller.theme,
+        days = this._getViewModel();
+
+    this.container.innerHTML = tmpl({
+        days: days,
+        styles: {
+            border: theme.common.border,
+            headerBackgroundColor: theme.week.dayname.backgroundColor
+        }
+    });
+    this.container.setAttribute('aria-label', datetime.format(this.options.renderStartDate, 'YYYY.MM.DD'));
+
+    this._invokeAfterRenderSchedule(days);
+};
+
+/**
+ * Fire 'afterRenderSchedule' event
+ * @param {Array.<object>} days - rendered days
+ * @fires Agenda#afterRenderSchedule
+ */
+Agenda.prototype._invokeAfterRenderSchedule = function(days) {
+    var self = this;
+
+    util.forEachArray(days, function(day) {
+        util.forEachArray(day.schedules, function(viewModel) {
+            /**
+             * @event Agenda#afterRenderSchedule
+             */
+            self.fire('afterRenderSchedule', {schedule: viewModel.model});
+        });
+    });
+};
+
+module.exports = Agenda;
@@ -35,6 +35,8 @@ function Month(options, container, controller) {
 
     View.call(this, container);
 
+    container.setAttribute('role', 'grid');
+
     /**
      * @type {Base.Month}
      */
@@ -196,6 +198,7 @@ Month.prototype.render = function() {
         scheduleFilter = opt.scheduleFilter,
         theme = controller ? controller.theme : null,
         styles = this._getStyles(theme),
+        holidays = this._findHolidays(calendar),
         grids,
         daynameViewModel,
         baseViewModel;
@@ -239,6 +242,7 @@ Month.prototype.render = function() {
     };
 
     vLayout.panels[0].container.innerHTML = tmpl(baseViewModel);
+    this.container.setAttribute('aria-label', datetime.format(new TZDate(opt.renderMonth), 'YYYY.MM'));
 
     this._renderChildren(vLayout.panels[1].container, calendar, theme);
 
@@ -261,6 +265,7 @@ Month.prototype.render = function() {
             range: dateRange.slice(0, grids.length),
             grids: grids,
             panelHeight: baseViewModel.panelHeight,
+            holidays: holidays,
             theme: theme
         };
 
@@ -270,6 +275,24 @@ Month.prototype.render = function() {
     });
 };
 
+/**
+ * Find the holidays in the month calendar
+ * @param {array.<Date[]>} calendar - calendar array from datetime#arr2dCalendar
+ * @returns {object.<string, Array.<object>>} holidays grouped by 'YYYYMMDD'
+ */
+Month.prototype._findHolidays = function(calendar) {
+    var lastWeek = calendar[calendar.length - 1];
+
+    if (!this.controller || !calendar.length) {
+        return {};
+    }
+
+    return this.controller.findHolidaysByDateRange(
+        datetime.start(calendar[0][0]),
+        datetime.end(lastWeek[lastWeek.length - 1])
+    );
+};
+
 /**
  * Fire 'afterRenderSchedule' event
  * @param {Array} matrices - schedule matrices from view model
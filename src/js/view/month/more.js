@@ -6,6 +6,7 @@
 
 var OUT_PADDING = 5;
 var VIEW_MIN_WIDTH = 280;
+var KEYCODE_ESCAPE = 27;
 var util = require('tui-code-snippet');
 var config = require('../../config'),
     domevent = require('../../common/domevent'),
@@ -61,6 +62,7 @@ function More(options, container, theme) {
     this.theme = theme;
 
     domevent.on(container, 'click', this._onClick, this);
+    domevent.on(container, 'keydown', this._onKeyDown, this);
 }
 
 util.inherit(More, View);
@@ -124,10 +126,21 @@ More.prototype.destroy = function() {
     this.layer.destroy();
     this.layer = null;
     domevent.off(this.container, 'click', this._onClick, this);
+    domevent.off(this.container, 'keydown', this._onKeyDown, this);
     domevent.off(document.body, 'mousedown', this._onMouseDown, this);
     View.prototype.destroy.call(this);
 };
 
+/**
+ * Keydown event handler for hiding popup layer by escape key
+ * @param {KeyboardEvent} keyDownEvent - keyboard event object
+ */
+More.prototype._onKeyDown = function(keyDownEvent) {
+    if (this.layer.isVisible() && keyDownEvent.keyCode === KEYCODE_ESCAPE) {
+        this.hide();
+    }
+};
+
 /**
  * @override
  * @param {object} viewModel - view model from factory/monthView
@@ -30,6 +30,7 @@ var mfloor = Math.floor,
 function WeekdayInMonth(options, container) {
     Weekday.call(this, options, container);
     container.style.height = options.heightPercent + '%';
+    this.container.setAttribute('role', 'row');
 }
 
 util.inherit(WeekdayInMonth, Weekday);
@@ -172,7 +173,9 @@ function setIsOtherMonthFlag(dates, renderMonth, theme) {
         dateObj.isOtherMonth = isOtherMonth;
 
         if (isOtherMonth) {
-            dateObj.color = Weekday.prototype._getDayNameColor(theme, dateObj.day, dateObj.isToday, isOtherMonth);
+            dateObj.color = Weekday.prototype._getDayNameColor(
+                theme, dateObj.day, dateObj.isToday, isOtherMonth, dateObj.holidays.length > 0
+            );
         }
     });
 }
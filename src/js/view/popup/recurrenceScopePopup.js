@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Floating layer for choosing the scope to edit or delete recurring schedules
+ * @author NHN FE Development Lab <dl_javascript@nhn.com>
+ */
+'use strict';
+
+var View = require('../../view/view');
+var FloatingLayer = require('../../common/floatingLayer');
+var util = require('tui-code-snippet');
+var config = require('../../config'),
+    domevent = require('../../common/domevent'),
+    domutil = require('../../common/domutil');
+var tmpl = require('../template/popup/recurrenceScopePopup.hbs');
+var KEYCODE_ESCAPE = 27;
+
+/**
+ * @constructor
+ * @extends {View}
+ * @param {HTMLElement} container - container element
+ */
+function RecurrenceScopePopup(container) {
+    View.call(this, container);
+    /**
+     * @type {FloatingLayer}
+     */
+    this.layer = new FloatingLayer(null, container);
+
+    domevent.on(container, 'click', this._onClick, this);
+    domevent.on(container, 'keydown', this._onKeyDown, this);
+}
+
+util.inherit(RecurrenceScopePopup, View);
+
+/**
+ * Mousedown event handler for hiding popup layer when user mousedown outside of
+ * layer
+ * @param {MouseEvent} mouseDownEvent - mouse event object
+ */
+RecurrenceScopePopup.prototype._onMouseDown = function(mouseDownEvent) {
+    var target = (mouseDownEvent.target || mouseDownEvent.srcElement),
+        popupLayer = domutil.closest(target, config.classname('.floating-layer'));
+
+    if (popupLayer) {
+        return;
+    }
+
+    this._cancel();
+};
+
+/**
+ * @override
+ */
+RecurrenceScopePopup.prototype.destroy = function() {
+    this.layer.destroy();
+    this.layer = null;
+    domevent.off(this.container, 'click', this._onClick, this);
+    domevent.off(this.container, 'keydown', this._onKeyDown, this);
+    domevent.off(document.body, 'mousedown', this._onMouseDown, this);
+    View.prototype.destroy.call(this);
+};
+
+/**
+ * Keydown event handler for hiding popup layer by escape key
+ * @param {KeyboardEvent} keyDownEvent - keyboard event object
+ */
+RecurrenceScopePopup.prototype._onKeyDown = function(keyDownEvent) {
+    if (this.layer.isVisible() && keyDownEvent.keyCode === KEYCODE_ESCAPE) {
+        this._cancel();
+    }
+};
+
+/**
+ * Click event handler for scope buttons and close button
+ * @param {MouseEvent} clickEvent - mouse event object
+ */
+RecurrenceScopePopup.prototype._onClick = function(clickEvent) {
+    var target = (clickEvent.target || clickEvent.srcElement);
+
+    if (!this.layer.isVisible()) {
+        return;
+    }
+
+    if (!this._onClickScope(target)) {
+        this._closePopup(target);
+    }
+};
+
+/**
+ * @fires RecurrenceScopePopup#selectScope
+ * @param {HTMLElement} target - event target
+ * @returns {boolean} whether user clicked scope button or not
+ */
+RecurrenceScopePopup.prototype._onClickScope = function(target) {
+    var className = config.classname('popup-recurrence-scope-item');
+    var item = domutil.hasClass(target, className) ? target : domutil.closest(target, '.' + className);
+
+    if (!item) {
+        return false;
+    }
+
+    this.hide();
+
+    /**
+     * @event RecurrenceScopePopup#selectScope
+     * @type {object}
+     * @property {string} scope - 'this', 'following' or 'all'
+     */
+    this.fire('selectScope', {
+        scope: domutil.getData(item, 'scope')
+    });
+
+    return true;
+};
+
+/**
+ * Test click event target is close button, and close popup
+ * @param {HTMLElement} target - event target
+ */
+RecurrenceScopePopup.prototype._closePopup = function(target) {
+    var className = config.classname('popup-close');
+
+    if (domutil.hasClass(target, className) || domutil.closest(target, '.' + className)) {
+        this._cancel();
+    }
+};
+
+/**
+ * Hide layer without choosing the scope
+ */
+RecurrenceScopePopup.prototype._cancel = function() {
+    this.hide();
+
+    /**
+     * @event RecurrenceScopePopup#cancelScope
+     */
+    this.fire('cancelScope');
+};
+
+/**
+ * @override
+ * @param {object} viewModel - view model
+ * @param {Schedule} viewModel.schedule - occurrence of recurring schedule to edit or delete
+ * @param {boolean} [viewModel.isDelete=false] - whether it is for deleting
+ */
+RecurrenceScopePopup.prototype.render = function(viewModel) {
+    var layer = this.layer;
+    var self = this;
+
+    layer.setContent(tmpl({
+        schedule: viewModel.schedule,
+        isDelete: !!viewModel.isDelete
+    }));
+    layer.show();
+    this._setPopupPosition();
+
+    util.debounce(function() {
+        domevent.on(document.body, 'mousedown', self._onMouseDown, self);
+    })();
+};
+
+/**
+ * Set popup position to the center of the container
+ */
+RecurrenceScopePopup.prototype._setPopupPosition = function() {
+    var layer = domutil.find(config.classname('.popup'), this.layer.container);
+    var x = (this.container.offsetWidth - layer.offsetWidth) / 2;
+    var y = (this.container.offsetHeight - layer.offsetHeight) / 2;
+
+    this.layer.setPosition(Math.max(x, 0), Math.max(y, 0));
+};
+
+/**
+ * Hide layer
+ */
+RecurrenceScopePopup.prototype.hide = function() {
+    this.layer.hide();
+
+    domevent.off(document.body, 'mousedown', this._onMouseDown, this);
+};
+
+module.exports = RecurrenceScopePopup;
@@ -13,10 +13,46 @@ var config = require('../../config');
 var domevent = require('../../common/domevent');
 var domutil = require('../../common/domutil');
 var common = require('../../common/common');
+var popupFields = require('../../common/popupFields');
+var validation = require('../../common/validation');
 var tmpl = require('../template/popup/scheduleCreationPopup.hbs');
 var TZDate = timezone.Date;
 var MAX_WEEK_OF_MONTH = 6;
 var ARROW_WIDTH_HALF = 8;
+var KEYCODE_ESCAPE = 27;
+var BUILTIN_FIELD_IDS = {
+    calendarId: 'calendar',
+    title: 'title',
+    location: 'location',
+    start: 'start-date',
+    end: 'end-date',
+    isAllDay: 'allday',
+    state: 'state'
+};
+
+/**
+ * Get the element of the built-in or custom field in the popup.
+ * @param {string} name - field name like 'title' or the name of {@link PopupField}
+ * @returns {HTMLElement} the element of the field
+ */
+function getFieldElement(name) {
+    if (BUILTIN_FIELD_IDS[name]) {
+        return domutil.get(config.cssPrefix + 'schedule-' + BUILTIN_FIELD_IDS[name]);
+    }
+
+    return popupFields.getElement(name);
+}
+
+/**
+ * Get the element to show the error message of the custom field.
+ * @param {HTMLElement} element - the element of the field
+ * @returns {HTMLElement} the error element. null for the built-in fields.
+ */
+function getFieldError(element) {
+    var fieldSection = domutil.closest(element, config.classname('.section-field'));
+
+    return fieldSection ? domutil.find(config.classname('.popup-field-error'), fieldSection) : null;
+}
 
 /**
  * @constructor
@@ -24,8 +60,10 @@ var ARROW_WIDTH_HALF = 8;
  * @param {HTMLElement} container - container element
  * @param {Array.<Calendar>} calendars - calendar list used to create new schedule
  * @param {boolean} usageStatistics - GA tracking options in Calendar
+ * @param {Array.<PopupField>} [fields] - custom fields of the popup. See {@link PopupField}
+ * @param {function} [validateSchedule] - validateSchedule option in Calendar
  */
-function ScheduleCreationPopup(container, calendars, usageStatistics) {
+function ScheduleCreationPopup(container, calendars, usageStatistics, fields, validateSchedule) {
     View.call(this, container);
     /**
      * @type {FloatingLayer}
@@ -42,6 +80,8 @@ function ScheduleCreationPopup(container, calendars, usageStatistics) {
     this.calendars = calendars;
     this._focusedDropdown = null;
     this._usageStatistics = usageStatistics;
+    this.fields = fields || [];
+    this.validateSchedule = validateSchedule;
     this._onClickListeners = [
         this._selectDropdownMenuItem.bind(this),
         this._toggleDropdownMenuView.bind(this),
@@ -53,6 +93,7 @@ function ScheduleCreationPopup(container, calendars, usageStatistics) {
     ];
 
     domevent.on(container, 'click', this._onClick, this);
+    domevent.on(container, 'keydown', this._onKeyDown, this);
 }
 
 util.inherit(ScheduleCreationPopup, View);
@@ -80,10 +121,21 @@ ScheduleCreationPopup.prototype.destroy = function() {
     this.layer.destroy();
     this.layer = null;
     domevent.off(this.container, 'click', this._onClick, this);
+    domevent.off(this.container, 'keydown', this._onKeyDown, this);
     domevent.off(document.body, 'mousedown', this._onMouseDown, this);
     View.prototype.destroy.call(this);
 };
 
+/**
+ * Keydown event handler for hiding popup layer by escape key
+ * @param {KeyboardEvent} keyDownEvent - keyboard event object
+ */
+ScheduleCreationPopup.prototype._onKeyDown = function(keyDownEvent) {
+    if (this.layer.isVisible() && keyDownEvent.keyCode === KEYCODE_ESCAPE) {
+        this.hide();
+    }
+};
+
 /**
  * @override
  * Click event handler for close button
@@ -245,7 +297,7 @@ ScheduleCreationPopup.prototype._onClickSaveSchedule = function(target) {
     var cssPrefix = config.cssPrefix;
     var title, isPrivate, location, isAllDay, startDate, endDate, state;
     var start, end, calendarId;
-    var changes;
+    var changes, fieldValues, invalidField;
 
     if (!domutil.hasClass(target, className) && !domutil.closest(target, '.' + className)) {
         return false;
@@ -265,6 +317,15 @@ ScheduleCreationPopup.prototype._onClickSaveSchedule = function(target) {
         return true;
     }
 
+    fieldValues = popupFields.getValues(this.fields);
+    invalidField = popupFields.validate(this.fields, fieldValues);
+
+    if (invalidField) {
+        this._showErrors(invalidField);
+
+        return true;
+    }
+
     isPrivate = !domutil.hasClass(domutil.get(cssPrefix + 'schedule-private'), config.classname('public'));
     location = domutil.get(cssPrefix + 'schedule-location');
     state = domutil.get(cssPrefix + 'schedule-state');
@@ -296,18 +357,20 @@ ScheduleCreationPopup.prototype._onClickSaveSchedule = function(target) {
                 state: state.innerText
             }
         );
+        changes = util.extend(changes || {}, popupFields.getChanges(this.fields, this._schedule, fieldValues));
 
-        this.fire('beforeUpdateSchedule', {
+        this._save('beforeUpdateSchedule', {
             schedule: util.extend({
                 raw: {
                     class: isPrivate ? 'private' : 'public'
                 }
             }, this._schedule),
-            changes: changes,
+            changes: util.isEmpty(changes) ? null : changes,
             start: start,
             end: end,
             calendar: this._selectedCal,
-            triggerEventName: 'click'
+            triggerEventName: 'click',
+            useCreationPopup: true
         });
     } else {
         /**
@@ -315,7 +378,7 @@ ScheduleCreationPopup.prototype._onClickSaveSchedule = function(target) {
          * @type {object}
          * @property {Schedule} schedule - new schedule instance to be added
          */
-        this.fire('beforeCreateSchedule', {
+        this._save('beforeCreateSchedule', popupFields.assign(this.fields, fieldValues, {
             calendarId: calendarId,
             title: title.value,
             location: location.value,
@@ -326,14 +389,98 @@ ScheduleCreationPopup.prototype._onClickSaveSchedule = function(target) {
             end: end,
             isAllDay: isAllDay,
             state: state.innerText
-        });
+        }));
     }
 
-    this.hide();
-
     return true;
 };
 
+/**
+ * Validate the schedule with the validateSchedule option and fire the event when it's valid.
+ * The errors are shown in the popup when it's invalid.
+ * @param {string} eventName - beforeCreateSchedule or beforeUpdateSchedule
+ * @param {object} eventData - the event data
+ */
+ScheduleCreationPopup.prototype._save = function(eventName, eventData) {
+    var self = this;
+    var isUpdate = eventName === 'beforeUpdateSchedule';
+    var schedule = isUpdate ? validation.applyChanges(eventData.schedule, eventData.changes) : eventData;
+
+    validation.run(this.validateSchedule, schedule, {
+        action: isUpdate ? 'update' : 'create',
+        triggerEventName: 'click',
+        changes: isUpdate ? eventData.changes : null
+    }, function(invalid) {
+        if (!self.layer || !self.layer.isVisible()) {
+            return;
+        }
+
+        if (invalid) {
+            self._showErrors(invalid);
+
+            return;
+        }
+
+        self.fire(eventName, eventData);
+        self.hide();
+    });
+};
+
+/**
+ * Show the error messages of the validation. The sections of the invalid fields are marked
+ * and the messages without own sections are shown above the save button.
+ * @param {{message: string, fields: object}} invalid - the invalid data
+ */
+ScheduleCreationPopup.prototype._showErrors = function(invalid) {
+    var messages = invalid.message ? [invalid.message] : [];
+    var errors = domutil.get(config.cssPrefix + 'popup-errors');
+    var firstElement = null;
+
+    this._clearErrors();
+
+    util.forEach(invalid.fields, function(message, name) {
+        var element = getFieldElement(name);
+        var fieldError = element ? getFieldError(element) : null;
+
+        if (element) {
+            domutil.addClass(domutil.closest(element, config.classname('.popup-section-item')),
+                config.classname('invalid'));
+            firstElement = firstElement || element;
+        }
+
+        if (fieldError) {
+            fieldError.innerText = message;
+        } else if (message) {
+            messages.push(message);
+        }
+    });
+
+    if (errors) {
+        errors.innerText = messages.join('\n');
+    }
+
+    if (firstElement && firstElement.focus) {
+        firstElement.focus();
+    }
+};
+
+/**
+ * Clear the error messages of the validation.
+ */
+ScheduleCreationPopup.prototype._clearErrors = function() {
+    var container = this.layer.container;
+
+    util.forEachArray(domutil.find(config.classname('.invalid'), container, true), function(element) {
+        domutil.removeClass(element, config.classname('invalid'));
+    });
+    util.forEachArray(domutil.find(config.classname('.popup-field-error'), container, true), function(element) {
+        element.innerText = '';
+    });
+    util.forEachArray(domutil.find(config.classname('.popup-errors'), container, true), function(element) {
+        element.innerText = '';
+    });
+};
+
 /**
  * @override
  * @param {object} viewModel - view model from factory/monthView
@@ -358,6 +505,7 @@ ScheduleCreationPopup.prototype.render = function(viewModel) {
         this.guide = viewModel.guide;
         guideElements = this._getGuideElements(this.guide);
         boxElement = guideElements.length ? guideElements[0] : null;
+        viewModel.fields = popupFields.getViewModels(this.fields);
     }
     layer.setContent(tmpl(viewModel));
     this._createDatepicker(viewModel.start, viewModel.end, viewModel.isAllDay);
@@ -413,7 +561,8 @@ ScheduleCreationPopup.prototype._makeEditModeData = function(viewModel) {
             class: isPrivate ? 'private' : 'public'
         },
         zIndex: this.layer.zIndex + 5,
-        isEditMode: this._isEditMode
+        isEditMode: this._isEditMode,
+        fields: popupFields.getViewModels(this.fields, schedule)
     };
 };
 
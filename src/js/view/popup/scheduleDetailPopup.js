@@ -9,16 +9,20 @@ var FloatingLayer = require('../../common/floatingLayer');
 var util = require('tui-code-snippet');
 var config = require('../../config'),
     domevent = require('../../common/domevent'),
-    domutil = require('../../common/domutil');
+    domutil = require('../../common/domutil'),
+    popupFields = require('../../common/popupFields');
 var tmpl = require('../template/popup/scheduleDetailPopup.hbs');
 var ARROW_WIDTH_HALF = 8;
+var KEYCODE_ESCAPE = 27;
 
 /**
  * @constructor
  * @extends {View}
  * @param {HTMLElement} container - container element
+ * @param {Array.<Calendar>} calendars - calendar list
+ * @param {Array.<PopupField>} [fields] - custom fields rendered read-only. See {@link PopupField}
  */
-function ScheduleDetailPopup(container) {
+function ScheduleDetailPopup(container, calendars, fields) {
     View.call(this, container);
     /**
      * @type {FloatingLayer}
@@ -32,8 +36,10 @@ function ScheduleDetailPopup(container) {
     this._viewModel = null;
     this._schedule = null;
     this._calendar = null;
+    this.fields = fields || [];
 
     domevent.on(container, 'click', this._onClick, this);
+    domevent.on(container, 'keydown', this._onKeyDown, this);
 }
 
 util.inherit(ScheduleDetailPopup, View);
@@ -61,10 +67,21 @@ ScheduleDetailPopup.prototype.destroy = function() {
     this.layer.destroy();
     this.layer = null;
     domevent.off(this.container, 'click', this._onClick, this);
+    domevent.off(this.container, 'keydown', this._onKeyDown, this);
     domevent.off(document.body, 'mousedown', this._onMouseDown, this);
     View.prototype.destroy.call(this);
 };
 
+/**
+ * Keydown event handler for hiding popup layer by escape key
+ * @param {KeyboardEvent} keyDownEvent - keyboard event object
+ */
+ScheduleDetailPopup.prototype._onKeyDown = function(keyDownEvent) {
+    if (this.layer.isVisible() && keyDownEvent.keyCode === KEYCODE_ESCAPE) {
+        this.hide();
+    }
+};
+
 /**
  * @override
  * Click event handler for close button
@@ -122,7 +139,8 @@ ScheduleDetailPopup.prototype.render = function(viewModel) {
 
     layer.setContent(tmpl({
         schedule: viewModel.schedule,
-        calendar: viewModel.calendar
+        calendar: viewModel.calendar,
+        fields: popupFields.getDetailViewModels(this.fields, viewModel.schedule)
     }));
     layer.show();
     this._setPopupPositionAndArrowDirection(viewModel.event);
@@ -140,7 +140,13 @@ var helpers = {
         return [top, left, width, height].join(';');
     },
 
-    'holiday': function(day) {
+    /**
+     * Get the css classes of the day
+     * @param {number} day - day number
+     * @param {Array.<object>} [holidays] - holidays of the date
+     * @returns {string} css classes
+     */
+    'holiday': function(day, holidays) {
         var cssClass = '';
 
         if (day === 0) {
@@ -151,6 +157,16 @@ var helpers = {
             cssClass = config.classname('holiday-sat');
         }
 
+        if (util.isArray(holidays) && holidays.length) {
+            cssClass += ' ' + config.classname('holiday');
+
+            if (util.filter(holidays, function(holiday) {
+                return holiday.isNonWorking;
+            }).length) {
+                cssClass += ' ' + config.classname('non-working-day');
+            }
+        }
+
         return cssClass;
     },
 
@@ -210,6 +226,27 @@ var helpers = {
         return array.slice().reverse();
     },
 
+    /**
+     * Get plain text of the html string for aria-label
+     * @param {string} html - html string rendered by template
+     * @returns {string} plain text
+     */
+    'stripTags': function(html) {
+        return common.stripTags(String(html || '')).replace(/&nbsp;/g, ' ');
+    },
+
+    /**
+     * Get aria-label of the schedule block by schedule and date templates
+     * @param {Schedule} model - schedule model
+     * @returns {string} plain text
+     */
+    'schedule-ariaLabel': function(model) {
+        var title = Handlebars.helpers['schedule-tmpl'](model);
+        var date = Handlebars.helpers['popupDetailDate-tmpl'](model.isAllDay, model.getStarts(), model.getEnds());
+
+        return Handlebars.helpers.stripTags(title + ', ' + date);
+    },
+
     /**********
      * Default schedule template
      **********/
@@ -317,6 +354,63 @@ var helpers = {
         return '<span class="' + classDate + '">' + model.date + '</span>&nbsp;&nbsp;<span class="' + className + '">' + model.dayName + '</span>';
     },
 
+    'holidayLabel-tmpl': function(holidays) {
+        var className = config.classname('holiday-name');
+
+        return util.map(holidays, function(holiday) {
+            return '<span class="' + className + '">' + common.stripTags(holiday.name) + '</span>';
+        }).join(', ');
+    },
+
+    'weekResource-tmpl': function(resource) {
+        var avatar = '';
+        var avatarUrl = resource.avatar ? getImageUrl(resource.avatar) : '';
+        var name;
+
+        if (avatarUrl) {
+            avatar = '<img class="' + config.classname('dayname-resource-avatar') + '" src="' + avatarUrl + '" alt="">&nbsp;';
+        }
+
+        // the unclosed tag left by stripTags would be closed by the following span
+        name = common.stripTags(String(resource.name)).replace(/</g, '&lt;');
+
+        return avatar + '<span class="' + config.classname('dayname-resource-name') + '">' + name + '</span>';
+    },
+
+    'timelineSlot-tmpl': function(slot) {
+        if (slot.granularity === 'hour') {
+            return datetime.format(slot.date, 'HH:mm');
+        }
+
+        return datetime.format(slot.date, 'MM.DD');
+    },
+
+    'agendaDayHeader-tmpl': function(model) {
+        var classDate = config.classname('agenda-day-date');
+        var className = config.classname('agenda-day-name');
+        var classMonth = config.classname('agenda-day-month');
+        var ymd = model.date.split('-');
+
+        return '<span class="' + classDate + '">' + parseInt(ymd[2], 10) + '</span>' +
+            '<span class="' + className + '">' + model.dayName + '</span>' +
+            '<span class="' + classMonth + '">' + ymd[0] + '.' + ymd[1] + '</span>';
+    },
+
+    'agendaItem-tmpl': function(model) {
+        var className = config.classname('agenda-item-time');
+        var time = 'All Day';
+
+        if (!model.isAllDay) {
+            time = datetime.format(model.getStarts(), 'HH:mm') + ' - ' + datetime.format(model.getEnds(), 'HH:mm');
+        }
+
+        return '<span class="' + className + '">' + time + '</span>' + common.stripTags(model.title);
+    },
+
+    'agendaEmpty-tmpl': function() {
+        return 'No schedules';
+    },
+
     'weekGridFooterExceed-tmpl': function(hiddenSchedules) {
         return '+' + hiddenSchedules;
     },
@@ -379,6 +473,10 @@ var helpers = {
         return datetime.leadingZero(time.hour, 2) + ':' + datetime.leadingZero(time.minutes, 2);
     },
 
+    'timegridSlotLabel-tmpl': function() {
+        return '';
+    },
+
     'timegridCurrentTime-tmpl': function(timezone) {
         var templates = [];
 
@@ -454,6 +552,21 @@ var helpers = {
     },
     'popupDelete-tmpl': function() {
         return 'Delete';
+    },
+    'popupRecurrenceScopeTitle-tmpl': function(isDelete) {
+        return isDelete ? 'Delete recurring schedule' : 'Edit recurring schedule';
+    },
+    'popupRecurrenceScopeThis-tmpl': function() {
+        return 'This schedule';
+    },
+    'popupRecurrenceScopeFollowing-tmpl': function() {
+        return 'This and following schedules';
+    },
+    'popupRecurrenceScopeAll-tmpl': function() {
+        return 'All schedules';
+    },
+    'loading-tmpl': function() {
+        return '<span class="' + config.classname('loading-spinner') + '"></span>';
     }
 };
 
@@ -505,4 +618,24 @@ function getElWidth(viewModel, grids) {
     return width;
 }
 
+/**
+ * Get the image URL escaped for the src attribute
+ * @param {string} url - image URL
+ * @returns {string} escaped URL. empty string when it has the script scheme like 'javascript:'
+ */
+function getImageUrl(url) {
+    url = String(url);
+
+    // browsers ignore the whitespaces and control characters in the scheme
+    if (/^(javascript|vbscript):/i.test(url.replace(/[^!-~]/g, ''))) {
+        return '';
+    }
+
+    return url.replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
 Handlebars.registerHelper(helpers);
@@ -0,0 +1,302 @@
+/**
+ * @fileoverview Timeline view. resources are rows and the time is a horizontal axis.
+ * @author NHN FE Development Lab <dl_javascript@nhn.com>
+ */
+'use strict';
+
+var util = require('tui-code-snippet');
+var config = require('../../config'),
+    common = require('../../common/common'),
+    datetime = require('../../common/datetime'),
+    domutil = require('../../common/domutil'),
+    TZDate = require('../../common/timezone').Date,
+    tmpl = require('../template/timeline/timeline.hbs'),
+    View = require('../view');
+var mfloor = Math.floor,
+    mmax = Math.max,
+    mmin = Math.min;
+
+/**
+ * Units of the slots and the snap durations(minutes) for dragging by granularity
+ * @type {object}
+ */
+var GRANULARITY = {
+    hour: {
+        slotMinutes: 60,
+        snapMinutes: 30
+    },
+    day: {
+        slotDays: 1,
+        snapMinutes: 24 * 60
+    },
+    week: {
+        slotDays: 7,
+        snapMinutes: 24 * 60
+    }
+};
+
+/**
+ * Get the index of the slot including the view model start
+ * @param {ScheduleViewModel} viewModel - view model positioned by the controller
+ * @param {number} slotCount - count of slots
+ * @returns {number} slot index
+ */
+function getSlotIndex(viewModel, slotCount) {
+    return mmax(mmin(mfloor(viewModel.left * slotCount / 100), slotCount - 1), 0);
+}
+
+/**
+ * @constructor
+ * @extends {View}
+ * @param {object} options - options
+ * @param {object} [options.timeline] - timeline options
+ * @param {string} [options.timeline.granularity='hour'] - unit of the slots. 'hour', 'day', 'week'
+ * @param {number} [options.timeline.slotWidth=60] - width(px) of a slot
+ * @param {number} [options.timeline.resourceWidth=120] - width(px) of the resource column
+ * @param {number} [options.timeline.scheduleHeight=24] - height(px) of a lane
+ * @param {number} [options.timeline.scheduleGutter=2] - gutter(px) between lanes
+ * @param {function} [options.timeline.scheduleFilter] - schedule filter
+ * @param {Array.<ResourceProps>} [options.resources] - resources to render as rows
+ * @param {HTMLElement} container - container element
+ * @param {Base.Timeline} controller - controller instance
+ */
+function Timeline(options, container, controller) {
+    options = options || {};
+
+    View.call(this, container);
+
+    container.setAttribute('role', 'grid');
+
+    /**
+     * @type {Base.Timeline}
+     */
+    this.controller = controller;
+
+    /**
+     * @type {object}
+     */
+    this.options = util.extend({
+        renderStartDate: datetime.start(),
+        renderEndDate: datetime.end(),
+        granularity: 'hour',
+        slotWidth: 60,
+        resourceWidth: 120,
+        scheduleHeight: 24,
+        scheduleGutter: 2,
+        scheduleFilter: function(schedule) {
+            return Boolean(schedule.isVisible) &&
+                (schedule.category === 'allday' || schedule.category === 'time');
+        },
+        resources: options.resources || [],
+        isReadOnly: options.isReadOnly
+    }, options.timeline);
+
+    /**
+     * rendered rows. each row has resource and view models.
+     * @type {Array.<object>}
+     */
+    this._rows = [];
+}
+
+util.inherit(Timeline, View);
+
+/**
+ * Name of view. for managing subview at layout view
+ * @type {string}
+ */
+Timeline.prototype.viewName = 'timeline';
+
+/**
+ * Get the unit of the current granularity
+ * @returns {object} unit
+ */
+Timeline.prototype._getGranularity = function() {
+    return GRANULARITY[this.options.granularity] || GRANULARITY.hour;
+};
+
+/**
+ * Get the rendered time axis. The end is the start of the next day of the render end date.
+ * @returns {{start: TZDate, end: TZDate}} time axis
+ */
+Timeline.prototype.getTimeAxis = function() {
+    var opt = this.options;
+
+    return {
+        start: datetime.start(opt.renderStartDate),
+        end: datetime.getStartOfNextDay(opt.renderEndDate)
+    };
+};
+
+/**
+ * Get the duration to snap the time of dragging
+ * @returns {number} milliseconds
+ */
+Timeline.prototype.getSnapDuration = function() {
+    return datetime.millisecondsFrom('minutes', this._getGranularity().snapMinutes);
+};
+
+/**
+ * Get the slots of the time axis
+ * @param {{start: TZDate, end: TZDate}} axis - time axis
+ * @returns {Array.<object>} slots
+ */
+Timeline.prototype._getSlots = function(axis) {
+    var granularity = this._getGranularity(),
+        total = axis.end - axis.start,
+        dates = [],
+        cursor = new TZDate(axis.start);
+
+    while (cursor < axis.end) {
+        dates.push(cursor);
+        cursor = granularity.slotDays ?
+            new TZDate(cursor).addDate(granularity.slotDays) :
+            new TZDate(cursor).addMinutes(granularity.slotMinutes);
+    }
+
+    return util.map(dates, function(date, index) {
+        var next = dates[index + 1] || axis.end;
+
+        return {
+            date: date,
+            granularity: this.options.granularity,
+            left: common.ratio(total, 100, date - axis.start),
+            width: common.ratio(total, 100, next - date),
+            ariaLabel: datetime.format(date, 'YYYY.MM.DD HH:mm')
+        };
+    }, this);
+};
+
+/**
+ * Render timeline view
+ * @override
+ */
+Timeline.prototype.render = function() {
+    var opt = this.options,
+        controller = this.controller,
+        theme = controller ? controller.theme : null,
+        axis = this.getTimeAxis(),
+        slots = this._getSlots(axis),
+        laneHeight = opt.scheduleHeight + opt.scheduleGutter,
+        rows;
+
+    rows = this._rows = controller.findByDateRange(
+        axis.start,
+        new TZDate(axis.end).addMilliseconds(-1),
+        opt.resources,
+        opt.scheduleFilter
+    );
+
+    util.forEachArray(rows, function(row) {
+        row.height = (mmax(row.laneCount, 1) * laneHeight) + opt.scheduleGutter;
+
+        util.forEachArray(row.viewModels, function(viewModel) {
+            viewModel.column = getSlotIndex(viewModel, slots.length);
+        });
+    });
+
+    this.container.innerHTML = tmpl({
+        slots: slots,
+        rows: rows,
+        width: slots.length * opt.slotWidth,
+        isReadOnly: opt.isReadOnly,
+        styles: this._getStyles(theme, laneHeight)
+    });
+    this.container.setAttribute('aria-label', datetime.format(axis.start, 'YYYY.MM.DD'));
+
+    this._invokeAfterRenderSchedule(rows);
+};
+
+/**
+ * Fire 'afterRenderSchedule' event
+ * @param {Array.<object>} rows - rendered rows
+ * @fires Timeline#afterRenderSchedule
+ */
+Timeline.prototype._invokeAfterRenderSchedule = function(rows) {
+    var self = this;
+
+    util.forEachArray(rows, function(row) {
+        util.forEachArray(row.viewModels, function(viewModel) {
+            /**
+             * @event Timeline#afterRenderSchedule
+             */
+            self.fire('afterRenderSchedule', {schedule: viewModel.model});
+        });
+    });
+};
+
+/**
+ * Get the styles from theme
+ * @param {Theme} theme - theme instance
+ * @param {number} laneHeight - height(px) of a lane including the gutter
+ * @returns {object} styles - styles object
+ */
+Timeline.prototype._getStyles = function(theme, laneHeight) {
+    var opt = this.options;
+    var styles = {
+        resourceWidth: opt.resourceWidth,
+        scheduleHeight: opt.scheduleHeight,
+        scheduleGutter: opt.scheduleGutter,
+        laneHeight: laneHeight
+    };
+
+    if (theme) {
+        styles.border = theme.common.border;
+        styles.backgroundColor = theme.common.backgroundColor;
+        styles.headerHeight = theme.week.dayname.height;
+        styles.borderRadius = theme.week.timegridSchedule.borderRadius;
+    }
+
+    return styles;
+};
+
+/**
+ * Get the track elements of the rows. schedules are placed in the tracks.
+ * @returns {Array.<HTMLElement>} track elements by row index
+ */
+Timeline.prototype.getTrackElements = function() {
+    return domutil.find(config.classname('.timeline-track'), this.container, true);
+};
+
+/**
+ * Get the rendered row
+ * @param {number} rowIndex - index of the row
+ * @returns {object} row which has resource and view models
+ */
+Timeline.prototype.getRow = function(rowIndex) {
+    return this._rows[rowIndex] || null;
+};
+
+/**
+ * Get left and width(percent) of the time range in the tracks
+ * @param {TZDate} start - start time
+ * @param {TZDate} end - end time
+ * @returns {{left: number, width: number}} position
+ */
+Timeline.prototype.getLeftAndWidth = function(start, end) {
+    var axis = this.getTimeAxis(),
+        total = axis.end - axis.start,
+        left = common.ratio(total, 100, mmax(start, axis.start) - axis.start),
+        right = common.ratio(total, 100, mmin(end, axis.end) - axis.start);
+
+    return {
+        left: left,
+        width: mmax(right - left, 0)
+    };
+};
+
+/**
+ * Scroll the time axis to now when now is in the rendered range
+ */
+Timeline.prototype.scrollToNow = function() {
+    var axis = this.getTimeAxis(),
+        now = new TZDate(),
+        tracks = this.getTrackElements();
+
+    if (!tracks.length || now < axis.start || now >= axis.end) {
+        return;
+    }
+
+    this.container.scrollLeft = common.ratio(axis.end - axis.start, tracks[0].offsetWidth, now - axis.start);
+};
+
+module.exports = Timeline;
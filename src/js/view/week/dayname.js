@@ -49,9 +49,10 @@ util.inherit(DayName, View);
  * @param {Date} start The date of start render
  * @param {Date} end The end of end render
  * @param {object} grids grid data(width, left, day)
+ * @param {object.<string, Array.<object>>} [holidays] - holidays grouped by 'YYYYMMDD'
  * @returns {array} viewmodel.
  */
-DayName.prototype._getBaseViewModel = function(start, end, grids) {
+DayName.prototype._getBaseViewModel = function(start, end, grids, holidays) {
     var daynames = this.options.daynames,
         theme = this.theme,
         now = new TZDate().toLocalTime(),
@@ -65,6 +66,7 @@ DayName.prototype._getBaseViewModel = function(start, end, grids) {
         var day = d.getDay();
         var isToday = datetime.isSameDate(d, now);
         var isPastDay = d < now && !isToday;
+        var holidaysOfDate = (holidays || {})[datetime.format(d, 'YYYYMMDD')] || [];
 
         return {
             day: day,
@@ -74,13 +76,29 @@ DayName.prototype._getBaseViewModel = function(start, end, grids) {
             left: grids[i] ? grids[i].left : 0,
             width: grids[i] ? grids[i].width : 0,
             renderDate: datetime.format(d, 'YYYY-MM-DD'),
-            color: this._getDayNameColor(theme, day, isToday, isPastDay)
+            holidays: holidaysOfDate,
+            color: this._getDayNameColor(theme, day, isToday, isPastDay, holidaysOfDate.length > 0)
         };
     }, this);
 
     return viewModel;
 };
 
+/**
+ * Get viewmodels of the resource names under the day names.
+ * @param {Array.<object>} columns - columns of resources
+ * @returns {array} viewmodel.
+ */
+DayName.prototype._getResourcesViewModel = function(columns) {
+    return util.map(columns, function(column) {
+        return {
+            resource: column.resource,
+            left: column.grid.left,
+            width: column.grid.width
+        };
+    });
+};
+
 /**
  * @override
  * @param {object} viewModel View model from parent (WeekView)
@@ -89,12 +107,14 @@ DayName.prototype.render = function(viewModel) {
     var dayNames = this._getBaseViewModel(
         viewModel.renderStartDate,
         viewModel.renderEndDate,
-        viewModel.grids
+        viewModel.dateGrids || viewModel.grids,
+        viewModel.holidays
     );
     var timezonesCollapsed = viewModel.state.timezonesCollapsed;
     var styles = this._getStyles(this.theme, timezonesCollapsed);
     var baseViewModel = util.extend({}, {
         dayNames: dayNames,
+        resources: viewModel.columns ? this._getResourcesViewModel(viewModel.columns) : null,
         styles: styles
     });
 
@@ -107,13 +127,14 @@ DayName.prototype.render = function(viewModel) {
  * @param {number} day - day number
  * @param {boolean} isToday - today flag
  * @param {boolean} isPastDay - is past day flag
+ * @param {boolean} [isHoliday] - the date has holidays
  * @returns {string} style - color style
  */
-DayName.prototype._getDayNameColor = function(theme, day, isToday, isPastDay) {
+DayName.prototype._getDayNameColor = function(theme, day, isToday, isPastDay, isHoliday) {
     var color = '';
 
     if (theme) {
-        if (day === 0) {
+        if (day === 0 || isHoliday) {
             color = theme.common.holiday.color;
         } else if (isPastDay) {
             color = theme.week.pastDay.color || theme.common.dayname.color;
@@ -163,10 +184,18 @@ DayName.prototype._getStyles = function(theme, timezonesCollapsed) {
 DayName.prototype.applyTheme = function() {
     var styles = this._getStyles(this.theme);
     var style = this.container.style;
+    var numberAndUnit;
 
     style.borderTop = styles.borderTop;
     style.borderBottom = styles.borderBottom;
     style.height = styles.height;
+
+    // the resource names are rendered in the second row
+    if (this.options.resources && this.options.resources.length) {
+        numberAndUnit = common.parseUnit(styles.height);
+        style.height = (numberAndUnit[0] * 2) + numberAndUnit[1];
+    }
+
     style.backgroundColor = styles.backgroundColor;
     style.textAlign = styles.textAlign;
 
@@ -7,6 +7,7 @@
 var util = require('tui-code-snippet');
 var config = require('../../config');
 var datetime = require('../../common/datetime');
+var businessHours = require('../../common/businessHours');
 var domutil = require('../../common/domutil');
 var View = require('../view');
 var timeTmpl = require('../template/week/time.hbs');
@@ -24,6 +25,9 @@ var SCHEDULE_MIN_DURATION = datetime.MILLISECONDS_SCHEDULE_MIN_DURATION;
  * @param {boolean} options.isToday when set true then assign today design class to container.
  * @param {number} options.hourStart Can limit of render hour start.
  * @param {number} options.hourEnd Can limit of render hour end.
+ * @param {object} [options.resource] The resource of this column when the date is split by resources.
+ * @param {Array.<BusinessHours>} [options.businessHours] The business hours. The non-working time is shaded.
+ * @param {number} [options.snapDuration=30] Minutes which the dragging snaps to.
  * @param {HTMLElement} container Element to use container for this view.
  * @param {Theme} theme - theme instance
  */
@@ -40,7 +44,10 @@ function Time(options, container, theme) {
         hourEnd: 24,
         defaultMarginBottom: 2,
         minHeight: 18.5,
-        isReadOnly: false
+        isReadOnly: false,
+        resource: null,
+        businessHours: null,
+        snapDuration: config.time.defaultSlotDuration
     }, options);
 
     this.timeTmpl = timeTmpl;
@@ -52,9 +59,20 @@ function Time(options, container, theme) {
 
     container.style.width = options.width + '%';
     container.style.left = options.left + '%';
+    container.setAttribute('role', 'gridcell');
+    container.setAttribute('tabindex', '-1');
+
+    if (this.options.ymd) {
+        container.setAttribute('aria-label', this._getAriaLabel());
+    }
+
+    if (this.options.resource) {
+        domutil.setData(container, 'resourceId', this.options.resource.id);
+    }
 
     if (this.options.isToday) {
         domutil.addClass(this.container, config.classname('today'));
+        container.setAttribute('aria-current', 'date');
     }
 
     this.applyTheme();
@@ -78,6 +96,17 @@ Time.prototype._parseDateGroup = function(str) {
     return datetime.start(date);
 };
 
+/**
+ * Get the label of the column. It has the name of resource when the date is split by resources.
+ * @returns {string} label
+ */
+Time.prototype._getAriaLabel = function() {
+    var resource = this.options.resource;
+    var label = datetime.format(this._parseDateGroup(this.options.ymd), 'YYYY-MM-DD');
+
+    return resource ? label + ' ' + resource.name : label;
+};
+
 /**
  * calculate left and width
  * @param {ScheduleViewModel} viewModel - view model instance to calculate bound.
@@ -260,11 +289,19 @@ Time.prototype.getDate = function() {
  * @param {number} containerHeight - container's height
  */
 Time.prototype.render = function(ymd, matrices, containerHeight) {
+    var options = this.options;
+
     this._getBaseViewModel(ymd, matrices, containerHeight);
     this.container.innerHTML = this.timeTmpl({
         matrices: matrices,
+        nonBusinessHours: businessHours.getNonBusinessBlocks(
+            options.businessHours,
+            this._parseDateGroup(ymd),
+            options.hourStart,
+            options.hourEnd
+        ),
         styles: this._getStyles(this.theme),
-        isReadOnly: this.options.isReadOnly
+        isReadOnly: options.isReadOnly
     });
 };
 
@@ -283,6 +320,7 @@ Time.prototype._getStyles = function(theme) {
         styles.borderRadius = theme.week.timegridSchedule.borderRadius;
         styles.paddingLeft = theme.week.timegridSchedule.paddingLeft;
         styles.backgroundColor = options.isToday ? theme.week.today.backgroundColor : 'inherit';
+        styles.nonBusinessHoursBackgroundColor = theme.week.nonBusinessHours.backgroundColor;
     }
 
     return styles;
@@ -89,10 +89,67 @@ function getHoursLabels(opt, hasHourMarker, timezoneOffset, styles) {
             minutes: shiftMinutes,
             hidden: nowAroundHours === hour || index === 0,
             color: color || '',
-            fontWeight: fontWeight || ''
+            fontWeight: fontWeight || '',
+            slots: getSlotLabels(hour, shiftMinutes, opt.slotDuration)
         };
     });
 }
+
+/**
+ * Returns a list of the slot labels in an hour except the first slot.
+ * @param {number} hour - hour of the label
+ * @param {number} minutes - minutes of the label
+ * @param {number} slotDuration - minutes of a slot
+ * @returns {Array.<Object>}
+ */
+function getSlotLabels(hour, minutes, slotDuration) {
+    var slotCount = getSlotCount(slotDuration);
+
+    return util.map(util.range(1, slotCount), function(index) {
+        var totalMinutes = minutes + (index * slotDuration);
+
+        return {
+            hour: (hour + Math.floor(totalMinutes / SIXTY_MINUTES)) % 24,
+            minutes: totalMinutes % SIXTY_MINUTES,
+            top: (index / slotCount) * 100
+        };
+    });
+}
+
+/**
+ * Returns the count of slots in an hour.
+ * @param {number} slotDuration - minutes of a slot
+ * @returns {number} count
+ */
+function getSlotCount(slotDuration) {
+    return SIXTY_MINUTES / (slotDuration || SIXTY_MINUTES);
+}
+
+/**
+ * Returns the duration when it is one of available slot durations.
+ * @param {number} duration - minutes of the duration
+ * @param {number} defaultDuration - minutes to use when the duration is not available
+ * @returns {number} minutes
+ */
+function getSlotDuration(duration, defaultDuration) {
+    return util.inArray(duration, config.time.slotDurations) > -1 ? duration : defaultDuration;
+}
+
+/**
+ * Returns the timestamp to get offsets of timezones.
+ * The offsets can be changed by DST, so use the current time if it is displayed or the start of render range.
+ * @param {object} opt - TimeGrid.options
+ * @param {boolean} hasHourMarker - Whether the current time is displayed
+ * @returns {number} timestamp
+ */
+function getTimezoneBaseTime(opt, hasHourMarker) {
+    if (hasHourMarker || !opt.renderStartDate) {
+        return Date.now();
+    }
+
+    return new TZDate(opt.renderStartDate).getTime();
+}
+
 /**
  * @constructor
  * @extends {View}
@@ -102,6 +159,8 @@ function getHoursLabels(opt, hasHourMarker, timezoneOffset, styles) {
  * @param {string} options.renderEndDate - render end date. YYYY-MM-DD
  * @param {number} [options.hourStart=0] You can change view's start hours.
  * @param {number} [options.hourEnd=0] You can change view's end hours.
+ * @param {number} [options.slotDuration=30] - minutes of a time slot. 5, 10, 15, 20, 30 or 60
+ * @param {number} [options.snapDuration] - minutes which the dragging snaps to. slotDuration is default.
  * @param {HTMLElement} panelElement panel element.
  */
 function TimeGrid(name, options, panelElement) {
@@ -143,9 +202,14 @@ function TimeGrid(name, options, panelElement) {
         hourEnd: 24,
         timezones: options.timezones,
         isReadOnly: options.isReadOnly,
-        showTimezoneCollapseButton: false
+        showTimezoneCollapseButton: false,
+        slotDuration: config.time.defaultSlotDuration,
+        snapDuration: null
     }, options.week);
 
+    this.options.slotDuration = getSlotDuration(this.options.slotDuration, config.time.defaultSlotDuration);
+    this.options.snapDuration = getSlotDuration(this.options.snapDuration, this.options.slotDuration);
+
     if (this.options.timezones.length < 1) {
         this.options.timezones = [{
             timezoneOffset: Timezone.getOffset()
@@ -213,6 +277,22 @@ TimeGrid.prototype._beforeDestroy = function() {
     this.timerID = this._cacheParentViewModel = this.stickyContainer = null;
 };
 
+/**
+ * Start or stop the autoscroll for the dragging started outside of the time grid.
+ * @param {boolean} toStart - start the autoscroll when supplied "true"
+ */
+TimeGrid.prototype.toggleAutoScroll = function(toStart) {
+    if (!this._autoScroll) {
+        return;
+    }
+
+    if (toStart) {
+        this._autoScroll.start();
+    } else {
+        this._autoScroll.stop();
+    }
+};
+
 /**
  * @param {Date} [time] - date object to convert pixel in grids.
  * use **Date.now()** when not supplied.
@@ -252,14 +332,20 @@ TimeGrid.prototype._getHourmarkerViewModel = function(now, grids, range) {
     var viewModel;
 
     util.forEach(range, function(date, index) {
-        if (datetime.isSameDate(now, date)) {
+        if (!datetime.isSameDate(now, date)) {
+            return;
+        }
+
+        // today can have the adjacent columns of resources
+        if (todaymarkerLeft < 0) {
             todaymarkerLeft = grids[index] ? grids[index].left : 0;
-            todaymarkerWidth = grids[index] ? grids[index].width : 0;
+            todaymarkerWidth = 0;
         }
+        todaymarkerWidth += grids[index] ? grids[index].width : 0;
     });
 
     util.forEach(timezones, function(timezone) {
-        var timezoneDifference = timezone.timezoneOffset + primaryOffset;
+        var timezoneDifference = Timezone.getOffsetByTimezoneOption(timezone) + primaryOffset;
         var hourmarker = new TZDate(now);
         var dateDifference;
 
@@ -294,7 +380,8 @@ TimeGrid.prototype._getHourmarkerViewModel = function(now, grids, range) {
  */
 TimeGrid.prototype._getTimezoneViewModel = function(currentHours, timezonesCollapsed, styles) {
     var opt = this.options;
-    var primaryOffset = Timezone.getOffset();
+    var baseTime = getTimezoneBaseTime(opt, currentHours >= 0);
+    var primaryOffset = Timezone.getOffset(baseTime);
     var timezones = opt.timezones;
     var timezonesLength = timezones.length;
     var timezoneViewModel = [];
@@ -305,11 +392,12 @@ TimeGrid.prototype._getTimezoneViewModel = function(currentHours, timezonesColla
 
     util.forEach(timezones, function(timezone, index) {
         var hourmarker = new TZDate(now);
+        var timezoneOffset = Timezone.getOffsetByTimezoneOption(timezone, baseTime);
         var timezoneDifference;
         var timeSlots;
         var dateDifference;
 
-        timezoneDifference = timezone.timezoneOffset + primaryOffset;
+        timezoneDifference = timezoneOffset + primaryOffset;
         timeSlots = getHoursLabels(opt, currentHours >= 0, timezoneDifference, styles);
 
         hourmarker.setMinutes(hourmarker.getMinutes() + timezoneDifference);
@@ -322,7 +410,7 @@ TimeGrid.prototype._getTimezoneViewModel = function(currentHours, timezonesColla
         timezoneViewModel.push({
             timeSlots: timeSlots,
             displayLabel: timezone.displayLabel,
-            timezoneOffset: timezone.timezoneOffset,
+            timezoneOffset: timezoneOffset,
             tooltip: timezone.tooltip || '',
             width: width,
             left: collapsed ? 0 : (timezones.length - index - 1) * width,
@@ -354,6 +442,7 @@ TimeGrid.prototype._getBaseViewModel = function(viewModel) {
     return util.extend(baseViewModel, {
         timezones: this._getTimezoneViewModel(baseViewModel.todaymarkerLeft, timezonesCollapsed, styles),
         hoursLabels: getHoursLabels(opt, baseViewModel.todaymarkerLeft >= 0, 0, styles),
+        slotLines: util.range(1, getSlotCount(opt.slotDuration)),
         styles: styles,
         showTimezoneCollapseButton: util.pick(opt, 'showTimezoneCollapseButton'),
         timezonesCollapsed: timezonesCollapsed
@@ -366,8 +455,9 @@ TimeGrid.prototype._getBaseViewModel = function(viewModel) {
  * @param {object} grids grid information(width, left, day)
  * @param {HTMLElement} container Container element for each time view.
  * @param {Theme} theme - theme instance
+ * @param {Array.<object>} [columns] - columns of resources. viewModels are ordered by the columns.
  */
-TimeGrid.prototype._renderChildren = function(viewModels, grids, container, theme) {
+TimeGrid.prototype._renderChildren = function(viewModels, grids, container, theme, columns) {
     var self = this,
         options = this.options,
         childOption,
@@ -384,7 +474,10 @@ TimeGrid.prototype._renderChildren = function(viewModels, grids, container, them
     containerHeight = domutil.getSize(container.parentElement)[1];
 
     // reconcilation of child views
-    util.forEach(viewModels, function(schedules, ymd) {
+    util.forEach(viewModels, function(schedules, key) {
+        var column = columns ? columns[i] : null;
+        var ymd = column ? datetime.format(column.date, 'YYYYMMDD') : key;
+
         isToday = ymd === today;
 
         childOption = {
@@ -397,7 +490,10 @@ TimeGrid.prototype._renderChildren = function(viewModels, grids, container, them
             isFocused: options.isFocused,
             isReadOnly: options.isReadOnly,
             hourStart: options.hourStart,
-            hourEnd: options.hourEnd
+            hourEnd: options.hourEnd,
+            businessHours: options.businessHours,
+            snapDuration: options.snapDuration,
+            resource: column ? column.resource : null
         };
 
         child = new Time(
@@ -448,7 +544,8 @@ TimeGrid.prototype.render = function(viewModel) {
         timeViewModel,
         grids,
         domutil.find(config.classname('.timegrid-schedules-container'), container),
-        viewModel.theme
+        viewModel.theme,
+        viewModel.columns
     );
 
     this._hourLabels = domutil.find('ul', container);
@@ -628,6 +725,7 @@ TimeGrid.prototype._getStyles = function(theme, timezonesCollapsed) {
         styles.oneHourHeight = theme.week.timegridOneHour.height;
         styles.halfHourHeight = theme.week.timegridHalfHour.height;
         styles.quaterHourHeight = (parseInt(styles.halfHourHeight, 10) / 2) + 'px';
+        styles.slotHeight = this._getSlotHeight(styles.oneHourHeight, styles.halfHourHeight);
 
         styles.currentTimeColor = theme.week.currentTime.color;
         styles.currentTimeFontSize = theme.week.currentTime.fontSize;
@@ -653,6 +751,26 @@ TimeGrid.prototype._getStyles = function(theme, timezonesCollapsed) {
     return styles;
 };
 
+/**
+ * Get the height of a slot line in the grid lines of an hour.
+ * @param {string} oneHourHeight - height of an hour
+ * @param {string} halfHourHeight - height of a half hour line
+ * @returns {string} height
+ */
+TimeGrid.prototype._getSlotHeight = function(oneHourHeight, halfHourHeight) {
+    var slotDuration = this.options.slotDuration;
+    var numberAndUnit;
+
+    if (!slotDuration || slotDuration === config.time.defaultSlotDuration) {
+        return halfHourHeight;
+    }
+
+    // the slot lines have a border of 1px
+    numberAndUnit = common.parseUnit(oneHourHeight);
+
+    return ((numberAndUnit[0] * slotDuration / SIXTY_MINUTES) - 1) + numberAndUnit[1];
+};
+
 /**
  * @param {MouseEvent} event - mouse event object
  */
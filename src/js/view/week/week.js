@@ -20,6 +20,7 @@ var View = require('../view');
  * @param {string} [options.renderEndDate] End date of render.
  *  if not supplied then use +3d from today. YYYY-MM-DD format.
  * @param {string} [options.cssPrefix] - CSS classname prefix
+ * @param {Array.<object>} [options.resources] - resources to render the columns for each date
  * @param {HTMLElement} container The element to use container for this view.
  * @param {object} panels - schedule panels like 'milestone', 'task', 'allday', 'time'
  * @param {string} viewName - 'week', 'day'
@@ -33,6 +34,7 @@ function Week(controller, options, container, panels, viewName) {
     View.call(this, container);
 
     domutil.addClass(container, config.classname('week-container'));
+    container.setAttribute('role', 'grid');
 
     range = this._getRenderDateRange(new TZDate());
 
@@ -119,6 +121,9 @@ Week.prototype.render = function() {
         renderEndDate = range[range.length - 1];
     }
 
+    this.container.setAttribute('aria-label',
+        datetime.format(renderStartDate, 'YYYY.MM.DD') + ' - ' + datetime.format(renderEndDate, 'YYYY.MM.DD'));
+
     schedulesInDateRange = this.controller.findByDateRange(
         datetime.start(renderStartDate),
         datetime.end(renderEndDate),
@@ -134,15 +139,17 @@ Week.prototype.render = function() {
         workweek
     );
 
-    viewModel = {
+    viewModel = util.extend({
         schedulesInDateRange: schedulesInDateRange,
         renderStartDate: renderStartDate,
         renderEndDate: renderEndDate,
-        grids: grids,
-        range: range,
+        holidays: this.controller.findHolidaysByDateRange(
+            datetime.start(renderStartDate),
+            datetime.end(renderEndDate)
+        ),
         theme: theme,
         state: state
-    };
+    }, getColumnsViewModel(range, grids, options.resources));
 
     this.children.each(function(childView) {
         var matrices;
@@ -214,6 +221,55 @@ Week.prototype._getRenderDateRange = function(baseDate) {
     };
 };
 
+/**
+ * Get the columns of view.
+ * When there are resources, each date is split into the columns of resources.
+ * Then range and grids are for the columns and dateRange and dateGrids are for the dates.
+ * @param {Array.<TZDate>} range - dates to render
+ * @param {Array.<object>} grids - grids of dates
+ * @param {Array.<object>} [resources] - resources
+ * @returns {object} range, grids, dateRange, dateGrids and columns.
+ */
+function getColumnsViewModel(range, grids, resources) {
+    var columns = [];
+
+    if (!resources || !resources.length) {
+        return {
+            range: range,
+            grids: grids,
+            dateRange: range,
+            dateGrids: grids,
+            columns: null
+        };
+    }
+
+    util.forEachArray(range, function(date, dateIndex) {
+        var grid = grids[dateIndex];
+        var width = grid.width / resources.length;
+
+        util.forEachArray(resources, function(resource, resourceIndex) {
+            columns.push({
+                date: date,
+                dateIndex: dateIndex,
+                resource: resource,
+                grid: {
+                    day: grid.day,
+                    left: grid.left + (width * resourceIndex),
+                    width: width
+                }
+            });
+        });
+    });
+
+    return {
+        range: util.pluck(columns, 'date'),
+        grids: util.pluck(columns, 'grid'),
+        dateRange: range,
+        dateGrids: grids,
+        columns: columns
+    };
+}
+
 /**
  * disable options for day view
  * @param {WeekOptions} options - week options to disable
@@ -68,6 +68,14 @@ Weekday.prototype.getRenderDateGrids = function() {
     return this._cacheParentViewModel.grids;
 };
 
+/**
+ * Get the columns of resources. Each date is split into the columns when there are resources.
+ * @returns {?Array.<object>} columns of resources. null when there is no resource.
+ */
+Weekday.prototype.getRenderColumns = function() {
+    return this._cacheParentViewModel.columns || null;
+};
+
 /**
  * Get default view model.
  * @param {object} viewModel parent's view model
@@ -79,6 +87,7 @@ Weekday.prototype.getBaseViewModel = function(viewModel) {
     var gridWidth = (100 / range.length);
     var grids = viewModel.grids;
     var exceedDate = viewModel.exceedDate || {};
+    var holidays = viewModel.holidays || {};
     var theme = viewModel.theme;
     var now = new TZDate().toLocalTime();
 
@@ -93,6 +102,7 @@ Weekday.prototype.getBaseViewModel = function(viewModel) {
             var day = date.getDay();
             var ymd = datetime.format(new TZDate(date), 'YYYYMMDD');
             var isToday = datetime.isSameDate(now, date);
+            var holidaysOfDate = holidays[ymd] || [];
 
             return {
                 date: datetime.format(date, 'YYYY-MM-DD'),
@@ -101,9 +111,10 @@ Weekday.prototype.getBaseViewModel = function(viewModel) {
                 isToday: isToday,
                 ymd: ymd,
                 hiddenSchedules: exceedDate[ymd] || 0,
+                holidays: holidaysOfDate,
                 width: grids[index] ? grids[index].width : 0,
                 left: grids[index] ? grids[index].left : 0,
-                color: this._getDayNameColor(theme, day, isToday),
+                color: this._getDayNameColor(theme, day, isToday, false, holidaysOfDate.length > 0),
                 backgroundColor: this._getDayBackgroundColor(theme, day)
             };
         }, this)
@@ -171,13 +182,14 @@ Weekday.prototype._initExceedDate = function(range) {
  * @param {number} day - day number
  * @param {boolean} isToday - today flag
  * @param {boolean} isOtherMonth - not this month flag
+ * @param {boolean} [isHoliday] - the date has holidays
  * @returns {string} style - color style
  */
-Weekday.prototype._getDayNameColor = function(theme, day, isToday, isOtherMonth) {
+Weekday.prototype._getDayNameColor = function(theme, day, isToday, isOtherMonth, isHoliday) {
     var color = '';
 
     if (theme) {
-        if (day === 0) {
+        if (day === 0 || isHoliday) {
             color = isOtherMonth ? theme.month.holidayExceptThisMonth.color : theme.common.holiday.color;
         } else if (day === 6) {
             color = isOtherMonth ? theme.month.dayExceptThisMonth.color : theme.common.saturday.color;
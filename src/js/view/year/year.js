@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Year view. 12 mini months shaded by the density of schedules.
+ * @author NHN FE Development Lab <dl_javascript@nhn.com>
+ */
+'use strict';
+
+var util = require('tui-code-snippet');
+var datetime = require('../../common/datetime'),
+    TZDate = require('../../common/timezone').Date,
+    tmpl = require('../template/year/year.hbs'),
+    View = require('../view');
+var mceil = Math.ceil,
+    mmax = Math.max;
+
+/**
+ * count of the shading levels except for the empty date
+ * @type {number}
+ */
+var LEVEL_COUNT = 4;
+
+/**
+ * @constructor
+ * @extends {View}
+ * @param {object} options - options
+ * @param {object} [options.year] - year options
+ * @param {number} [options.year.startDayOfWeek=0] - start day of week
+ * @param {string[]} [options.year.daynames] - daynames to use upside of mini months
+ * @param {string} [options.year.density='count'] - value to shade the dates. 'count' or 'duration'
+ * @param {function} [options.year.scheduleFilter] - schedule filter
+ * @param {HTMLElement} container - container element
+ * @param {Base.Year} controller - controller instance
+ */
+function Year(options, container, controller) {
+    options = options || {};
+
+    View.call(this, container);
+
+    /**
+     * @type {Base.Year}
+     */
+    this.controller = controller;
+
+    /**
+     * @type {object}
+     */
+    this.options = util.extend({
+        renderStartDate: datetime.start(),
+        renderEndDate: datetime.end(),
+        startDayOfWeek: 0,
+        daynames: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+        density: 'count',
+        scheduleFilter: function(schedule) {
+            return Boolean(schedule.isVisible) &&
+                (schedule.category === 'allday' || schedule.category === 'time');
+        }
+    }, options.year);
+
+    /**
+     * rendered densities by YYYYMMDD
+     * @type {object.<string, {count: number, duration: number}>}
+     */
+    this._densities = {};
+}
+
+util.inherit(Year, View);
+
+/**
+ * Name of view. for managing subview at layout view
+ * @type {string}
+ */
+Year.prototype.viewName = 'year';
+
+/**
+ * Get the shading level of the value
+ * @param {number} value - count or duration of the date
+ * @param {number} maxValue - max value in the year
+ * @returns {number} level from 0 to 4. 0 is for the date without schedules.
+ */
+Year.prototype._getLevel = function(value, maxValue) {
+    if (!value || !maxValue) {
+        return 0;
+    }
+
+    return mceil(value / maxValue * LEVEL_COUNT);
+};
+
+/**
+ * Get the view model of a mini month
+ * @param {TZDate} month - first date of the month
+ * @param {number} maxValue - max value in the year
+ * @returns {object} view model which has title and weeks
+ */
+Year.prototype._getMonthViewModel = function(month, maxValue) {
+    var opt = this.options,
+        densities = this._densities,
+        today = datetime.format(new TZDate(), 'YYYYMMDD'),
+        self = this;
+
+    return {
+        title: datetime.format(month, 'YYYY.MM'),
+        weeks: util.map(datetime.arr2dCalendar(month, {
+            startDayOfWeek: opt.startDayOfWeek,
+            isAlways6Week: true
+        }), function(week) {
+            return util.map(week, function(date) {
+                var ymd = datetime.format(date, 'YYYYMMDD'),
+                    density = densities[ymd] || {
+                        count: 0,
+                        duration: 0
+                    };
+
+                return {
+                    ymd: datetime.format(date, 'YYYY-MM-DD'),
+                    date: date.getDate(),
+                    isOtherMonth: date.getMonth() !== month.getMonth(),
+                    isToday: ymd === today,
+                    count: density.count,
+                    level: self._getLevel(density[opt.density], maxValue)
+                };
+            });
+        })
+    };
+};
+
+/**
+ * Render year view
+ * @override
+ */
+Year.prototype.render = function() {
+    var opt = this.options,
+        year = new TZDate(opt.renderStartDate).getFullYear(),
+        maxValue = 0,
+        daynames = util.map(util.range(opt.startDayOfWeek, opt.startDayOfWeek + 7), function(day) {
+            return opt.daynames[day % 7];
+        });
+
+    this._densities = this.controller.getDensity(
+        new TZDate(year, 0, 1),
+        datetime.end(new TZDate(year, 11, 31)),
+        [opt.scheduleFilter]
+    );
+
+    util.forEach(this._densities, function(density) {
+        maxValue = mmax(maxValue, density[opt.density] || 0);
+    });
+
+    this.container.innerHTML = tmpl({
+        daynames: daynames,
+        months: util.map(util.range(12), function(month) {
+            return this._getMonthViewModel(new TZDate(year, month, 1), maxValue);
+        }, this)
+    });
+    this.container.setAttribute('aria-label', String(year));
+};
+
+/**
+ * Get the density of the rendered date
+ * @param {string} ymd - date string by format 'YYYY-MM-DD'
+ * @returns {{count: number, duration: number}} density
+ */
+Year.prototype.getDensity = function(ymd) {
+    return this._densities[ymd.replace(/-/g, '')] || {
+        count: 0,
+        duration: 0
+    };
+};
+
+module.exports = Year;
@@ -0,0 +1,133 @@
+'use strict';
+
+var util = require('tui-code-snippet');
+var businessHours = require('common/businessHours');
+var datetime = require('common/datetime');
+var TZDate = require('common/timezone').Date;
+
+describe('module:businessHours', function() {
+    var hours = [{
+        start: '13:00',
+        end: '18:00'
+    }, {
+        start: '09:00',
+        end: '12:00'
+    }, {
+        daysOfWeek: [6],
+        start: '10:00',
+        end: '14:00'
+    }];
+
+    function format(range) {
+        return range && util.map(range, function(date) {
+            return datetime.format(date, 'HH:mm');
+        });
+    }
+
+    describe('getRanges()', function() {
+        it('get the sorted ranges of the weekday.', function() {
+            var ranges = businessHours.getRanges(hours, new TZDate(2019, 11, 2));
+
+            expect(util.map(ranges, format)).toEqual([
+                ['09:00', '12:00'],
+                ['13:00', '18:00']
+            ]);
+        });
+
+        it('use the days of week of the business hours.', function() {
+            expect(util.map(businessHours.getRanges(hours, new TZDate(2019, 11, 7)), format)).toEqual([
+                ['10:00', '14:00']
+            ]);
+            expect(businessHours.getRanges(hours, new TZDate(2019, 11, 8))).toEqual([]);
+        });
+    });
+
+    describe('getNonBusinessBlocks()', function() {
+        it('get the percent blocks of the non-business time between the render hours.', function() {
+            var blocks = businessHours.getNonBusinessBlocks(hours, new TZDate(2019, 11, 2), 8, 20);
+
+            // 08:00~09:00, 12:00~13:00, 18:00~20:00 of 12 hours
+            expect(util.map(blocks, function(block) {
+                return [Math.round(block.top * 12), Math.round(block.height * 12)];
+            })).toEqual([
+                [0, 100],
+                [400, 100],
+                [1000, 200]
+            ]);
+        });
+
+        it('shade the whole day which has no business hours.', function() {
+            expect(businessHours.getNonBusinessBlocks(hours, new TZDate(2019, 11, 8), 0, 24)).toEqual([{
+                top: 0,
+                height: 100
+            }]);
+        });
+
+        it('return no blocks without the business hours.', function() {
+            expect(businessHours.getNonBusinessBlocks(null, new TZDate(2019, 11, 2), 0, 24)).toEqual([]);
+        });
+    });
+
+    describe('applyConstraint()', function() {
+        var options;
+
+        beforeEach(function() {
+            options = {
+                constraint: 'businessHours',
+                businessHours: hours
+            };
+        });
+
+        it('allow the range in the business hours.', function() {
+            var start = new TZDate(2019, 11, 2, 9);
+            var end = new TZDate(2019, 11, 2, 10);
+
+            expect(businessHours.applyConstraint(options, start, end)).toEqual([start, end]);
+        });
+
+        it('refuse the range out of the business hours.', function() {
+            expect(businessHours.applyConstraint(
+                options,
+                new TZDate(2019, 11, 2, 11),
+                new TZDate(2019, 11, 2, 13)
+            )).toBeNull();
+        });
+
+        it('snap the range into the business hours when snapToConstraint is true.', function() {
+            var start = new TZDate(2019, 11, 2, 8);
+            var end = new TZDate(2019, 11, 2, 10);
+
+            options.snapToConstraint = true;
+
+            expect(format(businessHours.applyConstraint(options, start, end, false))).toEqual(['09:00', '10:00']);
+            expect(format(businessHours.applyConstraint(options, start, end, true))).toEqual(['09:00', '11:00']);
+        });
+
+        it('allow every range without the constraint.', function() {
+            var start = new TZDate(2019, 11, 8, 1);
+            var end = new TZDate(2019, 11, 8, 2);
+
+            expect(businessHours.applyConstraint({businessHours: hours}, start, end)).toEqual([start, end]);
+        });
+
+        it('refuse the range when the constraint function returns false.', function() {
+            var schedule = {id: '1'};
+            var constraint = jasmine.createSpy('constraint').and.returnValue(false);
+
+            options.constraint = constraint;
+
+            expect(businessHours.applyConstraint(
+                options,
+                new TZDate(2019, 11, 2, 9),
+                new TZDate(2019, 11, 2, 10),
+                true,
+                schedule
+            )).toBeNull();
+            expect(constraint).toHaveBeenCalledWith(
+                new TZDate(2019, 11, 2, 9),
+                new TZDate(2019, 11, 2, 10),
+                schedule
+            );
+        });
+    });
+});
@@ -0,0 +1,138 @@
+'use strict';
+
+var EventSource = require('common/eventSource');
+var Schedule = require('model/schedule');
+
+describe('common/EventSource', function() {
+    var DAY = 24 * 60 * 60 * 1000;
+
+    it('getGaps() returns the period only at first for the static list and the url.', function() {
+        var source = new EventSource({
+            id: 'team',
+            schedules: []
+        });
+        var gaps = source.getGaps(0, 7 * DAY);
+
+        expect(gaps).toEqual([{
+            start: 0,
+            end: 7 * DAY
+        }]);
+
+        source.add(gaps[0]);
+        expect(source.getGaps(7 * DAY, 14 * DAY)).toEqual([]);
+
+        source.remove(gaps[0]);
+        expect(source.getGaps(7 * DAY, 14 * DAY).length).toBe(1);
+    });
+
+    it('getGaps() returns the ranges which are not fetched yet for the feed function.', function() {
+        var source = new EventSource({
+            id: 'team',
+            events: function() {}
+        });
+
+        source.add(source.getGaps(0, 7 * DAY)[0]);
+
+        expect(source.getGaps(0, 14 * DAY)).toEqual([{
+            start: 7 * DAY,
+            end: 14 * DAY
+        }]);
+    });
+
+    it('request() calls the feed function with the range or fetches the url.', function() {
+        var events = jasmine.createSpy('events');
+        var fetchICS = jasmine.createSpy('fetchICS');
+
+        new EventSource({
+            id: 'team',
+            events: events
+        }).request({
+            start: 0,
+            end: DAY
+        });
+        expect(events.calls.argsFor(0)[0].getTime()).toBe(0);
+        expect(events.calls.argsFor(0)[1].getTime()).toBe(DAY - 1);
+
+        new EventSource({
+            id: 'holidays',
+            url: '/holidays.ics'
+        }).request({
+            start: 0,
+            end: DAY
+        }, fetchICS);
+        expect(fetchICS).toHaveBeenCalledWith('/holidays.ics');
+    });
+
+    it('request() keeps the response of the url which arrives before the handlers are given.', function(done) {
+        var request;
+
+        jasmine.Ajax.install();
+        request = new EventSource({
+            id: 'holidays',
+            url: '/holidays.ics'
+        }).request({
+            start: 0,
+            end: DAY
+        });
+        jasmine.Ajax.requests.mostRecent().respondWith({
+            status: 200,
+            responseText: 'BEGIN:VCALENDAR'
+        });
+        jasmine.Ajax.uninstall();
+
+        request.then(function(text) {
+            expect(text).toBe('BEGIN:VCALENDAR');
+            done();
+        });
+    });
+
+    it('parse() makes the schedules belong to the source and hidden when the source is hidden.', function() {
+        var source = new EventSource({
+            id: 'holidays',
+            isVisible: false
+        });
+        var schedules = source.parse([
+            'BEGIN:VCALENDAR',
+            'BEGIN:VEVENT',
+            'UID:christmas',
+            'DTSTART;VALUE=DATE:20191225',
+            'DTEND;VALUE=DATE:20191226',
+            'SUMMARY:Christmas Day',
+            'END:VEVENT',
+            'END:VCALENDAR'
+        ].join('\r\n'));
+
+        expect(schedules.length).toBe(1);
+        expect(schedules[0].calendarId).toBe('holidays');
+        expect(schedules[0].isVisible).toBe(false);
+
+        expect(source.parse([{
+            id: '1',
+            calendarId: 'other'
+        }])[0].calendarId).toBe('holidays');
+        expect(new EventSource({}).parse([{
+            id: '1',
+            calendarId: 'other'
+        }])[0].calendarId).toBe('other');
+    });
+
+    it('reset() returns the added schedules and ignores the old requests.', function() {
+        var source = new EventSource({
+            id: 'team',
+            schedules: []
+        });
+        var schedule = Schedule.create({
+            id: '1',
+            calendarId: 'team'
+        });
+        var version = source.version;
+
+        source.add(source.getGaps(0, DAY)[0]);
+        source.addModels([schedule, null]);
+
+        expect(source.reset()).toEqual([schedule]);
+        expect(source.version).not.toBe(version);
+        expect(source.getGaps(0, DAY).length).toBe(1);
+        expect(source.reset()).toEqual([]);
+    });
+});
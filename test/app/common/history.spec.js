@@ -0,0 +1,116 @@
+'use strict';
+
+var History = require('common/history');
+
+describe('common/history', function() {
+    var history;
+
+    beforeEach(function() {
+        history = new History(2);
+    });
+
+    it('move the steps between the undo and redo stacks.', function() {
+        history.push({id: 1});
+        history.push({id: 2});
+
+        expect(history.undo()).toEqual([{id: 2}]);
+        expect(history.canRedo()).toBe(true);
+        expect(history.redo()).toEqual([{id: 2}]);
+        expect(history.redo()).toBeNull();
+    });
+
+    it('clear the redo steps when a new operation is recorded.', function() {
+        history.push({id: 1});
+        history.undo();
+        history.push({id: 2});
+
+        expect(history.canRedo()).toBe(false);
+        expect(history.undo()).toEqual([{id: 2}]);
+    });
+
+    it('drop the oldest steps over the size.', function() {
+        history.push({id: 1});
+        history.push({id: 2});
+        history.push({id: 3});
+
+        expect(history.undo()).toEqual([{id: 3}]);
+        expect(history.undo()).toEqual([{id: 2}]);
+        expect(history.canUndo()).toBe(false);
+    });
+
+    it('record the operations between startGroup() and endGroup() as one step.', function() {
+        history.startGroup();
+        history.push({id: 1});
+        history.startGroup();
+        history.push({id: 2});
+        history.endGroup();
+
+        expect(history.canUndo()).toBe(false);
+
+        history.endGroup();
+
+        expect(history.undo()).toEqual([{id: 1}, {id: 2}]);
+    });
+
+    it('ignore() does not record the operations in the function.', function() {
+        history.ignore(function() {
+            history.push({id: 1});
+        });
+
+        expect(history.canUndo()).toBe(false);
+    });
+
+    it('collect() puts the operations in the function into the list instead of recording them.', function() {
+        var operations = [];
+
+        history.setSize(0);
+        history.collect(operations, function() {
+            history.group(function() {
+                history.push({id: 1});
+                history.push({id: 2});
+            });
+            history.ignore(function() {
+                history.push({id: 3});
+            });
+        });
+        history.setSize(2);
+        history.push({id: 4});
+
+        expect(operations).toEqual([{id: 1}, {id: 2}]);
+        expect(history.undo()).toEqual([{id: 4}]);
+        expect(history.canUndo()).toBe(false);
+    });
+
+    it('cancel() moves the step back when applying it failed.', function() {
+        var step;
+
+        history.push({id: 1});
+        step = history.undo();
+        history.cancel(step, 'undo');
+
+        expect(history.canRedo()).toBe(false);
+        expect(history.redo()).toBeNull();
+
+        history.cancel(step, 'undo');
+        expect(history.undo()).toEqual([{id: 1}]);
+    });
+
+    it('ignore() and group() restore the recording even when the function throws.', function() {
+        var throwError = function() {
+            history.push({id: 1});
+            throw new Error('handler error');
+        };
+
+        expect(function() {
+            history.ignore(throwError);
+        }).toThrow();
+        expect(function() {
+            history.group(throwError);
+        }).toThrow();
+
+        history.push({id: 2});
+
+        expect(history.undo()).toEqual([{id: 2}]);
+        expect(history.undo()).toEqual([{id: 1}]);
+    });
+});
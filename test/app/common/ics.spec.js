@@ -0,0 +1,223 @@
+'use strict';
+
+var util = require('tui-code-snippet');
+var ics = require('common/ics');
+var rrule = require('common/rrule');
+var Schedule = require('model/schedule');
+var TZDate = require('common/timezone').Date;
+
+describe('module:ics', function() {
+    var CRLF = '\r\n';
+
+    function loadICS(name) {
+        return fixture.load(name).lines.join(CRLF);
+    }
+
+    function createSchedules(dataList) {
+        return util.map(dataList, function(data) {
+            return Schedule.create(data);
+        });
+    }
+
+    afterEach(function() {
+        fixture.cleanup();
+    });
+
+    describe('parse()', function() {
+        it('parse VEVENT of Google Calendar export with recurrence, exception and VALARM.', function() {
+            var dataList = ics.parse(loadICS('ics_google.json'), '1');
+            var master = dataList[0];
+            var exception = dataList[1];
+            var allday = dataList[2];
+
+            expect(dataList.length).toBe(3);
+
+            expect(master.id).toBe('weekly-sync@google.com');
+            expect(master.calendarId).toBe('1');
+            expect(master.title).toBe('Weekly sync');
+            expect(master.body).toBe('Agenda:\n- status\n- blockers');
+            expect(master.location).toBe('Room 1, 3F');
+            expect(master.state).toBe('Busy');
+            expect(master.start.getTime()).toBe(Date.UTC(2019, 0, 7, 0, 30));
+            expect(master.end.getTime()).toBe(Date.UTC(2019, 0, 7, 1, 0));
+            expect(master.startTimezone).toBe('Asia/Seoul');
+            expect(master.endTimezone).toBe('Asia/Seoul');
+            expect(master.recurrenceRule).toBe([
+                'RRULE:FREQ=WEEKLY;COUNT=10;BYDAY=MO,WE',
+                'EXDATE:' + rrule.formatDateValue(new TZDate(new Date(Date.UTC(2019, 0, 9, 0, 30)))),
+                'EXDATE:' + rrule.formatDateValue(new TZDate(new Date(Date.UTC(2019, 0, 14, 0, 30))))
+            ].join('\n'));
+            expect(master.alarms).toEqual([{
+                action: 'DISPLAY',
+                trigger: '-P0DT0H10M0S',
+                description: 'This is an event reminder'
+            }]);
+
+            expect(exception.masterId).toBe('weekly-sync@google.com');
+            expect(exception.recurrenceId.getTime()).toBe(Date.UTC(2019, 0, 14, 0, 30));
+            expect(exception.id).toBe('weekly-sync@google.com_' + rrule.formatDateValue(exception.recurrenceId));
+
+            expect(allday.isAllDay).toBe(true);
+            expect(allday.category).toBe('allday');
+            expect(allday.start).toEqual(new TZDate(2019, 0, 10));
+            expect(allday.end).toEqual(new TZDate(2019, 0, 11));
+            expect(allday.attendees).toEqual(['Kim Minsu', 'lee@example.com']);
+            expect(allday.isPrivate).toBe(true);
+            expect(allday.state).toBe('Free');
+        });
+
+        it('parse UTC date-time of Outlook export and VTODO as task.', function() {
+            var dataList = ics.parse(loadICS('ics_outlook.json'), '2');
+            var event = dataList[0];
+            var task = dataList[1];
+
+            expect(event.title).toBe('Review');
+            expect(event.body).toBe('Quarterly review; bring the numbers');
+            expect(event.start.getTime()).toBe(Date.UTC(2019, 0, 15, 5, 0));
+            expect(event.end.getTime()).toBe(Date.UTC(2019, 0, 15, 7, 0));
+            expect(event.isPrivate).toBe(true);
+            expect(event.alarms[0].trigger).toBe('-PT15M');
+
+            expect(event.startTimezone).toBeUndefined();
+
+            expect(task.category).toBe('task');
+            expect(task.start).toEqual(new TZDate(2019, 0, 11, 9, 0));
+            expect(task.end).toEqual(new TZDate(2019, 0, 11, 18, 0));
+        });
+
+        it('read the date-time with unknown TZID as the floating time.', function() {
+            var data = ics.parse([
+                'BEGIN:VCALENDAR',
+                'BEGIN:VEVENT',
+                'UID:sync',
+                'DTSTART;TZID=Pacific Standard Time:20190107T093000',
+                'DTEND;TZID=Pacific Standard Time:20190107T100000',
+                'END:VEVENT',
+                'END:VCALENDAR'
+            ].join(CRLF))[0];
+
+            expect(data.start).toEqual(new TZDate(2019, 0, 7, 9, 30));
+            expect(data.startTimezone).toBeUndefined();
+        });
+    });
+
+    describe('stringify()', function() {
+        beforeEach(function() {
+            jasmine.clock().install();
+            jasmine.clock().mockDate(new Date(Date.UTC(2019, 0, 1)));
+        });
+
+        afterEach(function() {
+            jasmine.clock().uninstall();
+        });
+
+        it('serialize schedules as fixture.', function() {
+            var schedules = createSchedules(ics.parse(loadICS('ics_google.json'), '1'));
+
+            expect(ics.stringify(schedules)).toBe(loadICS('ics_export.json') + CRLF);
+        });
+
+        it('round-trip schedules without losing data.', function() {
+            var schedules = createSchedules([{
+                id: 'milestone',
+                calendarId: '1',
+                title: 'Release, v2; "final"',
+                body: 'line1\nline2 \\ backslash',
+                category: 'milestone',
+                start: new TZDate(2019, 1, 1, 10, 0),
+                end: new TZDate(2019, 1, 1, 11, 0),
+                location: 'Seoul',
+                attendees: ['ghost@example.com', 'Park'],
+                state: 'Free',
+                isPrivate: true,
+                isReadOnly: true,
+                recurrenceRule: 'every month',
+                color: '#fff',
+                bgColor: '#9e5fff',
+                dragBgColor: '#9e5fff',
+                borderColor: '#00a9ff',
+                customStyle: 'font-weight: bold; color: red',
+                goingDuration: 30,
+                comingDuration: 15,
+                raw: {
+                    memo: 'bring the laptop, charger',
+                    creator: {name: 'Kim'}
+                }
+            }, {
+                id: 'task',
+                calendarId: '1',
+                resourceId: 'room-1',
+                title: 'Task',
+                category: 'task',
+                dueDateClass: 'morning',
+                start: new TZDate(2019, 1, 2, 9, 0),
+                end: new TZDate(2019, 1, 2, 9, 30),
+                alarms: [{
+                    action: 'DISPLAY',
+                    trigger: '-PT30M',
+                    description: 'Task'
+                }],
+                raw: 'plain text'
+            }]);
+            var dataList = ics.parse(ics.stringify(schedules), '1');
+
+            expect(dataList.length).toBe(schedules.length);
+            util.forEach(dataList, function(data, index) {
+                var expected = schedules[index].parameterize();
+                var actual = Schedule.create(data).parameterize();
+
+                delete expected.__fe_id;
+                delete actual.__fe_id;
+
+                expect(actual).toEqual(expected);
+            });
+        });
+
+        it('keep the attendee without e-mail address as X-TUI-ATTENDEE.', function() {
+            var text = ics.stringify(createSchedules([{
+                id: 'meeting',
+                title: 'Meeting',
+                start: new TZDate(2019, 1, 1, 10, 0),
+                end: new TZDate(2019, 1, 1, 11, 0),
+                attendees: ['Park, "PM"', 'lee@example.com']
+            }]));
+
+            expect(text).toContain('X-TUI-ATTENDEE:Park\\, "PM"' + CRLF + 'ATTENDEE:mailto:lee@example.com' + CRLF);
+            expect(text).not.toContain('invalid:nomail');
+            expect(ics.parse(text)[0].attendees).toEqual(['Park, "PM"', 'lee@example.com']);
+        });
+
+        it('serialize the date-time as UTC when the schedule has no timezone.', function() {
+            var until = new TZDate(new Date(Date.UTC(2019, 1, 5, 0, 30)));
+            var schedules = createSchedules([{
+                id: 'daily',
+                title: 'stand-up',
+                start: new TZDate(new Date(Date.UTC(2019, 1, 1, 0, 30))),
+                end: new TZDate(new Date(Date.UTC(2019, 1, 1, 1, 0))),
+                recurrenceRule: 'RRULE:FREQ=DAILY;UNTIL=' + rrule.formatDateValue(until)
+            }]);
+            var text = ics.stringify(schedules);
+
+            expect(text).toContain('DTSTART:20190201T003000Z' + CRLF);
+            expect(text).toContain('DTEND:20190201T010000Z' + CRLF);
+            expect(text).toContain('RRULE:FREQ=DAILY;UNTIL=20190205T003000Z' + CRLF);
+            expect(ics.parse(text)[0].start.getTime()).toBe(Date.UTC(2019, 1, 1, 0, 30));
+        });
+
+        it('fold content lines longer than 75 octets.', function() {
+            var schedules = createSchedules([{
+                id: 'long',
+                title: new Array(21).join('일정'),
+                start: new TZDate(2019, 1, 1, 10, 0),
+                end: new TZDate(2019, 1, 1, 11, 0)
+            }]);
+            var lines = ics.stringify(schedules).split(CRLF);
+            var summary = util.filter(lines, function(line) {
+                return line.indexOf('SUMMARY:') === 0;
+            })[0];
+
+            expect(summary).toBe('SUMMARY:' + new Array(12).join('일정'));
+            expect(ics.parse(lines.join(CRLF))[0].title).toBe(new Array(21).join('일정'));
+        });
+    });
+});
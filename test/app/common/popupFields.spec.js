@@ -0,0 +1,135 @@
+'use strict';
+
+var popupFields = require('common/popupFields');
+var Schedule = require('model/schedule');
+
+describe('module:popupFields', function() {
+    var fields, schedule;
+
+    beforeEach(function() {
+        fields = [{
+            name: 'room',
+            type: 'select',
+            required: true,
+            options: [{
+                value: 'A',
+                label: 'Room A'
+            }, {
+                value: 'B',
+                label: 'Room B'
+            }]
+        }, {
+            name: 'attendees',
+            type: 'attendees',
+            label: 'Attendees',
+            property: 'attendees'
+        }, {
+            name: 'online',
+            type: 'checkbox',
+            label: 'Online',
+            defaultValue: true
+        }, {
+            name: 'phone',
+            validate: function(value) {
+                return /^[0-9-]*$/.test(value) ? '' : 'Only numbers are allowed.';
+            }
+        }];
+        schedule = Schedule.create({
+            title: 'meeting',
+            attendees: ['Kim', 'Lee'],
+            raw: {
+                class: 'public',
+                room: 'B'
+            }
+        });
+    });
+
+    it('getViewModels() makes the values of the new schedule from the default values.', function() {
+        var viewModels = popupFields.getViewModels(fields);
+
+        expect(viewModels[0].isSelect).toBe(true);
+        expect(viewModels[0].label).toBe('room');
+        expect(viewModels[0].options[0].selected).toBe(false);
+        expect(viewModels[1].isSelect).toBe(false);
+        expect(viewModels[1].value).toBe('');
+        expect(viewModels[2].value).toBe(true);
+    });
+
+    it('getViewModels() reads the values from the raw and the named properties of the schedule.', function() {
+        var viewModels = popupFields.getViewModels(fields, schedule);
+
+        expect(viewModels[0].options[1].selected).toBe(true);
+        expect(viewModels[1].value).toBe('Kim, Lee');
+        expect(viewModels[2].value).toBe(false);
+    });
+
+    it('getDetailViewModels() shows the labels of the options and skips the empty fields.', function() {
+        expect(popupFields.getDetailViewModels(fields, schedule)).toEqual([{
+            label: 'room',
+            text: 'Room B',
+            color: ''
+        }, {
+            label: 'Attendees',
+            text: 'Kim, Lee',
+            color: ''
+        }]);
+    });
+
+    it('validate() returns the first field which is empty or has the error message.', function() {
+        var values = {
+            room: '',
+            attendees: [],
+            online: false,
+            phone: 'abc'
+        };
+
+        expect(popupFields.validate(fields, values)).toEqual({
+            message: '',
+            fields: {
+                room: ''
+            }
+        });
+
+        values.room = 'A';
+        expect(popupFields.validate(fields, values)).toEqual({
+            message: '',
+            fields: {
+                phone: 'Only numbers are allowed.'
+            }
+        });
+
+        values.phone = '010-1234';
+        expect(popupFields.validate(fields, values)).toBeNull();
+    });
+
+    it('assign() and getChanges() store the values into the raw or the named properties.', function() {
+        var values = {
+            room: 'A',
+            attendees: ['Kim', 'Lee'],
+            online: true,
+            phone: ''
+        };
+
+        expect(popupFields.assign(fields, values, {
+            raw: {
+                class: 'private'
+            }
+        })).toEqual({
+            attendees: ['Kim', 'Lee'],
+            raw: {
+                class: 'private',
+                room: 'A',
+                online: true,
+                phone: ''
+            }
+        });
+
+        expect(popupFields.getChanges(fields, schedule, values)).toEqual({
+            raw: {
+                class: 'public',
+                room: 'A',
+                online: true
+            }
+        });
+    });
+});
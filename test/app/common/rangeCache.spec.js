@@ -0,0 +1,72 @@
+'use strict';
+
+var RangeCache = require('common/rangeCache');
+
+describe('common/RangeCache', function() {
+    var DAY = 24 * 60 * 60 * 1000;
+    var cache;
+
+    beforeEach(function() {
+        cache = new RangeCache(10);
+    });
+
+    it('getGaps() returns the parts of the range which are not cached.', function() {
+        expect(cache.getGaps(0, 7 * DAY)).toEqual([{
+            start: 0,
+            end: 7 * DAY
+        }]);
+
+        cache.add(0, 7 * DAY);
+        expect(cache.getGaps(0, 7 * DAY)).toEqual([]);
+        expect(cache.getGaps(3 * DAY, 10 * DAY)).toEqual([{
+            start: 7 * DAY,
+            end: 10 * DAY
+        }]);
+
+        cache.add(14 * DAY, 21 * DAY);
+        expect(cache.getGaps(-2 * DAY, 28 * DAY)).toEqual([{
+            start: -2 * DAY,
+            end: 0
+        }, {
+            start: 7 * DAY,
+            end: 14 * DAY
+        }, {
+            start: 21 * DAY,
+            end: 28 * DAY
+        }]);
+    });
+
+    it('remove() makes the range requested again.', function() {
+        cache.add(0, 7 * DAY);
+        cache.remove(0, 7 * DAY);
+
+        expect(cache.getGaps(0, 7 * DAY).length).toBe(1);
+        expect(cache.has(DAY, 2 * DAY)).toBe(false);
+    });
+
+    it('evict() removes the least recently used ranges over the max days except the kept period.', function() {
+        var evicted;
+
+        cache.add(0, 4 * DAY);
+        cache.getGaps(10 * DAY, 14 * DAY);
+        cache.add(10 * DAY, 14 * DAY);
+        cache.getGaps(20 * DAY, 24 * DAY);
+        cache.add(20 * DAY, 24 * DAY);
+        cache.getGaps(0, 4 * DAY);
+
+        evicted = cache.evict(20 * DAY, 24 * DAY);
+        expect(evicted.length).toBe(1);
+        expect(evicted[0].start).toBe(10 * DAY);
+        expect(evicted[0].end).toBe(14 * DAY);
+        expect(cache.has(0, DAY)).toBe(true);
+        expect(cache.has(11 * DAY, 12 * DAY)).toBe(false);
+        expect(cache.evict(20 * DAY, 24 * DAY)).toEqual([]);
+    });
+
+    it('evict() does nothing when the max days is 0.', function() {
+        cache = new RangeCache(0);
+        cache.add(0, 400 * DAY);
+
+        expect(cache.evict(0, DAY)).toEqual([]);
+    });
+});
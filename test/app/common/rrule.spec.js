@@ -0,0 +1,119 @@
+'use strict';
+
+var util = require('tui-code-snippet');
+var rrule = require('common/rrule');
+var datetime = require('common/datetime');
+var TZDate = require('common/timezone').Date;
+
+describe('module:rrule', function() {
+    var HOUR = datetime.MILLISECONDS_PER_HOUR;
+
+    function between(str, dtstart, start, end) {
+        var dates = rrule.between(
+            rrule.parse(str),
+            new TZDate(dtstart),
+            new TZDate(start),
+            new TZDate(end),
+            HOUR
+        );
+
+        return util.map(dates, function(date) {
+            return datetime.format(date, 'YYYY-MM-DD HH:mm');
+        });
+    }
+
+    describe('parse()', function() {
+        it('parse rule parts with or without "RRULE:" prefix', function() {
+            var rule = rrule.parse('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,-1FR;COUNT=10');
+
+            expect(rule.freq).toBe('WEEKLY');
+            expect(rule.interval).toBe(2);
+            expect(rule.count).toBe(10);
+            expect(rule.byday).toEqual([{
+                day: 1,
+                nth: 0
+            }, {
+                day: 5,
+                nth: -1
+            }]);
+
+            expect(rrule.parse('FREQ=DAILY').freq).toBe('DAILY');
+        });
+
+        it('parse EXDATE line', function() {
+            var rule = rrule.parse('FREQ=DAILY\nEXDATE:20190102T090000,20190104');
+
+            expect(rule.exdate.length).toBe(2);
+            expect(datetime.format(rule.exdate[0], 'YYYY-MM-DD HH:mm')).toBe('2019-01-02 09:00');
+            expect(datetime.format(rule.exdate[1], 'YYYY-MM-DD')).toBe('2019-01-04');
+        });
+
+        it('return null when the rule is not a valid RRULE', function() {
+            expect(rrule.parse('every day')).toBeNull();
+            expect(rrule.parse('FREQ=SOMETIMES')).toBeNull();
+            expect(rrule.parse('')).toBeNull();
+        });
+    });
+
+    describe('stringify()', function() {
+        it('make RRULE string from rule object', function() {
+            var str = 'RRULE:FREQ=MONTHLY;INTERVAL=2;BYDAY=1MO,-1FR;BYSETPOS=1\nEXDATE:20190101T090000';
+
+            expect(rrule.stringify(rrule.parse(str))).toBe(str);
+        });
+    });
+
+    describe('between()', function() {
+        it('COUNT limits occurrences including DTSTART', function() {
+            expect(between('FREQ=DAILY;COUNT=3', '2019-01-01T09:00:00', '2019-01-01T00:00:00', '2019-12-31T00:00:00'))
+                .toEqual(['2019-01-01 09:00', '2019-01-02 09:00', '2019-01-03 09:00']);
+        });
+
+        it('UNTIL limits occurrences', function() {
+            expect(between('FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20190116T235959',
+                '2019-01-07T09:00:00', '2019-01-01T00:00:00', '2019-12-31T00:00:00'))
+                .toEqual(['2019-01-07 09:00', '2019-01-09 09:00', '2019-01-14 09:00', '2019-01-16 09:00']);
+        });
+
+        it('UNTIL of DATE value includes the occurrences of that day', function() {
+            expect(between('FREQ=DAILY;UNTIL=20190105',
+                '2019-01-03T09:00:00', '2019-01-01T00:00:00', '2019-12-31T00:00:00'))
+                .toEqual(['2019-01-03 09:00', '2019-01-04 09:00', '2019-01-05 09:00']);
+        });
+
+        it('INTERVAL skips periods', function() {
+            expect(between('FREQ=WEEKLY;INTERVAL=2;BYDAY=TU',
+                '2019-01-01T09:00:00', '2019-03-01T00:00:00', '2019-03-31T00:00:00'))
+                .toEqual(['2019-03-12 09:00', '2019-03-26 09:00']);
+        });
+
+        it('BYSETPOS picks occurrences in each period', function() {
+            expect(between('FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1;COUNT=3',
+                '2019-01-31T09:00:00', '2019-01-01T00:00:00', '2019-12-31T00:00:00'))
+                .toEqual(['2019-01-31 09:00', '2019-02-28 09:00', '2019-03-29 09:00']);
+        });
+
+        it('skip months which do not have BYMONTHDAY', function() {
+            expect(between('FREQ=MONTHLY;BYMONTHDAY=31',
+                '2019-01-31T09:00:00', '2019-01-01T00:00:00', '2019-06-30T00:00:00'))
+                .toEqual(['2019-01-31 09:00', '2019-03-31 09:00', '2019-05-31 09:00']);
+        });
+
+        it('nth weekday of month in yearly rule', function() {
+            expect(between('FREQ=YEARLY;BYMONTH=11;BYDAY=4TH',
+                '2019-11-28T09:00:00', '2019-01-01T00:00:00', '2021-12-31T00:00:00'))
+                .toEqual(['2019-11-28 09:00', '2020-11-26 09:00', '2021-11-25 09:00']);
+        });
+
+        it('exclude EXDATE occurrences', function() {
+            expect(between('FREQ=DAILY\nEXDATE:20190102T090000,20190104',
+                '2019-01-01T09:00:00', '2019-01-01T00:00:00', '2019-01-05T23:00:00'))
+                .toEqual(['2019-01-01 09:00', '2019-01-03 09:00', '2019-01-05 09:00']);
+        });
+
+        it('return occurrences in range only for rule which has no end', function() {
+            expect(between('FREQ=DAILY', '2015-01-01T09:00:00', '2019-01-01T00:00:00', '2019-01-02T23:00:00'))
+                .toEqual(['2019-01-01 09:00', '2019-01-02 09:00']);
+        });
+    });
+});
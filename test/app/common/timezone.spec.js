@@ -194,6 +194,49 @@ describe('module:timezone TZDate', function() {
         expect(tzdate.getFullYear()).toBe(2010);
     });
 
+    describe('with timezoneName option', function() {
+        beforeEach(function() {
+            tz.setPrimaryTimezoneByOption({
+                timezoneName: 'Europe/Berlin'
+            });
+        });
+
+        it('getters should apply DST of the timezone', function() {
+            var beforeDST = new tz.Date(new Date(Date.UTC(2019, 2, 31, 0, 30)));
+            var afterDST = new tz.Date(new Date(Date.UTC(2019, 2, 31, 1, 30)));
+
+            expect(beforeDST.getHours()).toBe(1);
+            expect(afterDST.getHours()).toBe(3);
+            expect(afterDST - beforeDST).toBe(60 * 60 * 1000);
+        });
+
+        it('getTime() should return UTC time of the wall clock time', function() {
+            expect(new tz.Date(2019, 2, 30, 12, 0).getTime()).toBe(Date.UTC(2019, 2, 30, 11, 0));
+            expect(new tz.Date(2019, 2, 31, 12, 0).getTime()).toBe(Date.UTC(2019, 2, 31, 10, 0));
+        });
+
+        it('getOffset() should return offset at the timestamp', function() {
+            expect(tz.getOffset(Date.UTC(2019, 2, 30))).toBe(-60);
+            expect(tz.getOffset(Date.UTC(2019, 3, 1))).toBe(-120);
+        });
+    });
+
+    it('getOffsetByTimezoneOption() should return offset of timezoneName or timezoneOffset', function() {
+        expect(tz.getOffsetByTimezoneOption({timezoneName: 'America/New_York'}, Date.UTC(2019, 2, 9))).toBe(-300);
+        expect(tz.getOffsetByTimezoneOption({timezoneName: 'America/New_York'}, Date.UTC(2019, 2, 11))).toBe(-240);
+        expect(tz.getOffsetByTimezoneOption({timezoneOffset: 540})).toBe(540);
+    });
+
+    it('createDateByTimezoneName() should convert the wall clock time of the timezone', function() {
+        var date = tz.createDateByTimezoneName('2019-03-11T09:00:00', 'America/New_York');
+        var dateWithOffset = tz.createDateByTimezoneName('2019-03-11T09:00:00Z', 'America/New_York');
+
+        expect(date.getTime()).toBe(Date.UTC(2019, 2, 11, 13, 0));
+        expect(dateWithOffset.getTime()).toBe(Date.UTC(2019, 2, 11, 9, 0));
+        expect(tz.createDateByTimezoneName('2019-03-08T09:00:00', 'America/New_York').getTime())
+            .toBe(Date.UTC(2019, 2, 8, 14, 0));
+    });
+
     it('getUTCTime() should not be affected by the timezone', function() {
         var time, date, tzdate;
 
@@ -0,0 +1,142 @@
+'use strict';
+
+var validation = require('common/validation');
+var Schedule = require('model/schedule');
+
+describe('module:validation', function() {
+    var context, callback, thenable;
+
+    beforeEach(function() {
+        context = {
+            action: 'create',
+            triggerEventName: 'click'
+        };
+        callback = jasmine.createSpy('callback');
+        thenable = {
+            then: function(onFulfilled, onRejected) {
+                thenable.resolve = onFulfilled;
+                thenable.reject = onRejected;
+            }
+        };
+    });
+
+    it('run() calls back with null when the option is not set or returns true or nothing.', function() {
+        validation.run(null, {}, context, callback);
+        validation.run(function() {
+            return true;
+        }, {}, context, callback);
+        validation.run(function() {}, {}, context, callback);
+        validation.run(function() {
+            return {};
+        }, {}, context, callback);
+        validation.run(function() {
+            return '';
+        }, {}, context, callback);
+
+        expect(callback.calls.count()).toBe(5);
+        expect(callback.calls.argsFor(0)[0]).toBeNull();
+        expect(callback.calls.argsFor(1)[0]).toBeNull();
+        expect(callback.calls.argsFor(2)[0]).toBeNull();
+        expect(callback.calls.argsFor(3)[0]).toBeNull();
+        expect(callback.calls.argsFor(4)[0]).toBeNull();
+    });
+
+    it('run() makes the error thrown by the option the invalid data.', function() {
+        validation.run(function() {
+            throw new Error('The rule is broken.');
+        }, {}, context, callback);
+
+        expect(callback).toHaveBeenCalledWith({
+            message: 'The rule is broken.',
+            fields: {}
+        });
+    });
+
+    it('run() makes false, the message and the messages by the field name the invalid data.', function() {
+        var validate = jasmine.createSpy('validate');
+        var schedule = {title: ''};
+
+        validation.run(validate, schedule, context, callback);
+        expect(validate).toHaveBeenCalledWith(schedule, context);
+
+        validation.run(function() {
+            return false;
+        }, schedule, context, callback);
+        validation.run(function() {
+            return 'The room is busy.';
+        }, schedule, context, callback);
+        validation.run(function() {
+            return {title: 'The title is required.'};
+        }, schedule, context, callback);
+
+        expect(callback.calls.argsFor(1)[0]).toEqual({
+            message: '',
+            fields: {}
+        });
+        expect(callback.calls.argsFor(2)[0]).toEqual({
+            message: 'The room is busy.',
+            fields: {}
+        });
+        expect(callback.calls.argsFor(3)[0]).toEqual({
+            message: '',
+            fields: {title: 'The title is required.'}
+        });
+    });
+
+    it('run() calls back after the promise is settled.', function() {
+        var validate = function() {
+            return thenable;
+        };
+
+        validation.run(validate, {}, context, callback);
+        expect(callback).not.toHaveBeenCalled();
+
+        thenable.resolve('The room is busy.');
+        expect(callback).toHaveBeenCalledWith({
+            message: 'The room is busy.',
+            fields: {}
+        });
+
+        validation.run(validate, {}, context, callback);
+        thenable.reject(new Error('Network error'));
+        expect(callback.calls.argsFor(1)[0]).toEqual({
+            message: 'Network error',
+            fields: {}
+        });
+    });
+
+    it('runAll() calls back once with the first invalid target or null when all targets are valid.', function() {
+        var targets = [{
+            schedule: {title: 'a'},
+            context: context
+        }, {
+            schedule: {title: ''},
+            context: context
+        }];
+        var validate = function(schedule) {
+            return schedule.title ? true : 'The title is required.';
+        };
+
+        validation.runAll(validate, targets, callback);
+        expect(callback.calls.count()).toBe(1);
+        expect(callback.calls.argsFor(0)[1]).toBe(targets[1]);
+
+        targets[1].schedule.title = 'b';
+        validation.runAll(validate, targets, callback);
+        expect(callback.calls.count()).toBe(2);
+        expect(callback.calls.argsFor(1)[0]).toBeNull();
+    });
+
+    it('applyChanges() makes the schedule data with the changes.', function() {
+        var schedule = Schedule.create({
+            id: '1',
+            calendarId: 'work',
+            title: 'meeting'
+        });
+        var data = validation.applyChanges(schedule, {title: 'lunch'});
+
+        expect(data.title).toBe('lunch');
+        expect(data.calendarId).toBe('work');
+        expect(schedule.title).toBe('meeting');
+    });
+});
@@ -201,6 +201,26 @@ describe('controller/base', function() {
                 '20150502': [id]
             });
         });
+
+        it('apply the empty and false values.', function() {
+            model = ctrl.createSchedule({
+                title: 'Go to work',
+                location: 'Room 1',
+                isPrivate: true,
+                start: '2015/05/01 09:30:00',
+                end: '2015/05/01 18:30:00'
+            });
+
+            ctrl.updateSchedule(model, {
+                title: '',
+                location: '',
+                isPrivate: false
+            });
+
+            expect(model.title).toBe('');
+            expect(model.location).toBe('');
+            expect(model.isPrivate).toBe(false);
+        });
     });
 
     describe('deleteSchedule()', function() {
@@ -226,6 +246,196 @@ describe('controller/base', function() {
         });
     });
 
+    describe('recurring schedule', function() {
+        var master;
+
+        beforeEach(function() {
+            master = ctrl.createSchedule({
+                id: 'daily',
+                calendarId: '1',
+                title: 'stand-up',
+                isAllDay: false,
+                start: '2015/05/01 09:30:00',
+                end: '2015/05/01 10:00:00',
+                recurrenceRule: 'FREQ=DAILY;COUNT=5'
+            });
+        });
+
+        it('is kept apart from schedules and date matrix.', function() {
+            expect(ctrl.recurringSchedules.length).toBe(1);
+            expect(ctrl.schedules.length).toBe(0);
+            expect(ctrl.dateMatrix).toEqual({});
+        });
+
+        it('expand occurrences in date range when finding schedules.', function() {
+            var result = ctrl.findByDateRange(new TZDate('2015/05/02'), new TZDate('2015/05/03'));
+            var occurrence = result['20150502'].single().model;
+
+            expect(ctrl.schedules.length).toBe(2);
+            expect(result['20150503'].length).toBe(1);
+            expect(occurrence.id).toBe('daily_20150502T093000');
+            expect(occurrence.masterId).toBe('daily');
+            expect(occurrence.recurrenceId).toEqual(new TZDate('2015/05/02 09:30:00'));
+            expect(occurrence.end).toEqual(new TZDate('2015/05/02 10:00:00'));
+            expect(ctrl.getMasterSchedule(occurrence)).toBe(master);
+        });
+
+        it('find the recurring schedule of the occurrence when the recurring schedules have no id.', function() {
+            var lunch = ctrl.createSchedule({
+                calendarId: '1',
+                title: 'lunch',
+                isAllDay: false,
+                start: '2015/05/01 09:30:00',
+                end: '2015/05/01 10:00:00',
+                recurrenceRule: 'FREQ=DAILY;COUNT=5'
+            });
+            var retro = ctrl.createSchedule({
+                calendarId: '1',
+                title: 'retro',
+                isAllDay: false,
+                start: '2015/05/01 09:30:00',
+                end: '2015/05/01 10:00:00',
+                recurrenceRule: 'FREQ=DAILY;COUNT=5'
+            });
+
+            ctrl.findByDateRange(new TZDate('2015/05/02'), new TZDate('2015/05/02'));
+
+            expect(ctrl.schedules.length).toBe(3);
+            ctrl.schedules.each(function(occurrence) {
+                expect(ctrl.getMasterSchedule(occurrence).title).toBe(occurrence.title);
+            });
+            expect(ctrl.getSeriesSchedules(lunch)).toEqual([lunch]);
+            expect(ctrl.getSeriesSchedules(retro)).toEqual([retro]);
+        });
+
+        it('does not expand same occurrence twice.', function() {
+            ctrl.findByDateRange(new TZDate('2015/05/02'), new TZDate('2015/05/03'));
+            ctrl.findByDateRange(new TZDate('2015/05/01'), new TZDate('2015/05/03'));
+
+            expect(ctrl.schedules.length).toBe(3);
+        });
+
+        it('remove expanded occurrences when the recurring schedule is updated or deleted.', function() {
+            ctrl.findByDateRange(new TZDate('2015/05/01'), new TZDate('2015/05/03'));
+            ctrl.updateSchedule(master, {title: 'daily scrum'});
+
+            expect(ctrl.schedules.length).toBe(0);
+
+            ctrl.findByDateRange(new TZDate('2015/05/01'), new TZDate('2015/05/01'));
+            expect(ctrl.schedules.single().title).toBe('daily scrum');
+
+            ctrl.deleteSchedule(master);
+            expect(ctrl.schedules.length).toBe(0);
+            expect(ctrl.recurringSchedules.length).toBe(0);
+        });
+
+        it('remove expanded occurrences out of the recently expanded ranges.', function() {
+            var selected;
+
+            ctrl.updateSchedule(master, {recurrenceRule: 'FREQ=DAILY'});
+            ctrl.findByDateRange(new TZDate('2015/05/01'), new TZDate('2015/05/31'));
+            selected = ctrl.schedules.single(function(model) {
+                return model.id === 'daily_20150510T093000';
+            });
+            selected.set('isSelected', true);
+
+            ctrl.findByDateRange(new TZDate('2016/01/01'), new TZDate('2016/12/31'));
+            expect(ctrl.schedules.length).toBe(31 + 366);
+
+            ctrl.findByDateRange(new TZDate('2017/01/01'), new TZDate('2017/12/31'));
+            expect(ctrl.schedules.length).toBe(1 + 366 + 365);
+            expect(ctrl.schedules.single(function(model) {
+                return model.recurrenceId.getFullYear() === 2015;
+            })).toBe(selected);
+            expect(ctrl.findByDateRange(new TZDate('2015/05/02'), new TZDate('2015/05/02'))['20150502'].length).toBe(1);
+        });
+
+        describe('in scope', function() {
+            var occurrence;
+
+            function findTitles(start, end) {
+                var result = ctrl.findByDateRange(new TZDate(start), new TZDate(end));
+
+                return util.map(result, function(viewModels) {
+                    return viewModels.length ? viewModels.single().model.title : '';
+                });
+            }
+
+            beforeEach(function() {
+                ctrl.findByDateRange(new TZDate('2015/05/03'), new TZDate('2015/05/03'));
+                occurrence = ctrl.schedules.single();
+            });
+
+            it('"this" excludes the occurrence and add an exception.', function() {
+                var exception = ctrl.updateOccurrence(occurrence, {title: 'review'}, 'this');
+
+                expect(master.recurrenceRule).toBe('RRULE:FREQ=DAILY;COUNT=5\nEXDATE:20150503T093000');
+                expect(exception.masterId).toBe('daily');
+                expect(findTitles('2015/05/02', '2015/05/04')).toEqual(['stand-up', 'review', 'stand-up']);
+
+                ctrl.updateOccurrence(exception, {title: 'retrospective'}, 'this');
+                expect(findTitles('2015/05/03', '2015/05/03')).toEqual(['retrospective']);
+            });
+
+            it('"following" splits the series at the occurrence.', function() {
+                var following = ctrl.updateOccurrence(occurrence, {title: 'scrum'}, 'following');
+
+                expect(master.recurrenceRule).toBe('RRULE:FREQ=DAILY;UNTIL=20150503T092959');
+                expect(following.recurrenceRule).toBe('RRULE:FREQ=DAILY;COUNT=3');
+                expect(findTitles('2015/05/01', '2015/05/06')).toEqual([
+                    'stand-up', 'stand-up', 'scrum', 'scrum', 'scrum', ''
+                ]);
+            });
+
+            it('"following" moves the exceptions after the occurrence to the new series.', function() {
+                var exception, following;
+
+                ctrl.findByDateRange(new TZDate('2015/05/04'), new TZDate('2015/05/04'));
+                exception = ctrl.updateOccurrence(ctrl.schedules.find(function(model) {
+                    return model.id === 'daily_20150504T093000';
+                }).single(), {title: 'review'}, 'this');
+                following = ctrl.updateOccurrence(occurrence, {title: 'scrum'}, 'following');
+
+                expect(following.id).not.toBe('daily_20150503T093000');
+                expect(exception.masterId).toBe(following.id);
+                expect(findTitles('2015/05/03', '2015/05/05')).toEqual(['scrum', 'review', 'scrum']);
+            });
+
+            it('"all" moves the whole series as much as the occurrence is moved.', function() {
+                ctrl.updateOccurrence(occurrence, {
+                    start: new TZDate('2015/05/03 11:00:00'),
+                    end: new TZDate('2015/05/03 11:30:00')
+                }, 'all');
+
+                expect(master.start).toEqual(new TZDate('2015/05/01 11:00:00'));
+                expect(master.end).toEqual(new TZDate('2015/05/01 11:30:00'));
+            });
+
+            it('delete the occurrence, following or all occurrences.', function() {
+                ctrl.deleteOccurrence(occurrence, 'this');
+                expect(findTitles('2015/05/02', '2015/05/04')).toEqual(['stand-up', '', 'stand-up']);
+
+                ctrl.findByDateRange(new TZDate('2015/05/04'), new TZDate('2015/05/04'));
+                ctrl.deleteOccurrence(ctrl.schedules.find(function(model) {
+                    return model.id === 'daily_20150504T093000';
+                }).single(), 'following');
+                expect(findTitles('2015/05/01', '2015/05/05')).toEqual(['stand-up', 'stand-up', '', '', '']);
+
+                ctrl.deleteOccurrence(ctrl.schedules.single(), 'all');
+                expect(ctrl.recurringSchedules.length).toBe(0);
+                expect(ctrl.schedules.length).toBe(0);
+            });
+        });
+
+        it('become normal schedule when the recurrence rule is removed.', function() {
+            ctrl.updateSchedule(master, {recurrenceRule: ''});
+
+            expect(ctrl.recurringSchedules.length).toBe(0);
+            expect(ctrl.schedules.single()).toBe(master);
+            expect(ctrl.dateMatrix['20150501']).toEqual([util.stamp(master)]);
+        });
+    });
+
     describe('splitScheduleByDateRange()', function() {
         var schedules,
             collection;
@@ -292,5 +502,238 @@ describe('controller/base', function() {
             expect(result['20150503'].items).toEqual(expected['20150503'].items);
         });
     });
-});
+    describe('findHolidaysByDateRange()', function() {
+        var start, end;
+
+        beforeEach(function() {
+            start = new TZDate(2019, 11, 22);
+            end = new TZDate(2019, 11, 28, 23, 59, 59);
+        });
+
+        it('group the static holidays in the range by the date.', function() {
+            ctrl.setHolidays([{
+                id: 'national',
+                isNonWorking: true,
+                dates: [
+                    {date: '2019-12-25', name: 'Christmas Day'},
+                    {date: '2020-01-01', name: 'New Year\'s Day'}
+                ]
+            }, {
+                id: 'family',
+                dates: [{date: new Date(2019, 11, 25), name: 'Birthday'}]
+            }]);
+
+            expect(ctrl.findHolidaysByDateRange(start, end)).toEqual({
+                '20191225': [
+                    {name: 'Christmas Day', holidaySetId: 'national', isNonWorking: true},
+                    {name: 'Birthday', holidaySetId: 'family', isNonWorking: false}
+                ]
+            });
+        });
+
+        it('call the provider with the range and cache the result until the holidays are set again.', function() {
+            var provider = jasmine.createSpy('provider').and.returnValue([
+                {date: '2019-12-24', name: 'Company Day'}
+            ]);
+            var holidays = [{
+                id: 'company',
+                provider: provider
+            }];
+
+            ctrl.setHolidays(holidays);
+            ctrl.findHolidaysByDateRange(start, end);
+
+            expect(ctrl.findHolidaysByDateRange(start, end)['20191224']).toEqual([
+                {name: 'Company Day', holidaySetId: 'company', isNonWorking: false}
+            ]);
+            expect(provider.calls.count()).toBe(1);
+            expect(provider.calls.argsFor(0)[0].getTime()).toBe(start.getTime());
+            expect(provider.calls.argsFor(0)[1].getTime()).toBe(end.getTime());
+
+            ctrl.setHolidays(holidays);
+            ctrl.findHolidaysByDateRange(start, end);
+
+            expect(provider.calls.count()).toBe(2);
+        });
+    });
+
+    describe('findConflicts()', function() {
+        beforeEach(function() {
+            ctrl.createSchedules([{
+                id: 'meeting',
+                calendarId: 'rooms',
+                category: 'time',
+                start: '2019-12-02T10:00:00',
+                end: '2019-12-02T11:00:00'
+            }, {
+                id: 'lunch',
+                calendarId: 'rooms',
+                category: 'time',
+                state: 'Free',
+                start: '2019-12-02T10:30:00',
+                end: '2019-12-02T11:30:00'
+            }, {
+                id: 'review',
+                calendarId: 'rooms',
+                category: 'time',
+                start: '2019-12-02T09:00:00',
+                end: '2019-12-02T10:30:00'
+            }]);
+        });
+
+        it('find the colliding busy schedules sorted by the start.', function() {
+            var conflicts = ctrl.findConflicts({
+                calendarId: 'rooms',
+                category: 'time',
+                start: '2019-12-02T10:15:00',
+                end: '2019-12-02T12:00:00'
+            });
+
+            expect(util.map(conflicts, function(schedule) {
+                return schedule.id;
+            })).toEqual(['review', 'meeting']);
+        });
+
+        it('exclude the same schedule and ignore the free schedule to check.', function() {
+            var meeting = ctrl.schedules.single(function(model) {
+                return model.id === 'meeting';
+            });
+
+            expect(util.map(ctrl.findConflicts(meeting), function(schedule) {
+                return schedule.id;
+            })).toEqual(['review']);
+            expect(ctrl.findConflicts({
+                calendarId: 'rooms',
+                category: 'time',
+                state: 'Free',
+                start: '2019-12-02T10:00:00',
+                end: '2019-12-02T11:00:00'
+            })).toEqual([]);
+        });
+
+        it('find the occurrences of the recurring schedule which are not expanded yet.', function() {
+            var conflicts;
 
+            ctrl.createSchedule({
+                id: 'standup',
+                calendarId: 'rooms',
+                category: 'time',
+                start: '2019-12-02T09:00:00',
+                end: '2019-12-02T09:30:00',
+                recurrenceRule: 'FREQ=DAILY;COUNT=5'
+            });
+
+            conflicts = ctrl.findConflicts({
+                calendarId: 'rooms',
+                category: 'time',
+                start: '2019-12-04T09:15:00',
+                end: '2019-12-04T10:00:00'
+            });
+
+            expect(conflicts.length).toBe(1);
+            expect(conflicts[0].masterId).toBe('standup');
+            expect(conflicts[0].getStarts()).toEqual(new TZDate('2019-12-04T09:00:00'));
+        });
+    });
+
+    describe('isOverlapAllowed()', function() {
+        it('use the allowOverlap of the calendar before the option.', function() {
+            ctrl.allowOverlap = false;
+            ctrl.setCalendars([{
+                id: 'personal',
+                allowOverlap: true
+            }, {
+                id: 'rooms'
+            }]);
+
+            expect(ctrl.isOverlapAllowed({calendarId: 'personal'})).toBe(true);
+            expect(ctrl.isOverlapAllowed({calendarId: 'rooms'})).toBe(false);
+        });
+    });
+
+    describe('cloneSchedule()', function() {
+        it('make a copy without the id and the recurrence which is not added to the collection.', function() {
+            var schedule = ctrl.createSchedule({
+                id: 'a',
+                calendarId: '1',
+                title: 'weekly',
+                category: 'time',
+                start: '2019-12-02T09:00:00',
+                end: '2019-12-02T10:00:00',
+                recurrenceRule: 'FREQ=WEEKLY'
+            });
+            var copied = ctrl.cloneSchedule(schedule, {
+                start: new TZDate(2019, 11, 3, 9),
+                end: new TZDate(2019, 11, 3, 10)
+            });
+
+            expect(copied).not.toBe(schedule);
+            expect(copied.id).toBe('');
+            expect(copied.recurrenceRule).toBe('');
+            expect(copied.title).toBe('weekly');
+            expect(copied.calendarId).toBe('1');
+            expect(copied.getStarts()).toEqual(new TZDate(2019, 11, 3, 9));
+            expect(ctrl.schedules.has(copied)).toBe(false);
+        });
+    });
+
+    describe('selection', function() {
+        var schedules;
+
+        function getIds(list) {
+            return util.map(list, function(schedule) {
+                return schedule.id;
+            });
+        }
+
+        beforeEach(function() {
+            schedules = ctrl.createSchedules([{
+                id: 'a',
+                calendarId: '1',
+                category: 'time',
+                start: '2019-12-02T09:00:00',
+                end: '2019-12-02T10:00:00'
+            }, {
+                id: 'b',
+                calendarId: '1',
+                category: 'time',
+                start: '2019-12-02T11:00:00',
+                end: '2019-12-02T12:00:00'
+            }, {
+                id: 'c',
+                calendarId: '1',
+                category: 'allday',
+                start: '2019-12-03T00:00:00',
+                end: '2019-12-03T23:59:59'
+            }]);
+        });
+
+        it('selectSchedules() replace, add and toggle the selection.', function() {
+            expect(ctrl.selectSchedules([schedules[1]])).toBe(true);
+            expect(getIds(ctrl.getSelectedSchedules())).toEqual(['b']);
+
+            ctrl.selectSchedules([schedules[0]], 'add');
+
+            expect(getIds(ctrl.getSelectedSchedules())).toEqual(['a', 'b']);
+
+            ctrl.selectSchedules([schedules[1], schedules[2]], 'toggle');
+
+            expect(getIds(ctrl.getSelectedSchedules())).toEqual(['c', 'a']);
+            expect(ctrl.selectSchedules([schedules[2]], 'add')).toBe(false);
+        });
+
+        it('getSelectionMoveChanges() move the other selected schedules by the offset.', function() {
+            var changes;
+
+            ctrl.selectSchedules(schedules);
+            changes = ctrl.getSelectionMoveChanges(schedules[0], 60 * 60 * 1000, function(schedule) {
+                return schedule.category === 'time';
+            });
+
+            expect(changes.length).toBe(1);
+            expect(changes[0].schedule).toBe(schedules[1]);
+            expect(changes[0].changes.start.getTime()).toBe(new TZDate(2019, 11, 2, 12).getTime());
+            expect(changes[0].changes.end.getTime()).toBe(new TZDate(2019, 11, 2, 13).getTime());
+        });
+    });
+});
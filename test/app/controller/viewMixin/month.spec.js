@@ -135,5 +135,25 @@ describe('Base.Month', function() {
             expect(actual[0]).toEqualMatricesTop(expectedTop);
         });
     });
+
+    describe('findHolidaysByDateRange()', function() {
+        it('find the holidays of the base controller.', function() {
+            base.setHolidays([{
+                id: 'national',
+                dates: [{
+                    date: '2019-12-25',
+                    name: 'Christmas Day'
+                }]
+            }]);
+
+            expect(controller.findHolidaysByDateRange(new TZDate(2019, 11, 1), new TZDate(2019, 11, 31))).toEqual({
+                '20191225': [{
+                    name: 'Christmas Day',
+                    holidaySetId: 'national',
+                    isNonWorking: false
+                }]
+            });
+        });
+    });
 });
 
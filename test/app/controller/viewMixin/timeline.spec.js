@@ -0,0 +1,102 @@
+'use strict';
+
+var util = require('tui-code-snippet');
+var controllerFactory = require('factory/controller');
+var TZDate = require('common/timezone').Date;
+
+describe('Base.Timeline', function() {
+    var base, controller, resources;
+
+    function titles(row) {
+        return util.map(row.viewModels, function(viewModel) {
+            return viewModel.model.title;
+        });
+    }
+
+    beforeEach(function() {
+        base = controllerFactory();
+        controller = base.Timeline;
+        resources = [{
+            id: 'room-1',
+            name: 'Room 1'
+        }, {
+            id: 2,
+            name: 'Technician'
+        }];
+
+        base.createSchedules([{
+            title: 'A',
+            resourceId: 'room-1',
+            category: 'time',
+            start: new TZDate(2015, 4, 1, 9),
+            end: new TZDate(2015, 4, 1, 11)
+        }, {
+            title: 'B',
+            resourceId: 'room-1',
+            category: 'time',
+            start: new TZDate(2015, 4, 1, 10),
+            end: new TZDate(2015, 4, 1, 12)
+        }, {
+            title: 'C',
+            resourceId: 'room-1',
+            category: 'time',
+            start: new TZDate(2015, 4, 1, 12),
+            end: new TZDate(2015, 4, 1, 13)
+        }, {
+            title: 'D',
+            resourceId: '2',
+            category: 'time',
+            start: new TZDate(2015, 4, 1, 6),
+            end: new TZDate(2015, 4, 1, 18)
+        }, {
+            title: 'E',
+            resourceId: 'room-1',
+            category: 'time',
+            start: new TZDate(2015, 4, 2, 9),
+            end: new TZDate(2015, 4, 2, 10)
+        }]);
+    });
+
+    describe('findByDateRange()', function() {
+        var start, end;
+
+        beforeEach(function() {
+            start = new TZDate(2015, 4, 1);
+            end = new TZDate(2015, 4, 1, 23, 59, 59);
+        });
+
+        it('group schedules in the range by the resources.', function() {
+            var rows = controller.findByDateRange(start, end, resources);
+
+            expect(rows.length).toBe(2);
+            expect(rows[0].resource).toBe(resources[0]);
+            expect(titles(rows[0])).toEqual(['A', 'B', 'C']);
+            expect(titles(rows[1])).toEqual(['D']);
+        });
+
+        it('stack the overlapped schedules in the lanes.', function() {
+            var rows = controller.findByDateRange(start, end, resources);
+
+            expect(rows[0].laneCount).toBe(2);
+            expect(util.map(rows[0].viewModels, function(viewModel) {
+                return viewModel.top;
+            })).toEqual([0, 1, 0]);
+            expect(rows[1].laneCount).toBe(1);
+        });
+
+        it('position the schedules by percent of the range.', function() {
+            var viewModel = controller.findByDateRange(start, end, resources)[1].viewModels[0];
+
+            expect(Math.round(viewModel.left)).toBe(25);
+            expect(Math.round(viewModel.width)).toBe(50);
+        });
+
+        it('render all schedules in a row when there is no resource.', function() {
+            var rows = controller.findByDateRange(start, end);
+
+            expect(rows.length).toBe(1);
+            expect(rows[0].resource).toBe(null);
+            expect(titles(rows[0])).toEqual(['D', 'A', 'B', 'C']);
+        });
+    });
+});
@@ -155,6 +155,70 @@ describe('Base.Week', function() {
             // One collision block in the timeline group
             expect(result.time['20150501'].length).toBe(1);
         });
+
+        describe('with resources', function() {
+            var resources;
+
+            beforeEach(function() {
+                resources = [{id: 'room-1', name: 'Room 1'}, {id: 'room-2', name: 'Room 2'}];
+                panels.push({
+                    name: 'allday',
+                    type: 'daygrid',
+                    show: true
+                });
+
+                base.createSchedule({
+                    title: 'R1',
+                    category: 'time',
+                    resourceId: 'room-1',
+                    start: '2015/05/01 10:00',
+                    end: '2015/05/01 11:00'
+                });
+                base.createSchedule({
+                    title: 'R2',
+                    category: 'allday',
+                    resourceId: 'room-2',
+                    start: '2015/05/01',
+                    end: '2015/05/02'
+                });
+            });
+
+            it('split time schedules by date and resource.', function() {
+                var start = new Date('2015/05/01'),
+                    end = new Date('2015/05/02');
+
+                var result = ctrl.findByDateRange(start, end, panels, [], {
+                    hourStart: 0,
+                    hourEnd: 24,
+                    resources: resources
+                });
+
+                expect(util.keys(result.time)).toEqual(['20150501-room-1', '20150501-room-2', '20150502-room-1', '20150502-room-2']);
+                expect(result.time['20150501-room-1'][0][0][0].model.title).toBe('R1');
+                expect(result.time['20150501-room-2'].length).toBe(0);
+            });
+
+            it('split allday schedules into the columns of the resource.', function() {
+                var start = new Date('2015/05/01'),
+                    end = new Date('2015/05/02');
+
+                var result = ctrl.findByDateRange(start, end, panels, [], {
+                    hourStart: 0,
+                    hourEnd: 24,
+                    resources: resources
+                });
+                var viewModels = util.map(result.allday, function(matrix) {
+                    return matrix[0][0];
+                });
+
+                expect(viewModels.length).toBe(2);
+                expect(viewModels[0].model.title).toBe('R2');
+                expect(viewModels[0].left).toBe(1);
+                expect(viewModels[0].width).toBe(1);
+                expect(viewModels[1].left).toBe(3);
+                expect(viewModels[1].width).toBe(1);
+            });
+        });
     });
 
     describe('_getHourRangeFilter()', function() {
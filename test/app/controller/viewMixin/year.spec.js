@@ -0,0 +1,69 @@
+'use strict';
+
+var controllerFactory = require('factory/controller');
+var datetime = require('common/datetime');
+var TZDate = require('common/timezone').Date;
+
+describe('Base.Year', function() {
+    var base, controller, HOUR;
+
+    beforeEach(function() {
+        HOUR = datetime.MILLISECONDS_PER_HOUR;
+        base = controllerFactory();
+        controller = base.Year;
+
+        base.createSchedules([{
+            title: 'meeting',
+            category: 'time',
+            start: new TZDate(2015, 4, 1, 9),
+            end: new TZDate(2015, 4, 1, 11)
+        }, {
+            title: 'night shift',
+            category: 'time',
+            start: new TZDate(2015, 4, 1, 22),
+            end: new TZDate(2015, 4, 2, 6)
+        }, {
+            title: 'vacation',
+            category: 'allday',
+            isAllDay: true,
+            start: new TZDate(2015, 4, 4),
+            end: new TZDate(2015, 4, 5, 23, 59, 59)
+        }]);
+    });
+
+    describe('getDensity()', function() {
+        it('count the schedules and sum the busy duration by date.', function() {
+            var result = controller.getDensity(new TZDate(2015, 0, 1), new TZDate(2015, 11, 31, 23, 59, 59));
+
+            expect(result['20150501']).toEqual({
+                count: 2,
+                duration: 4 * HOUR
+            });
+            expect(result['20150502']).toEqual({
+                count: 1,
+                duration: 6 * HOUR
+            });
+            expect(result['20150503']).toBeUndefined();
+            expect(result['20150504'].duration).toBe(datetime.MILLISECONDS_PER_DAY);
+            expect(result['20150505'].count).toBe(1);
+        });
+
+        it('limit the dates to the range.', function() {
+            var result = controller.getDensity(new TZDate(2015, 4, 5), new TZDate(2015, 4, 31, 23, 59, 59));
+
+            expect(result['20150504']).toBeUndefined();
+            expect(result['20150505'].count).toBe(1);
+        });
+
+        it('apply the filters.', function() {
+            var result = controller.getDensity(new TZDate(2015, 0, 1), new TZDate(2015, 11, 31, 23, 59, 59), [
+                function(model) {
+                    return !model.isAllDay;
+                }
+            ]);
+
+            expect(result['20150504']).toBeUndefined();
+            expect(result['20150501'].count).toBe(2);
+        });
+    });
+});
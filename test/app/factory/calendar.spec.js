@@ -6,6 +6,7 @@ var Calendar = require('factory/calendar');
 var controllerFactory = require('factory/controller');
 var TimeGrid = require('view/week/timeGrid');
 var TZDate = require('common/timezone').Date;
+var EventSource = require('common/eventSource');
 
 describe('Calendar', function() {
     var controller,
@@ -92,6 +93,1020 @@ describe('Calendar', function() {
         ]);
     });
 
+    it('getWeekDayRange() can calculate the range of the count of days from supplied date', function() {
+        expect(inst._getWeekDayRange(new TZDate('2015-11-18'), 0, true, 3)).toEqual([
+            new TZDate(2015, 10, 18),
+            new TZDate(2015, 10, 20)
+        ]);
+    });
+
+    describe('custom range view', function() {
+        beforeEach(function() {
+            inst.setDate(new TZDate(2015, 10, 18));
+        });
+
+        it('render the count of days from the date and move by the count.', function() {
+            inst.changeView({
+                type: 'week',
+                dayCount: 3
+            }, true);
+
+            expect(inst.getViewName()).toBe('week');
+            expect(inst.getDateRangeStart()).toEqual(new TZDate(2015, 10, 18));
+            expect(inst.getDateRangeEnd()).toEqual(new TZDate(2015, 10, 20));
+
+            inst.next();
+
+            expect(inst.getDateRangeStart()).toEqual(new TZDate(2015, 10, 21));
+            expect(inst.getDateRangeEnd()).toEqual(new TZDate(2015, 10, 23));
+        });
+
+        it('render the count of weeks and move by the weeks.', function() {
+            inst.changeView({
+                type: 'month',
+                weeks: 2
+            }, true);
+
+            expect(inst.getViewName()).toBe('month');
+            expect(inst.getDateRangeStart()).toEqual(new TZDate(2015, 10, 15));
+            expect(inst.getDateRangeEnd()).toEqual(new TZDate(2015, 10, 28));
+
+            inst.prev();
+
+            expect(inst.getDateRangeStart()).toEqual(new TZDate(2015, 10, 1));
+            expect(inst.getDateRangeEnd()).toEqual(new TZDate(2015, 10, 14));
+        });
+
+        it('keep the custom range when the options are changed.', function() {
+            inst.changeView({
+                type: 'week',
+                dayCount: 3
+            }, true);
+            inst.setOptions({week: {narrowWeekend: true}});
+
+            expect(inst.getDateRangeEnd()).toEqual(new TZDate(2015, 10, 20));
+
+            inst.changeView('week');
+
+            expect(inst.getDateRangeEnd()).toEqual(new TZDate(2015, 10, 21));
+        });
+    });
+
+    describe('non-working holidays', function() {
+        var createScheduleData, guide, onBeforeCreate;
+
+        beforeEach(function() {
+            guide = jasmine.createSpyObj('guide', ['clearGuideElement']);
+            createScheduleData = {
+                isAllDay: true,
+                start: new TZDate(2019, 11, 24),
+                end: new TZDate(2019, 11, 25, 23, 59, 59),
+                guide: guide
+            };
+            onBeforeCreate = jasmine.createSpy('beforeCreateSchedule');
+
+            inst.setHolidays([{
+                id: 'national',
+                isNonWorking: true,
+                dates: [{
+                    date: '2019-12-25',
+                    name: 'Christmas Day'
+                }]
+            }]);
+            inst.on('beforeCreateSchedule', onBeforeCreate);
+        });
+
+        it('add the non-working holidays to beforeCreateSchedule event when nonWorkingDayCreation is warn.', function() {
+            inst.setOptions({nonWorkingDayCreation: 'warn'}, true);
+            inst._onBeforeCreate(createScheduleData);
+
+            expect(onBeforeCreate).toHaveBeenCalledWith(jasmine.objectContaining({
+                nonWorkingHolidays: [{
+                    name: 'Christmas Day',
+                    holidaySetId: 'national',
+                    isNonWorking: true
+                }]
+            }));
+        });
+
+        it('block the creation on the non-working holidays when nonWorkingDayCreation is block.', function() {
+            inst.setOptions({nonWorkingDayCreation: 'block'}, true);
+            inst._onBeforeCreate(createScheduleData);
+
+            expect(onBeforeCreate).not.toHaveBeenCalled();
+            expect(guide.clearGuideElement).toHaveBeenCalled();
+        });
+    });
+
+    describe('recurring schedule', function() {
+        var occurrence;
+
+        beforeEach(function() {
+            controller.createSchedule({
+                id: 'daily',
+                calendarId: '1',
+                title: 'stand-up',
+                start: '2015-05-01T09:30:00',
+                end: '2015-05-01T10:00:00',
+                recurrenceRule: 'FREQ=DAILY;COUNT=5'
+            });
+            controller.expandRecurrences(new TZDate('2015-05-02T00:00:00'), new TZDate('2015-05-02T00:00:00'));
+            occurrence = controller.schedules.single();
+
+            spyOn(inst._recurrenceScopePopup, 'render');
+            spyOn(inst, 'fire');
+        });
+
+        it('ask the scope before firing beforeUpdateSchedule for an occurrence.', function() {
+            var onBeforeUpdate = jasmine.createSpy('beforeUpdateSchedule');
+            var eventData = {
+                schedule: occurrence,
+                changes: {title: 'daily scrum'}
+            };
+
+            inst.on('beforeUpdateSchedule', onBeforeUpdate);
+            inst._onBeforeUpdate(eventData);
+
+            expect(inst._recurrenceScopePopup.render).toHaveBeenCalledWith({
+                schedule: occurrence,
+                isDelete: false
+            });
+            expect(onBeforeUpdate).not.toHaveBeenCalled();
+
+            inst._recurrenceScopePopup.fire('selectScope', {scope: 'following'});
+
+            expect(onBeforeUpdate).toHaveBeenCalledWith(jasmine.objectContaining({
+                recurrenceScope: 'following',
+                masterSchedule: controller.getMasterSchedule(occurrence)
+            }));
+        });
+
+        it('ask the scope before firing beforeDeleteSchedule for an occurrence.', function() {
+            var onBeforeDelete = jasmine.createSpy('beforeDeleteSchedule');
+
+            inst.on('beforeDeleteSchedule', onBeforeDelete);
+            inst._onBeforeDelete({schedule: occurrence});
+
+            expect(inst._recurrenceScopePopup.render).toHaveBeenCalledWith({
+                schedule: occurrence,
+                isDelete: true
+            });
+
+            inst._recurrenceScopePopup.fire('selectScope', {scope: 'this'});
+
+            expect(onBeforeDelete).toHaveBeenCalledWith(jasmine.objectContaining({
+                recurrenceScope: 'this'
+            }));
+        });
+
+        it('save the schedules of the series changed in the chosen scope by the dataSource.', function() {
+            var master = controller.getMasterSchedule(occurrence);
+            var dataSource = {
+                create: jasmine.createSpy('create').and.returnValue({id: 'exception'}),
+                update: jasmine.createSpy('update')
+            };
+
+            inst.setOptions({dataSource: dataSource}, true);
+            inst._onBeforeUpdate({
+                schedule: occurrence,
+                changes: {title: 'daily scrum'}
+            });
+            inst._recurrenceScopePopup.fire('selectScope', {scope: 'this'});
+
+            expect(dataSource.create.calls.argsFor(0)[0].title).toBe('daily scrum');
+            expect(dataSource.create.calls.argsFor(0)[0].masterId).toBe('daily');
+            expect(dataSource.update).toHaveBeenCalledWith(master, {recurrenceRule: master.recurrenceRule});
+            expect(controller.schedules.single(function(model) {
+                return model.title === 'daily scrum';
+            }).id).toBe('exception');
+        });
+
+        it('save the undo of the edit in the chosen scope by the dataSource.', function() {
+            var dataSource = {
+                create: jasmine.createSpy('create').and.returnValue({id: 'exception'}),
+                update: jasmine.createSpy('update'),
+                remove: jasmine.createSpy('remove')
+            };
+
+            controller.createSchedules.and.callThrough();
+            inst.setOptions({dataSource: dataSource}, true);
+            inst._onBeforeUpdate({
+                schedule: occurrence,
+                changes: {title: 'daily scrum'}
+            });
+            inst._recurrenceScopePopup.fire('selectScope', {scope: 'this'});
+            inst.undo();
+
+            expect(dataSource.create.calls.count()).toBe(1);
+            expect(dataSource.remove.calls.argsFor(0)[0].id).toBe('exception');
+            expect(dataSource.update.calls.mostRecent().args[1]).toEqual({recurrenceRule: 'FREQ=DAILY;COUNT=5'});
+            expect(controller.recurringSchedules.single().recurrenceRule).toBe('FREQ=DAILY;COUNT=5');
+        });
+
+        it('move the step back when the undo in the scope is rejected by the dataSource.', function() {
+            var request = {
+                then: function(onFulfilled, onRejected) {
+                    request.reject = onRejected;
+                }
+            };
+
+            controller.createSchedules.and.callThrough();
+            inst.updateSchedule(occurrence.id, '1', {title: 'daily scrum'});
+            inst.setOptions({
+                history: {undoByEvent: true},
+                dataSource: {
+                    create: jasmine.createSpy('create').and.returnValue({id: 'exception'}),
+                    update: jasmine.createSpy('update').and.returnValue(request)
+                }
+            }, true);
+            inst.on('beforeUpdateSchedule', function(event) {
+                event.recurrenceScope = 'this';
+            });
+            inst.undo();
+
+            expect(inst.canUndo()).toBe(false);
+
+            request.reject('Server error');
+
+            expect(controller.recurringSchedules.single().recurrenceRule).toBe('FREQ=DAILY;COUNT=5');
+            expect(inst.canUndo()).toBe(true);
+            expect(inst.canRedo()).toBe(false);
+        });
+
+        it('updateRecurringSchedule() update the occurrence in the scope.', function() {
+            spyOn(controller, 'updateOccurrence');
+
+            inst.updateRecurringSchedule(occurrence.id, '1', {title: 'daily scrum'}, 'all');
+
+            expect(controller.updateOccurrence).toHaveBeenCalledWith(occurrence, {title: 'daily scrum'}, 'all');
+            expect(inst.render).toHaveBeenCalled();
+        });
+
+        it('undo the edit in the scope by restoring the series and redo it.', function() {
+            var master = controller.getMasterSchedule(occurrence);
+            var rule = master.recurrenceRule;
+
+            controller.createSchedules.and.callThrough();
+            inst.updateRecurringSchedule(occurrence.id, '1', {title: 'daily scrum'}, 'this');
+            inst.updateRecurringSchedule(occurrence.id, '1', {title: 'retro'}, 'following');
+
+            expect(controller.recurringSchedules.length).toBe(2);
+
+            inst.undo();
+            inst.undo();
+
+            master = controller.recurringSchedules.single();
+            expect(controller.recurringSchedules.length).toBe(1);
+            expect(master.recurrenceRule).toBe(rule);
+            expect(controller.schedules.find(function(model) {
+                return model.masterId === 'daily';
+            }).length).toBe(0);
+            expect(inst.canUndo()).toBe(false);
+
+            inst.redo();
+
+            expect(controller.recurringSchedules.single().recurrenceRule).toContain('EXDATE');
+            expect(controller.schedules.single(function(model) {
+                return model.title === 'daily scrum';
+            }).masterId).toBe('daily');
+        });
+
+        it('undo the deletion in the scope by restoring the series.', function() {
+            controller.createSchedules.and.callThrough();
+            inst.deleteRecurringSchedule(occurrence.id, '1', 'all');
+
+            expect(controller.recurringSchedules.length).toBe(0);
+
+            inst.undo();
+
+            expect(controller.recurringSchedules.single().recurrenceRule).toBe('FREQ=DAILY;COUNT=5');
+        });
+    });
+
+    describe('undo and redo', function() {
+        var start = new TZDate(2015, 4, 1, 9);
+        var moved = new TZDate(2015, 4, 1, 11);
+
+        function getStart() {
+            return inst.getSchedule('1', '1').getStarts().getTime();
+        }
+
+        beforeEach(function() {
+            controller.createSchedules.and.callThrough();
+            inst.createSchedules([{
+                id: '1',
+                calendarId: '1',
+                title: 'meeting',
+                category: 'time',
+                start: start,
+                end: new TZDate(2015, 4, 1, 10)
+            }], true);
+        });
+
+        it('revert and replay the update.', function() {
+            inst.updateSchedule('1', '1', {
+                start: moved,
+                end: new TZDate(2015, 4, 1, 12)
+            });
+            inst.undo();
+
+            expect(getStart()).toBe(start.getTime());
+            expect(inst.canRedo()).toBe(true);
+
+            inst.redo();
+
+            expect(getStart()).toBe(moved.getTime());
+        });
+
+        it('revert the deletion and the creation.', function() {
+            inst.deleteSchedule('1', '1');
+            inst.undo();
+
+            expect(inst.getSchedule('1', '1').title).toBe('meeting');
+
+            inst.undo();
+
+            expect(inst.getSchedule('1', '1')).toBeFalsy();
+            expect(inst.canUndo()).toBe(false);
+        });
+
+        it('restore the empty and false values by undo.', function() {
+            var schedule;
+
+            inst.updateSchedule('1', '1', {
+                location: 'Room 1',
+                state: 'Free',
+                isPrivate: true
+            });
+            inst.undo();
+            schedule = inst.getSchedule('1', '1');
+
+            expect(schedule.location).toBe('');
+            expect(schedule.state).toBe('');
+            expect(schedule.isPrivate).toBe(false);
+
+            inst.redo();
+
+            expect(schedule.location).toBe('Room 1');
+            expect(schedule.state).toBe('Free');
+            expect(schedule.isPrivate).toBe(true);
+        });
+
+        it('do not record the stamp of the schedule in the history.', function() {
+            var step = inst._history.undo();
+
+            expect(step[0].schedules[0].id).toBe('1');
+            expect(step[0].schedules[0].__fe_id).toBeUndefined();
+        });
+
+        it('revert the updates in beforeUpdateSchedule handler of a drag as one step.', function() {
+            inst.on('beforeUpdateSchedule', function(event) {
+                inst.updateSchedule('1', '1', event.changes);
+                inst.updateSchedule('1', '1', {title: 'moved meeting'});
+            });
+            inst._onBeforeUpdate({
+                schedule: inst.getSchedule('1', '1'),
+                changes: {
+                    start: moved,
+                    end: new TZDate(2015, 4, 1, 12)
+                }
+            });
+            inst.undo();
+
+            expect(getStart()).toBe(start.getTime());
+            expect(inst.getSchedule('1', '1').title).toBe('meeting');
+        });
+
+        it('fire beforeUpdateSchedule to undo the update when undoByEvent is true.', function() {
+            var onBeforeUpdate = jasmine.createSpy('beforeUpdateSchedule');
+
+            inst.setOptions({history: {undoByEvent: true}}, true);
+            inst.updateSchedule('1', '1', {title: 'moved meeting'});
+            inst.on('beforeUpdateSchedule', onBeforeUpdate);
+
+            inst.undo();
+
+            expect(onBeforeUpdate).toHaveBeenCalledWith(jasmine.objectContaining({
+                changes: {title: 'meeting'},
+                history: 'undo'
+            }));
+            expect(inst.getSchedule('1', '1').title).toBe('moved meeting');
+        });
+    });
+
+    describe('drag group', function() {
+        var peer, schedule, mouseUpEvent;
+
+        beforeEach(function() {
+            var peerContainer = document.createElement('div');
+
+            document.getElementById('container').parentNode.appendChild(peerContainer);
+            peer = new Calendar(peerContainer, {
+                defaultView: 'week',
+                dragGroup: 'team'
+            });
+            inst.setOptions({dragGroup: 'team'}, true);
+
+            schedule = controller.createSchedule({
+                id: '1',
+                calendarId: '1',
+                title: 'meeting',
+                category: 'time',
+                start: '2019-12-24T09:00:00',
+                end: '2019-12-24T10:00:00'
+            });
+            mouseUpEvent = {
+                clientX: 10,
+                clientY: 10
+            };
+        });
+
+        afterEach(function() {
+            peer.destroy();
+        });
+
+        it('remove the schedule from the source and create it on the calendar under the pointer.', function() {
+            var onBeforeDelete = jasmine.createSpy('beforeDeleteSchedule');
+            var onBeforeCreate = jasmine.createSpy('beforeCreateSchedule');
+            var onDragOut = jasmine.createSpy('scheduleDragOut');
+
+            spyOn(peer._layout.container, 'getBoundingClientRect').and.returnValue({
+                left: 0,
+                top: 0,
+                right: 100,
+                bottom: 100
+            });
+            spyOn(peer, '_dragExternal').and.returnValue({
+                start: new TZDate(2019, 11, 25, 13),
+                end: new TZDate(2019, 11, 25, 14),
+                isAllDay: false,
+                category: 'time'
+            });
+            inst.on({
+                beforeDeleteSchedule: onBeforeDelete,
+                scheduleDragOut: onDragOut
+            });
+            peer.on('beforeCreateSchedule', onBeforeCreate);
+
+            inst._onScheduleDragOut({
+                schedule: schedule,
+                event: mouseUpEvent
+            });
+
+            expect(onDragOut).not.toHaveBeenCalled();
+            expect(onBeforeDelete).toHaveBeenCalledWith({
+                schedule: schedule,
+                triggerEventName: 'drop'
+            });
+            expect(onBeforeCreate).toHaveBeenCalledWith(jasmine.objectContaining({
+                calendarId: '1',
+                title: 'meeting',
+                start: new TZDate(2019, 11, 25, 13),
+                triggerEventName: 'drop'
+            }));
+        });
+
+        describe('when the copy is created on the calendar under the pointer', function() {
+            beforeEach(function() {
+                controller.createSchedules.and.callThrough();
+                spyOn(peer._layout.container, 'getBoundingClientRect').and.returnValue({
+                    left: 0,
+                    top: 0,
+                    right: 100,
+                    bottom: 100
+                });
+                spyOn(peer, '_dragExternal').and.returnValue({
+                    start: new TZDate(2019, 11, 25, 13),
+                    end: new TZDate(2019, 11, 25, 14),
+                    isAllDay: false,
+                    category: 'time'
+                });
+                peer.on('beforeCreateSchedule', function(event) {
+                    peer.createSchedules([{
+                        id: 'copy',
+                        calendarId: event.calendarId,
+                        title: event.title,
+                        category: 'time',
+                        start: event.start,
+                        end: event.end
+                    }]);
+                });
+            });
+
+            it('delete the copy again when beforeDeleteSchedule is cancelled.', function() {
+                inst.on('beforeDeleteSchedule', function() {
+                    return false;
+                });
+
+                inst._onScheduleDragOut({
+                    schedule: schedule,
+                    event: mouseUpEvent
+                });
+
+                expect(peer.getSchedule('copy', '1')).toBeFalsy();
+                expect(inst.getSchedule('1', '1')).toBe(schedule);
+                expect(inst.canUndo()).toBe(false);
+                expect(peer.canUndo()).toBe(false);
+            });
+
+            it('undo and redo the deletion and the copy as one step of the source calendar.', function() {
+                inst.on('beforeDeleteSchedule', function(event) {
+                    inst.deleteSchedule(event.schedule.id, event.schedule.calendarId);
+                });
+
+                inst._onScheduleDragOut({
+                    schedule: schedule,
+                    event: mouseUpEvent
+                });
+
+                expect(inst.getSchedule('1', '1')).toBeFalsy();
+                expect(peer.getSchedule('copy', '1')).toBeTruthy();
+                expect(peer.canUndo()).toBe(false);
+
+                inst.undo();
+
+                expect(inst.getSchedule('1', '1').title).toBe('meeting');
+                expect(peer.getSchedule('copy', '1')).toBeFalsy();
+                expect(inst.canUndo()).toBe(false);
+
+                inst.redo();
+
+                expect(inst.getSchedule('1', '1')).toBeFalsy();
+                expect(peer.getSchedule('copy', '1').start).toEqual(new TZDate(2019, 11, 25, 13));
+            });
+        });
+
+        it('fire scheduleDragOut when the calendar under the pointer is read-only.', function() {
+            var onDragOut = jasmine.createSpy('scheduleDragOut');
+
+            spyOn(peer._layout.container, 'getBoundingClientRect').and.returnValue({
+                left: 0,
+                top: 0,
+                right: 100,
+                bottom: 100
+            });
+            peer.setOptions({isReadOnly: true}, true);
+            inst.on('scheduleDragOut', onDragOut);
+
+            inst._onScheduleDragOut({
+                schedule: schedule,
+                event: mouseUpEvent
+            });
+
+            expect(onDragOut).toHaveBeenCalled();
+        });
+    });
+
+    describe('validateSchedule', function() {
+        var schedule;
+
+        beforeEach(function() {
+            schedule = controller.createSchedule({
+                id: '1',
+                calendarId: '1',
+                title: 'meeting',
+                category: 'time',
+                start: '2019-12-24T09:00:00',
+                end: '2019-12-24T10:00:00'
+            });
+            inst.setOptions({
+                validateSchedule: function(data, context) {
+                    return data.calendarId === 'holiday' ? {
+                        calendarId: 'The holiday calendar is read-only. (' + context.action + ')'
+                    } : true;
+                }
+            }, true);
+        });
+
+        it('fire scheduleRejected instead of beforeUpdateSchedule when the dragged schedule is invalid.', function() {
+            var onBeforeUpdate = jasmine.createSpy('beforeUpdateSchedule');
+            var onRejected = jasmine.createSpy('scheduleRejected');
+
+            inst.on({
+                beforeUpdateSchedule: onBeforeUpdate,
+                scheduleRejected: onRejected
+            });
+
+            inst._onBeforeUpdate({
+                schedule: schedule,
+                changes: {calendarId: 'holiday'}
+            });
+
+            expect(onBeforeUpdate).not.toHaveBeenCalled();
+            expect(onRejected).toHaveBeenCalledWith(jasmine.objectContaining({
+                message: '',
+                errors: {calendarId: 'The holiday calendar is read-only. (update)'}
+            }));
+            expect(onRejected.calls.argsFor(0)[0].context).toEqual({
+                action: 'update',
+                triggerEventName: 'drag',
+                changes: {calendarId: 'holiday'}
+            });
+
+            inst._onBeforeUpdate({
+                schedule: schedule,
+                changes: {title: 'lunch'}
+            });
+
+            expect(onBeforeUpdate).toHaveBeenCalled();
+        });
+
+        it('clear the creation guide when the selected schedule is invalid.', function() {
+            var onBeforeCreate = jasmine.createSpy('beforeCreateSchedule');
+            var guide = jasmine.createSpyObj('guide', ['clearGuideElement']);
+
+            inst.on('beforeCreateSchedule', onBeforeCreate);
+
+            inst._onBeforeCreate({
+                calendarId: 'holiday',
+                start: new TZDate(2019, 11, 24, 9),
+                end: new TZDate(2019, 11, 24, 10),
+                guide: guide,
+                triggerEventName: 'click'
+            });
+
+            expect(onBeforeCreate).not.toHaveBeenCalled();
+            expect(guide.clearGuideElement).toHaveBeenCalled();
+        });
+    });
+
+    describe('dataSource', function() {
+        var schedule, request;
+
+        beforeEach(function() {
+            schedule = controller.createSchedule({
+                id: '1',
+                calendarId: '1',
+                title: 'meeting',
+                category: 'time',
+                start: '2019-12-24T09:00:00',
+                end: '2019-12-24T10:00:00'
+            });
+            request = {
+                then: function(onFulfilled, onRejected) {
+                    request.resolve = onFulfilled;
+                    request.reject = onRejected;
+                }
+            };
+            inst.setOptions({
+                dataSource: {
+                    update: jasmine.createSpy('update').and.returnValue(request)
+                }
+            }, true);
+        });
+
+        it('update the schedule as pending until the update of the dataSource is resolved.', function() {
+            inst._onBeforeUpdate({
+                schedule: schedule,
+                changes: {title: 'lunch'}
+            });
+
+            expect(inst.getOptions().dataSource.update).toHaveBeenCalledWith(schedule, {title: 'lunch'});
+            expect(schedule.title).toBe('lunch');
+            expect(schedule.isPending).toBe(true);
+
+            request.resolve({location: 'cafe'});
+
+            expect(schedule.location).toBe('cafe');
+            expect(schedule.isPending).toBe(false);
+        });
+
+        it('roll back the update and fire dataSourceError when the update of the dataSource is rejected.', function() {
+            var onError = jasmine.createSpy('dataSourceError');
+
+            inst.on('dataSourceError', onError);
+            inst._onBeforeUpdate({
+                schedule: schedule,
+                changes: {title: 'lunch'}
+            });
+            request.reject('Server error');
+
+            expect(schedule.title).toBe('meeting');
+            expect(schedule.isPending).toBe(false);
+            expect(onError).toHaveBeenCalledWith({
+                action: 'update',
+                schedule: schedule,
+                error: 'Server error'
+            });
+        });
+
+        it('save the undo by the dataSource and move the step back when it is rejected.', function() {
+            inst.updateSchedule('1', '1', {title: 'lunch'});
+            inst.undo();
+
+            expect(inst.getOptions().dataSource.update).toHaveBeenCalledWith(schedule, {title: 'meeting'});
+            expect(schedule.title).toBe('meeting');
+
+            request.reject('Server error');
+
+            expect(schedule.title).toBe('lunch');
+            expect(inst.canUndo()).toBe(true);
+            expect(inst.canRedo()).toBe(false);
+        });
+
+        it('roll back the update when the update of the dataSource throws an error.', function() {
+            var onError = jasmine.createSpy('dataSourceError');
+            var error = new Error('Network error');
+
+            inst.getOptions().dataSource.update.and.throwError(error);
+            inst.on('dataSourceError', onError);
+            inst._onBeforeUpdate({
+                schedule: schedule,
+                changes: {title: 'lunch'}
+            });
+
+            expect(schedule.title).toBe('meeting');
+            expect(schedule.isPending).toBe(false);
+            expect(onError).toHaveBeenCalledWith({
+                action: 'update',
+                schedule: schedule,
+                error: error
+            });
+        });
+
+        it('remove the pending schedule when the create of the dataSource resolves no id.', function() {
+            var onError = jasmine.createSpy('dataSourceError');
+
+            controller.createSchedules.and.callThrough();
+            inst.setOptions({
+                dataSource: {
+                    create: jasmine.createSpy('create').and.returnValue({title: 'lunch'})
+                }
+            }, true);
+            inst.on('dataSourceError', onError);
+            inst._fireBeforeCreate({
+                calendarId: '1',
+                title: 'lunch',
+                isAllDay: false,
+                start: new TZDate('2019-12-24T12:00:00'),
+                end: new TZDate('2019-12-24T13:00:00'),
+                useCreationPopup: true
+            });
+
+            expect(controller.schedules.length).toBe(1);
+            expect(onError.calls.argsFor(0)[0].action).toBe('create');
+        });
+
+        it('end the loading and load the range again when the load of the dataSource throws an error.', function() {
+            var load = jasmine.createSpy('load').and.throwError(new Error('Network error'));
+
+            inst.setOptions({
+                dataSource: {
+                    load: load
+                }
+            }, true);
+            inst.setDate('2019-12-24');
+
+            expect(inst._loadingCount).toBe(0);
+            expect(inst._loadedRangeKey).toBeNull();
+
+            load.and.returnValue([]);
+            inst.setDate('2019-12-24');
+
+            expect(load.calls.count()).toBe(2);
+            expect(inst._loadedRangeKey).not.toBeNull();
+        });
+
+        it('don\'t save the schedule when the handler of beforeUpdateSchedule returns false.', function() {
+            inst.on('beforeUpdateSchedule', function() {
+                return false;
+            });
+            inst._onBeforeUpdate({
+                schedule: schedule,
+                changes: {title: 'lunch'}
+            });
+
+            expect(inst.getOptions().dataSource.update).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('events', function() {
+        var requests, onLoading;
+
+        beforeEach(function() {
+            controller.createSchedules.and.callThrough();
+            requests = [];
+            onLoading = jasmine.createSpy('loading');
+            inst.on('loading', onLoading);
+            inst.setOptions({
+                events: function(start, end) {
+                    var request = {
+                        start: start,
+                        end: end,
+                        then: function(onFulfilled, onRejected) {
+                            request.resolve = onFulfilled;
+                            request.reject = onRejected;
+                        }
+                    };
+                    requests.push(request);
+
+                    return request;
+                }
+            }, true);
+        });
+
+        it('request only the range which is not fetched yet.', function() {
+            inst.setDate('2019-12-24');
+            expect(requests.length).toBe(1);
+            expect(onLoading).toHaveBeenCalledWith({isLoading: true});
+
+            requests[0].resolve([]);
+            expect(onLoading).toHaveBeenCalledWith({isLoading: false});
+
+            inst.setDate('2019-12-25');
+            expect(requests.length).toBe(1);
+
+            inst.next();
+            expect(requests.length).toBe(2);
+            expect(requests[1].start.getTime()).toBe(requests[0].end.getTime() + 1);
+        });
+
+        it('request the range again when the request is rejected.', function() {
+            inst.setDate('2019-12-24');
+            requests[0].reject('Server error');
+
+            inst.setDate('2019-12-25');
+            expect(requests.length).toBe(2);
+        });
+
+        it('end the loading and request the range again when the events function throws an error.', function() {
+            var onError = jasmine.createSpy('dataSourceError');
+            var events = inst.getOptions().events;
+            var error = new Error('Network error');
+            var isOffline = true;
+
+            inst.on('dataSourceError', onError);
+            inst.setOptions({
+                events: function(start, end) {
+                    if (isOffline) {
+                        throw error;
+                    }
+
+                    return events(start, end);
+                }
+            }, true);
+            inst.setDate('2019-12-24');
+
+            expect(onLoading).toHaveBeenCalledWith({isLoading: false});
+            expect(inst._loadingCount).toBe(0);
+            expect(onError).toHaveBeenCalledWith({
+                action: 'load',
+                schedule: null,
+                error: error
+            });
+
+            isOffline = false;
+            inst.setDate('2019-12-25');
+            expect(requests.length).toBe(1);
+        });
+    });
+
+    describe('eventSources', function() {
+        beforeEach(function() {
+            controller.createSchedules.and.callThrough();
+            inst.setOptions({
+                fetchICS: jasmine.createSpy('fetchICS').and.returnValue([
+                    'BEGIN:VCALENDAR',
+                    'BEGIN:VEVENT',
+                    'UID:christmas',
+                    'DTSTART;VALUE=DATE:20191225',
+                    'DTEND;VALUE=DATE:20191226',
+                    'SUMMARY:Christmas Day',
+                    'END:VEVENT',
+                    'END:VCALENDAR'
+                ].join('\r\n'))
+            }, true);
+            inst.setDate('2019-12-24');
+            inst.addEventSource({
+                id: 'team',
+                bgColor: '#9e5fff',
+                schedules: [{
+                    id: '1',
+                    title: 'meeting',
+                    category: 'time',
+                    start: '2019-12-24T09:00:00',
+                    end: '2019-12-24T10:00:00'
+                }]
+            });
+            inst.addEventSource({
+                id: 'holidays',
+                url: '/holidays.ics'
+            });
+        });
+
+        it('addEventSource() adds the schedules of the source to the calendar of the source id.', function() {
+            expect(inst.getSchedule('1', 'team').bgColor).toBe('#9e5fff');
+            expect(inst.getOptions().fetchICS).toHaveBeenCalledWith('/holidays.ics');
+            expect(inst.getSchedule('christmas', 'holidays').title).toBe('Christmas Day');
+            expect(inst.getEventSources()).toEqual([{
+                id: 'team',
+                name: 'team',
+                isVisible: true
+            }, {
+                id: 'holidays',
+                name: 'holidays',
+                isVisible: true
+            }]);
+        });
+
+        it('toggleEventSource() and removeEventSource() don\'t affect the other sources.', function() {
+            controller.createSchedule({
+                id: '2',
+                calendarId: 'personal',
+                title: 'lunch',
+                category: 'time',
+                start: '2019-12-24T12:00:00',
+                end: '2019-12-24T13:00:00'
+            });
+
+            inst.toggleEventSource('team', true);
+            expect(inst.getSchedule('1', 'team').isVisible).toBe(false);
+            expect(inst.getSchedule('2', 'personal').isVisible).toBe(true);
+
+            inst.toggleEventSource('team', false);
+            expect(inst.getSchedule('1', 'team').isVisible).toBe(true);
+
+            inst.removeEventSource('team');
+            expect(inst.getSchedule('1', 'team')).toBeFalsy();
+            expect(inst.getSchedule('2', 'personal')).toBeTruthy();
+            expect(inst.getEventSources().length).toBe(1);
+        });
+
+        it('fire dataSourceError and fetch the url again when the fetched text can\'t be parsed.', function() {
+            var onError = jasmine.createSpy('dataSourceError');
+            var error = new Error('Invalid iCalendar');
+
+            inst.on('dataSourceError', onError);
+            spyOn(EventSource.prototype, 'parse').and.throwError(error);
+            inst.addEventSource({
+                id: 'birthdays',
+                url: '/birthdays.ics'
+            });
+
+            expect(inst._loadingCount).toBe(0);
+            expect(onError).toHaveBeenCalledWith({
+                action: 'load',
+                schedule: null,
+                error: error
+            });
+
+            EventSource.prototype.parse.and.callThrough();
+            inst.setDate('2019-12-25');
+
+            expect(inst.getSchedule('christmas', 'birthdays').title).toBe('Christmas Day');
+        });
+    });
+
+    describe('iCalendar', function() {
+        it('importICS() create schedules from iCalendar text.', function() {
+            var dataList = inst.importICS([
+                'BEGIN:VCALENDAR',
+                'BEGIN:VEVENT',
+                'UID:meeting',
+                'DTSTART:20150501T093000',
+                'DTEND:20150501T100000',
+                'SUMMARY:meeting',
+                'END:VEVENT',
+                'END:VCALENDAR'
+            ].join('\r\n'), '1', true);
+
+            expect(dataList.length).toBe(1);
+            expect(dataList[0].title).toBe('meeting');
+            expect(controller.createSchedules).toHaveBeenCalledWith(dataList, true);
+        });
+
+        it('exportICS() serialize schedules except occurrences of recurring schedule.', function() {
+            var text;
+
+            controller.createSchedule({
+                id: 'daily',
+                calendarId: '1',
+                title: 'stand-up',
+                start: '2015-05-01T09:30:00',
+                end: '2015-05-01T10:00:00',
+                recurrenceRule: 'FREQ=DAILY;COUNT=5'
+            });
+            controller.createSchedule({
+                id: 'lunch',
+                calendarId: '2',
+                title: 'lunch',
+                start: '2015-05-01T12:00:00',
+                end: '2015-05-01T13:00:00'
+            });
+            controller.expandRecurrences(new TZDate('2015-05-01T00:00:00'), new TZDate('2015-05-05T00:00:00'));
+
+            text = inst.exportICS();
+
+            expect(text.match(/BEGIN:VEVENT/g).length).toBe(2);
+            expect(text).toContain('RRULE:FREQ=DAILY;COUNT=5');
+
+            text = inst.exportICS({calendarId: '2'});
+
+            expect(text.match(/BEGIN:VEVENT/g).length).toBe(1);
+            expect(text).toContain('UID:lunch');
+        });
+    });
+
     describe('setDate()', function() {
         it('can change render date range for calendar.', function() {
             inst.setDate('2015-11-01');
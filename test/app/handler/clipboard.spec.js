@@ -0,0 +1,91 @@
+/*eslint-disable*/
+var util = require('tui-code-snippet');
+var domevent = require('common/domevent');
+var Base = require('controller/base');
+var Clipboard = require('handler/clipboard');
+
+describe('Handler/Clipboard', function() {
+    var clipboard, controller, scheduleA;
+
+    function get(id) {
+        return document.getElementById(id);
+    }
+
+    beforeEach(function() {
+        fixture.load('keyboard.html');
+
+        controller = new Base();
+        scheduleA = controller.createSchedule({
+            title: 'A',
+            category: 'time',
+            start: '2018-10-28T09:00:00',
+            end: '2018-10-28T10:00:00'
+        });
+        get('schedule-a').setAttribute('data-id', util.stamp(scheduleA));
+
+        clipboard = new Clipboard(get('container'), controller);
+        spyOn(clipboard, 'fire');
+    });
+
+    afterEach(function() {
+        clipboard.destroy();
+        fixture.cleanup();
+    });
+
+    it('fire copySchedule and cutSchedule with the schedule of the focused block.', function() {
+        var copyEvent = {target: get('schedule-a')};
+
+        clipboard._onCopy(copyEvent);
+        clipboard._onCut({target: get('slot-0-0')});
+
+        expect(clipboard.fire.calls.count()).toBe(1);
+        expect(clipboard.fire).toHaveBeenCalledWith('copySchedule', {
+            schedule: scheduleA,
+            event: copyEvent
+        });
+    });
+
+    it('paste onto the focused slot or the hovered position.', function() {
+        clipboard._onPaste({target: get('container')});
+        expect(clipboard.fire).not.toHaveBeenCalled();
+
+        clipboard._onPaste({target: get('slot-1-1')});
+        expect(clipboard.fire.calls.argsFor(0)[1].position.target).toBe(get('slot-1-1'));
+
+        clipboard._onMouseMove({
+            target: get('slot-0-0'),
+            clientX: 10,
+            clientY: 20
+        });
+        clipboard._onPaste({target: get('schedule-a')});
+        expect(clipboard.fire.calls.argsFor(1)[1].position).toEqual({
+            target: get('slot-0-0'),
+            clientX: 10,
+            clientY: 20,
+            type: 'paste'
+        });
+    });
+
+    it('write() puts the text and iCalendar representations on the clipboard.', function() {
+        var data = {};
+        var clipboardEvent = {
+            clipboardData: {
+                setData: function(type, value) {
+                    data[type] = value;
+                }
+            }
+        };
+
+        spyOn(domevent, 'preventDefault');
+        Clipboard.write(clipboardEvent, [scheduleA]);
+
+        expect(domevent.preventDefault).toHaveBeenCalledWith(clipboardEvent);
+        expect(data['text/plain']).toBe('2018-10-28 09:00 - 10:00 A');
+        expect(data['text/calendar']).toContain('SUMMARY:A');
+    });
+
+    it('getMoveEventName() returns duplicateSchedule when the alt key is pressed.', function() {
+        expect(Clipboard.getMoveEventName({altKey: true})).toBe('duplicateSchedule');
+        expect(Clipboard.getMoveEventName({altKey: false})).toBe('beforeUpdateSchedule');
+    });
+});
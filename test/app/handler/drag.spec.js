@@ -140,6 +140,84 @@ describe('Handler/Drag', function() {
         });
     });
 
+    describe('touch', function() {
+        var drag, target;
+
+        function pointerEvent(pointerId, x, y) {
+            return {
+                target: target,
+                pointerType: 'touch',
+                pointerId: pointerId,
+                clientX: x,
+                clientY: y
+            };
+        }
+
+        beforeEach(function() {
+            jasmine.clock().install();
+            spyOn(domevent, 'getMouseButton').and.returnValue(0);
+
+            target = document.createElement('div');
+            drag = new Drag({distance: 5, longPressDelay: 500}, document.createElement('div'));
+            spyOn(drag, '_toggleDragEvent');
+            spyOn(drag, 'invoke').and.returnValue(true);
+            spyOn(drag, 'fire');
+
+            drag._onMouseDown(pointerEvent(1, 10, 10));
+        });
+
+        afterEach(function() {
+            drag.destroy();
+            jasmine.clock().uninstall();
+        });
+
+        it('start dragging after the long press.', function() {
+            drag._onMouseMove(pointerEvent(1, 12, 12));
+            expect(drag.invoke).not.toHaveBeenCalled();
+
+            jasmine.clock().tick(500);
+            // Assuming 5px moved
+            drag._distance = 5;
+            drag._onMouseMove(pointerEvent(1, 12, 12));
+
+            expect(drag.invoke).toHaveBeenCalledWith('dragStart', {
+                target: target,
+                originEvent: pointerEvent(1, 10, 10)
+            });
+        });
+
+        it('stop the dragging session when the pointer moves before the long press.', function() {
+            drag._onMouseMove(pointerEvent(1, 10, 40));
+
+            expect(drag._toggleDragEvent).toHaveBeenCalledWith(false);
+            expect(drag._dragStartEventData).toBeNull();
+            expect(drag._pointerId).toBeNull();
+        });
+
+        it('ignore the other pointers while dragging.', function() {
+            jasmine.clock().tick(500);
+            drag._distance = 5;
+            drag._onMouseDown(pointerEvent(2, 100, 100));
+            drag._onMouseMove(pointerEvent(2, 100, 120));
+
+            expect(drag.invoke).not.toHaveBeenCalled();
+            expect(drag._pointerId).toBe(1);
+        });
+
+        it('fire "dragCancel" with the last position instead of "dragEnd" when the browser cancels the pointer.', function() {
+            jasmine.clock().tick(500);
+            drag._distance = 5;
+            drag._onMouseMove(pointerEvent(1, 10, 30));
+            drag._onPointerCancel(pointerEvent(1, 0, 0));
+
+            expect(drag.fire).toHaveBeenCalledWith('dragCancel', {
+                target: target,
+                originEvent: pointerEvent(1, 10, 30)
+            });
+            expect(drag.fire).not.toHaveBeenCalledWith('dragEnd', jasmine.any(Object));
+        });
+    });
+
     describe('_toggleDragEvent', function() {
         beforeEach(function() {
             spyOn(domutil, 'enableTextSelection');
@@ -0,0 +1,108 @@
+/*eslint-disable*/
+var ExternalDrag = require('handler/externalDrag');
+
+describe('Handler/ExternalDrag', function() {
+    var element, externalDrag, dataFn;
+
+    beforeEach(function() {
+        element = document.createElement('div');
+        element.textContent = 'Job';
+        dataFn = jasmine.createSpy('dataFn');
+        externalDrag = new ExternalDrag(element, dataFn);
+        spyOn(externalDrag, 'fire');
+    });
+
+    afterEach(function() {
+        externalDrag.destroy();
+    });
+
+    it('cancel the dragging when the data function returns nothing.', function() {
+        expect(externalDrag._onDragStart({originEvent: {}})).toBe(false);
+        expect(dataFn).toHaveBeenCalledWith(element, {});
+    });
+
+    it('fire externalDrag and externalDrop with the model of the data.', function() {
+        var dragEvent = {clientX: 10, clientY: 20};
+        var eventData, model;
+
+        externalDrag.dataFn = function(el) {
+            return {
+                title: el.textContent,
+                duration: 90
+            };
+        };
+        externalDrag._onDragStart({originEvent: {}});
+        externalDrag._onDrag({originEvent: dragEvent});
+
+        eventData = externalDrag.fire.calls.argsFor(0)[1];
+        model = eventData.model;
+        expect(externalDrag.fire.calls.argsFor(0)[0]).toBe('externalDrag');
+        expect(eventData.data.title).toBe('Job');
+        expect(eventData.element).toBe(element);
+        expect(eventData.originEvent).toBe(dragEvent);
+        expect(model.title).toBe('Job');
+        expect(model.getStarts().getHours()).toBe(0);
+        expect(model.duration()).toBe(90 * 60 * 1000);
+
+        externalDrag._onDragEnd({originEvent: dragEvent});
+
+        expect(externalDrag.fire.calls.argsFor(1)[0]).toBe('externalDrop');
+        expect(externalDrag.fire.calls.argsFor(1)[1].model).toBe(model);
+        expect(externalDrag._data).toBeNull();
+    });
+
+    it('isOutside() checks the pointer is out of the rectangle of the container.', function() {
+        var container = {
+            getBoundingClientRect: function() {
+                return {
+                    left: 0,
+                    top: 0,
+                    right: 100,
+                    bottom: 100
+                };
+            }
+        };
+
+        expect(ExternalDrag.isOutside(container, {
+            clientX: 50,
+            clientY: 50
+        })).toBe(false);
+        expect(ExternalDrag.isOutside(container, {
+            clientX: 150,
+            clientY: 50
+        })).toBe(true);
+    });
+
+    it('fireDragOut() fires scheduleDragOut of the move handler when the schedule is dropped outside.', function() {
+        var schedule = {id: '1'};
+        var mouseUpEvent = {
+            clientX: -10,
+            clientY: 10
+        };
+        var moveHandler = {
+            dragHandler: {
+                container: {
+                    getBoundingClientRect: function() {
+                        return {
+                            left: 0,
+                            top: 0,
+                            right: 100,
+                            bottom: 100
+                        };
+                    }
+                }
+            },
+            fire: jasmine.createSpy('fire')
+        };
+
+        expect(ExternalDrag.fireDragOut(moveHandler, schedule, mouseUpEvent)).toBe(true);
+        expect(moveHandler.fire).toHaveBeenCalledWith('scheduleDragOut', {
+            schedule: schedule,
+            event: mouseUpEvent
+        });
+        expect(ExternalDrag.fireDragOut(moveHandler, schedule, {
+            clientX: 10,
+            clientY: 10
+        })).toBe(false);
+    });
+});
@@ -0,0 +1,135 @@
+/*eslint-disable*/
+var util = require('tui-code-snippet');
+var domevent = require('common/domevent');
+var Base = require('controller/base');
+var Keyboard = require('handler/keyboard');
+
+describe('Handler/Keyboard', function() {
+    var keyboard, controller, scheduleA, scheduleB;
+
+    function get(id) {
+        return document.getElementById(id);
+    }
+
+    function keydown(id, keyCode) {
+        keyboard._onKeyDown({
+            target: get(id),
+            keyCode: keyCode
+        });
+    }
+
+    beforeEach(function() {
+        fixture.load('keyboard.html');
+
+        controller = new Base();
+        scheduleA = controller.createSchedule({
+            title: 'A',
+            isAllDay: true,
+            start: '2018-10-28',
+            end: '2018-10-28'
+        });
+        scheduleB = controller.createSchedule({
+            title: 'B',
+            isAllDay: true,
+            start: '2018-11-04',
+            end: '2018-11-04'
+        });
+        get('schedule-a').setAttribute('data-id', util.stamp(scheduleA));
+        get('schedule-b').setAttribute('data-id', util.stamp(scheduleB));
+
+        keyboard = new Keyboard(get('container'), controller);
+        spyOn(domevent, 'preventDefault');
+    });
+
+    afterEach(function() {
+        keyboard.destroy();
+        fixture.cleanup();
+    });
+
+    describe('refresh()', function() {
+        it('make the today\'s slot focusable at first.', function() {
+            keyboard.refresh();
+
+            expect(get('slot-0-1').getAttribute('tabindex')).toBe('0');
+            expect(get('slot-0-0').getAttribute('tabindex')).toBe('-1');
+        });
+
+        it('keep the schedule focusable after the block is rendered again.', function() {
+            var block;
+
+            keydown('slot-1-0', 40);
+            expect(document.activeElement).toBe(get('schedule-b'));
+
+            block = get('schedule-b').cloneNode(true);
+            block.id = 'schedule-b2';
+            get('schedule-b').parentNode.replaceChild(block, get('schedule-b'));
+            keyboard.refresh();
+
+            expect(block.getAttribute('tabindex')).toBe('0');
+        });
+    });
+
+    describe('arrow keys', function() {
+        it('move between slots of the row by left and right.', function() {
+            keydown('slot-0-0', 39);
+            expect(document.activeElement).toBe(get('slot-0-1'));
+            expect(get('slot-0-1').getAttribute('tabindex')).toBe('0');
+            expect(get('slot-0-0').getAttribute('tabindex')).toBe('-1');
+
+            keydown('slot-0-1', 39);
+            expect(document.activeElement).toBe(get('slot-0-1'));
+
+            keydown('slot-0-1', 37);
+            expect(document.activeElement).toBe(get('slot-0-0'));
+
+            keydown('schedule-a', 39);
+            expect(document.activeElement).toBe(get('slot-0-1'));
+        });
+
+        it('move through the slots and schedules of the column by up and down.', function() {
+            keydown('slot-0-0', 40);
+            expect(document.activeElement).toBe(get('schedule-a'));
+
+            keydown('schedule-a', 40);
+            expect(document.activeElement).toBe(get('slot-1-0'));
+
+            keydown('slot-1-0', 40);
+            expect(document.activeElement).toBe(get('schedule-b'));
+
+            keydown('schedule-b', 38);
+            keydown('slot-1-0', 38);
+            expect(document.activeElement).toBe(get('schedule-a'));
+        });
+
+        it('move to the slot of the next row when the column has no schedules.', function() {
+            keydown('slot-0-1', 40);
+
+            expect(document.activeElement).toBe(get('slot-1-1'));
+        });
+    });
+
+    describe('schedule keys', function() {
+        var spy;
+
+        beforeEach(function() {
+            spy = jasmine.createSpy('handler');
+        });
+
+        it('fire "clickSchedule" by enter key on the schedule.', function() {
+            keyboard.on('clickSchedule', spy);
+
+            keydown('slot-0-0', 13);
+            expect(spy).not.toHaveBeenCalled();
+
+            keydown('schedule-a', 13);
+            expect(spy.calls.argsFor(0)[0].schedule).toBe(scheduleA);
+        });
+
+        it('fire "beforeDeleteSchedule" by delete key on the schedule.', function() {
+            keyboard.on('beforeDeleteSchedule', spy);
+
+            keydown('schedule-b', 46);
+            expect(spy.calls.argsFor(0)[0].schedule).toBe(scheduleB);
+        });
+    });
+});
@@ -0,0 +1,57 @@
+'use strict';
+
+var Selection = require('handler/selection');
+var TZDate = require('common/timezone').Date;
+
+describe('handler:Selection', function() {
+    it('getModeByEvent() get the selection mode by the modifier keys.', function() {
+        expect(Selection.getModeByEvent({ctrlKey: true})).toBe('toggle');
+        expect(Selection.getModeByEvent({
+            metaKey: true,
+            shiftKey: true
+        })).toBe('toggle');
+        expect(Selection.getModeByEvent({shiftKey: true})).toBe('add');
+        expect(Selection.getModeByEvent({})).toBeNull();
+    });
+
+    describe('getMoveUpdates()', function() {
+        var schedule, changes, other, baseController;
+
+        beforeEach(function() {
+            schedule = {
+                isSelected: true,
+                getStarts: function() {
+                    return new TZDate(2015, 4, 1, 9);
+                }
+            };
+            changes = {
+                start: new TZDate(2015, 4, 1, 10),
+                end: new TZDate(2015, 4, 1, 11)
+            };
+            other = {
+                schedule: {id: 'other'},
+                changes: {}
+            };
+            baseController = {
+                getSelectionMoveChanges: jasmine.createSpy('getSelectionMoveChanges').and.returnValue([other])
+            };
+        });
+
+        it('get the changes of the dragged schedule and the other selected schedules moved by the offset.', function() {
+            var filter = function() {};
+
+            expect(Selection.getMoveUpdates(baseController, schedule, changes, filter)).toEqual([{
+                schedule: schedule,
+                changes: changes
+            }, other]);
+            expect(baseController.getSelectionMoveChanges).toHaveBeenCalledWith(schedule, 60 * 60 * 1000, filter);
+        });
+
+        it('return null when the dragged schedule is not selected.', function() {
+            schedule.isSelected = false;
+
+            expect(Selection.getMoveUpdates(baseController, schedule, changes)).toBeNull();
+            expect(baseController.getSelectionMoveChanges).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -42,6 +42,21 @@ describe('handler:TimeClick', function() {
         });
     });
 
+    it('_onClick fire "selectSchedules" instead of "clickSchedule" when the ctrl key is pressed.', function() {
+        spyOn(domutil, 'getData').and.returnValue('2');
+
+        TimeClick.prototype._onClick.call(mockInst, {originEvent: {ctrlKey: true}});
+
+        expect(mockInst.fire).toHaveBeenCalledWith('selectSchedules', {
+            schedules: [{
+                _id: '2',
+                text: 'hello'
+            }],
+            mode: 'toggle'
+        });
+        expect(mockInst.fire.calls.count()).toBe(1);
+    });
+
     it('TimeClick doesn\'t fire custom event "time_click_click" when no target or target is not related with schedules.', function() {
         // Element is not related to TimeClick
         mockInst.checkExpectCondition.and.returnValue(false);
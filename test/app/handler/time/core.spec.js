@@ -7,11 +7,27 @@ describe('module:Time.Creation', function() {
     it('_calcGridYIndex()', function() {
         // 50px is 12 o'clock when 24 hours is 100px
         expect(core._calcGridYIndex(86400000, 100, 50)).toBe(12);
-        // When 3 hours is 100px, 50px is 1.5 hours, which is rounded up to 30 minutes, so it becomes 1 and 51px becomes 1.5.
-        expect(core._calcGridYIndex(10800000, 100, 50)).toBe(1);
+        // When 3 hours is 100px, 50px is 1.5 hours, which is the start of the slot of 1:30, so 49px is 1 and 51px is 1.5.
+        expect(core._calcGridYIndex(10800000, 100, 49)).toBe(1);
+        expect(core._calcGridYIndex(10800000, 100, 50)).toBe(1.5);
         expect(core._calcGridYIndex(10800000, 100, 51)).toBe(1.5);
     });
 
+    it('_calcGridYIndex() puts the boundary of the slots into the next slot.', function() {
+        // When 4 hours is 100px, 25px is 1 hour and 31.25px is 1 hour 15 minutes
+        expect(core._calcGridYIndex(14400000, 100, 0, 15)).toBe(0);
+        expect(core._calcGridYIndex(14400000, 100, 25, 15)).toBe(1);
+        expect(core._calcGridYIndex(14400000, 100, 31.25, 15)).toBe(1.25);
+        expect(core._calcGridYIndex(14400000, 100, 31.2, 15)).toBe(1);
+    });
+
+    it('_calcGridYIndex() snaps to the snap duration.', function() {
+        // When 4 hours is 100px, 40px is 1 hour 36 minutes
+        expect(core._calcGridYIndex(14400000, 100, 40, 15)).toBe(1.5);
+        expect(core._calcGridYIndex(14400000, 100, 40, 10)).toBe(1.5);
+        expect(core._calcGridYIndex(14400000, 100, 40, 60)).toBe(1);
+    });
+
     it('_retriveScheduleData()', function() {
         var container = document.createElement('div');
         container.style.height = '100px';
@@ -61,7 +61,9 @@ describe('handler/time.creation', function() {
             mock = {
                 baseController: baseControllerMock,
                 guide: jasmine.createSpyObj('timeCreation', ['clearGuideElement']),
-                fire: jasmine.createSpy('fire')
+                fire: jasmine.createSpy('fire'),
+                _applyConstraint: TimeCreation.prototype._applyConstraint,
+                _getSnapDuration: TimeCreation.prototype._getSnapDuration
             };
         });
 
@@ -3,6 +3,7 @@ var util = require('tui-code-snippet');
 var domutil = require('common/domutil');
 var datetime = require('common/datetime');
 var TimeMove = require('handler/time/move');
+var Drag = require('handler/drag');
 var TZDate = require('common/timezone').Date;
 
 describe('handler/time.move', function() {
@@ -51,6 +52,9 @@ describe('handler/time.move', function() {
 
         beforeEach(function() {
             baseControllerMock = jasmine.createSpyObj('Base', ['updateSchedule']);
+            baseControllerMock.isOverlapAllowed = function() {
+                return true;
+            };
             baseControllerMock.schedules = {
                 items: {
                     '20': {
@@ -71,7 +75,11 @@ describe('handler/time.move', function() {
 
             mockInstance = {
                 baseController: baseControllerMock,
-                fire: jasmine.createSpy('fire')
+                fire: jasmine.createSpy('fire'),
+                _getAllowedRange: TimeMove.prototype._getAllowedRange,
+                _applyConstraint: TimeMove.prototype._applyConstraint,
+                _isOverlapRefused: TimeMove.prototype._isOverlapRefused,
+                _getSnapDuration: TimeMove.prototype._getSnapDuration
             };
         });
 
@@ -100,6 +108,107 @@ describe('handler/time.move', function() {
             });
         });
 
+        it('refuse the move into the busy schedules when the overlap is not allowed.', function() {
+            var oneHour = datetime.millisecondsFrom('hour', 1);
+            var scheduleData = {
+                targetModelID: 20,
+                nearestRange: [0, oneHour],
+                relatedView: {
+                    getDate: function() { return new TZDate(2015, 4, 1); }
+                },
+                currentView: {
+                    getDate: function() { return new TZDate(2015, 4, 1); }
+                }
+            };
+            baseControllerMock.schedules.items['20'].parameterize = function() {
+                return {category: 'time'};
+            };
+            baseControllerMock.isOverlapAllowed = function() {
+                return false;
+            };
+            baseControllerMock.findConflicts = function(schedule) {
+                return schedule.getStarts() < new TZDate(2015, 4, 1, 10, 30) ? [{id: 'busy'}] : [];
+            };
+            TimeMove.prototype._updateSchedule.call(mockInstance, scheduleData);
+
+            expect(mockInstance.fire).not.toHaveBeenCalled();
+        });
+
+        it('add the changes of the other selected schedules when the schedule is selected.', function() {
+            var oneHour = datetime.millisecondsFrom('hour', 1);
+            var scheduleData = {
+                targetModelID: 20,
+                nearestRange: [0, oneHour],
+                relatedView: {
+                    getDate: function() { return new TZDate(2015, 4, 1); }
+                },
+                currentView: {
+                    getDate: function() { return new TZDate(2015, 4, 1); }
+                }
+            };
+            var other = {
+                schedule: {id: 'other'},
+                changes: {}
+            };
+            var updates;
+
+            baseControllerMock.schedules.items['20'].isSelected = true;
+            baseControllerMock.getSelectionMoveChanges = function() {
+                return [other];
+            };
+            TimeMove.prototype._updateSchedule.call(mockInstance, scheduleData);
+
+            updates = mockInstance.fire.calls.argsFor(0)[1].updates;
+            expect(updates[0].schedule).toBe(baseControllerMock.schedules.items['20']);
+            expect(updates[1]).toBe(other);
+        });
+
+        it('fire duplicateSchedule instead of beforeUpdateSchedule when the schedule is dragged with the alt key.',
+            function() {
+                var oneHour = datetime.millisecondsFrom('hour', 1);
+                var scheduleData = {
+                    targetModelID: 20,
+                    nearestRange: [0, oneHour],
+                    originEvent: {altKey: true},
+                    relatedView: {
+                        getDate: function() { return new TZDate(2015, 4, 1); }
+                    },
+                    currentView: {
+                        getDate: function() { return new TZDate(2015, 4, 1); }
+                    }
+                };
+                TimeMove.prototype._updateSchedule.call(mockInstance, scheduleData);
+
+                expect(mockInstance.fire.calls.argsFor(0)[0]).toBe('duplicateSchedule');
+                expect(mockInstance.fire.calls.argsFor(0)[1].changes).toEqual({
+                    start: new TZDate(2015, 4, 1, 10),
+                    end: new TZDate(2015, 4, 1, 11)
+                });
+            });
+
+        it('add the resource to the changes when the schedule is moved to the column of another resource.', function() {
+            var oneHour = datetime.millisecondsFrom('hour', 1);
+            var scheduleData = {
+                targetModelID: 20,
+                nearestRange: [0, oneHour],
+                relatedView: {
+                    options: {resource: {id: 'room-1'}},
+                    getDate: function() { return new TZDate(2015, 4, 1); }
+                },
+                currentView: {
+                    options: {resource: {id: 'room-2'}},
+                    getDate: function() { return new TZDate(2015, 4, 1); }
+                }
+            };
+            TimeMove.prototype._updateSchedule.call(mockInstance, scheduleData);
+
+            expect(mockInstance.fire.calls.argsFor(0)[1].changes).toEqual({
+                start: new TZDate(2015, 4, 1, 10),
+                end: new TZDate(2015, 4, 1, 11),
+                resourceId: 'room-2'
+            });
+        });
+
         it('limit updatable start and end.', function() {
             baseControllerMock.schedules.items['20'].start = new TZDate(2015, 4, 1);
             baseControllerMock.schedules.items['20'].end = new TZDate(2015, 4, 1, 0, 30);
@@ -186,5 +295,72 @@ describe('handler/time.move', function() {
                 expect(mockInst.fire).not.toHaveBeenCalled();
             })
         });
+
+        describe('_onDragCancel()', function() {
+            it('clear the guide without updating the schedule when the pointer is cancelled after a move.', function() {
+                var drag = new Drag({}, document.createElement('div'));
+                var mockInst = {
+                    dragHandler: drag,
+                    _dragStart: {
+                        model: {},
+                        targetModelID: '3',
+                        timeY: new TZDate(2015, 4, 1, 9),
+                        nearestGridTimeY: new TZDate(2015, 4, 1, 9)
+                    },
+                    _getScheduleDataFunc: function() {
+                        return {
+                            timeY: new TZDate(2015, 4, 1, 11),
+                            nearestGridTimeY: new TZDate(2015, 4, 1, 11)
+                        };
+                    },
+                    _getTimeView: function() {
+                        return {};
+                    },
+                    _getSnapDuration: function() {
+                        return 30;
+                    },
+                    _onDragEnd: TimeMove.prototype._onDragEnd,
+                    _updateSchedule: jasmine.createSpy('_updateSchedule'),
+                    fire: jasmine.createSpy('fire')
+                };
+
+                spyOn(drag, '_toggleDragEvent');
+                drag.on({
+                    dragEnd: TimeMove.prototype._onDragEnd,
+                    dragCancel: TimeMove.prototype._onDragCancel
+                }, mockInst);
+                drag._isMoved = true;
+                drag._dragEventData = {
+                    target: document.createElement('div'),
+                    originEvent: {}
+                };
+
+                drag._onPointerCancel({pointerId: 1});
+
+                expect(mockInst._updateSchedule).not.toHaveBeenCalled();
+                expect(mockInst.fire).not.toHaveBeenCalledWith('beforeUpdateSchedule', jasmine.any(Object));
+                expect(mockInst.fire).toHaveBeenCalledWith('timeMoveDragend', jasmine.any(Object));
+                expect(mockInst._dragStart).toBeNull();
+
+                drag.destroy();
+            });
+        });
+    });
+
+    it('dragExternal() clears the guide of the external dragging when the mouse is out of the time grid.', function() {
+        var dragStart = {model: {}};
+        var mockInst = {
+            _externalDragStart: dragStart,
+            _getTimeView: function() {
+                return false;
+            },
+            _clearExternalGuide: TimeMove.prototype._clearExternalGuide,
+            fire: jasmine.createSpy('fire')
+        };
+        var mouseEvent = {target: document.createElement('div')};
+
+        expect(TimeMove.prototype.dragExternal.call(mockInst, {}, mouseEvent)).toBeNull();
+        expect(mockInst.fire).toHaveBeenCalledWith('timeMoveDragend', dragStart);
+        expect(mockInst._externalDragStart).toBeNull();
     });
 });
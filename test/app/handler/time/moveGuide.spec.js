@@ -12,6 +12,7 @@ describe('handler/time.move.guide', function() {
             _startGridY: 0,
             _startHeightPixel: 10,    // 1 hour
             _startTopPixel: 0,
+            _guideHeight: 20,
             _model: { 
                 getStarts: function() {
                     return new Date();
@@ -22,8 +23,6 @@ describe('handler/time.move.guide', function() {
             }
         });
 
-        mockInstance.guideElement.style.height = '20px';
-
         var scheduleData = {
             currentView: {
                 options: {
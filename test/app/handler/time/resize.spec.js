@@ -41,6 +41,9 @@ describe('TimeResize', function() {
 
         beforeEach(function() {
             baseControllerMock = jasmine.createSpyObj('Base', ['updateSchedule']);
+            baseControllerMock.isOverlapAllowed = function() {
+                return true;
+            };
             baseControllerMock.schedules = {
                 items: {
                     '20': {
@@ -61,7 +64,11 @@ describe('TimeResize', function() {
 
             mockInstance = {
                 baseController: baseControllerMock,
-                fire: jasmine.createSpy('fire')
+                fire: jasmine.createSpy('fire'),
+                _getAllowedEnd: TimeResize.prototype._getAllowedEnd,
+                _applyConstraint: TimeResize.prototype._applyConstraint,
+                _isOverlapRefused: TimeResize.prototype._isOverlapRefused,
+                _getSnapDuration: TimeResize.prototype._getSnapDuration
             };
         });
 
@@ -0,0 +1,86 @@
+'use strict';
+
+var TimelineMove = require('handler/timeline/move');
+var controllerFactory = require('factory/controller');
+var TZDate = require('common/timezone').Date;
+
+describe('handler:timeline/move', function() {
+    var ctrl, scheduleInst, mockInst;
+
+    beforeEach(function() {
+        ctrl = controllerFactory();
+
+        mockInst = {
+            baseController: ctrl,
+            fire: jasmine.createSpy('fire')
+        };
+
+        scheduleInst = ctrl.createSchedule({
+            title: 'test',
+            resourceId: 'room-1',
+            category: 'time',
+            start: new TZDate(2015, 4, 1, 9),
+            end: new TZDate(2015, 4, 1, 10)
+        });
+    });
+
+    it('_getMovedRange() move the schedule by the snapped time difference.', function() {
+        var range = TimelineMove.prototype._getMovedRange.call({
+            _getTimeDiff: TimelineMove.prototype._getTimeDiff
+        }, {
+            model: scheduleInst,
+            nearestTime: new TZDate(2015, 4, 1, 9)
+        }, {
+            nearestTime: new TZDate(2015, 4, 1, 10, 30)
+        });
+
+        expect(range).toEqual([
+            new TZDate(2015, 4, 1, 10, 30),
+            new TZDate(2015, 4, 1, 11, 30)
+        ]);
+    });
+
+    it('fire update schedule with the resource of the dropped row.', function() {
+        var start = new TZDate(2015, 4, 1, 11),
+            end = new TZDate(2015, 4, 1, 12);
+
+        TimelineMove.prototype._updateSchedule.call(mockInst, {
+            targetModelID: scheduleInst.cid(),
+            resource: {
+                id: 2,
+                name: 'Technician'
+            },
+            range: [start, end]
+        });
+
+        expect(mockInst.fire).toHaveBeenCalledWith('beforeUpdateSchedule', {
+            schedule: scheduleInst,
+            changes: {
+                start: start,
+                end: end,
+                resourceId: 2
+            },
+            start: start,
+            end: end
+        });
+    });
+
+    it('should not change the resource when dropped in the same row.', function() {
+        var start = new TZDate(2015, 4, 1, 11),
+            end = new TZDate(2015, 4, 1, 12);
+
+        TimelineMove.prototype._updateSchedule.call(mockInst, {
+            targetModelID: scheduleInst.cid(),
+            resource: {
+                id: 'room-1',
+                name: 'Room 1'
+            },
+            range: [start, end]
+        });
+
+        expect(mockInst.fire.calls.argsFor(0)[1].changes).toEqual({
+            start: start,
+            end: end
+        });
+    });
+});
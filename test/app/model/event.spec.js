@@ -162,6 +162,19 @@ describe('model/schedule basic', function() {
                 Schedule.create();
             }).not.toThrow();
         });
+
+        it('convert start and end as the wall clock time of startTimezone and endTimezone.', function() {
+            var schedule = Schedule.create({
+                title: 'flight',
+                start: '2019-03-11T09:00:00',
+                end: '2019-03-11T12:00:00',
+                startTimezone: 'America/New_York',
+                endTimezone: 'America/Los_Angeles'
+            });
+
+            expect(schedule.start.getTime()).toBe(Date.UTC(2019, 2, 11, 13, 0));
+            expect(schedule.end.getTime()).toBe(Date.UTC(2019, 2, 11, 19, 0));
+        });
     });
 
     describe('collidesWith()', function() {
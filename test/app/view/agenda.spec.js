@@ -0,0 +1,73 @@
+'use strict';
+
+var util = require('tui-code-snippet');
+var Agenda = require('view/agenda/agenda');
+var controllerFactory = require('factory/controller');
+var TZDate = require('common/timezone').Date;
+
+describe('Agenda view', function() {
+    var base, view;
+
+    function titles(day) {
+        return util.map(day.schedules, function(viewModel) {
+            return viewModel.model.title;
+        });
+    }
+
+    beforeEach(function() {
+        base = controllerFactory();
+        base.createSchedules([{
+            title: 'lunch',
+            category: 'time',
+            start: new TZDate(2015, 4, 1, 12),
+            end: new TZDate(2015, 4, 1, 13)
+        }, {
+            title: 'standup',
+            category: 'time',
+            start: new TZDate(2015, 4, 1, 9),
+            end: new TZDate(2015, 4, 1, 9, 30)
+        }, {
+            title: 'holiday',
+            category: 'allday',
+            isAllDay: true,
+            start: new TZDate(2015, 4, 3),
+            end: new TZDate(2015, 4, 4, 23, 59, 59)
+        }, {
+            title: 'hidden',
+            category: 'time',
+            isVisible: false,
+            start: new TZDate(2015, 4, 2, 9),
+            end: new TZDate(2015, 4, 2, 10)
+        }]);
+
+        view = new Agenda({
+            agenda: {
+                renderStartDate: new TZDate(2015, 4, 1),
+                renderEndDate: new TZDate(2015, 4, 4, 23, 59, 59)
+            }
+        }, document.createElement('div'), base);
+    });
+
+    it('group the schedules by day in chronological order.', function() {
+        var days = view._getViewModel();
+
+        expect(util.map(days, function(day) {
+            return day.date;
+        })).toEqual(['2015-05-01', '2015-05-03', '2015-05-04']);
+        expect(days[0].dayName).toBe('Fri');
+        expect(titles(days[0])).toEqual(['standup', 'lunch']);
+        expect(titles(days[1])).toEqual(['holiday']);
+        expect(titles(days[2])).toEqual(['holiday']);
+    });
+
+    it('include the days without schedules when showEmptyDays is true.', function() {
+        var days;
+
+        view.options.showEmptyDays = true;
+        days = view._getViewModel();
+
+        expect(days.length).toBe(4);
+        expect(days[1].date).toBe('2015-05-02');
+        expect(days[1].schedules.length).toBe(0);
+    });
+});
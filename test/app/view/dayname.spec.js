@@ -1,6 +1,7 @@
 /*eslint-disable*/
 var DayName = require('view/week/dayname');
 var datetime = require('common/datetime');
+var Handlebars = require('handlebars-template-loader/runtime');
 
 describe('view/dayName', function() {
     beforeEach(function() {
@@ -20,6 +21,7 @@ describe('view/dayName', function() {
             isToday: true,
             left: 0,
             renderDate: '2015-07-26',
+            holidays: [],
             color: ''
         }, {
             day: 1,
@@ -29,6 +31,7 @@ describe('view/dayName', function() {
             isToday: false,
             left: 50,
             renderDate: '2015-07-27',
+            holidays: [],
             color: ''
         }];
         var grids = datetime.getGridLeftAndWidth(2, 0, false);
@@ -47,4 +50,35 @@ describe('view/dayName', function() {
 
         expect(result).toEqual(expected);
     });
+
+    it('Add the holidays of the date to viewmodel.', function() {
+        var holiday = {name: 'Holiday', holidaySetId: 'national', isNonWorking: true};
+        var grids = datetime.getGridLeftAndWidth(2, 0, false);
+        var getDayNameColor = jasmine.createSpy('_getDayNameColor');
+
+        var result = DayName.prototype._getBaseViewModel.call(
+            {
+                options: {
+                    daynames: ['일', '월', '화', '수', '목', '금', '토']
+                },
+                _getDayNameColor: getDayNameColor
+            },
+            new Date('2015-07-26'),
+            new Date('2015-07-27'),
+            grids,
+            {'20150727': [holiday]}
+        );
+
+        expect(result[0].holidays).toEqual([]);
+        expect(result[1].holidays).toEqual([holiday]);
+        expect(getDayNameColor.calls.argsFor(1)[4]).toBe(true);
+    });
+
+    it('Render the resource without the tags of the name and the script url of the avatar.', function() {
+        var tmpl = Handlebars.helpers['weekResource-tmpl'];
+
+        expect(tmpl({name: '<b>Room</b> <img src=x onerror=alert(1) '})).not.toContain('<img');
+        expect(tmpl({name: 'Room', avatar: 'java\tscript:alert(1)'})).not.toContain('<img');
+        expect(tmpl({name: 'Room', avatar: '/room.png" onerror="alert(1)'})).toContain('src="/room.png&quot; onerror=&quot;alert(1)"');
+    });
 });
@@ -16,15 +16,16 @@ describe('View/TimeGrid', function() {
         var expected = {
             todaymarkerLeft: 1,
             hoursLabels: [
-                {hour: 3, minutes: 0, hidden: true, color: '', fontWeight: ''},
-                {hour: 4, minutes: 0, hidden: false, color: '', fontWeight: ''},
-                {hour: 5, minutes: 0, hidden: false, color: '', fontWeight: ''},
-                {hour: 6, minutes: 0, hidden: false, color: '', fontWeight: ''},
-                {hour: 7, minutes: 0, hidden: false, color: '', fontWeight: ''},
-                {hour: 8, minutes: 0, hidden: false, color: '', fontWeight: ''},
-                {hour: 9, minutes: 0, hidden: false, color: '', fontWeight: ''},
-                {hour: 10, minutes: 0, hidden: false, color: '', fontWeight: ''}
+                {hour: 3, minutes: 0, hidden: true, color: '', fontWeight: '', slots: []},
+                {hour: 4, minutes: 0, hidden: false, color: '', fontWeight: '', slots: []},
+                {hour: 5, minutes: 0, hidden: false, color: '', fontWeight: '', slots: []},
+                {hour: 6, minutes: 0, hidden: false, color: '', fontWeight: '', slots: []},
+                {hour: 7, minutes: 0, hidden: false, color: '', fontWeight: '', slots: []},
+                {hour: 8, minutes: 0, hidden: false, color: '', fontWeight: '', slots: []},
+                {hour: 9, minutes: 0, hidden: false, color: '', fontWeight: '', slots: []},
+                {hour: 10, minutes: 0, hidden: false, color: '', fontWeight: '', slots: []}
             ],
+            slotLines: [],
             styles: {},
             timezones: [],
             showTimezoneCollapseButton: false,
@@ -59,6 +60,36 @@ describe('View/TimeGrid', function() {
         jasmine.clock().uninstall();
     });
 
+    it('_getBaseViewModel() get the slot lines and labels by slotDuration.', function() {
+        var obj = {
+            options: {
+                hourStart: 9,
+                hourEnd: 10,
+                renderEndDate: new TZDate('2018-05-23'),
+                slotDuration: 15
+            },
+            _getHourmarkerViewModel: function() {
+                return {todaymarkerLeft: -1};
+            },
+            _getStyles: function() {
+                return {};
+            },
+            _getTimezoneViewModel: function() {
+                return [];
+            }
+        };
+        var result = proto._getBaseViewModel.call(obj, {
+            state: {timezonesCollapsed: false}
+        });
+
+        expect(result.slotLines).toEqual([1, 2, 3]);
+        expect(result.hoursLabels[0].slots).toEqual([
+            {hour: 9, minutes: 15, top: 25},
+            {hour: 9, minutes: 30, top: 50},
+            {hour: 9, minutes: 45, top: 75}
+        ]);
+    });
+
     describe('_getTopPercentByTime()', function() {
         var originDate,
             mock;
@@ -112,30 +143,30 @@ describe('View/TimeGrid', function() {
             var expected = [{
                 // GMT+09:00
                 timeSlots: [
-                    {hour: 0, minutes: 0, hidden: true, color: '', fontWeight: ''},
-                    {hour: 1, minutes: 0, hidden: false, color: '', fontWeight: ''},
-                    {hour: 2, minutes: 0, hidden: false, color: '', fontWeight: ''},
-                    {hour: 3, minutes: 0, hidden: false, color: '', fontWeight: ''},
-                    {hour: 4, minutes: 0, hidden: false, color: '', fontWeight: ''},
-                    {hour: 5, minutes: 0, hidden: false, color: '', fontWeight: ''},
-                    {hour: 6, minutes: 0, hidden: false, color: '', fontWeight: ''},
-                    {hour: 7, minutes: 0, hidden: false, color: '', fontWeight: ''},
-                    {hour: 8, minutes: 0, hidden: false, color: '', fontWeight: ''},
-                    {hour: 9, minutes: 0, hidden: true, color: '', fontWeight: ''},
-                    {hour: 10, minutes: 0, hidden: false, color: '', fontWeight: ''},
-                    {hour: 11, minutes: 0, hidden: false, color: '', fontWeight: ''},
-                    {hour: 12, minutes: 0, hidden: false, color: '', fontWeight: ''},
-                    {hour: 13, minutes: 0, hidden: false, color: '', fontWeight: ''},
-                    {hour: 14, minutes: 0, hidden: false, color: '', fontWeight: ''},
-                    {hour: 15, minutes: 0, hidden: false, color: '', fontWeight: ''},
-                    {hour: 16, minutes: 0, hidden: false, color: '', fontWeight: ''},
-                    {hour: 17, minutes: 0, hidden: false, color: '', fontWeight: ''},
-                    {hour: 18, minutes: 0, hidden: false, color: '', fontWeight: ''},
-                    {hour: 19, minutes: 0, hidden: false, color: '', fontWeight: ''},
-                    {hour: 20, minutes: 0, hidden: false, color: '', fontWeight: ''},
-                    {hour: 21, minutes: 0, hidden: false, color: '', fontWeight: ''},
-                    {hour: 22, minutes: 0, hidden: false, color: '', fontWeight: ''},
-                    {hour: 23, minutes: 0, hidden: false, color: '', fontWeight: ''},
+                    {hour: 0, minutes: 0, hidden: true, color: '', fontWeight: '', slots: []},
+                    {hour: 1, minutes: 0, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 2, minutes: 0, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 3, minutes: 0, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 4, minutes: 0, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 5, minutes: 0, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 6, minutes: 0, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 7, minutes: 0, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 8, minutes: 0, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 9, minutes: 0, hidden: true, color: '', fontWeight: '', slots: []},
+                    {hour: 10, minutes: 0, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 11, minutes: 0, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 12, minutes: 0, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 13, minutes: 0, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 14, minutes: 0, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 15, minutes: 0, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 16, minutes: 0, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 17, minutes: 0, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 18, minutes: 0, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 19, minutes: 0, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 20, minutes: 0, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 21, minutes: 0, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 22, minutes: 0, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 23, minutes: 0, hidden: false, color: '', fontWeight: '', slots: []},
                 ],
                 displayLabel: 'GMT+09:00',
                 timezoneOffset: 540,
@@ -151,30 +182,30 @@ describe('View/TimeGrid', function() {
             }, {
                 // GMT-09:30
                 timeSlots: [
-                    {hour: 5, minutes: 30, hidden: true, color: '', fontWeight: ''},
-                    {hour: 6, minutes: 30, hidden: false, color: '', fontWeight: ''},
-                    {hour: 7, minutes: 30, hidden: false, color: '', fontWeight: ''},
-                    {hour: 8, minutes: 30, hidden: false, color: '', fontWeight: ''},
-                    {hour: 9, minutes: 30, hidden: false, color: '', fontWeight: ''},
-                    {hour: 10, minutes: 30, hidden: false, color: '', fontWeight: ''},
-                    {hour: 11, minutes: 30, hidden: false, color: '', fontWeight: ''},
-                    {hour: 12, minutes: 30, hidden: false, color: '', fontWeight: ''},
-                    {hour: 13, minutes: 30, hidden: false, color: '', fontWeight: ''},
-                    {hour: 14, minutes: 30, hidden: true, color: '', fontWeight: ''},
-                    {hour: 15, minutes: 30, hidden: false, color: '', fontWeight: ''},
-                    {hour: 16, minutes: 30, hidden: false, color: '', fontWeight: ''},
-                    {hour: 17, minutes: 30, hidden: false, color: '', fontWeight: ''},
-                    {hour: 18, minutes: 30, hidden: false, color: '', fontWeight: ''},
-                    {hour: 19, minutes: 30, hidden: false, color: '', fontWeight: ''},
-                    {hour: 20, minutes: 30, hidden: false, color: '', fontWeight: ''},
-                    {hour: 21, minutes: 30, hidden: false, color: '', fontWeight: ''},
-                    {hour: 22, minutes: 30, hidden: false, color: '', fontWeight: ''},
-                    {hour: 23, minutes: 30, hidden: false, color: '', fontWeight: ''},
-                    {hour: 0, minutes: 30, hidden: false, color: '', fontWeight: ''},
-                    {hour: 1, minutes: 30, hidden: false, color: '', fontWeight: ''},
-                    {hour: 2, minutes: 30, hidden: false, color: '', fontWeight: ''},
-                    {hour: 3, minutes: 30, hidden: false, color: '', fontWeight: ''},
-                    {hour: 4, minutes: 30, hidden: false, color: '', fontWeight: ''}
+                    {hour: 5, minutes: 30, hidden: true, color: '', fontWeight: '', slots: []},
+                    {hour: 6, minutes: 30, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 7, minutes: 30, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 8, minutes: 30, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 9, minutes: 30, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 10, minutes: 30, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 11, minutes: 30, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 12, minutes: 30, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 13, minutes: 30, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 14, minutes: 30, hidden: true, color: '', fontWeight: '', slots: []},
+                    {hour: 15, minutes: 30, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 16, minutes: 30, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 17, minutes: 30, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 18, minutes: 30, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 19, minutes: 30, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 20, minutes: 30, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 21, minutes: 30, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 22, minutes: 30, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 23, minutes: 30, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 0, minutes: 30, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 1, minutes: 30, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 2, minutes: 30, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 3, minutes: 30, hidden: false, color: '', fontWeight: '', slots: []},
+                    {hour: 4, minutes: 30, hidden: false, color: '', fontWeight: '', slots: []}
                 ],
                 displayLabel: 'GMT-09:30',
                 timezoneOffset: -570,
@@ -5,6 +5,7 @@ var TZDate = require('common/timezone').Date;
 var timezoneMatchers = require('../../matcher/timezone');
 var datetime = require('common/datetime');
 var Theme = require('theme/theme');
+var controllerFactory = require('factory/controller');
 
 describe('View/Week', function() {
     var view;
@@ -21,21 +22,44 @@ describe('View/Week', function() {
 
     describe('render()', function() {
         it('send viewmodels from controllers.', function() {
-            view.controller = jasmine.createSpyObj('Base.Week', ['findByDateRange']);
-            view.controller.findByDateRange.and.returnValue('helloWorld');
-
+            var controller = controllerFactory();
             var child = new View();
+
+            controller.setHolidays([{
+                id: 'national',
+                isNonWorking: true,
+                dates: [{date: '2019-12-25', name: 'Christmas Day'}]
+            }]);
+            view = new Week(controller.Week, {
+                renderStartDate: '2019-12-22',
+                renderEndDate: '2019-12-28'
+            }, document.getElementById('container2'), [{
+                name: 'allday',
+                type: 'daygrid'
+            }, {
+                name: 'time',
+                type: 'timegrid'
+            }]);
             spyOn(child, 'render');
             view.addChild(child);
 
             view.render();
 
             expect(child.render).toHaveBeenCalledWith({
-                schedulesInDateRange: 'helloWorld',
+                schedulesInDateRange: {
+                    allday: jasmine.any(Object),
+                    time: jasmine.any(Object)
+                },
                 renderStartDate: jasmine.any(TZDate),
                 renderEndDate: jasmine.any(TZDate),
                 grids: jasmine.any(Array),
                 range: jasmine.any(Array),
+                dateGrids: jasmine.any(Array),
+                dateRange: jasmine.any(Array),
+                columns: null,
+                holidays: {
+                    '20191225': [{name: 'Christmas Day', holidaySetId: 'national', isNonWorking: true}]
+                },
                 theme: jasmine.anything(),
                 state: jasmine.anything()
             });
@@ -1,4 +1,7 @@
-import Calendar, { ISchedule, IEventObject } from 'tui-calendar';
+import Calendar, { ISchedule, IEventObject, TZDate } from 'tui-calendar';
+
+declare function checkRoom(schedule: ISchedule): Promise<boolean | string>;
+declare function request(method: string, url: string, data?: object): Promise<ISchedule[]>;
 
 const querySelectorEl = document.querySelector('#div') ||
   document.getElementById('div') ||
@@ -25,6 +28,21 @@ const calendar = new Calendar(querySelectorEl, {
         alldayTitle() {
             return 'All Day';
         },
+        agendaDayHeader(model) {
+            return `${model.date} ${model.dayName}`;
+        },
+        holidayLabel(holidays) {
+            return holidays.map(holiday => holiday.name).join(', ');
+        },
+        agendaItem(schedule: ISchedule) {
+            return `<b>${schedule.title}</b>`;
+        },
+        agendaEmpty() {
+            return 'Nothing planned';
+        },
+        timelineSlot(slot) {
+            return slot.granularity === 'hour' ? slot.date.toDate().toTimeString() : slot.date.toDate().toDateString();
+        },
         allday(schedule: ISchedule) {
             return `<span style="color: blue;">${schedule.title}</span>`;
         },
@@ -64,14 +82,120 @@ const calendar = new Calendar(querySelectorEl, {
             return Boolean(schedule.title);
         }
     },
+    timeline: {
+        granularity: 'day',
+        slotWidth: 40,
+        resourceWidth: 160,
+        scheduleFilter(schedule) {
+            return Boolean(schedule.isVisible);
+        }
+    },
+    year: {
+        startDayOfWeek: 1,
+        density: 'duration',
+        drillDownView: 'week'
+    },
+    agenda: {
+        dayCount: 14,
+        showEmptyDays: true
+    },
     useCreationPopup: false,
     useDetailPopup: false,
+    popupFields: [
+        {
+            name: 'room',
+            type: 'select',
+            label: 'Room',
+            required: true,
+            options: [{value: 'A', label: 'Room A'}, {value: 'B'}]
+        },
+        {
+            name: 'attendees',
+            type: 'attendees',
+            property: 'attendees'
+        },
+        {
+            name: 'phone',
+            validate(value) {
+                return /^[0-9-]*$/.test(String(value)) ? '' : 'Only numbers are allowed.';
+            }
+        }
+    ],
+    dataSource: {
+        load(range) {
+            return request('GET', '/schedules', {start: range.start.toDate(), end: range.end.toDate()});
+        },
+        create(schedule) {
+            return request('POST', '/schedules', schedule).then(saved => saved[0]);
+        },
+        update(schedule, changes) {
+            return request('PATCH', `/schedules/${schedule.id}`, changes).then(() => undefined);
+        },
+        remove(schedule) {
+            console.log('remove : ', schedule.id);
+        }
+    },
+    validateSchedule(schedule, context) {
+        if (context.action === 'create' && !schedule.title) {
+            return {title: 'The title is required.'};
+        }
+
+        return checkRoom(schedule);
+    },
     disableDblClick: true,
     disableClick: false,
-    isReadOnly: true
+    isReadOnly: true,
+    resources: [
+        {
+            id: 'room-1',
+            name: 'Room 1',
+            avatar: 'room-1.png'
+        },
+        {
+            id: 2,
+            name: 'Technician'
+        }
+    ],
+    holidays: [
+        {
+            id: 'national',
+            isNonWorking: true,
+            dates: [{date: '2018-12-25', name: 'Christmas Day'}]
+        },
+        {
+            id: 'company',
+            provider(start, end) {
+                return [{date: start.toDate(), name: 'Workshop'}];
+            }
+        }
+    ],
+    nonWorkingDayCreation: 'warn',
+    allowOverlap: false,
+    dragGroup: 'team',
+    history: {
+        size: 20,
+        groupDrag: true,
+        undoByEvent: false
+    },
+    timezones: [
+        {
+            timezoneName: 'Europe/Berlin',
+            tooltip: 'Berlin'
+        },
+        {
+            timezoneOffset: 540,
+            displayLabel: 'GMT+09:00',
+            tooltip: 'Seoul'
+        }
+    ]
 });
 
 calendar.changeView('month');
+calendar.changeView('timeline');
+calendar.changeView('agenda');
+calendar.changeView('year');
+calendar.changeView({type: 'week', dayCount: 3}, true);
+calendar.changeView({type: 'month', weeks: 2});
 calendar.clear(true);
 calendar.createSchedules([
     {
@@ -99,9 +223,43 @@ calendar.createSchedules([
         start: '2018-10-31T14:30:00+09:00',
         end: '2018-10-31T16:30:00+09:00',
         isReadOnly: true
+    },
+    {
+        id: '3',
+        calendarId: 'General Lecture',
+        title: 'Online Seminar',
+        category: 'time',
+        start: '2018-10-31T09:00:00',
+        end: '2018-10-31T10:00:00',
+        startTimezone: 'America/New_York',
+        endTimezone: 'America/New_York',
+        resourceId: 'room-1'
     }
 ]);
 calendar.deleteSchedule('1', 'Major Lecture');
+calendar.deleteRecurringSchedule('1_20181031T143000', 'Major Lecture', 'following');
+calendar.exportICS({calendarId: ['Major Lecture']});
+if (calendar.canUndo()) {
+    calendar.undo();
+}
+if (calendar.canRedo()) {
+    calendar.redo();
+}
+calendar.clearHistory();
+const backlogItem = document.createElement('div');
+calendar.registerExternalDraggable(backlogItem, element => ({
+    calendarId: 'Major Lecture',
+    title: element.textContent || '',
+    duration: 90
+}));
+calendar.unregisterExternalDraggable(backlogItem);
+calendar.findConflicts({
+    calendarId: 'Major Lecture',
+    category: 'time',
+    start: '2018-10-31T14:30:00+09:00',
+    end: '2018-10-31T15:30:00+09:00'
+}).forEach(conflict => console.log(conflict.title));
+calendar.importICS('BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n', 'Major Lecture');
 calendar.destroy();
 calendar.getDate();
 calendar.getDateRangeEnd();
@@ -136,7 +294,14 @@ calendar.setCalendars([
         color: '#ffffff',
         bgColor: '#ffbb3b',
         dragBgColor: '#ffbb3b',
-        borderColor: '#ffbb3b'
+        borderColor: '#ffbb3b',
+        allowOverlap: true
+    }
+]);
+calendar.setHolidays([
+    {
+        id: 'national',
+        dates: [{date: '2018-01-01', name: 'New Year\'s Day'}]
     }
 ]);
 calendar.setDate('2018-01-01');
@@ -144,6 +309,50 @@ calendar.setDate(new Date());
 calendar.setOptions({
     taskView: ['milestone', 'task']
 }, true);
+calendar.setOptions({
+    week: {
+        businessHours: [
+            {start: '09:00', end: '12:00'},
+            {daysOfWeek: [1, 2, 3, 4, 5], start: '13:00', end: '18:00'}
+        ],
+        constraint: 'businessHours',
+        snapToConstraint: true
+    }
+});
+calendar.setOptions({
+    week: {
+        constraint: (start: TZDate, end: TZDate) => end.toDate().getHours() <= 18
+    }
+});
+calendar.setOptions({
+    week: {
+        slotDuration: 15,
+        snapDuration: 5
+    },
+    template: {
+        timegridSlotLabel: time => ':' + time.minutes
+    }
+});
+calendar.setOptions({
+    events: (rangeStart, rangeEnd) => request('GET', `/schedules?start=${rangeStart.getTime()}&end=${rangeEnd.getTime()}`),
+    eventCacheDays: 180,
+    template: {
+        loading: () => '<span class="spinner"></span>'
+    }
+});
+calendar.setOptions({
+    eventSources: [{
+        id: 'team',
+        name: 'Team',
+        bgColor: '#9e5fff',
+        events: (rangeStart, rangeEnd) => request('GET', `/team?start=${rangeStart.getTime()}&end=${rangeEnd.getTime()}`)
+    }, {
+        id: 'holidays',
+        url: '/ics-proxy/holidays.ics',
+        isVisible: false
+    }],
+    fetchICS: url => fetch(url).then(response => response.text())
+});
 
 const theme = {
     'common.border': '1px solid #ddd',
@@ -214,6 +423,7 @@ const theme = {
 
     'week.today.backgroundColor': 'inherit',
     'week.weekend.backgroundColor': 'inherit',
+    'week.nonBusinessHours.backgroundColor': 'rgba(0, 0, 0, 0.05)',
 
     // week timegrid 'timegrid'
     'week.timegridLeft.width': '77px',
@@ -264,15 +474,26 @@ const theme = {
 calendar.setTheme(theme);
 calendar.today();
 calendar.toggleSchedules('Major Lecture', false, true);
+calendar.addEventSource({
+    id: 'birthdays',
+    color: '#ffffff',
+    schedules: [{id: '1', title: 'Kim', category: 'allday', start: '2019-12-24', end: '2019-12-24'}]
+});
+calendar.toggleEventSource('holidays', false);
+calendar.refreshEventSource('team');
+calendar.removeEventSource('birthdays');
+calendar.getEventSources().forEach(source => console.log(source.id, source.name, source.isVisible));
 calendar.toggleScheduleView(true);
 calendar.updateSchedule('1', 'Major Lecture', {
     title: 'Digital Design'
 });
 
 calendar.on('beforeUpdateSchedule', (scheduleData: IEventObject) => {
-    const {schedule, start, end} = scheduleData;
+    const {schedule, start, end, changes, recurrenceScope} = scheduleData;
 
-    if (schedule.id && schedule.calendarId) {
+    if (schedule.id && schedule.calendarId && changes && recurrenceScope) {
+        calendar.updateRecurringSchedule(schedule.id, schedule.calendarId, changes, recurrenceScope);
+    } else if (schedule.id && schedule.calendarId) {
         calendar.updateSchedule(schedule.id, schedule.calendarId, {
             start,
             end
@@ -286,9 +507,13 @@ calendar.on({
     },
     beforeCreateSchedule(schedule) {
         console.log('beforeCreateSchedule: ', schedule);
+
+        if (schedule.triggerEventName === 'paste' && schedule.schedule) {
+            calendar.createSchedules([schedule.schedule]);
+        }
     },
     beforeDeleteSchedule(eventSechedule) {
-        console.log('beforeDeleteSchedule: ', eventSechedule);
+        console.log('beforeDeleteSchedule: ', eventSechedule, eventSechedule.triggerEventName === 'drop');
     },
     beforeUpdateSchedule(e) {
         console.log('beforeUpdateSchedule : ', e);
@@ -304,6 +529,39 @@ calendar.on({
     },
     clickTimezonesCollapseBtn(isCollapse) {
         console.log('clickTimezonesCollapseBtn', isCollapse);
+    },
+    clickYearDate(e) {
+        console.log('clickYearDate : ', e.date, e.count, e.duration);
+
+        return e.count > 0;
+    },
+    beforeDropExternal(e) {
+        console.log('beforeDropExternal : ', e.data.title, e.start, e.end, e.isAllDay);
+    },
+    scheduleDragOut(e) {
+        console.log('scheduleDragOut : ', e.schedule.id, e.event.clientX);
+    },
+    dataSourceError(e) {
+        console.log('dataSourceError : ', e.action, e.error);
+    },
+    loading(e) {
+        console.log('loading : ', e.isLoading);
+    },
+    scheduleRejected(e) {
+        console.log('scheduleRejected : ', e.context.triggerEventName, e.message, e.errors);
+    },
+    selectionChange(e) {
+        console.log('selectionChange : ', e.schedules.length);
     }
 });
 
+calendar.on('beforeUpdateSchedule', (scheduleData: IEventObject) => {
+    (scheduleData.updates || []).forEach(({schedule, changes}) => {
+        if (schedule.id && schedule.calendarId) {
+            calendar.updateSchedule(schedule.id, schedule.calendarId, changes);
+        }
+    });
+});
+calendar.getSelectedSchedules().forEach(schedule => console.log(schedule.title));
+calendar.clearSelection();
+